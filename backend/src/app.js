@@ -24,6 +24,14 @@ const campaignRoutes = require('./routes/campaign.routes');
 const segmentRoutes = require('./routes/segment.routes');
 const aiRoutes = require('./routes/ai.routes');
 const webhookRoutes = require('./routes/webhook.routes');
+const templateRoutes = require('./routes/template.routes');
+const orderRoutes = require('./routes/order.routes');
+const eventRoutes = require('./routes/event.routes');
+const importRoutes = require('./routes/import.routes');
+const exportRoutes = require('./routes/export.routes');
+const subscriptionRoutes = require('./routes/subscription.routes');
+const suppressionRoutes = require('./routes/suppression.routes');
+const journeyRoutes = require('./routes/journey.routes');
 
 // Initialize Express app
 const app = express();
@@ -31,7 +39,9 @@ const app = express();
 // Implement CORS
 app.use(cors({
   origin: config.corsOrigin,
-  credentials: true
+  credentials: true,
+  // Lets the frontend read the file name of downloaded exports
+  exposedHeaders: ['Content-Disposition', 'X-Total-Count']
 }));
 
 // Set security HTTP headers
@@ -48,11 +58,16 @@ if (config.nodeEnv === 'development') {
 const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   windowMs:  60 * 1000, // 15 minutes
-  message: 'Too many requests from this IP, please try again in 15 minutes!'
+  message: 'Too many requests from this IP, please try again in 15 minutes!',
+  // Event ingestion has its own limits, per event source and per IP for invalid API keys
+  skip: (req) => req.method === 'POST' && req.path === '/events'
 });
 app.use('/api', limiter);
 
 // Body parser, reading data from body into req.body
+// Event batches and bulk orders are parsed first with larger limits
+app.use('/api/events', express.json({ limit: config.events.maxPayloadSize }));
+app.use('/api/orders/bulk', express.json({ limit: config.orders.maxPayloadSize }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
@@ -104,6 +119,14 @@ app.use('/api/campaigns', campaignRoutes);
 app.use('/api/segments', segmentRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/journeys', journeyRoutes);
 
 // Handle 404 routes
 app.use(notFound);
@@ -0,0 +1,98 @@
+/**
+ * Customer export column registry
+ *
+ * Columns that can be chosen for a customer export. A custom property is
+ * exported with `metadata.<key>`. Column names match the import field names,
+ * so an exported file can be imported again.
+ */
+
+const { METADATA_PREFIX } = require('./importFields');
+
+// Exportable columns; path is the customer field the column is read from
+const COLUMNS = [
+  { name: 'id', label: 'ID', path: '_id' },
+  { name: 'name', label: 'Name', default: true },
+  { name: 'email', label: 'Email', default: true },
+  { name: 'externalId', label: 'External ID' },
+  { name: 'phone', label: 'Phone', default: true },
+  { name: 'location', label: 'Location', default: true },
+  { name: 'timezone', label: 'Time zone' },
+  { name: 'tags', label: 'Tags', default: true },
+  { name: 'isActive', label: 'Active', default: true },
+  { name: 'totalSpend', label: 'Total spend', default: true },
+  { name: 'orderCount', label: 'Order count', default: true },
+  { name: 'lastOrderDate', label: 'Last order date', default: true },
+  { name: 'createdAt', label: 'Created at' },
+  { name: 'updatedAt', label: 'Updated at' },
+];
+
+const DEFAULT_COLUMNS = COLUMNS.filter((column) => column.default).map((column) => column.name);
+
+// Supported export formats
+const FORMATS = ['csv', 'json'];
+
+/**
+ * Describe the registry for API consumers
+ * @returns {Object} Exportable columns, the default columns, formats and the metadata prefix
+ */
+const describeColumns = () => ({
+  columns: COLUMNS.map(({ name, label }) => ({ name, label, default: DEFAULT_COLUMNS.includes(name) })),
+  defaultColumns: DEFAULT_COLUMNS,
+  formats: FORMATS,
+  metadataPrefix: METADATA_PREFIX,
+});
+
+/**
+ * Parse the columns requested for an export
+ * @param {string|Array<string>} value - Comma separated column names, or a list of them; empty for the defaults
+ * @returns {Object} { columns } on success, { error } otherwise
+ */
+const parseColumns = (value) => {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    return { columns: DEFAULT_COLUMNS };
+  }
+
+  const unknown = names.filter((name) => !COLUMNS.some((column) => column.name === name)
+    && !(name.startsWith(METADATA_PREFIX) && /^[a-zA-Z0-9_]{1,64}$/.test(name.slice(METADATA_PREFIX.length))));
+
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}` };
+  }
+
+  return { columns: [...new Set(names)] };
+};
+
+/**
+ * Get the customer field a column is read from
+ * @param {string} name - Column name
+ * @returns {string} Field path
+ */
+const columnPath = (name) => {
+  const column = COLUMNS.find((candidate) => candidate.name === name);
+
+  return column && column.path ? column.path : name;
+};
+
+/**
+ * Read the value of a column from a customer document
+ * @param {Object} customer - Plain customer document
+ * @param {string} name - Column name
+ * @returns {*} Column value, undefined if the customer has none
+ */
+const readColumn = (customer, name) => columnPath(name)
+  .split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), customer);
+
+module.exports = {
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  FORMATS,
+  describeColumns,
+  parseColumns,
+  columnPath,
+  readColumn,
+};
@@ -0,0 +1,199 @@
+/**
+ * Customer import field registry
+ *
+ * Customer fields that columns of an imported file can be mapped to. A
+ * column can also be mapped to `metadata.<key>` to keep it as a custom
+ * property. Order aggregates (totalSpend, orderCount, lastOrderDate) are
+ * recomputed from orders and cannot be imported.
+ */
+
+const { isEmail } = require('validator');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Prefix of mapping targets that store the column as custom metadata
+const METADATA_PREFIX = 'metadata.';
+
+// Customer fields a column can be mapped to; aliases are matched when suggesting a mapping
+const FIELDS = [
+  { name: 'name', label: 'Name', required: true, aliases: ['full name', 'customer name', 'customer'] },
+  { name: 'email', label: 'Email', required: true, aliases: ['email address', 'e-mail', 'mail'] },
+  { name: 'externalId', label: 'External ID', aliases: ['external id', 'customer id', 'id'] },
+  { name: 'phone', label: 'Phone', aliases: ['phone number', 'mobile', 'telephone'] },
+  { name: 'location', label: 'Location', aliases: ['city', 'address'] },
+  { name: 'timezone', label: 'Time zone', aliases: ['time zone', 'tz'] },
+  { name: 'tags', label: 'Tags', type: 'list', aliases: ['labels'] },
+  { name: 'isActive', label: 'Active', type: 'boolean', aliases: ['active', 'status'] },
+];
+
+/**
+ * Normalize a column or field name for comparison, e.g. "E-mail Address" to "emailaddress"
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Describe the registry for API consumers
+ * @returns {Object} Mappable fields and the metadata prefix
+ */
+const describeFields = () => ({
+  fields: FIELDS.map(({ name, label, required }) => ({ name, label, required: Boolean(required) })),
+  metadataPrefix: METADATA_PREFIX,
+});
+
+/**
+ * Suggest a mapping for the columns of a file by matching names and aliases
+ * @param {Array<string>} columns - Column names
+ * @returns {Array<Object>} { column, field } per column; field is empty for unmatched columns
+ */
+const suggestMapping = (columns) => {
+  const used = new Set();
+
+  return columns.map((column) => {
+    const key = normalizeName(column);
+    const field = FIELDS.find((candidate) => !used.has(candidate.name)
+      && [candidate.name, ...(candidate.aliases || [])].some((alias) => normalizeName(alias) === key));
+
+    if (field) {
+      used.add(field.name);
+    }
+
+    return { column, field: field ? field.name : '' };
+  });
+};
+
+/**
+ * Validate a column mapping
+ * Columns are given as values rather than keys, since column names may hold
+ * characters such as "." and "$" that are not safe in keys.
+ * @param {Array<Object>} mapping - { column, field } entries; an empty field skips the column
+ * @param {Array<string>} columns - Columns of the file
+ * @returns {Object} Error messages keyed by column or field, empty if valid
+ */
+const validateMapping = (mapping, columns) => {
+  if (!Array.isArray(mapping) || mapping.some((entry) => !entry || typeof entry !== 'object')) {
+    return { mapping: 'Mapping must be a list of { column, field } entries' };
+  }
+
+  const errors = {};
+  const mappedTo = {};
+
+  mapping.forEach(({ column, field: target }) => {
+    if (!target) {
+      return;
+    }
+
+    if (!columns.includes(column)) {
+      errors[column] = `Column '${column}' is not in the file`;
+    } else if (typeof target !== 'string') {
+      errors[column] = 'Target must be a field name';
+    } else if (target.startsWith(METADATA_PREFIX)) {
+      if (!/^[a-zA-Z0-9_]{1,64}$/.test(target.slice(METADATA_PREFIX.length))) {
+        errors[column] = 'Metadata keys may only contain letters, numbers and _';
+      }
+    } else if (!FIELDS.some((field) => field.name === target)) {
+      errors[column] = `Unknown field '${target}'`;
+    }
+
+    if (mappedTo[target]) {
+      errors[column] = `Columns '${mappedTo[target]}' and '${column}' are both mapped to '${target}'`;
+    }
+    mappedTo[target] = column;
+  });
+
+  FIELDS.filter((field) => field.required && !mappedTo[field.name]).forEach((field) => {
+    errors[field.name] = `A column must be mapped to ${field.label}`;
+  });
+
+  return errors;
+};
+
+/**
+ * Coerce a cell to the type of a field
+ * @param {Object} field - Field definition, if the target is a registry field
+ * @param {*} value - Raw cell value
+ * @returns {*} Coerced value
+ */
+const coerceValue = (field, value) => {
+  if (field && field.type === 'list') {
+    return Array.isArray(value)
+      ? value.map(String)
+      : String(value).split(/[;,|]/).map((item) => item.trim()).filter(Boolean);
+  }
+
+  if (field && field.type === 'boolean') {
+    return !['false', 'no', '0', 'inactive'].includes(String(value).toLowerCase().trim());
+  }
+
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Build a customer from a record of the file using a valid mapping
+ * @param {Object} record - Values keyed by column
+ * @param {Array<Object>} mapping - { column, field } entries
+ * @returns {Object} { customer } on success, { error } with the email if any otherwise
+ */
+const mapRecord = (record, mapping) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Row must be an object of values keyed by column' };
+  }
+
+  const customer = {};
+
+  mapping.forEach(({ column, field: target }) => {
+    const value = record[column];
+    if (!target || value === undefined || value === null || value === '') {
+      return;
+    }
+
+    if (target.startsWith(METADATA_PREFIX)) {
+      customer.metadata = { ...customer.metadata, [target.slice(METADATA_PREFIX.length)]: coerceValue(null, value) };
+    } else {
+      customer[target] = coerceValue(FIELDS.find((field) => field.name === target), value);
+    }
+  });
+
+  const error = validateCustomer(customer);
+
+  return error ? { error, email: customer.email && String(customer.email) } : { customer };
+};
+
+/**
+ * Check the fields every imported customer needs
+ * @param {Object} customer - Customer data
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateCustomer = (customer) => {
+  if (!customer || typeof customer !== 'object') {
+    return 'Customer must be an object';
+  }
+
+  if (!customer.email) {
+    return 'Email is required';
+  }
+
+  if (typeof customer.email !== 'string' || !isEmail(customer.email.trim())) {
+    return `'${customer.email}' is not a valid email address`;
+  }
+
+  if (!customer.name) {
+    return 'Name is required';
+  }
+
+  if (customer.timezone && !isValidTimezone(customer.timezone)) {
+    return `'${customer.timezone}' is not a valid time zone`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  FIELDS,
+  METADATA_PREFIX,
+  describeFields,
+  suggestMapping,
+  validateMapping,
+  mapRecord,
+  validateCustomer,
+};
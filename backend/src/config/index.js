@@ -1,4 +1,6 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
 
 module.exports = {
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -47,7 +49,9 @@ module.exports = {
         }
         return Math.min(options.attempt * 100, 3000);
       }
-    }
+    },
+    // Events are appended to one stream per channel, e.g. stream:campaign.created
+    streamPrefix: process.env.REDIS_STREAM_PREFIX || 'stream:'
   },
   
   // OpenAI configuration
@@ -74,10 +78,73 @@ module.exports = {
     file: process.env.LOG_FILE || 'logs/app.log'
   },
   
+  // Order ingestion configuration
+  orders: {
+    // Store currency; customer spend totals only include orders in this currency
+    currency: (process.env.STORE_CURRENCY || 'INR').toUpperCase(),
+    // Largest request body accepted by POST /api/orders/bulk
+    maxPayloadSize: process.env.ORDERS_MAX_PAYLOAD_SIZE || '5mb'
+  },
+  
+  // Customer file import configuration
+  imports: {
+    // Uploaded files are kept here until their rows have been queued
+    uploadDir: process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), 'xeno-crm-imports'),
+    maxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE || String(20 * 1024 * 1024), 10), // 20 MB
+    // Rows sent to the message broker per message
+    chunkSize: parseInt(process.env.IMPORT_CHUNK_SIZE || '500', 10),
+    // Rows shown in the column mapping step
+    sampleSize: 5,
+    // Imports that have read no rows for this long were interrupted, e.g. by a restart
+    staleMinutes: 30,
+    // Uploads whose columns are not mapped within this long are removed
+    abandonedHours: parseInt(process.env.IMPORT_ABANDONED_HOURS || '24', 10),
+    // How often interrupted and abandoned imports are cleaned up
+    cleanupIntervalMinutes: 15
+  },
+  
+  // Customer export configuration
+  exports: {
+    // Files of background exports are kept here until they expire
+    dir: process.env.EXPORT_DIR || path.join(os.tmpdir(), 'xeno-crm-exports'),
+    // Exports with more customers than this run as background jobs instead of streaming
+    streamLimit: parseInt(process.env.EXPORT_STREAM_LIMIT || '10000', 10),
+    // Hours a background export's file can be downloaded
+    expiryHours: parseInt(process.env.EXPORT_EXPIRY_HOURS || '24', 10),
+    // Background exports that have not reported progress for this long were interrupted, e.g. by a restart
+    staleMinutes: 30,
+    // How often expired export files are removed and interrupted exports failed
+    cleanupIntervalMinutes: 60
+  },
+  
+  // Customer event ingestion configuration
+  events: {
+    // Largest request body accepted by POST /api/events
+    maxPayloadSize: process.env.EVENTS_MAX_PAYLOAD_SIZE || '1mb',
+    // Most events accepted in one batch
+    maxBatchSize: parseInt(process.env.EVENTS_MAX_BATCH_SIZE || '500', 10),
+    // Ingestion requests allowed per API key per minute
+    rateLimit: parseInt(process.env.EVENTS_RATE_LIMIT || '600', 10),
+    // Requests with a missing or wrong API key allowed per IP per minute
+    authFailureLimit: parseInt(process.env.EVENTS_AUTH_FAILURE_LIMIT || '20', 10),
+    // Events older than this are removed by MongoDB (0 keeps them forever)
+    retentionDays: parseInt(process.env.EVENTS_RETENTION_DAYS || '0', 10)
+  },
+  
+  // Channel subscription configuration
+  subscriptions: {
+    // Signs unsubscribe link tokens; must match UNSUBSCRIBE_SECRET in the message broker
+    secret: process.env.UNSUBSCRIBE_SECRET || 'your-unsubscribe-secret-should-be-long-and-secure',
+    // Public page the unsubscribe links in messages point to, followed by /<token>
+    unsubscribeUrl: process.env.UNSUBSCRIBE_URL || 'http://localhost:3000/unsubscribe'
+  },
+  
   // Campaign delivery configuration
   campaign: {
     deliverySuccessRate: process.env.CAMPAIGN_DELIVERY_SUCCESS_RATE || 0.9, // 90% success rate
     maxBatchSize: process.env.CAMPAIGN_MAX_BATCH_SIZE || 100,
-    processingInterval: process.env.CAMPAIGN_PROCESSING_INTERVAL || 1000 // 1 second
+    processingInterval: process.env.CAMPAIGN_PROCESSING_INTERVAL || 1000, // 1 second
+    // Time zone of campaigns that don't name one, also used for customers without a known time zone
+    defaultTimezone: process.env.CAMPAIGN_DEFAULT_TIMEZONE || 'UTC'
   }
 };
\ No newline at end of file
@@ -6,6 +6,8 @@ const CommunicationLog = require('../models/communicationLog.model');
 const AppError = require('../utils/appError');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { describeFieldsForPrompt } = require('../config/segmentFields');
+const { validateRules, groupRuleErrors } = require('../utils/segmentRules');
 
 // Initialize Google Generative AI
 const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
@@ -73,20 +75,15 @@ exports.naturalLanguageToRules = async (req, res, next) => {
       ]
     }
     
-    Available fields:
-    - totalSpend: numeric field for total amount spent
-    - orderCount: numeric field for number of orders
-    - lastOrderDate: date field for most recent order
-    - name: text field for customer name
-    - email: text field for customer email
-    - location: text field for customer location
-    - isActive: boolean field for active status (true or false)
-    
-    Available operators:
-    - For numeric fields: equals, notEquals, greaterThan, lessThan, greaterThanOrEqual, lessThanOrEqual, between
-    - For text fields: equals, notEquals, contains, startsWith, endsWith
-    - For date fields: equals, before, after, inLast, notInLast
-    - For boolean fields: equals
+    Any entry in "conditions" may itself be a nested group with its own "conditionType" and "conditions",
+    e.g. "(spent over 10000 OR more than 5 orders) AND no order in the last 90 days" becomes an AND group
+    containing an OR group and a condition.
+    
+    Available fields, with the operators each one accepts:
+${describeFieldsForPrompt()}
+    
+    Only use the fields and operators listed above. For inLast and notInLast the value is a number of days,
+    for between the value is an array of two values, and dates are written as YYYY-MM-DD. Omit the value for isNull and isNotNull.
     
     Parse the user's natural language request and convert it to the appropriate rule format. Be sure to infer whether conditions should be combined with AND or OR logic.`;
     
@@ -128,6 +125,13 @@ exports.naturalLanguageToRules = async (req, res, next) => {
       return next(new AppError('Invalid rules structure from AI', 500));
     }
     
+    // Reject fields or operators the segment compiler does not support
+    const ruleErrors = validateRules(rules);
+    if (ruleErrors.length > 0) {
+      logger.error(`AI generated unsupported rules: ${ruleErrors.map((e) => e.message).join('; ')}`);
+      return next(new AppError('AI generated rules with unsupported fields or operators', 500));
+    }
+    
     // Log success
     logger.info(`NL to rules success for: "${prompt}"`);
     
@@ -204,6 +208,11 @@ exports.generateMessageSuggestions = async (req, res, next) => {
     }
     // Otherwise, use custom rules
     else if (customRules) {
+      const ruleErrors = validateRules(customRules);
+      if (ruleErrors.length > 0) {
+        return next(new AppError('Invalid segment rules', 422, groupRuleErrors(ruleErrors)));
+      }
+      
       segmentDescription = `Custom rules: ${JSON.stringify(customRules, null, 2)}\n`;
       
       // Create temporary segment to generate query
@@ -212,7 +221,7 @@ exports.generateMessageSuggestions = async (req, res, next) => {
         rules: customRules,
       });
       
-      const query = tempSegment.toMongoQuery();
+      const query = await tempSegment.toMongoQuery();
       
       // Count customers matching the query
       audienceSize = await Customer.countDocuments(query);
@@ -614,7 +623,7 @@ exports.generateLookalikeAudience = async (req, res, next) => {
     }
     
     // Get a sample of customers from the source segment
-    const query = sourceSegment.toMongoQuery();
+    const query = await sourceSegment.toMongoQuery();
     const sourceCustomers = await Customer.find(query).limit(100);
     
     if (sourceCustomers.length === 0) {
@@ -680,7 +689,7 @@ exports.generateLookalikeAudience = async (req, res, next) => {
       rules: lookalikeRules,
     });
     
-    const lookalikesQuery = tempSegment.toMongoQuery();
+    const lookalikesQuery = await tempSegment.toMongoQuery();
     lookalikesQuery._id = { $nin: sourceCustomerIds };
     
     const audienceSize = await Customer.countDocuments(lookalikesQuery);
@@ -1,16 +1,294 @@
+const mongoose = require('mongoose');
 const Campaign = require('../models/campaign.model');
 const Segment = require('../models/segment.model');
 const CommunicationLog = require('../models/communicationLog.model');
 const Customer = require('../models/customer.model');
+const Template = require('../models/template.model');
+const config = require('../config');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
 const { publishMessage } = require('../services/messagePublisher');
+const { validateRules, groupRuleErrors } = require('../utils/segmentRules');
+const { validateTemplate, renderTemplate } = require('../utils/messageTemplate');
+const { getUnsubscribeUrl, addUnsubscribeLink } = require('../utils/unsubscribe');
+const { isValidTimezone, isValidTime } = require('../utils/timezone');
+const { FREQUENCIES, parseCron, nextOccurrence } = require('../utils/recurrence');
+const { measureLift, CONFIDENCE_LEVELS } = require('../services/campaignLift');
+
+// Log statuses that can be inspected from the failures endpoint
+const FAILURE_STATUSES = ['DEAD_LETTER', 'RETRYING', 'FAILED'];
+
+// How a campaign's messages are timed; local_time sends at scheduledAt's wall-clock time in each customer's time zone
+const DELIVERY_MODES = ['immediate', 'local_time'];
+
+// Keys given to a campaign's variants, in the order they are listed
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// Rates an A/B test's winner can be picked on
+const AB_TEST_METRICS = ['delivery', 'click', 'reply'];
+
+// Statuses of campaigns that have not started sending, whose audience and content can still change
+const UNSTARTED_STATUSES = ['Draft', 'Scheduled'];
+
+// Statuses of recurring campaigns with runs still to come, whose changes apply to those runs
+const RECURRING_STATUSES = ['Recurring', 'Paused'];
+
+// Schedule fields the broker keeps up to date as it starts runs
+const RUN_FIELDS = ['nextRunAt', 'lastRunAt', 'runCount'];
+
+/**
+ * Move a campaign to a status through the campaign state machine
+ * @param {string} id - Campaign ID
+ * @param {string} status - Status to move to
+ * @param {string} action - What the move does, for the error message, e.g. "pause"
+ * @param {Object} update - Other changes to make, as update operators
+ * @param {Array} [from] - Statuses to move from, if narrower than the state machine allows
+ * @returns {Promise<Object>} { campaign } once moved, { error } to return otherwise
+ */
+const changeStatus = async (id, status, action, update, from) => {
+  const campaign = await Campaign.transition(id, status, update, from);
+  if (campaign) {
+    return { campaign };
+  }
+
+  const current = await Campaign.findById(id);
+  if (!current) {
+    return { error: new AppError('Campaign not found', 404) };
+  }
+
+  return { error: new AppError(`Cannot ${action} a campaign that is ${current.status}`, 400) };
+};
+
+/**
+ * Fill a campaign request's message and subject from the template version it references
+ * @param {Object} body - Campaign request body with templateId and optional templateVersion
+ * @returns {Promise<AppError|null>} Error to return, or null once the body is filled
+ */
+const applyTemplate = async (body) => {
+  const template = await Template.findById(body.templateId);
+  if (!template) {
+    return new AppError('Template not found', 404);
+  }
+
+  const channel = body.channel || template.channel;
+  if (channel !== template.channel) {
+    return new AppError(`Template is written for ${template.channel} campaigns`, 400);
+  }
+
+  const version = Number(body.templateVersion || template.currentVersion);
+  const content = template.toCampaignContent(version);
+  if (!content) {
+    return new AppError(`Template has no version ${version}`, 404);
+  }
+
+  Object.assign(body, content, { channel, templateVersion: version });
+  return null;
+};
+
+/**
+ * Check the message and subject templates of a campaign request
+ * @param {Object} body - Campaign request body
+ * @returns {AppError|null} Error to return, or null if both are valid
+ */
+const checkTemplates = (body) => {
+  const errors = {};
+
+  ['message', 'subject'].forEach((field) => {
+    if (body[field] !== undefined) {
+      const fieldErrors = validateTemplate(body[field] || '');
+      if (fieldErrors.length > 0) {
+        errors[field] = fieldErrors.join('; ');
+      }
+    }
+  });
+
+  return Object.keys(errors).length > 0 ? new AppError('Invalid message template', 422, errors) : null;
+};
+
+/**
+ * Check the delivery settings of a campaign request
+ * Quiet hours with neither a start nor an end are dropped from the body.
+ * @param {Object} body - Campaign request body with delivery and scheduledAt
+ * @returns {AppError|null} Error to return, or null if the settings are valid
+ */
+const checkDelivery = (body) => {
+  const { delivery } = body;
+  if (!delivery) {
+    return null;
+  }
+
+  const errors = {};
+
+  if (delivery.mode !== undefined && !DELIVERY_MODES.includes(delivery.mode)) {
+    errors['delivery.mode'] = `Delivery mode must be one of ${DELIVERY_MODES.join(', ')}`;
+  } else if (delivery.mode === 'local_time' && !body.scheduledAt && !body.recurrence) {
+    errors.scheduledAt = 'Campaigns sent at local time need a scheduled time';
+  }
+
+  if (delivery.timezone !== undefined && !isValidTimezone(delivery.timezone)) {
+    errors['delivery.timezone'] = `'${delivery.timezone}' is not a valid time zone`;
+  }
+
+  const { start, end } = delivery.quietHours || {};
+  if (!start && !end) {
+    delete delivery.quietHours;
+  } else if (!isValidTime(start) || !isValidTime(end)) {
+    errors['delivery.quietHours'] = 'Quiet hours need a start and an end as HH:mm';
+  } else if (start === end) {
+    errors['delivery.quietHours'] = 'Quiet hours must end at a different time than they start';
+  }
+
+  return Object.keys(errors).length > 0 ? new AppError('Invalid delivery settings', 422, errors) : null;
+};
+
+/**
+ * Check the variants and A/B test settings of a campaign request
+ * Variants get their keys in the order they are listed, and the first variant's
+ * message and subject become the campaign's. The winner cannot be set by hand.
+ * @param {Object} body - Campaign request body with variants and abTest
+ * @returns {AppError|null} Error to return, or null if the settings are valid
+ */
+const checkVariants = (body) => {
+  const { variants, abTest } = body;
+  const errors = {};
+
+  if (Array.isArray(variants) && variants.length > 0) {
+    if (variants.length < 2 || variants.length > VARIANT_KEYS.length) {
+      errors.variants = `A/B tests need 2 to ${VARIANT_KEYS.length} variants`;
+    }
+
+    variants.slice(0, VARIANT_KEYS.length).forEach((variant, index) => {
+      if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        errors[`variants.${index}`] = `Variant ${VARIANT_KEYS[index]} must be an object with a message`;
+        return;
+      }
+      variant.key = VARIANT_KEYS[index];
+
+      ['message', 'subject'].forEach((field) => {
+        if (field === 'message' && !variant.message) {
+          errors[`variants.${index}.message`] = `Variant ${variant.key} needs a message`;
+          return;
+        }
+        const fieldErrors = validateTemplate(variant[field] || '');
+        if (fieldErrors.length > 0) {
+          errors[`variants.${index}.${field}`] = fieldErrors.join('; ');
+        }
+      });
+    });
+
+    if (!errors['variants.0']) {
+      body.message = variants[0].message;
+      if (variants[0].subject) {
+        body.subject = variants[0].subject;
+      }
+    }
+  } else if (variants !== undefined && !Array.isArray(variants)) {
+    errors.variants = 'Variants must be a list';
+  }
+
+  if (abTest) {
+    delete abTest.winner;
+    delete abTest.decidedAt;
+
+    const { testPercentage, metric, waitHours } = abTest;
+    if (testPercentage !== undefined && !(Number(testPercentage) >= 1 && Number(testPercentage) <= 100)) {
+      errors['abTest.testPercentage'] = 'Test percentage must be between 1 and 100';
+    }
+    if (metric !== undefined && !AB_TEST_METRICS.includes(metric)) {
+      errors['abTest.metric'] = `Metric must be one of ${AB_TEST_METRICS.join(', ')}`;
+    }
+    if (waitHours !== undefined && !(Number(waitHours) >= 0)) {
+      errors['abTest.waitHours'] = 'Wait must be 0 hours or more';
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? new AppError('Invalid A/B test', 422, errors) : null;
+};
+
+/**
+ * Check the control group settings of a campaign request
+ * @param {Object} body - Campaign request body with holdout
+ * @returns {AppError|null} Error to return, or null if the settings are valid
+ */
+const checkHoldout = (body) => {
+  const { holdout } = body;
+  if (!holdout) {
+    return null;
+  }
+
+  const errors = {};
+  const { percentage, conversionWindowDays } = holdout;
+
+  if (percentage !== undefined && !(Number(percentage) >= 0 && Number(percentage) <= 50)) {
+    errors['holdout.percentage'] = 'Holdout percentage must be between 0 and 50';
+  }
+  if (conversionWindowDays !== undefined && !(Number(conversionWindowDays) >= 1 && Number(conversionWindowDays) <= 90)) {
+    errors['holdout.conversionWindowDays'] = 'Conversion window must be between 1 and 90 days';
+  }
+
+  return Object.keys(errors).length > 0 ? new AppError('Invalid control group', 422, errors) : null;
+};
+
+/**
+ * Check the schedule of a recurring campaign request and work out when its first run starts
+ * The schedule is read in the campaign's time zone; the fields the broker keeps are dropped from the body.
+ * @param {Object} body - Campaign request body with recurrence, delivery and scheduledAt
+ * @returns {AppError|null} Error to return, or null once recurrence.nextRunAt is set
+ */
+const checkRecurrence = (body) => {
+  const { recurrence } = body;
+  if (!recurrence) {
+    return null;
+  }
+
+  RUN_FIELDS.forEach((field) => delete recurrence[field]);
+
+  const errors = {};
+  const { frequency, time, daysOfWeek, dayOfMonth, cron, endAt } = recurrence;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    errors['recurrence.frequency'] = `Frequency must be one of ${FREQUENCIES.join(', ')}`;
+  } else if (frequency === 'cron') {
+    if (!parseCron(cron)) {
+      errors['recurrence.cron'] = 'Cron expressions need five fields: minute, hour, day of month, month and day of week';
+    }
+  } else {
+    if (!isValidTime(time)) {
+      errors['recurrence.time'] = 'Time must be given as HH:mm';
+    }
+    if (frequency === 'weekly' && !(Array.isArray(daysOfWeek) && daysOfWeek.length > 0
+      && daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      errors['recurrence.daysOfWeek'] = 'Pick at least one day of the week, from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (frequency === 'monthly' && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 28)) {
+      errors['recurrence.dayOfMonth'] = 'Day of the month must be between 1 and 28, so the campaign runs every month';
+    }
+  }
+
+  if (endAt && Number.isNaN(new Date(endAt).getTime())) {
+    errors['recurrence.endAt'] = 'End date must be a date';
+  }
+
+  if (body.scheduledAt) {
+    errors.scheduledAt = 'Recurring campaigns start on their schedule; leave scheduledAt empty';
+  }
+
+  if (Object.keys(errors).length === 0) {
+    recurrence.nextRunAt = nextOccurrence(recurrence, body.delivery?.timezone || config.campaign.defaultTimezone);
+    if (!recurrence.nextRunAt) {
+      errors.recurrence = endAt ? 'The schedule has no runs before its end date' : 'The schedule never runs';
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? new AppError('Invalid schedule', 422, errors) : null;
+};
 
 /**
  * @swagger
  * /campaigns:
  *   get:
  *     summary: Get all campaigns with pagination and filters
+ *     description: Runs of recurring campaigns are not listed; get them from the recurring campaign's runs.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
@@ -34,7 +312,7 @@ const { publishMessage } = require('../services/messagePublisher');
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Draft, Active, Completed, Failed]
+ *           enum: [Draft, Scheduled, Sending, Recurring, Paused, Cancelled, Completed, Failed]
  *         description: Filter by status
  *       - in: query
  *         name: search
@@ -56,8 +334,8 @@ const { publishMessage } = require('../services/messagePublisher');
  */
 exports.getAllCampaigns = async (req, res, next) => {
   try {
-    // Build query
-    const query = {};
+    // Build query; runs are listed under their recurring campaign
+    const query = { parentId: { $exists: false } };
     
     // Filter by status
     if (req.query.status) {
@@ -178,6 +456,8 @@ exports.getCampaign = async (req, res, next) => {
  *         description: Campaign created successfully
  *       400:
  *         description: Validation error
+ *       422:
+ *         description: Invalid custom rules, with messages keyed by rule path, invalid message template, delivery settings, A/B test, control group or schedule
  */
 exports.createCampaign = async (req, res, next) => {
   try {
@@ -186,6 +466,53 @@ exports.createCampaign = async (req, res, next) => {
       return next(new AppError('Either segmentId or customRules must be provided', 400));
     }
     
+    // Reject custom rules the segment compiler cannot run
+    if (!req.body.segmentId) {
+      const ruleErrors = validateRules(req.body.customRules);
+      if (ruleErrors.length > 0) {
+        return next(new AppError('Invalid segment rules', 422, groupRuleErrors(ruleErrors)));
+      }
+    }
+    
+    // A referenced template supplies the message and subject
+    if (req.body.templateId) {
+      const error = await applyTemplate(req.body);
+      if (error) {
+        return next(error);
+      }
+    }
+    
+    // Variants supply the campaign's message
+    const variantError = checkVariants(req.body);
+    if (variantError) {
+      return next(variantError);
+    }
+    
+    // Reject messages the template engine cannot render
+    const templateError = checkTemplates({ ...req.body, message: req.body.message || '' });
+    if (templateError) {
+      return next(templateError);
+    }
+    
+    const deliveryError = checkDelivery(req.body);
+    if (deliveryError) {
+      return next(deliveryError);
+    }
+    
+    const holdoutError = checkHoldout(req.body);
+    if (holdoutError) {
+      return next(holdoutError);
+    }
+    
+    const recurrenceError = checkRecurrence(req.body);
+    if (recurrenceError) {
+      return next(recurrenceError);
+    }
+    
+    // Runs of recurring campaigns are only started by the broker
+    delete req.body.parentId;
+    delete req.body.runNumber;
+    
     // Set creator
     req.body.createdBy = req.user._id;
     
@@ -205,20 +532,22 @@ exports.createCampaign = async (req, res, next) => {
     // Create new campaign
     const campaign = await Campaign.create(req.body);
     
-    // If campaign is scheduled in the future, set status to Draft
-    if (req.body.scheduledAt && new Date(req.body.scheduledAt) > new Date()) {
-      campaign.status = 'Draft';
+    // Recurring campaigns and campaigns scheduled in the future are started by the broker when they are due
+    if (req.body.recurrence) {
+      campaign.status = 'Recurring';
+    } else if (req.body.scheduledAt && new Date(req.body.scheduledAt) > new Date()) {
+      campaign.status = 'Scheduled';
     } else {
-      // Otherwise, set to Active and record sentAt
-      campaign.status = 'Active';
+      // Otherwise, start sending and record sentAt
+      campaign.status = 'Sending';
       campaign.sentAt = new Date();
     }
     
     await campaign.save();
     
     // Publish message to queue for async processing if not scheduled
-    if (campaign.status === 'Active') {
-      publishMessage('campaign.created', {
+    if (campaign.status === 'Sending') {
+      await publishMessage('campaign.created', {
         campaignId: campaign._id,
         data: campaign,
       });
@@ -264,26 +593,104 @@ exports.createCampaign = async (req, res, next) => {
  *         description: Campaign updated successfully
  *       404:
  *         description: Campaign not found
+ *       400:
+ *         description: The campaign has started sending, or is not recurring and was given a schedule
+ *       422:
+ *         description: Invalid message template, delivery settings, A/B test, control group or schedule
  */
 exports.updateCampaign = async (req, res, next) => {
   try {
-    // Don't allow updating certain fields if campaign is not in Draft status
+    // Don't allow updating certain fields once the campaign has started sending
     const campaign = await Campaign.findById(req.params.id);
     
     if (!campaign) {
       return next(new AppError('Campaign not found', 404));
     }
     
-    if (campaign.status !== 'Draft') {
-      const restrictedFields = ['segmentId', 'customRules', 'message', 'audienceSize'];
+    // Status only changes through the campaign's actions, which check the move is allowed
+    if (req.body.status !== undefined) {
+      return next(new AppError('Use the deliver, pause, resume and cancel actions to change a campaign\'s status', 400));
+    }
+    
+    // Runs of recurring campaigns are only started by the broker
+    delete req.body.parentId;
+    delete req.body.runNumber;
+    
+    const isRecurring = Boolean(campaign.recurrence?.frequency);
+    if (req.body.recurrence !== undefined && !isRecurring) {
+      return next(new AppError('Only recurring campaigns have a schedule to change', 400));
+    }
+    
+    // Changes to a recurring campaign apply to its runs still to come
+    if (!UNSTARTED_STATUSES.includes(campaign.status) && !(isRecurring && RECURRING_STATUSES.includes(campaign.status))) {
+      const restrictedFields = ['segmentId', 'customRules', 'message', 'subject', 'templateId', 'templateVersion', 'audienceSize', 'delivery', 'variants', 'abTest', 'holdout', 'recurrence'];
       
       for (const field of restrictedFields) {
         if (req.body[field]) {
-          return next(new AppError(`Cannot update ${field} for campaigns that are not in Draft status`, 400));
+          return next(new AppError(`Cannot update ${field} for campaigns that have started sending`, 400));
         }
       }
     }
     
+    // Switching template refills the message from it, on the campaign's channel by default
+    if (req.body.templateId) {
+      req.body.channel = req.body.channel || campaign.channel;
+      const error = await applyTemplate(req.body);
+      if (error) {
+        return next(error);
+      }
+    }
+    
+    // A/B test settings are merged with the campaign's, like delivery settings below
+    if (req.body.abTest) {
+      req.body.abTest = { ...campaign.toObject().abTest, ...req.body.abTest };
+    }
+    const variantError = checkVariants(req.body);
+    if (variantError) {
+      return next(variantError);
+    }
+    
+    const templateError = checkTemplates(req.body);
+    if (templateError) {
+      return next(templateError);
+    }
+    
+    // Delivery settings are checked as they will be saved, merged with the campaign's
+    if (req.body.delivery || req.body.scheduledAt !== undefined) {
+      req.body.delivery = { ...campaign.toObject().delivery, ...req.body.delivery };
+      const deliveryError = checkDelivery({
+        scheduledAt: campaign.scheduledAt,
+        recurrence: isRecurring ? campaign.recurrence : undefined,
+        ...req.body,
+      });
+      if (deliveryError) {
+        return next(deliveryError);
+      }
+    }
+    
+    // A changed schedule or time zone moves the next run, merged with the campaign's schedule
+    if (isRecurring && (req.body.recurrence || req.body.delivery)) {
+      req.body.recurrence = { ...campaign.toObject().recurrence, ...req.body.recurrence };
+      const recurrenceError = checkRecurrence({ delivery: campaign.delivery, ...req.body });
+      if (recurrenceError) {
+        return next(recurrenceError);
+      }
+      
+      // Set field by field, so a run the broker starts meanwhile is still counted
+      Object.entries(req.body.recurrence).forEach(([field, value]) => {
+        req.body[`recurrence.${field}`] = value;
+      });
+      delete req.body.recurrence;
+    }
+    
+    if (req.body.holdout) {
+      req.body.holdout = { ...campaign.toObject().holdout, ...req.body.holdout };
+      const holdoutError = checkHoldout(req.body);
+      if (holdoutError) {
+        return next(holdoutError);
+      }
+    }
+    
     // Update campaign
     const updatedCampaign = await Campaign.findByIdAndUpdate(
       req.params.id,
@@ -337,9 +744,9 @@ exports.deleteCampaign = async (req, res, next) => {
       return next(new AppError('Campaign not found', 404));
     }
     
-    // Only allow deleting campaigns in Draft status
-    if (campaign.status !== 'Draft') {
-      return next(new AppError('Only campaigns in Draft status can be deleted', 400));
+    // Only allow deleting campaigns that have not started sending
+    if (!UNSTARTED_STATUSES.includes(campaign.status)) {
+      return next(new AppError('Only Draft and Scheduled campaigns can be deleted', 400));
     }
     
     await Campaign.findByIdAndDelete(req.params.id);
@@ -361,6 +768,7 @@ exports.deleteCampaign = async (req, res, next) => {
  * /campaigns/{id}/deliver:
  *   post:
  *     summary: Trigger campaign delivery
+ *     description: Draft and Scheduled campaigns start sending now, and Failed ones try again. Campaigns that are already sending have their pending messages delivered without waiting for the broker's next run.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
@@ -374,17 +782,42 @@ exports.deleteCampaign = async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Campaign delivery initiated
+ *       400:
+ *         description: The campaign is paused, cancelled or finished
  *       404:
  *         description: Campaign not found
  */
 exports.deliverCampaign = async (req, res, next) => {
   try {
-    const campaign = await Campaign.findById(req.params.id);
+    let campaign = await Campaign.findById(req.params.id);
     
     if (!campaign) {
         return next(new AppError('Campaign not found', 404));
     }
     
+    if (campaign.status === 'Sending') {
+      await publishMessage('campaign.deliver', {
+        campaignId: campaign._id,
+      });
+    } else {
+      // Failed campaigns can be tried again; logs created before the failure are kept
+      const result = await changeStatus(campaign._id, 'Sending', 'deliver', {
+        $set: { sentAt: new Date() },
+        $unset: { failureReason: '' },
+      }, [...UNSTARTED_STATUSES, 'Failed']);
+      if (result.error) {
+        return next(result.error);
+      }
+      campaign = result.campaign;
+      
+      await publishMessage('campaign.created', {
+        campaignId: campaign._id,
+        data: campaign,
+      });
+      
+      logger.info(`Campaign started: ${campaign.name} (${campaign._id})`);
+    }
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -398,9 +831,10 @@ exports.deliverCampaign = async (req, res, next) => {
 
 /**
  * @swagger
- * /campaigns/{id}/stats:
- *   get:
- *     summary: Get campaign delivery statistics
+ * /campaigns/{id}/pause:
+ *   post:
+ *     summary: Pause a campaign that is sending
+ *     description: The broker stops claiming the campaign's messages within its current batch; messages already handed to a vendor still go out. Resume the campaign to send the rest. Paused recurring campaigns start no runs; runs already sending are paused on their own.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
@@ -413,69 +847,41 @@ exports.deliverCampaign = async (req, res, next) => {
  *         description: Campaign ID
  *     responses:
  *       200:
- *         description: Campaign statistics
+ *         description: Campaign paused
+ *       400:
+ *         description: The campaign is not sending or recurring
  *       404:
  *         description: Campaign not found
  */
-exports.getCampaignStats = async (req, res, next) => {
-    try {
-      const campaign = await Campaign.findById(req.params.id);
-      
-      if (!campaign) {
-        return next(new AppError('Campaign not found', 404));
-      }
-      
-      // Get detailed delivery statistics
-      const logsStats = await CommunicationLog.aggregate([
-        {
-          $match: { campaignId: campaign._id },
-        },
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 },
-          },
-        },
-      ]);
-      
-      // Convert array to object for easier access
-      const detailedStats = logsStats.reduce((acc, stat) => {
-        acc[stat._id] = stat.count;
-        return acc;
-      }, {});
-      
-      // Calculate time metrics
-      let deliveryDuration = null;
-      if (campaign.sentAt && campaign.completedAt) {
-        deliveryDuration = Math.floor((campaign.completedAt - campaign.sentAt) / 1000); // in seconds
-      }
-      
-      res.status(200).json({
-        status: 'success',
-        data: {
-          campaignId: campaign._id,
-          name: campaign.name,
-          audienceSize: campaign.audienceSize,
-          stats: {
-            ...campaign.stats,
-            detailed: detailedStats,
-          },
-          sentAt: campaign.sentAt,
-          completedAt: campaign.completedAt,
-          deliveryDuration,
-          completionPercentage: campaign.completionPercentage,
-        },
-      });
-    } catch (err) {
-      next(err);
+exports.pauseCampaign = async (req, res, next) => {
+  try {
+    const { campaign, error } = await changeStatus(req.params.id, 'Paused', 'pause', {
+      $set: { pausedAt: new Date() },
+    });
+    
+    if (error) {
+      return next(error);
     }
-  };
+    
+    logger.info(`Campaign paused: ${campaign.name} (${campaign._id}) by ${req.user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
 /**
  * @swagger
- * /campaigns/{id}/logs:
- *   get:
- *     summary: Get campaign delivery logs
+ * /campaigns/{id}/resume:
+ *   post:
+ *     summary: Resume a paused campaign
+ *     description: Sends the messages the campaign had not sent when it was paused. Recurring campaigns start their next run at the next occurrence of their schedule, skipping the ones missed while paused, and are Completed if their schedule has ended.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
@@ -486,37 +892,410 @@ exports.getCampaignStats = async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: Campaign ID
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         description: Results per page
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [PENDING, SENT, FAILED]
- *         description: Filter by status
  *     responses:
  *       200:
- *         description: Campaign delivery logs
+ *         description: Campaign resumed
+ *       400:
+ *         description: The campaign is not paused
  *       404:
  *         description: Campaign not found
  */
-exports.getCampaignLogs = async (req, res, next) => {
-    try {
-      const campaign = await Campaign.findById(req.params.id);
-      
+exports.resumeCampaign = async (req, res, next) => {
+  try {
+    const paused = await Campaign.findById(req.params.id);
+    
+    if (!paused) {
+      return next(new AppError('Campaign not found', 404));
+    }
+    
+    let status = 'Sending';
+    const update = { $unset: { pausedAt: '' } };
+    
+    // Recurring campaigns go back to their schedule from now on
+    if (paused.recurrence?.frequency) {
+      const nextRunAt = nextOccurrence(paused.toObject().recurrence, paused.delivery.timezone);
+      status = nextRunAt ? 'Recurring' : 'Completed';
+      update.$set = nextRunAt ? { 'recurrence.nextRunAt': nextRunAt } : { completedAt: new Date() };
+    }
+    
+    const { campaign, error } = await changeStatus(paused._id, status, 'resume', update, ['Paused']);
+    
+    if (error) {
+      return next(error);
+    }
+    
+    if (status === 'Sending') {
+      await publishMessage('campaign.deliver', {
+        campaignId: campaign._id,
+      });
+    }
+    
+    logger.info(`Campaign resumed: ${campaign.name} (${campaign._id}) by ${req.user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /campaigns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign
+ *     description: Messages the campaign has not sent are marked SKIPPED and counted in stats.skipped; messages already handed to a vendor still go out. Cancelled campaigns cannot be resumed. Cancelled recurring campaigns start no more runs; runs already sending carry on unless cancelled on their own.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign cancelled, with the number of skipped messages
+ *       400:
+ *         description: The campaign is already cancelled or finished
+ *       404:
+ *         description: Campaign not found
+ */
+exports.cancelCampaign = async (req, res, next) => {
+  try {
+    const result = await changeStatus(req.params.id, 'Cancelled', 'cancel', {
+      $set: { cancelledAt: new Date() },
+    });
+    
+    if (result.error) {
+      return next(result.error);
+    }
+    
+    let { campaign } = result;
+    const skipped = await CommunicationLog.skipRemaining(campaign._id, 'Campaign cancelled');
+    
+    // skipRemaining counts the skipped messages in the campaign's stats
+    if (skipped > 0) {
+      campaign = await Campaign.findById(campaign._id);
+    }
+    
+    logger.info(`Campaign cancelled: ${campaign.name} (${campaign._id}) by ${req.user.email}, ${skipped} messages skipped`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaign,
+        skipped,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /campaigns/{id}/stats:
+ *   get:
+ *     summary: Get campaign delivery statistics
+ *     description: Campaigns with variants also get their A/B test settings and winner, and counts and rates for each variant in the test and in the winner's send. Click and reply rates are read from event callbacks. Recurring campaigns get the audiences, stats and log counts of all their runs added up, and their schedule with the number of runs.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign statistics
+ *       404:
+ *         description: Campaign not found
+ */
+exports.getCampaignStats = async (req, res, next) => {
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+      
+      if (!campaign) {
+        return next(new AppError('Campaign not found', 404));
+      }
+      
+      // Recurring campaigns send nothing themselves; their runs are added up
+      const isRecurring = Boolean(campaign.recurrence?.frequency);
+      const rollup = isRecurring ? await Campaign.getRunRollup(campaign._id) : null;
+      const campaignIds = isRecurring ? await Campaign.distinct('_id', { parentId: campaign._id }) : [campaign._id];
+      
+      // Get detailed delivery statistics
+      const logsStats = await CommunicationLog.aggregate([
+        {
+          $match: { campaignId: { $in: campaignIds } },
+        },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+      
+      // Convert array to object for easier access
+      const detailedStats = logsStats.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        return acc;
+      }, {});
+      
+      // Campaigns with variants are broken down by variant, for the A/B test and for the winner's send
+      const variantStats = campaign.variants.length > 1 && !isRecurring ? await CommunicationLog.getVariantStats(campaign._id) : [];
+      
+      // Calculate time metrics
+      let deliveryDuration = null;
+      if (campaign.sentAt && campaign.completedAt) {
+        deliveryDuration = Math.floor((campaign.completedAt - campaign.sentAt) / 1000); // in seconds
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        data: {
+          campaignId: campaign._id,
+          name: campaign.name,
+          status: campaign.status,
+          audienceSize: isRecurring ? rollup.audienceSize : campaign.audienceSize,
+          stats: {
+            ...(isRecurring ? rollup.stats : campaign.stats),
+            detailed: detailedStats,
+          },
+          abTest: campaign.variants.length > 1 ? campaign.toObject().abTest : null,
+          variants: variantStats,
+          recurrence: isRecurring ? { ...campaign.toObject().recurrence, runs: rollup.runs, lastSentAt: rollup.lastSentAt } : null,
+          sentAt: campaign.sentAt,
+          completedAt: campaign.completedAt,
+          deliveryDuration,
+          completionPercentage: isRecurring && rollup.audienceSize > 0
+            ? parseFloat((((rollup.stats.delivered + rollup.stats.failed) / rollup.audienceSize) * 100).toFixed(2))
+            : campaign.completionPercentage,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+/**
+ * @swagger
+ * /campaigns/{id}/runs:
+ *   get:
+ *     summary: Get the runs of a recurring campaign
+ *     description: Each run is a campaign of its own, started by the broker at an occurrence of the schedule, with its own audience, logs and stats. Newest runs come first.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Runs of the campaign
+ *       400:
+ *         description: The campaign is not recurring
+ *       404:
+ *         description: Campaign not found
+ */
+exports.getCampaignRuns = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return next(new AppError('Campaign not found', 404));
+    }
+    
+    if (!campaign.recurrence?.frequency) {
+      return next(new AppError('Campaign is not recurring', 400));
+    }
+    
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+    
+    const query = { parentId: campaign._id };
+    
+    const runs = await Campaign.find(query)
+      .select('name status runNumber scheduledAt sentAt completedAt audienceSize stats')
+      .sort({ runNumber: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const total = await Campaign.countDocuments(query);
+    
+    res.status(200).json({
+      status: 'success',
+      results: runs.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        runs,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /campaigns/{id}/lift:
+ *   get:
+ *     summary: Get a campaign's incremental lift over its control group
+ *     description: Compares counted orders placed in the conversion window, which opens when the campaign's first message is sent, between the customers the campaign was meant for and its held out control group. Returns each group's customers, converters, orders and net revenue, and the lift in conversion rate and revenue per customer with confidence intervals. Until the window closes the lift can still change.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: confidence
+ *         schema:
+ *           type: number
+ *           enum: [0.8, 0.9, 0.95, 0.99]
+ *           default: 0.95
+ *         description: Confidence level of the intervals
+ *     responses:
+ *       200:
+ *         description: Conversion window, treatment and control group totals, and lift
+ *       400:
+ *         description: The campaign has no control group, has not started sending or has no held out customers
+ *       404:
+ *         description: Campaign not found
+ *       422:
+ *         description: Invalid confidence level
+ */
+exports.getCampaignLift = async (req, res, next) => {
+  try {
+    const confidence = req.query.confidence !== undefined ? Number(req.query.confidence) : 0.95;
+    if (!CONFIDENCE_LEVELS[confidence]) {
+      return next(new AppError('Invalid confidence level', 422, {
+        confidence: `Confidence must be one of ${Object.keys(CONFIDENCE_LEVELS).join(', ')}`,
+      }));
+    }
+    
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return next(new AppError('Campaign not found', 404));
+    }
+    
+    if (!campaign.holdout || !(campaign.holdout.percentage > 0)) {
+      return next(new AppError('Campaign has no control group', 400));
+    }
+    
+    if (!campaign.sentAt) {
+      return next(new AppError('Campaign has not started sending', 400));
+    }
+    
+    // The control group is assigned when the broker creates the campaign's logs
+    if (!campaign.stats.heldOut) {
+      return next(new AppError('Campaign has no held out customers yet', 400));
+    }
+    
+    const lift = await measureLift(campaign, { confidence });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        campaignId: campaign._id,
+        name: campaign.name,
+        holdout: campaign.toObject().holdout,
+        ...lift,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /campaigns/{id}/logs:
+ *   get:
+ *     summary: Get campaign delivery logs
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PROCESSING, SENT, FAILED, RETRYING, DEAD_LETTER, SUPPRESSED, SKIPPED, WAITING, HELD_OUT]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: Campaign delivery logs
+ *       404:
+ *         description: Campaign not found
+ */
+exports.getCampaignLogs = async (req, res, next) => {
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+      
       if (!campaign) {
         return next(new AppError('Campaign not found', 404));
       }
@@ -565,6 +1344,196 @@ exports.getCampaignLogs = async (req, res, next) => {
     }
   };
 
+/**
+ * @swagger
+ * /campaigns/{id}/failures:
+ *   get:
+ *     summary: Get dead-lettered deliveries for a campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DEAD_LETTER, RETRYING, FAILED]
+ *           default: DEAD_LETTER
+ *         description: Failure status to list
+ *     responses:
+ *       200:
+ *         description: Failed deliveries with a count per error message
+ *       404:
+ *         description: Campaign not found
+ */
+exports.getCampaignFailures = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return next(new AppError('Campaign not found', 404));
+    }
+    
+    const status = req.query.status || 'DEAD_LETTER';
+    if (!FAILURE_STATUSES.includes(status)) {
+      return next(new AppError(`Status must be one of: ${FAILURE_STATUSES.join(', ')}`, 400));
+    }
+    
+    const query = { campaignId: campaign._id, status };
+    
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+    
+    const [failures, total, errors] = await Promise.all([
+      CommunicationLog.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CommunicationLog.countDocuments(query),
+      // Most common errors first, to see at a glance why deliveries failed
+      CommunicationLog.aggregate([
+        { $match: query },
+        { $group: { _id: '$errorMessage', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $project: { _id: 0, error: '$_id', count: 1 } },
+      ]),
+    ]);
+    
+    res.status(200).json({
+      status: 'success',
+      results: failures.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        failures,
+        errors,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /campaigns/{id}/failures/replay:
+ *   post:
+ *     summary: Replay dead-lettered deliveries for a campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Logs to replay; all dead-lettered logs when omitted
+ *     responses:
+ *       200:
+ *         description: Number of deliveries queued again
+ *       400:
+ *         description: Invalid log IDs, or the campaign is cancelled
+ *       404:
+ *         description: Campaign not found
+ */
+exports.replayCampaignFailures = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return next(new AppError('Campaign not found', 404));
+    }
+    
+    if (campaign.status === 'Cancelled') {
+      return next(new AppError('Cannot replay deliveries of a cancelled campaign', 400));
+    }
+    
+    const query = { campaignId: campaign._id, status: 'DEAD_LETTER' };
+    
+    // Replay only the selected logs if given
+    if (req.body.logIds !== undefined) {
+      if (!Array.isArray(req.body.logIds) || !req.body.logIds.every((id) => mongoose.isValidObjectId(id))) {
+        return next(new AppError('logIds must be an array of log IDs', 400));
+      }
+      query._id = { $in: req.body.logIds };
+    }
+    
+    // Queue the logs again with a fresh retry budget
+    const result = await CommunicationLog.updateMany(query, {
+      $set: { status: 'PENDING', attempts: 0 },
+      $unset: { nextAttemptAt: '', errorMessage: '', sentAt: '' },
+    });
+    const replayed = result.modifiedCount;
+    
+    if (replayed > 0) {
+      // Replayed logs are pending again rather than failed; $inc keeps concurrent broker stats updates intact
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { $inc: { 'stats.failed': -replayed, 'stats.pending': replayed } }
+      );
+      
+      // Reopen a finished campaign so the broker delivers the replayed logs; a paused one sends them when resumed
+      if (campaign.canTransitionTo('Sending') && campaign.status !== 'Paused') {
+        await Campaign.transition(campaign._id, 'Sending', { $unset: { completedAt: '' } });
+      }
+      
+      await publishMessage('campaign.deliver', {
+        campaignId: campaign._id,
+      });
+    }
+    
+    logger.info(`Replayed ${replayed} dead-lettered deliveries for campaign ${campaign._id}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        replayed,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
   /**
  * @swagger
  * /campaigns/test:
@@ -585,15 +1554,22 @@ exports.getCampaignLogs = async (req, res, next) => {
  *                 required: true
  *               customerId:
  *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *                 default: email
+ *                 description: Channel whose escaping is applied to the rendered message
  *     responses:
  *       200:
  *         description: Test message sent successfully
  *       404:
  *         description: Customer not found
+ *       422:
+ *         description: Invalid message template
  */
 exports.testCampaign = async (req, res, next) => {
     try {
-      const { message, customerId } = req.body;
+      const { message, customerId, channel } = req.body;
       
       if (!message) {
         return next(new AppError('Message is required', 400));
@@ -614,8 +1590,18 @@ exports.testCampaign = async (req, res, next) => {
         }
       }
       
-      // Create a test message
-      const testMessage = message.replace(/{{name}}/g, customer.name);
+      const templateError = checkTemplates({ message });
+      if (templateError) {
+        return next(templateError);
+      }
+      
+      // Render the message as the broker would for this customer, unsubscribe link included
+      const unsubscribeUrl = getUnsubscribeUrl({ customerId: customer._id, channel: channel || 'email' });
+      const testMessage = addUnsubscribeLink(
+        renderTemplate(message, customer, { channel: channel || 'email', variables: { unsubscribeUrl } }),
+        unsubscribeUrl,
+        channel || 'email'
+      );
       
       // Simulate delivery (90% success rate)
       const isSuccess = Math.random() < 0.9;
@@ -1,7 +1,13 @@
+const mongoose = require('mongoose');
 const Customer = require('../models/customer.model');
+const ImportJob = require('../models/importJob.model');
+const DuplicateCandidate = require('../models/duplicateCandidate.model');
+const ProfileChange = require('../models/profileChange.model');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
 const { publishMessage } = require('../services/messagePublisher');
+const { validateCustomer } = require('../config/importFields');
+const { getTimeline, CATEGORIES: TIMELINE_CATEGORIES } = require('../services/customerTimeline');
 
 /**
  * @swagger
@@ -53,20 +59,7 @@ const { publishMessage } = require('../services/messagePublisher');
 exports.getAllCustomers = async (req, res, next) => {
   try {
     // Build query
-    const query = {};
-    
-    // Search by name or email
-    if (req.query.search) {
-      query.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { email: { $regex: req.query.search, $options: 'i' } },
-      ];
-    }
-    
-    // Filter by active status
-    if (req.query.isActive !== undefined) {
-      query.isActive = req.query.isActive === 'true';
-    }
+    const query = Customer.buildListFilter(req.query);
     
     // Parse pagination
     const page = parseInt(req.query.page, 10) || 1;
@@ -147,6 +140,142 @@ exports.getCustomer = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /customers/{id}/timeline:
+ *   get:
+ *     summary: Get a customer's timeline, newest first
+ *     description: Merges the messages sent to the customer (queued, sent, delivered and failed), their opens, clicks and replies, the customer's orders and changes to their profile into one feed. Message entries include the campaign and segment, or the journey, that sent them.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated categories to include (communication, engagement, order, profile)
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         description: Only entries of messages sent by this campaign
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *         description: Only entries of messages sent on this channel
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Timeline entries, each with type, category, occurredAt, source, sourceId and details
+ *       404:
+ *         description: Customer not found
+ *       422:
+ *         description: Invalid filters
+ */
+exports.getCustomerTimeline = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+    
+    // Validate filters
+    const errors = {};
+    const categories = req.query.category
+      ? String(req.query.category).split(',').map((category) => category.trim()).filter(Boolean)
+      : [];
+    const unknownCategories = categories.filter((category) => !TIMELINE_CATEGORIES.includes(category));
+    if (unknownCategories.length > 0) {
+      errors.category = `Unknown categories: ${unknownCategories.join(', ')}. Use ${TIMELINE_CATEGORIES.join(', ')}`;
+    }
+    
+    if (req.query.campaignId && !mongoose.Types.ObjectId.isValid(req.query.campaignId)) {
+      errors.campaignId = 'Campaign ID must be a valid ID';
+    }
+    
+    const dates = {};
+    ['from', 'to'].forEach((field) => {
+      if (req.query[field]) {
+        dates[field] = new Date(req.query[field]);
+        if (isNaN(dates[field].getTime())) {
+          errors[field] = `${field} must be a valid date`;
+        }
+      }
+    });
+    
+    if (Object.keys(errors).length > 0) {
+      return next(new AppError('Invalid timeline filters', 422, errors));
+    }
+    
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+    
+    const { entries, total } = await getTimeline(customer._id, {
+      categories,
+      campaignId: req.query.campaignId,
+      channel: req.query.channel ? String(req.query.channel) : undefined,
+      from: dates.from,
+      to: dates.to,
+      skip,
+      limit,
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        entries,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /customers:
@@ -178,8 +307,16 @@ exports.createCustomer = async (req, res, next) => {
     // Create new customer
     const customer = await Customer.create(req.body);
     
+    // Record the change for the customer's timeline
+    await ProfileChange.record(
+      customer._id,
+      'created',
+      ProfileChange.diff({}, customer.toObject()),
+      { changedBy: req.user._id }
+    );
+    
     // Publish message to queue for async processing
-    publishMessage('customer.created', {
+    await publishMessage('customer.created', {
       customerId: customer._id,
       data: customer,
     });
@@ -203,6 +340,7 @@ exports.createCustomer = async (req, res, next) => {
  * /customers/{id}:
  *   patch:
  *     summary: Update a customer
+ *     description: totalSpend, orderCount and lastOrderDate are ignored; they are recomputed from the customer's orders. subscriptions are ignored too; change them with PATCH /customers/{id}/subscriptions.
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
@@ -239,10 +377,16 @@ exports.updateCustomer = async (req, res, next) => {
       }
     }
     
+    // Spend and order aggregates are recomputed from the customer's orders, and
+    // subscriptions change through PATCH /customers/{id}/subscriptions so their source is recorded
+    const { totalSpend, orderCount, lastOrderDate, subscriptions, ...updates } = req.body;
+    
+    const before = await Customer.findById(req.params.id).lean();
+    
     // Update customer
     const customer = await Customer.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true, // Return updated document
         runValidators: true, // Run validators
@@ -254,8 +398,16 @@ exports.updateCustomer = async (req, res, next) => {
       return next(new AppError('Customer not found', 404));
     }
     
+    // Record the change for the customer's timeline
+    await ProfileChange.record(
+      customer._id,
+      'updated',
+      ProfileChange.diff(before, customer.toObject()),
+      { changedBy: req.user._id }
+    );
+    
     // Publish message to queue for async processing
-    publishMessage('customer.updated', {
+    await publishMessage('customer.updated', {
       customerId: customer._id,
       data: customer,
     });
@@ -304,8 +456,11 @@ exports.deleteCustomer = async (req, res, next) => {
       return next(new AppError('Customer not found', 404));
     }
     
+    // Duplicate candidates involving the customer no longer apply
+    await DuplicateCandidate.deleteMany({ customers: customer._id });
+    
     // Publish message to queue for async processing
-    publishMessage('customer.deleted', {
+    await publishMessage('customer.deleted', {
       customerId: customer._id,
       data: customer,
     });
@@ -327,6 +482,7 @@ exports.deleteCustomer = async (req, res, next) => {
  * /customers/bulk:
  *   post:
  *     summary: Create multiple customers in bulk
+ *     description: Customers are matched by email; existing customers are updated and new ones created. They are processed asynchronously as an import job; poll GET /imports/{importJobId} for the results. Larger lists can be uploaded as a file with POST /imports.
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
@@ -343,7 +499,7 @@ exports.deleteCustomer = async (req, res, next) => {
  *                   $ref: '#/components/schemas/Customer'
  *     responses:
  *       200:
- *         description: Bulk import initiated
+ *         description: Bulk import initiated; the response includes the import job ID
  */
 exports.bulkCreateCustomers = async (req, res, next) => {
   try {
@@ -353,10 +509,29 @@ exports.bulkCreateCustomers = async (req, res, next) => {
       return next(new AppError('Please provide an array of customers', 400));
     }
     
+    // Track the import as a job so its results can be reported back
+    const importJob = await ImportJob.create({
+      source: 'api',
+      status: 'processing',
+      totalRows: customers.length,
+      rowsQueuedAt: new Date(),
+      startedAt: new Date(),
+      createdBy: req.user._id,
+    });
+    
+    // Invalid customers are still sent, so the broker reports them as failed rows
+    const rows = customers.map((customer, index) => {
+      const error = validateCustomer(customer);
+      return error
+        ? { row: index + 1, error, email: customer && typeof customer.email === 'string' ? customer.email : undefined }
+        : { row: index + 1, customer };
+    });
+    
     // Publish message to queue for async processing
-    publishMessage('customer.bulk.create', {
-      userId: req.user._id,
-      customers,
+    await publishMessage('customer.import', {
+      importJobId: importJob._id,
+      chunk: 0,
+      rows,
     });
     
     // Log bulk import
@@ -367,6 +542,7 @@ exports.bulkCreateCustomers = async (req, res, next) => {
       message: 'Bulk import initiated. Customers will be processed asynchronously.',
       data: {
         count: customers.length,
+        importJobId: importJob._id,
       },
     });
   } catch (err) {
@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/customer.model');
+const DuplicateCandidate = require('../models/duplicateCandidate.model');
+const CustomerMerge = require('../models/customerMerge.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { publishMessage } = require('../services/messagePublisher');
+const { mergeCustomers } = require('../services/customerMerge');
+
+// Most customers that can be merged into a survivor at once
+const MAX_MERGE_SIZE = 10;
+
+// Customer fields shown when reviewing duplicates
+const CANDIDATE_CUSTOMER_FIELDS = 'name email phone location tags totalSpend orderCount lastOrderDate isActive createdAt';
+
+/**
+ * @swagger
+ * /customers/duplicates:
+ *   get:
+ *     summary: Get likely duplicate customers, highest score first
+ *     description: Candidates are found by the duplicate scan, which pairs customers with the same normalised phone number and scores them on phone, name similarity and location.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, dismissed, merged]
+ *           default: open
+ *         description: Filter by candidate status
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *         description: Only candidates scoring at least this much
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of duplicate candidates with their customers
+ */
+exports.getDuplicates = async (req, res, next) => {
+  try {
+    // Build query
+    const query = { status: req.query.status || 'open' };
+
+    const minScore = parseFloat(req.query.minScore);
+    if (!Number.isNaN(minScore)) {
+      query.score = { $gte: minScore };
+    }
+
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const candidates = await DuplicateCandidate.find(query)
+      .populate('customers', CANDIDATE_CUSTOMER_FIELDS)
+      .sort({ score: -1, _id: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DuplicateCandidate.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: candidates.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        candidates,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /customers/duplicates/scan:
+ *   post:
+ *     summary: Start a duplicate scan
+ *     description: The scan runs asynchronously in the message broker, which also runs it periodically. Open candidates that no longer qualify are removed; dismissed candidates stay dismissed.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Duplicate scan started
+ */
+exports.scanDuplicates = async (req, res, next) => {
+  try {
+    await publishMessage('customer.duplicates.scan', { requestedBy: req.user._id });
+
+    logger.info(`Duplicate scan requested by ${req.user.email}`);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Duplicate scan started. Candidates will be updated asynchronously.',
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /customers/duplicates/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a duplicate candidate as not the same person
+ *     description: Dismissed candidates are not reopened by later scans.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Duplicate candidate ID
+ *     responses:
+ *       200:
+ *         description: Candidate dismissed
+ *       404:
+ *         description: Duplicate candidate not found
+ *       409:
+ *         description: Candidate has already been merged
+ */
+exports.dismissDuplicate = async (req, res, next) => {
+  try {
+    const candidate = await DuplicateCandidate.findById(req.params.id);
+
+    if (!candidate) {
+      return next(new AppError('Duplicate candidate not found', 404));
+    }
+
+    if (candidate.status === 'merged') {
+      return next(new AppError('Duplicate candidate has already been merged', 409));
+    }
+
+    candidate.status = 'dismissed';
+    candidate.resolvedAt = new Date();
+    candidate.resolvedBy = req.user._id;
+    await candidate.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        candidate,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /customers/{id}/merge:
+ *   post:
+ *     summary: Merge customers into this customer
+ *     description: Orders, communication history and events of the merged customers move to this customer, which keeps its own profile values and takes missing ones, tags and metadata from the merged customers. Spend and order aggregates are recomputed, the merged customers are deleted and the merge is recorded for audit.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the customer that is kept
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerIds
+ *             properties:
+ *               customerIds:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 description: Customers to merge into this customer; earlier ones win when filling missing fields
+ *     responses:
+ *       200:
+ *         description: Customers merged; the response includes the updated customer and the merge audit record
+ *       404:
+ *         description: Customer not found
+ *       422:
+ *         description: Invalid customer IDs
+ */
+exports.mergeCustomers = async (req, res, next) => {
+  try {
+    const { customerIds } = req.body;
+
+    let error = null;
+    if (!Array.isArray(customerIds) || customerIds.length === 0) {
+      error = 'Provide the IDs of the customers to merge';
+    } else if (customerIds.length > MAX_MERGE_SIZE) {
+      error = `At most ${MAX_MERGE_SIZE} customers can be merged at once`;
+    } else if (customerIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      error = 'Customer IDs must be valid IDs';
+    } else if (customerIds.map(String).includes(String(req.params.id))) {
+      error = 'A customer cannot be merged into itself';
+    } else if (new Set(customerIds.map(String)).size !== customerIds.length) {
+      error = 'Customer IDs must be unique';
+    }
+
+    if (error) {
+      return next(new AppError('Invalid merge', 422, { customerIds: error }));
+    }
+
+    const survivor = await Customer.findById(req.params.id);
+
+    if (!survivor) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const found = await Customer.find({ _id: { $in: customerIds } });
+    // Keep the requested order, which decides the values used to fill missing fields
+    const duplicates = customerIds
+      .map((id) => found.find((customer) => String(customer._id) === String(id)))
+      .filter(Boolean);
+
+    if (duplicates.length !== customerIds.length) {
+      const missing = customerIds.filter((id) => !found.some((customer) => String(customer._id) === String(id)));
+      return next(new AppError(`Customers not found: ${missing.join(', ')}`, 404));
+    }
+
+    const { customer, merge } = await mergeCustomers(survivor, duplicates, { mergedBy: req.user._id });
+
+    // Publish messages to queue for async processing
+    await Promise.all(duplicates.map((duplicate) => publishMessage('customer.deleted', {
+      customerId: duplicate._id,
+      data: duplicate,
+    })));
+    await publishMessage('customer.updated', {
+      customerId: customer._id,
+      data: customer,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        customer,
+        merge,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /customers/merges:
+ *   get:
+ *     summary: Get the audit of customer merges, newest first
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Only merges this customer took part in, as survivor or merged customer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of merge audit records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     merges:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CustomerMerge'
+ */
+exports.getMerges = async (req, res, next) => {
+  try {
+    // Build query
+    const query = {};
+
+    if (req.query.customerId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+        return next(new AppError('Invalid customer ID', 400));
+      }
+
+      const customerId = new mongoose.Types.ObjectId(String(req.query.customerId));
+      query.$or = [{ survivor: customerId }, { 'mergedCustomers._id': customerId }];
+    }
+
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const merges = await CustomerMerge.find(query)
+      .populate('mergedBy', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await CustomerMerge.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: merges.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        merges,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,403 @@
+const mongoose = require('mongoose');
+const Event = require('../models/event.model');
+const EventSource = require('../models/eventSource.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { publishMessage } = require('../services/messagePublisher');
+
+// Event names are short identifiers, e.g. page_view, add_to_cart or checkout.completed
+const EVENT_NAME_PATTERN = /^[a-zA-Z0-9_.:-]{1,64}$/;
+
+// Events stamped further ahead than this are rejected as clock errors
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Check a tracked event and bring it into the shape stored by the broker
+ * @param {Object} raw - Event as sent by the source
+ * @param {Date} receivedAt - When the request was accepted
+ * @returns {Object} { event } on success, { errors } keyed by field otherwise
+ */
+const normalizeEvent = (raw, receivedAt) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { errors: { event: 'Event must be an object' } };
+  }
+
+  const errors = {};
+  const event = { receivedAt };
+
+  if (typeof raw.event !== 'string' || !EVENT_NAME_PATTERN.test(raw.event)) {
+    errors.event = 'Event name is required and may only contain letters, numbers, _ . : and -, up to 64 characters';
+  } else {
+    event.event = raw.event;
+  }
+
+  // Events are linked to customers by email or external ID
+  ['email', 'externalId'].forEach((key) => {
+    if (raw[key] !== undefined && raw[key] !== null && raw[key] !== '') {
+      if (typeof raw[key] === 'object') {
+        errors[key] = `${key} must be text`;
+      } else {
+        event[key] = String(raw[key]).trim();
+      }
+    }
+  });
+
+  if (!event.email && !event.externalId && !errors.email && !errors.externalId) {
+    errors.email = 'Please provide an email or externalId to identify the customer';
+  }
+
+  if (raw.timestamp !== undefined && raw.timestamp !== null) {
+    const timestamp = new Date(raw.timestamp);
+    if (isNaN(timestamp.getTime())) {
+      errors.timestamp = 'Timestamp must be a valid date';
+    } else if (timestamp.getTime() > receivedAt.getTime() + MAX_CLOCK_SKEW_MS) {
+      errors.timestamp = 'Timestamp cannot be in the future';
+    } else {
+      event.timestamp = timestamp;
+    }
+  } else {
+    event.timestamp = receivedAt;
+  }
+
+  if (raw.properties !== undefined && raw.properties !== null) {
+    if (typeof raw.properties !== 'object' || Array.isArray(raw.properties)) {
+      errors.properties = 'Properties must be an object';
+    } else {
+      event.properties = raw.properties;
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { event };
+};
+
+/**
+ * @swagger
+ * /events:
+ *   post:
+ *     summary: Track one or more customer events
+ *     description: Send a single event, or a batch as { events }. Events are stored asynchronously by the message broker and linked to the customer with the given email or externalId; events that match no customer are kept unlinked. Authenticated with an event source API key instead of a user token.
+ *     tags: [Events]
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/TrackedEvent'
+ *               - type: object
+ *                 properties:
+ *                   events:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/TrackedEvent'
+ *     responses:
+ *       202:
+ *         description: Events accepted for processing
+ *       400:
+ *         description: No events provided or batch too large
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       422:
+ *         description: Invalid events, keyed by position and field
+ *       429:
+ *         description: Too many requests for this API key, or too many with an invalid API key from this IP
+ */
+exports.trackEvents = async (req, res, next) => {
+  try {
+    const isBatch = Array.isArray(req.body.events);
+    const rawEvents = isBatch ? req.body.events : [req.body];
+
+    if (rawEvents.length === 0) {
+      return next(new AppError('Please provide at least one event', 400));
+    }
+
+    if (rawEvents.length > config.events.maxBatchSize) {
+      return next(new AppError(`A batch can contain at most ${config.events.maxBatchSize} events`, 400));
+    }
+
+    const receivedAt = new Date();
+    const events = [];
+    const errors = {};
+
+    rawEvents.forEach((raw, index) => {
+      const result = normalizeEvent(raw, receivedAt);
+
+      if (result.errors) {
+        Object.entries(result.errors).forEach(([key, message]) => {
+          errors[isBatch ? `events[${index}].${key}` : key] = message;
+        });
+      } else {
+        events.push(result.event);
+      }
+    });
+
+    // A batch is accepted or rejected as a whole so sources can safely resend it
+    if (Object.keys(errors).length > 0) {
+      return next(new AppError('Invalid events', 422, errors));
+    }
+
+    // Publish message to queue for async processing; the batch ID lets the broker store a redelivered batch only once
+    await publishMessage('customer.event', {
+      batchId: new mongoose.Types.ObjectId(),
+      sourceId: req.eventSource._id,
+      events,
+    });
+
+    logger.info(`Events accepted from ${req.eventSource.name}: ${events.length}`);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Events accepted. They will be processed asynchronously.',
+      data: {
+        count: events.length,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Get tracked events, newest first
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Filter by customer
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filter by event name
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events on or before this date
+ *     responses:
+ *       200:
+ *         description: List of events
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getEvents = async (req, res, next) => {
+  try {
+    // Build query
+    const query = {};
+
+    // Filter by customer
+    if (req.query.customerId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+        return next(new AppError('Invalid customer ID', 400));
+      }
+      query['meta.customerId'] = new mongoose.Types.ObjectId(req.query.customerId);
+    }
+
+    // Filter by event name
+    if (req.query.event) {
+      query['meta.event'] = String(req.query.event);
+    }
+
+    // Filter by date
+    if (req.query.from || req.query.to) {
+      query.timestamp = {};
+      if (req.query.from) {
+        query.timestamp.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        query.timestamp.$lte = new Date(req.query.to);
+      }
+    }
+
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Execute query with pagination
+    const events = await Event.find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Event.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: events.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        events,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /events/sources:
+ *   get:
+ *     summary: Get all event sources
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of event sources
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getEventSources = async (req, res, next) => {
+  try {
+    const sources = await EventSource.find().sort('-createdAt');
+
+    res.status(200).json({
+      status: 'success',
+      results: sources.length,
+      data: {
+        sources,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /events/sources:
+ *   post:
+ *     summary: Create an event source and its API key
+ *     description: The API key is only returned in this response. Send it in the X-API-Key header of POST /events.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Source name, e.g. Website or Android app
+ *     responses:
+ *       201:
+ *         description: Event source created
+ *       400:
+ *         description: Validation error
+ */
+exports.createEventSource = async (req, res, next) => {
+  try {
+    const { source, apiKey } = await EventSource.createWithKey({
+      name: req.body.name,
+      createdBy: req.user._id,
+    });
+
+    logger.info(`Event source created: ${source.name}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        source,
+        apiKey,
+      },
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return next(new AppError(`Validation Error: ${err.message}`, 400));
+    }
+
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /events/sources/{id}:
+ *   delete:
+ *     summary: Revoke an event source's API key
+ *     description: Events sent with the key are rejected from then on. Events already tracked are kept.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event source ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: Event source not found
+ */
+exports.revokeEventSource = async (req, res, next) => {
+  try {
+    const source = await EventSource.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!source) {
+      return next(new AppError('Event source not found', 404));
+    }
+
+    logger.info(`Event source revoked: ${source.name}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        source,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const Customer = require('../models/customer.model');
+const Segment = require('../models/segment.model');
+const ExportJob = require('../models/exportJob.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { FORMATS, describeColumns, parseColumns } = require('../config/exportFields');
+const {
+  buildExportQuery,
+  exportFileName,
+  writeCustomers,
+  runExportJob,
+} = require('../services/customerExport');
+
+// Content types of export files
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Stream an export in the response, or start it as a background job when it is large
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {Object} source - { source, segment, filters } of the exported customers
+ */
+const sendExport = async (req, res, next, source) => {
+  const format = req.query.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    return next(new AppError('Invalid export options', 422, { format: `Format must be one of: ${FORMATS.join(', ')}` }));
+  }
+
+  const { columns, error } = parseColumns(req.query.columns);
+  if (error) {
+    return next(new AppError('Invalid export options', 422, { columns: error }));
+  }
+
+  const query = await buildExportQuery(source);
+  const total = await Customer.countDocuments(query);
+  const fileName = exportFileName({ format, segment: source.segment });
+
+  if (req.query.background === 'true' || total > config.exports.streamLimit) {
+    const exportJob = await ExportJob.create({
+      source: source.source,
+      segment: source.segment && source.segment._id,
+      filters: source.filters,
+      format,
+      columns,
+      totalRows: total,
+      fileName,
+      createdBy: req.user._id,
+    });
+
+    // The file is written in the background; progress is reported on the job
+    runExportJob(exportJob._id).catch((err) => {
+      logger.error(`Error running export ${exportJob._id}: ${err.message}`);
+    });
+
+    logger.info(`Export started: ${fileName} (${total} customers)`);
+
+    return res.status(202).json({
+      status: 'success',
+      message: 'Export started. Download the file from the export job once it has completed.',
+      data: {
+        exportJob,
+      },
+    });
+  }
+
+  res.status(200);
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'X-Total-Count': String(total),
+  });
+
+  try {
+    await writeCustomers(query, { format, columns }, res);
+  } catch (err) {
+    // Headers are already sent, so the error can only end the response
+    logger.error(`Error streaming export ${fileName}: ${err.message}`);
+    res.destroy(err);
+  }
+};
+
+/**
+ * @swagger
+ * /exports/columns:
+ *   get:
+ *     summary: Get the columns that can be chosen for a customer export
+ *     description: Custom properties can also be exported with metadata.<key>.
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exportable columns, default columns and formats
+ */
+exports.getExportColumns = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: describeColumns(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /customers/export:
+ *   get:
+ *     summary: Export customers matching the list filters as CSV or JSON
+ *     description: The file is streamed in the response. Exports with more customers than the stream limit, or with background=true, run as a background job instead and respond 202 with the export job.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma separated columns (see GET /exports/columns); the default columns if omitted
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or email
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Always run the export as a background job
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       202:
+ *         description: Export started as a background job
+ *       422:
+ *         description: Invalid format or columns
+ */
+exports.exportCustomers = async (req, res, next) => {
+  try {
+    const filters = {};
+    if (req.query.search) {
+      filters.search = String(req.query.search);
+    }
+    if (req.query.isActive !== undefined) {
+      filters.isActive = req.query.isActive === 'true';
+    }
+
+    await sendExport(req, res, next, { source: 'customers', filters });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /segments/{id}/export:
+ *   get:
+ *     summary: Export the customers of a segment as CSV or JSON
+ *     description: The file is streamed in the response. Exports with more customers than the stream limit, or with background=true, run as a background job instead and respond 202 with the export job.
+ *     tags: [Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma separated columns (see GET /exports/columns); the default columns if omitted
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Always run the export as a background job
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       202:
+ *         description: Export started as a background job
+ *       404:
+ *         description: Segment not found
+ *       422:
+ *         description: Invalid format or columns
+ */
+exports.exportSegment = async (req, res, next) => {
+  try {
+    const segment = await Segment.findById(req.params.id);
+
+    if (!segment) {
+      return next(new AppError('Segment not found', 404));
+    }
+
+    await sendExport(req, res, next, { source: 'segment', segment });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /exports:
+ *   get:
+ *     summary: Get recent background exports, newest first
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of exports
+ */
+exports.getExports = async (req, res, next) => {
+  try {
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const exportJobs = await ExportJob.find()
+      .populate('segment', 'name')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ExportJob.countDocuments();
+
+    res.status(200).json({
+      status: 'success',
+      results: exportJobs.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        exportJobs,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /exports/{id}:
+ *   get:
+ *     summary: Get a background export's progress
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Export job ID
+ *     responses:
+ *       200:
+ *         description: Export job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exportJob:
+ *                       $ref: '#/components/schemas/ExportJob'
+ *       404:
+ *         description: Export job not found
+ */
+exports.getExport = async (req, res, next) => {
+  try {
+    const exportJob = await ExportJob.findById(req.params.id).populate('segment', 'name');
+
+    if (!exportJob) {
+      return next(new AppError('Export job not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        exportJob,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /exports/{id}/download:
+ *   get:
+ *     summary: Download the file of a completed background export
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Export job ID
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       404:
+ *         description: Export job not found
+ *       409:
+ *         description: Export has not completed
+ *       410:
+ *         description: Export has expired
+ */
+exports.downloadExport = async (req, res, next) => {
+  try {
+    const exportJob = await ExportJob.findById(req.params.id).select('+filePath');
+
+    if (!exportJob) {
+      return next(new AppError('Export job not found', 404));
+    }
+
+    if (exportJob.isExpired()) {
+      return next(new AppError('Export has expired. Start a new export to download the customers', 410));
+    }
+
+    if (exportJob.status !== 'completed') {
+      return next(new AppError(`Export has not completed (status: ${exportJob.status})`, 409));
+    }
+
+    try {
+      await fs.promises.access(exportJob.filePath);
+    } catch (err) {
+      return next(new AppError('Export file is no longer available. Start a new export', 410));
+    }
+
+    res.set('Content-Type', CONTENT_TYPES[exportJob.format]);
+    res.download(exportJob.filePath, exportJob.fileName, (err) => {
+      if (err && !res.headersSent) {
+        next(err);
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
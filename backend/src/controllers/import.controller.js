@@ -0,0 +1,293 @@
+const fs = require('fs');
+const ImportJob = require('../models/importJob.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { describeFields, suggestMapping, validateMapping } = require('../config/importFields');
+const { inspectFile, queueImportRows } = require('../services/customerImport');
+
+/**
+ * @swagger
+ * /imports/fields:
+ *   get:
+ *     summary: Get the customer fields that file columns can be mapped to
+ *     description: Columns can also be mapped to metadata.<key> to keep them as custom properties.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mappable fields
+ */
+exports.getImportFields = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: describeFields(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /imports:
+ *   post:
+ *     summary: Upload a CSV or JSON file of customers
+ *     description: The file is stored and its columns are read. The import starts once the column mapping is confirmed with POST /imports/{id}/start. CSV files need a header row; JSON files hold an array of objects.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File uploaded; the job awaits a column mapping
+ *       400:
+ *         description: No file, unsupported file type or file too large
+ *       422:
+ *         description: File could not be read
+ */
+exports.createImport = async (req, res, next) => {
+  try {
+    let inspection;
+    try {
+      inspection = await inspectFile(req.file.path, req.file.format);
+    } catch (err) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return next(new AppError(`Could not read the file: ${err.message}`, 422));
+    }
+
+    const importJob = await ImportJob.create({
+      source: 'file',
+      fileName: req.file.originalname,
+      format: req.file.format,
+      filePath: req.file.path,
+      columns: inspection.columns,
+      sampleRows: inspection.sampleRows,
+      suggestedMapping: suggestMapping(inspection.columns),
+      createdBy: req.user._id,
+    });
+
+    logger.info(`Import uploaded: ${importJob.fileName} (${importJob.columns.length} columns)`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        importJob,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /imports/{id}/start:
+ *   post:
+ *     summary: Confirm the column mapping and start an import
+ *     description: Rows are processed asynchronously by the message broker. Customers are matched by email; existing customers are updated and new ones created. Poll GET /imports/{id} for progress.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import job ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mapping
+ *             properties:
+ *               mapping:
+ *                 type: array
+ *                 description: Customer field (or metadata.<key>) per column; columns left out or with an empty field are skipped
+ *                 items:
+ *                   $ref: '#/components/schemas/ImportColumnMapping'
+ *     responses:
+ *       202:
+ *         description: Import started
+ *       404:
+ *         description: Import job not found
+ *       409:
+ *         description: Import already started
+ *       422:
+ *         description: Invalid mapping
+ */
+exports.startImport = async (req, res, next) => {
+  try {
+    const importJob = await ImportJob.findById(req.params.id);
+
+    if (!importJob) {
+      return next(new AppError('Import job not found', 404));
+    }
+
+    if (importJob.status !== 'awaiting_mapping') {
+      return next(new AppError(`Import has already been started (status: ${importJob.status})`, 409));
+    }
+
+    const errors = validateMapping(req.body.mapping, importJob.columns);
+    if (Object.keys(errors).length > 0) {
+      return next(new AppError('Invalid column mapping', 422, errors));
+    }
+
+    // Two requests may confirm the mapping at once; only the first starts the import
+    const startedJob = await ImportJob.findOneAndUpdate(
+      { _id: importJob._id, status: 'awaiting_mapping' },
+      { status: 'queued', mapping: req.body.mapping },
+      { new: true }
+    );
+
+    if (!startedJob) {
+      return next(new AppError('Import has already been started', 409));
+    }
+
+    // Rows are read and queued in the background; progress is reported on the job
+    queueImportRows(startedJob._id).catch((err) => {
+      logger.error(`Error queueing import ${startedJob._id}: ${err.message}`);
+    });
+
+    logger.info(`Import started: ${startedJob.fileName}`);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Import started. Customers will be processed asynchronously.',
+      data: {
+        importJob: startedJob,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /imports:
+ *   get:
+ *     summary: Get recent imports, newest first
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of imports, without their row errors
+ */
+exports.getImports = async (req, res, next) => {
+  try {
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const importJobs = await ImportJob.find()
+      .select('-rowErrors -sampleRows')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ImportJob.countDocuments();
+
+    res.status(200).json({
+      status: 'success',
+      results: importJobs.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        importJobs,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   get:
+ *     summary: Get an import's progress and row errors
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import job ID
+ *     responses:
+ *       200:
+ *         description: Import job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     importJob:
+ *                       $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import job not found
+ */
+exports.getImport = async (req, res, next) => {
+  try {
+    const importJob = await ImportJob.findById(req.params.id);
+
+    if (!importJob) {
+      return next(new AppError('Import job not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        importJob,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
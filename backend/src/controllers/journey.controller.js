@@ -0,0 +1,714 @@
+const mongoose = require('mongoose');
+const Journey = require('../models/journey.model');
+const JourneyEnrollment = require('../models/journeyEnrollment.model');
+const CommunicationLog = require('../models/communicationLog.model');
+const Segment = require('../models/segment.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { validateJourney } = require('../utils/journeySteps');
+
+// Request fields that make up a journey
+const JOURNEY_FIELDS = ['name', 'description', 'channel', 'entry', 'steps', 'startStep'];
+
+// Request fields that decide where customers go, fixed while the journey is active
+const FLOW_FIELDS = ['entry', 'steps', 'startStep'];
+
+/**
+ * Pick the journey fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Journey fields that were given
+ */
+const pickJourneyFields = (body) => JOURNEY_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Check a journey's entry and steps, and that the segments they use exist
+ * @param {Object} journey - Journey fields, as they will be saved
+ * @returns {Promise<AppError|null>} Error to return, or null if the journey is valid
+ */
+const checkJourney = async (journey) => {
+  const errors = validateJourney(journey);
+
+  // Segments are looked up once the rest is valid
+  if (Object.keys(errors).length === 0) {
+    const references = [];
+    if (journey.entry && journey.entry.source !== 'event') {
+      references.push({ path: 'entry.segmentId', segmentId: journey.entry.segmentId });
+    }
+    journey.steps.forEach((step, index) => {
+      if (step.type === 'branch' && step.branchOn === 'segment') {
+        references.push({ path: `steps.${index}.segmentId`, segmentId: step.segmentId });
+      }
+    });
+
+    const segmentIds = references
+      .map((reference) => String(reference.segmentId))
+      .filter((segmentId) => mongoose.Types.ObjectId.isValid(segmentId));
+    const found = new Set((await Segment.find({ _id: { $in: segmentIds } }).distinct('_id')).map(String));
+    references
+      .filter((reference) => !found.has(String(reference.segmentId)))
+      .forEach((reference) => {
+        errors[reference.path] = 'Segment not found';
+      });
+  }
+
+  return Object.keys(errors).length > 0 ? new AppError('Invalid journey', 422, errors) : null;
+};
+
+/**
+ * Move a journey to a status through the journey state machine
+ * @param {string} id - Journey ID
+ * @param {string} status - Status to move to
+ * @param {string} action - What the move does, for the error message, e.g. "pause"
+ * @param {Object} update - Other changes to make, as update operators
+ * @returns {Promise<Object>} { journey } once moved, { error } to return otherwise
+ */
+const changeStatus = async (id, status, action, update) => {
+  const journey = await Journey.transition(id, status, update);
+  if (journey) {
+    return { journey };
+  }
+
+  const current = await Journey.findById(id);
+  if (!current) {
+    return { error: new AppError('Journey not found', 404) };
+  }
+
+  return { error: new AppError(`Cannot ${action} a journey that is ${current.status}`, 400) };
+};
+
+/**
+ * @swagger
+ * /journeys:
+ *   get:
+ *     summary: Get all journeys with pagination and filters
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Active, Paused, Archived]
+ *         description: Filter by status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or description
+ *     responses:
+ *       200:
+ *         description: List of journeys, most recently updated first
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getAllJourneys = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.search) {
+      query.$or = [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } },
+      ];
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const [journeys, total] = await Promise.all([
+      Journey.find(query)
+        .select('-steps')
+        .populate('entry.segmentId', 'name')
+        .sort('-updatedAt')
+        .skip(skip)
+        .limit(limit),
+      Journey.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: journeys.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        journeys,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys/{id}:
+ *   get:
+ *     summary: Get a journey with the customers at each step
+ *     description: stepStats holds, for each step key, the number of customers at the step now and the journey's messages from send steps by delivery status.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey and step stats
+ *       404:
+ *         description: Journey not found
+ */
+exports.getJourney = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    const [atSteps, messages] = await Promise.all([
+      JourneyEnrollment.aggregate([
+        { $match: { journeyId: journey._id, status: 'active' } },
+        { $group: { _id: '$currentStep', count: { $sum: 1 } } },
+      ]),
+      CommunicationLog.aggregate([
+        { $match: { journeyId: journey._id } },
+        { $group: { _id: { step: '$journeyStep', status: '$status' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const stepStats = {};
+    const statsFor = (key) => {
+      stepStats[key] = stepStats[key] || { active: 0, messages: {} };
+      return stepStats[key];
+    };
+    atSteps.forEach((entry) => {
+      statsFor(entry._id).active = entry.count;
+    });
+    messages.forEach((entry) => {
+      statsFor(entry._id.step).messages[entry._id.status] = entry.count;
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journey,
+        stepStats,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys:
+ *   post:
+ *     summary: Create a journey
+ *     description: Journeys are created as Draft; activate them to start enrolling customers.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - entry
+ *               - steps
+ *               - startStep
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *               entry:
+ *                 $ref: '#/components/schemas/JourneyEntry'
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/JourneyStep'
+ *               startStep:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Journey created
+ *       400:
+ *         description: Validation error
+ *       422:
+ *         description: Invalid journey, with messages keyed by path, e.g. steps.2.next
+ */
+exports.createJourney = async (req, res, next) => {
+  try {
+    const fields = pickJourneyFields(req.body);
+
+    const journeyError = await checkJourney(fields);
+    if (journeyError) {
+      return next(journeyError);
+    }
+
+    const journey = await Journey.create({
+      ...fields,
+      createdBy: req.user._id,
+    });
+
+    logger.info(`Journey created: ${journey.name} (${journey._id})`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        journey,
+      },
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return next(new AppError(`Validation Error: ${err.message}`, 400));
+    }
+
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys/{id}:
+ *   patch:
+ *     summary: Update a journey
+ *     description: Entry and steps can only change while the journey is Draft or Paused, and steps customers are at cannot be removed. Archived journeys cannot be changed.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Journey updated
+ *       400:
+ *         description: The journey is archived, or active and the entry or steps were changed
+ *       404:
+ *         description: Journey not found
+ *       409:
+ *         description: Customers are at a step the update removes
+ *       422:
+ *         description: Invalid journey, with messages keyed by path
+ */
+exports.updateJourney = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    // Status only changes through the journey's actions
+    if (req.body.status !== undefined) {
+      return next(new AppError('Use the activate, pause and archive actions to change a journey\'s status', 400));
+    }
+
+    if (journey.status === 'Archived') {
+      return next(new AppError('Archived journeys cannot be changed', 400));
+    }
+
+    const fields = pickJourneyFields(req.body);
+    const changesFlow = FLOW_FIELDS.some((field) => fields[field] !== undefined);
+
+    if (changesFlow && journey.status === 'Active') {
+      return next(new AppError('Pause the journey before changing its entry or steps', 400));
+    }
+
+    if (changesFlow) {
+      // Entry settings that are left out keep their values
+      if (fields.entry) {
+        fields.entry = { ...journey.toObject().entry, ...fields.entry };
+      }
+      const updated = { ...journey.toObject(), ...fields };
+
+      const journeyError = await checkJourney(updated);
+      if (journeyError) {
+        return next(journeyError);
+      }
+
+      // Customers waiting at a step need it to still be there when the journey resumes
+      const keys = new Set(updated.steps.map((step) => step.key));
+      const occupied = await JourneyEnrollment.find({ journeyId: journey._id, status: 'active' }).distinct('currentStep');
+      const removed = occupied.filter((key) => !keys.has(key));
+      if (removed.length > 0) {
+        return next(new AppError(`Customers are at steps ${removed.join(', ')}; keep them in the journey`, 409));
+      }
+    }
+
+    journey.set(fields);
+    await journey.save();
+
+    logger.info(`Journey updated: ${journey.name} (${journey._id})`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journey,
+      },
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return next(new AppError(`Validation Error: ${err.message}`, 400));
+    }
+
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys/{id}:
+ *   delete:
+ *     summary: Delete a journey
+ *     description: Only journeys no customer has entered can be deleted; archive the others.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       204:
+ *         description: Journey deleted
+ *       400:
+ *         description: Customers have entered the journey
+ *       404:
+ *         description: Journey not found
+ */
+exports.deleteJourney = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    // Enrollments and messages keep a reference to the journey
+    if (await JourneyEnrollment.exists({ journeyId: journey._id })) {
+      return next(new AppError('Customers have entered this journey, so it cannot be deleted; archive it instead', 400));
+    }
+
+    await Journey.findByIdAndDelete(journey._id);
+
+    logger.info(`Journey deleted: ${journey.name} (${journey._id})`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys/{id}/activate:
+ *   post:
+ *     summary: Activate a journey
+ *     description: Starts enrolling customers from the journey's segment or event, and moves enrolled customers on again after a pause.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey activated
+ *       400:
+ *         description: The journey is already active or archived
+ *       404:
+ *         description: Journey not found
+ *       422:
+ *         description: Invalid journey, with messages keyed by path
+ */
+exports.activateJourney = async (req, res, next) => {
+  try {
+    const current = await Journey.findById(req.params.id);
+
+    if (!current) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    // Segments may have been deleted since the journey was saved
+    const journeyError = await checkJourney(current.toObject());
+    if (journeyError) {
+      return next(journeyError);
+    }
+
+    const { journey, error } = await changeStatus(current._id, 'Active', 'activate', {
+      $set: { activatedAt: current.activatedAt || new Date() },
+    });
+    if (error) {
+      return next(error);
+    }
+
+    logger.info(`Journey activated: ${journey.name} (${journey._id})`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journey,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys/{id}/pause:
+ *   post:
+ *     summary: Pause a journey
+ *     description: No customers enter or move on while the journey is paused, and its queued messages are held. Customers stay at their steps and carry on when it is activated again.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey paused
+ *       400:
+ *         description: The journey is not active
+ *       404:
+ *         description: Journey not found
+ */
+exports.pauseJourney = async (req, res, next) => {
+  try {
+    const { journey, error } = await changeStatus(req.params.id, 'Paused', 'pause');
+    if (error) {
+      return next(error);
+    }
+
+    logger.info(`Journey paused: ${journey.name} (${journey._id})`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journey,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys/{id}/archive:
+ *   post:
+ *     summary: Archive a journey
+ *     description: Takes every customer out of the journey and stops it for good; messages it has queued are not sent. Archived journeys cannot be activated again.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey archived, with the number of customers taken out of it
+ *       400:
+ *         description: The journey is already archived
+ *       404:
+ *         description: Journey not found
+ */
+exports.archiveJourney = async (req, res, next) => {
+  try {
+    const { journey, error } = await changeStatus(req.params.id, 'Archived', 'archive', {
+      $set: { archivedAt: new Date() },
+    });
+    if (error) {
+      return next(error);
+    }
+
+    const exited = await JourneyEnrollment.exitAll(journey._id, 'Journey archived');
+    const archived = await Journey.findByIdAndUpdate(
+      journey._id,
+      { $inc: { 'stats.exited': exited, 'stats.active': -exited } },
+      { new: true }
+    );
+
+    logger.info(`Journey archived: ${journey.name} (${journey._id}), ${exited} customers exited`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journey: archived,
+        exited,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /journeys/{id}/enrollments:
+ *   get:
+ *     summary: Get the customers who entered a journey, most recent first
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, exited]
+ *         description: Filter by enrollment status
+ *       - in: query
+ *         name: step
+ *         schema:
+ *           type: string
+ *         description: Only customers at this step
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Enrollments with the customer's name and email
+ *       404:
+ *         description: Journey not found
+ */
+exports.getJourneyEnrollments = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id).select('_id');
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    const query = { journeyId: journey._id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.step) {
+      query.currentStep = req.query.step;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const [enrollments, total] = await Promise.all([
+      JourneyEnrollment.find(query)
+        .select('-leaseOwner -leaseExpiresAt')
+        .populate('customerId', 'name email')
+        .sort('-enrolledAt')
+        .skip(skip)
+        .limit(limit),
+      JourneyEnrollment.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: enrollments.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        enrollments,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
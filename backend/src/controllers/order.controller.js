@@ -0,0 +1,420 @@
+const Order = require('../models/order.model');
+const Customer = require('../models/customer.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { publishMessage } = require('../services/messagePublisher');
+
+// Fields that can change after an order is placed, e.g. when it is refunded or cancelled
+const UPDATABLE_FIELDS = ['status', 'refundedAmount', 'items', 'amount', 'currency', 'placedAt', 'source', 'metadata'];
+
+/**
+ * Find the customer an order belongs to, by ID or email
+ * @param {Object} orderData - Order data with customerId or customerEmail
+ * @returns {Promise<Object>} Customer document
+ */
+const findOrderCustomer = async (orderData) => {
+  if (orderData.customerId) {
+    return Customer.findById(orderData.customerId);
+  }
+
+  if (orderData.customerEmail) {
+    return Customer.findOne({ email: String(orderData.customerEmail).toLowerCase().trim() });
+  }
+
+  throw new AppError('Please provide a customerId or customerEmail', 400);
+};
+
+/**
+ * Recompute a customer's order aggregates and let the broker refresh their segments
+ * @param {string} customerId - Customer ID
+ */
+const refreshCustomer = async (customerId) => {
+  await Order.refreshCustomerStats(customerId);
+
+  const customer = await Customer.findById(customerId);
+
+  if (customer) {
+    await publishMessage('customer.updated', {
+      customerId: customer._id,
+      data: customer,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /orders:
+ *   get:
+ *     summary: Get all orders with pagination and filters
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Results per page
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Filter by customer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, fulfilled, partially_refunded, refunded, cancelled]
+ *         description: Filter by status
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [placedAt, -placedAt, amount, -amount, createdAt, -createdAt]
+ *           default: -placedAt
+ *         description: Sort field (prefix with - for descending)
+ *     responses:
+ *       200:
+ *         description: List of orders
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getAllOrders = async (req, res, next) => {
+  try {
+    // Build query
+    const query = {};
+
+    // Filter by customer
+    if (req.query.customerId) {
+      query.customerId = req.query.customerId;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Filter by date placed
+    if (req.query.from || req.query.to) {
+      query.placedAt = {};
+      if (req.query.from) {
+        query.placedAt.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        query.placedAt.$lte = new Date(req.query.to);
+      }
+    }
+
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    // Parse sort
+    const sort = req.query.sort || '-placedAt';
+
+    // Execute query with pagination
+    const orders = await Order.find(query)
+      .populate('customerId', 'name email')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Order.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: orders.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        orders,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Get a specific order by ID
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order details
+ *       404:
+ *         description: Order not found
+ */
+exports.getOrder = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('customerId', 'name email');
+
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        order,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /orders:
+ *   post:
+ *     summary: Record an order
+ *     description: The customer is identified by customerId or customerEmail. Their totalSpend, orderCount and lastOrderDate are recomputed from their orders.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Order'
+ *               - type: object
+ *                 properties:
+ *                   customerEmail:
+ *                     type: string
+ *                     format: email
+ *                     description: Used to find the customer when customerId is not given
+ *     responses:
+ *       201:
+ *         description: Order recorded successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Order number already exists
+ */
+exports.createOrder = async (req, res, next) => {
+  try {
+    const customer = await findOrderCustomer(req.body);
+
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    // Check if order number already exists
+    const existingOrder = req.body.orderNumber && (await Order.exists({ orderNumber: req.body.orderNumber }));
+    if (existingOrder) {
+      return next(new AppError('Order number already exists', 409));
+    }
+
+    const { customerEmail, ...orderData } = req.body;
+
+    const order = await Order.create({
+      ...orderData,
+      customerId: customer._id,
+    });
+
+    await refreshCustomer(customer._id);
+
+    logger.info(`Order created: ${order.orderNumber} for customer ${customer.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        order,
+      },
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return next(new AppError(`Validation Error: ${err.message}`, 400));
+    }
+
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   patch:
+ *     summary: Update an order, e.g. to record a refund or cancellation
+ *     description: Setting status to refunded refunds the full amount; partially_refunded needs a refundedAmount. The customer's aggregates are recomputed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, paid, fulfilled, partially_refunded, refunded, cancelled]
+ *               refundedAmount:
+ *                 type: number
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItem'
+ *               amount:
+ *                 type: number
+ *               placedAt:
+ *                 type: string
+ *                 format: date-time
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Order updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Order not found
+ */
+exports.updateOrder = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        order[field] = req.body[field];
+      }
+    });
+
+    // New line items without an amount mean the amount is derived from them again
+    if (req.body.items !== undefined && req.body.amount === undefined) {
+      order.amount = undefined;
+    }
+
+    await order.save();
+
+    await refreshCustomer(order.customerId);
+
+    logger.info(`Order updated: ${order.orderNumber} (${order.status})`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        order,
+      },
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return next(new AppError(`Validation Error: ${err.message}`, 400));
+    }
+
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /orders/bulk:
+ *   post:
+ *     summary: Ingest orders in bulk
+ *     description: Orders are processed asynchronously by the message broker. Orders whose orderNumber already exists are updated, so a store export can be resent safely.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orders:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Order'
+ *     responses:
+ *       200:
+ *         description: Bulk ingestion initiated
+ *       400:
+ *         description: No orders provided
+ *       413:
+ *         description: Request body is larger than ORDERS_MAX_PAYLOAD_SIZE (5mb by default)
+ */
+exports.bulkCreateOrders = async (req, res, next) => {
+  try {
+    const { orders } = req.body;
+
+    if (!orders || !Array.isArray(orders) || orders.length === 0) {
+      return next(new AppError('Please provide an array of orders', 400));
+    }
+
+    // Publish message to queue for async processing
+    await publishMessage('order.bulk.create', {
+      userId: req.user._id,
+      orders,
+    });
+
+    // Log bulk ingestion
+    logger.info(`Bulk order ingestion initiated: ${orders.length} orders`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bulk ingestion initiated. Orders will be processed asynchronously.',
+      data: {
+        count: orders.length,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -3,6 +3,15 @@ const Customer = require('../models/customer.model');
 const Campaign = require('../models/campaign.model');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
+const { validateRules, groupRuleErrors } = require('../utils/segmentRules');
+const { describeFields } = require('../config/segmentFields');
+
+/**
+ * Build an AppError describing invalid segment rules
+ * @param {Array<Object>} errors - Errors from validateRules
+ * @returns {AppError} Validation error
+ */
+const rulesError = (errors) => new AppError('Invalid segment rules', 422, groupRuleErrors(errors));
 
 /**
  * @swagger
@@ -108,6 +117,36 @@ exports.getAllSegments = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /segments/fields:
+ *   get:
+ *     summary: Get the customer, order and event fields, operators and scope periods available to segment rules
+ *     tags: [Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segment field registry
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getSegmentFields = async (req, res, next) => {
+  try {
+    const { fields, operators } = describeFields();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        fields,
+        operators,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @swagger
  * /segments/{id}:
@@ -167,6 +206,8 @@ exports.getSegment = async (req, res, next) => {
  *         description: Segment created successfully
  *       400:
  *         description: Validation error
+ *       422:
+ *         description: Invalid segment rules, with messages keyed by rule path
  */
 exports.createSegment = async (req, res, next) => {
   try {
@@ -175,6 +216,12 @@ exports.createSegment = async (req, res, next) => {
       return next(new AppError('Segment must include at least one condition', 400));
     }
 
+    // Validate the whole rule tree, including nested groups
+    const ruleErrors = validateRules(req.body.rules);
+    if (ruleErrors.length > 0) {
+      return next(rulesError(ruleErrors));
+    }
+
     // Set creator
     req.body.createdBy = req.user._id;
 
@@ -238,6 +285,8 @@ exports.createSegment = async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Segment updated successfully
+ *       422:
+ *         description: Invalid segment rules, with messages keyed by rule path
  *       404:
  *         description: Segment not found
  */
@@ -252,6 +301,13 @@ exports.updateSegment = async (req, res, next) => {
     // Check if rules are being updated
     const rulesUpdated = req.body.rules !== undefined;
     
+    if (rulesUpdated) {
+      const ruleErrors = validateRules(req.body.rules);
+      if (ruleErrors.length > 0) {
+        return next(rulesError(ruleErrors));
+      }
+    }
+    
     // Update segment
     Object.keys(req.body).forEach(key => {
       segment[key] = req.body[key];
@@ -354,6 +410,8 @@ exports.deleteSegment = async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Audience preview
+ *       422:
+ *         description: Invalid segment rules, with messages keyed by rule path
  */
 exports.previewSegment = async (req, res, next) => {
     try {
@@ -372,7 +430,7 @@ exports.previewSegment = async (req, res, next) => {
           return next(new AppError('Segment not found', 404));
         }
         
-        query = segment.toMongoQuery();
+        query = await segment.toMongoQuery();
         audienceSize = segment.audienceSize;
       }
       // Otherwise, use custom rules
@@ -388,6 +446,11 @@ exports.previewSegment = async (req, res, next) => {
           });
         }
         
+        const ruleErrors = validateRules(req.body.rules);
+        if (ruleErrors.length > 0) {
+          return next(rulesError(ruleErrors));
+        }
+        
         // Create temporary segment to generate query
         const tempSegment = new Segment({
           name: 'Temporary',
@@ -395,7 +458,7 @@ exports.previewSegment = async (req, res, next) => {
         });
         
         try {
-          query = tempSegment.toMongoQuery();
+          query = await tempSegment.toMongoQuery();
           
           // Count customers matching the query
           audienceSize = await Customer.countDocuments(query);
@@ -411,6 +474,10 @@ exports.previewSegment = async (req, res, next) => {
             },
           });
         } catch (error) {
+          // Rules that cannot be compiled, e.g. decided by too many customers, say why
+          if (error.isOperational) {
+            return next(error);
+          }
           console.error('Error generating query:', error);
           // Return empty results instead of error
           return res.status(200).json({
@@ -425,6 +492,9 @@ exports.previewSegment = async (req, res, next) => {
         return next(new AppError('Either segmentId or rules must be provided', 400));
       }
     } catch (err) {
+      if (err.isOperational) {
+        return next(err);
+      }
       console.error('Preview segment error:', err);
       // Return empty result instead of error to avoid disrupting the UI
       return res.status(200).json({
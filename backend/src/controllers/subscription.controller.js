@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/customer.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { verifyToken } = require('../utils/unsubscribe');
+
+// Channels a customer can subscribe to
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+
+const STATUSES = ['subscribed', 'unsubscribed'];
+
+/**
+ * Hide most of an email address, e.g. "p****@example.com"
+ * @param {string} email - Email address
+ * @returns {string} Masked address
+ */
+const maskEmail = (email) => {
+  const [local, domain] = String(email).split('@');
+
+  return `${local.charAt(0)}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+};
+
+/**
+ * Read the customer and channel of an unsubscribe link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} { customer, channel, campaignId }
+ * @throws {AppError} If the link is invalid or its customer no longer exists
+ */
+const resolveToken = async (token) => {
+  const details = verifyToken(token);
+
+  if (!details || !CHANNELS.includes(details.channel) || !mongoose.Types.ObjectId.isValid(details.customerId)) {
+    throw new AppError('Invalid unsubscribe link', 400);
+  }
+
+  const customer = await Customer.findById(details.customerId);
+
+  if (!customer) {
+    throw new AppError('Invalid unsubscribe link', 404);
+  }
+
+  return {
+    customer,
+    channel: details.channel,
+    campaignId: mongoose.Types.ObjectId.isValid(details.campaignId) ? details.campaignId : undefined,
+  };
+};
+
+/**
+ * @swagger
+ * /subscriptions/unsubscribe/{token}:
+ *   get:
+ *     summary: Look up an unsubscribe link
+ *     description: Public endpoint used by the unsubscribe page to show what the link unsubscribes from. It changes nothing, as mail scanners open links in messages.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the unsubscribe link
+ *     responses:
+ *       200:
+ *         description: Channel, masked email address and current subscription status
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       404:
+ *         description: The customer no longer exists
+ */
+exports.getUnsubscribeLink = async (req, res, next) => {
+  try {
+    const { customer, channel } = await resolveToken(req.params.token);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel,
+        email: maskEmail(customer.email),
+        subscription: customer.isUnsubscribed(channel) ? 'unsubscribed' : 'subscribed',
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /subscriptions/unsubscribe/{token}:
+ *   post:
+ *     summary: Unsubscribe a customer from a channel through their unsubscribe link
+ *     description: Public endpoint. The customer stops receiving messages on the channel of the link; campaigns skip them and count them as suppressed. Unsubscribing again keeps the original date.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the unsubscribe link
+ *     responses:
+ *       200:
+ *         description: Customer unsubscribed
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       404:
+ *         description: The customer no longer exists
+ */
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const { customer, channel, campaignId } = await resolveToken(req.params.token);
+
+    if (!customer.isUnsubscribed(channel)) {
+      await Customer.setSubscription(customer._id, channel, 'unsubscribed', { source: 'link', campaign: campaignId });
+
+      logger.info(`Customer ${customer._id} unsubscribed from ${channel} through an unsubscribe link`);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel,
+        email: maskEmail(customer.email),
+        subscription: 'unsubscribed',
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /customers/{id}/subscriptions:
+ *   patch:
+ *     summary: Change a customer's subscription to a channel
+ *     description: Customers are subscribed to every channel until they or a user unsubscribe them. Changes are recorded on the customer's timeline.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *               - status
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *               status:
+ *                 type: string
+ *                 enum: [subscribed, unsubscribed]
+ *     responses:
+ *       200:
+ *         description: Subscription changed; the response includes the updated customer
+ *       404:
+ *         description: Customer not found
+ *       422:
+ *         description: Invalid channel or status
+ */
+exports.updateSubscription = async (req, res, next) => {
+  try {
+    const { channel, status } = req.body;
+
+    const errors = {};
+    if (!CHANNELS.includes(channel)) {
+      errors.channel = `Channel must be one of ${CHANNELS.join(', ')}`;
+    }
+    if (!STATUSES.includes(status)) {
+      errors.status = `Status must be one of ${STATUSES.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return next(new AppError('Invalid subscription', 422, errors));
+    }
+
+    const customer = await Customer.setSubscription(req.params.id, channel, status, {
+      source: 'api',
+      changedBy: req.user._id,
+    });
+
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    logger.info(`Subscription of ${customer.email} to ${channel} set to ${status} by ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        customer,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
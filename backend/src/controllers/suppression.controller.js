@@ -0,0 +1,295 @@
+const fs = require('fs');
+const Suppression = require('../models/suppression.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { importSuppressions, TYPES, REASONS } = require('../services/suppressionList');
+
+/**
+ * @swagger
+ * /suppressions:
+ *   get:
+ *     summary: Get the suppression list, newest first
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [email, phone, domain]
+ *         description: Filter by type
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [hard_bounce, complaint, competitor, legal_hold, other]
+ *         description: Filter by reason
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Find entries whose value contains this text
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Suppression list entries
+ */
+exports.getSuppressions = async (req, res, next) => {
+  try {
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (TYPES.includes(req.query.type)) {
+      query.type = req.query.type;
+    }
+    if (REASONS.includes(req.query.reason)) {
+      query.reason = req.query.reason;
+    }
+    if (req.query.search) {
+      query.value = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const suppressions = await Suppression.find(query)
+      .populate('createdBy', 'name email')
+      .populate('campaign', 'name')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Suppression.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: suppressions.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        suppressions,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /suppressions:
+ *   post:
+ *     summary: Add an email address, phone number or domain to the suppression list
+ *     description: Campaigns skip customers whose recipient matches the list and log them as suppressed, whatever their subscriptions.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - value
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [email, phone, domain]
+ *               value:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [hard_bounce, complaint, competitor, legal_hold, other]
+ *                 default: other
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entry added
+ *       409:
+ *         description: The value is already on the suppression list
+ *       422:
+ *         description: Invalid type, value or reason
+ */
+exports.createSuppression = async (req, res, next) => {
+  try {
+    const { type, value, reason = 'other', note } = req.body;
+
+    const errors = {};
+    if (!TYPES.includes(type)) {
+      errors.type = `Type must be one of ${TYPES.join(', ')}`;
+    } else if (!Suppression.normalize(type, value)) {
+      errors.value = `Value must be a valid ${type}`;
+    }
+    if (!REASONS.includes(reason)) {
+      errors.reason = `Reason must be one of ${REASONS.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return next(new AppError('Invalid suppression', 422, errors));
+    }
+
+    if (await Suppression.exists({ type, value: Suppression.normalize(type, value) })) {
+      return next(new AppError(`This ${type} is already on the suppression list`, 409));
+    }
+
+    const suppression = await Suppression.create({
+      type,
+      value,
+      reason,
+      note,
+      source: 'api',
+      createdBy: req.user._id,
+    });
+
+    logger.info(`Suppression added: ${suppression.type} ${suppression.value} (${suppression.reason}) by ${req.user.email}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        suppression,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /suppressions/upload:
+ *   post:
+ *     summary: Add the entries of a CSV file to the suppression list
+ *     description: The file needs a header row. Each row holds a value column, with an optional type column, or email, phone and domain columns; reason and note columns are optional. The form's type, reason and note apply to rows without them. Values already on the list keep their reason.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               type:
+ *                 type: string
+ *                 enum: [email, phone, domain]
+ *                 description: Type of value columns in rows without a type; detected from each value if not given
+ *               reason:
+ *                 type: string
+ *                 enum: [hard_bounce, complaint, competitor, legal_hold, other]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report of the rows added, already on the list and rejected, with the first 100 row errors
+ *       400:
+ *         description: No file, not a CSV file or file too large
+ *       422:
+ *         description: Invalid type or reason, or the file could not be read
+ */
+exports.uploadSuppressions = async (req, res, next) => {
+  try {
+    const { type, reason, note } = req.body;
+
+    const errors = {};
+    if (type && !TYPES.includes(type)) {
+      errors.type = `Type must be one of ${TYPES.join(', ')}`;
+    }
+    if (reason && !REASONS.includes(reason)) {
+      errors.reason = `Reason must be one of ${REASONS.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return next(new AppError('Invalid suppression list', 422, errors));
+    }
+
+    let report;
+    try {
+      report = await importSuppressions(req.file.path, { type, reason, note, createdBy: req.user._id });
+    } catch (err) {
+      return next(new AppError(`Could not read the file: ${err.message}`, 422));
+    } finally {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+
+    logger.info(`Suppression list uploaded: ${req.file.originalname} (${report.added} added, ${report.existing} existing, ${report.failed} rejected)`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        report,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /suppressions/{id}:
+ *   delete:
+ *     summary: Remove an entry from the suppression list
+ *     description: Campaigns send to the value again, unless the customer unsubscribed.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suppression ID
+ *     responses:
+ *       204:
+ *         description: Entry removed
+ *       404:
+ *         description: Suppression not found
+ */
+exports.deleteSuppression = async (req, res, next) => {
+  try {
+    const suppression = await Suppression.findByIdAndDelete(req.params.id);
+
+    if (!suppression) {
+      return next(new AppError('Suppression not found', 404));
+    }
+
+    logger.info(`Suppression removed: ${suppression.type} ${suppression.value} by ${req.user.email}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
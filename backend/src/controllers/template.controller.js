@@ -0,0 +1,472 @@
+const Template = require('../models/template.model');
+const Campaign = require('../models/campaign.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+// Request fields that make up a template version
+const CONTENT_FIELDS = ['subject', 'htmlBody', 'textBody'];
+
+// Request fields that describe the template itself
+const DETAIL_FIELDS = ['name', 'description', 'tags', 'isActive'];
+
+/**
+ * Build an AppError describing invalid template content
+ * @param {Object} errors - Messages keyed by content field
+ * @returns {AppError} Validation error
+ */
+const contentError = (errors) => new AppError('Invalid template content', 422, errors);
+
+/**
+ * @swagger
+ * /templates:
+ *   get:
+ *     summary: Get all templates with pagination and filters
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or description
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *         description: Filter by channel
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, createdAt, -createdAt, updatedAt, -updatedAt]
+ *           default: -updatedAt
+ *         description: Sort field (prefix with - for descending)
+ *     responses:
+ *       200:
+ *         description: List of templates
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getAllTemplates = async (req, res, next) => {
+  try {
+    // Build query
+    const query = {};
+
+    // Search by name or description
+    if (req.query.search) {
+      query.$or = [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } },
+      ];
+    }
+
+    // Filter by channel
+    if (req.query.channel) {
+      query.channel = req.query.channel;
+    }
+
+    // Filter by tag
+    if (req.query.tag) {
+      query.tags = req.query.tag;
+    }
+
+    // Filter by active status
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Parse pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    // Parse sort
+    const sort = req.query.sort || '-updatedAt';
+
+    // Execute query with pagination
+    const templates = await Template.find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Template.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: templates.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+      },
+      data: {
+        templates,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   get:
+ *     summary: Get a specific template with all its versions
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await Template.findById(req.params.id);
+
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Template version
+ *       404:
+ *         description: Template or version not found
+ */
+exports.getTemplateVersion = async (req, res, next) => {
+  try {
+    const template = await Template.findById(req.params.id);
+
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+
+    const version = template.getVersion(req.params.version);
+
+    if (!version) {
+      return next(new AppError(`Template has no version ${req.params.version}`, 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        version,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /templates:
+ *   post:
+ *     summary: Create a new template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - channel
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               subject:
+ *                 type: string
+ *               htmlBody:
+ *                 type: string
+ *               textBody:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template created as version 1
+ *       400:
+ *         description: Validation error
+ *       422:
+ *         description: Invalid template content, with messages keyed by field
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { name, description, channel, tags } = req.body;
+
+    const content = {};
+    CONTENT_FIELDS.forEach((field) => {
+      content[field] = req.body[field];
+    });
+
+    // Check the bodies against the template syntax and the field registry
+    const errors = Template.validateContent(content, channel);
+    if (Object.keys(errors).length > 0) {
+      return next(contentError(errors));
+    }
+
+    const template = await Template.create({
+      name,
+      description,
+      channel,
+      tags,
+      createdBy: req.user._id,
+      currentVersion: 1,
+      versions: [{ ...content, version: 1, note: 'Initial version', createdBy: req.user._id }],
+    });
+
+    logger.info(`Template created: ${template.name} (${template._id})`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        template,
+      },
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return next(new AppError(`Validation Error: ${err.message}`, 400));
+    }
+
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   patch:
+ *     summary: Update a template
+ *     description: Name, description, tags and isActive are updated in place. Any change to subject, htmlBody or textBody adds a new version; earlier versions are kept unchanged for the campaigns that use them.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *               subject:
+ *                 type: string
+ *               htmlBody:
+ *                 type: string
+ *               textBody:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 description: What changed, stored on the new version
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Channel cannot be changed
+ *       404:
+ *         description: Template not found
+ *       422:
+ *         description: Invalid template content, with messages keyed by field
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const template = await Template.findById(req.params.id);
+
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+
+    // Existing versions were written for the template's channel
+    if (req.body.channel !== undefined && req.body.channel !== template.channel) {
+      return next(new AppError('The channel of a template cannot be changed', 400));
+    }
+
+    DETAIL_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+
+    // Content changes are saved as a new version
+    const current = template.getVersion() || {};
+    const contentChanged = CONTENT_FIELDS.some(
+      (field) => req.body[field] !== undefined && req.body[field] !== current[field]
+    );
+
+    if (contentChanged) {
+      const content = {};
+      CONTENT_FIELDS.forEach((field) => {
+        content[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+      });
+
+      const errors = Template.validateContent(content, template.channel);
+      if (Object.keys(errors).length > 0) {
+        return next(contentError(errors));
+      }
+
+      template.addVersion({ ...content, note: req.body.note }, req.user._id);
+    }
+
+    await template.save();
+
+    logger.info(`Template updated: ${template.name} (${template._id}), version ${template.currentVersion}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   delete:
+ *     summary: Delete a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       204:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Template not found
+ *       400:
+ *         description: Template is in use and cannot be deleted
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await Template.findById(req.params.id);
+
+    if (!template) {
+      return next(new AppError('Template not found', 404));
+    }
+
+    // Campaigns keep a reference to the version they were created from
+    const campaignsUsingTemplate = await Campaign.countDocuments({ templateId: template._id });
+
+    if (campaignsUsingTemplate > 0) {
+      return next(new AppError(`Template is used in ${campaignsUsingTemplate} campaign(s) and cannot be deleted; deactivate it instead`, 400));
+    }
+
+    await Template.findByIdAndDelete(req.params.id);
+
+    logger.info(`Template deleted: ${template.name} (${template._id})`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,5 +1,6 @@
 const CommunicationLog = require('../models/communicationLog.model');
 const Campaign = require('../models/campaign.model');
+const Suppression = require('../models/suppression.model');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
 const { publishMessage } = require('../services/messagePublisher');
@@ -29,6 +30,10 @@ const { publishMessage } = require('../services/messagePublisher');
  *               errorMessage:
  *                 type: string
  *                 description: Error message if delivery failed
+ *               bounceType:
+ *                 type: string
+ *                 enum: [hard, soft]
+ *                 description: For failed deliveries, whether the recipient bounced permanently; hard bounces add the recipient to the suppression list
  *               metadata:
  *                 type: object
  *                 description: Additional vendor-specific data
@@ -40,18 +45,23 @@ const { publishMessage } = require('../services/messagePublisher');
  */
 exports.handleDeliveryReceipt = async (req, res, next) => {
   try {
-    const { messageId, status, errorMessage, metadata } = req.body;
+    const { messageId, status, errorMessage, bounceType, metadata } = req.body;
     
     if (!messageId || !status) {
       return next(new AppError('Message ID and status are required', 400));
     }
     
+    if (bounceType && !['hard', 'soft'].includes(bounceType)) {
+      return next(new AppError('Bounce type must be hard or soft', 400));
+    }
+    
     // For high-throughput applications, we would publish to a queue
     // rather than process updates synchronously
-    publishMessage('delivery.receipt', {
+    await publishMessage('delivery.receipt', {
       messageId,
       status,
       errorMessage,
+      bounceType,
       metadata,
       timestamp: new Date(),
     });
@@ -76,7 +86,7 @@ exports.handleDeliveryReceipt = async (req, res, next) => {
  */
 exports.processDeliveryReceipt = async (data) => {
   try {
-    const { messageId, status, errorMessage, metadata } = data;
+    const { messageId, status, errorMessage, bounceType, metadata } = data;
     
     // Find communication log
     const log = await CommunicationLog.findById(messageId);
@@ -102,6 +112,11 @@ exports.processDeliveryReceipt = async (data) => {
     
     await log.save();
     
+    // Addresses that bounced permanently are not sent to again
+    if (status === 'FAILED' && bounceType === 'hard' && log.recipient) {
+      await Suppression.addBounce(log);
+    }
+    
     // Update campaign stats
     const campaign = await Campaign.findById(log.campaignId);
     
@@ -122,8 +137,9 @@ exports.processDeliveryReceipt = async (data) => {
         );
       }
       
-      // Check if campaign is complete
-      if (campaign.stats.delivered + campaign.stats.failed >= campaign.audienceSize) {
+      // Check if campaign is complete; cancelled campaigns stay cancelled
+      if (campaign.canTransitionTo('Completed')
+        && campaign.stats.delivered + campaign.stats.failed + campaign.stats.suppressed + campaign.stats.skipped + campaign.stats.heldOut >= campaign.audienceSize) {
         campaign.status = 'Completed';
         campaign.completedAt = new Date();
         
@@ -188,7 +204,7 @@ exports.handleEventCallback = async (req, res, next) => {
     }
     
     // Publish event to queue for async processing
-    publishMessage('event.callback', {
+    await publishMessage('event.callback', {
       messageId,
       eventType,
       url,
@@ -1,5 +1,6 @@
 const passport = require('passport');
 const AppError = require('../utils/appError');
+const EventSource = require('../models/eventSource.model');
 
 /**
  * Middleware to protect routes with JWT authentication
@@ -47,6 +48,37 @@ exports.restrictTo = (...roles) => {
   };
 };
 
+/**
+ * Middleware to authenticate event sources by the API key in the X-API-Key header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.apiKey = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+
+    if (!apiKey) {
+      return next(new AppError('API key is missing. Send it in the X-API-Key header', 401));
+    }
+
+    const source = await EventSource.findByKey(apiKey);
+
+    if (!source) {
+      return next(new AppError('Invalid or revoked API key', 401));
+    }
+
+    // Record usage without holding up the request
+    EventSource.updateOne({ _id: source._id }, { lastUsedAt: new Date() }).catch(() => {});
+
+    // Add event source to request object
+    req.eventSource = source;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Initialize Google OAuth authentication
  */
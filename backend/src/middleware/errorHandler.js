@@ -34,6 +34,7 @@ const sendErrorDev = (err, res) => {
     status: err.status,
     error: err,
     message: err.message,
+    errors: err.errors,
     stack: err.stack
   });
 };
@@ -44,7 +45,8 @@ const sendErrorProd = (err, res) => {
   if (err.isOperational) {
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      errors: err.errors
     });
   } 
   // Programming or other unknown error: don't leak error details
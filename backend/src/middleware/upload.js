@@ -0,0 +1,88 @@
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const AppError = require('../utils/appError');
+const config = require('../config');
+
+// Import formats by file extension
+const IMPORT_FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+};
+
+// Suppression list formats by file extension
+const SUPPRESSION_FORMATS = {
+  '.csv': 'csv',
+};
+
+/**
+ * Build a multer upload of one file in the "file" field, streamed to the import upload directory
+ * @param {Object} formats - Accepted formats by file extension
+ * @param {string} purpose - What the file is for, used in error messages, e.g. "imported"
+ * @returns {Function} Multer middleware
+ */
+const createUpload = (formats, purpose) => multer({
+  // Files are streamed to disk under a random name, never the client's
+  storage: multer.diskStorage({
+    destination: config.imports.uploadDir,
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  limits: {
+    fileSize: config.imports.maxFileSize,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!formats[path.extname(file.originalname).toLowerCase()]) {
+      return cb(new AppError(`Only ${Object.keys(formats).join(' and ')} files can be ${purpose}`, 400));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+/**
+ * Build middleware that receives an uploaded file and sets req.file, with its format
+ * @param {Function} upload - Multer middleware from createUpload
+ * @param {Object} formats - Accepted formats by file extension
+ * @returns {Function} Express middleware
+ */
+const receiveFile = (upload, formats) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large. The limit is ${Math.round(config.imports.maxFileSize / (1024 * 1024))} MB`
+        : err.message;
+      return next(new AppError(message, 400));
+    }
+
+    if (err) {
+      return next(err);
+    }
+
+    if (!req.file) {
+      return next(new AppError(`Please upload a ${Object.keys(formats).join(' or ')} file in the "file" field`, 400));
+    }
+
+    req.file.format = formats[path.extname(req.file.originalname).toLowerCase()];
+    next();
+  });
+};
+
+/**
+ * Middleware to receive a customer import file in the "file" field of a multipart request
+ * Sets req.file, with its format (csv or json)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.importFile = receiveFile(createUpload(IMPORT_FORMATS, 'imported'), IMPORT_FORMATS);
+
+/**
+ * Middleware to receive a suppression list in the "file" field of a multipart request
+ * Sets req.file, with its format (csv)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.suppressionFile = receiveFile(createUpload(SUPPRESSION_FORMATS, 'uploaded'), SUPPRESSION_FORMATS);
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const config = require('../config');
+const { isValidTimezone, isValidTime } = require('../utils/timezone');
+const { FREQUENCIES } = require('../utils/recurrence');
+
+// Keys of a campaign's message variants, in the order they are listed
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// Share of a campaign's audience, derived from the current counts so counters updated with $inc never leave it stale
+const audiencePercentage = (campaign, count) => {
+  if (!(campaign.audienceSize > 0)) return 0;
+  
+  return parseFloat(((count / campaign.audienceSize) * 100).toFixed(2));
+};
 
 /**
  * @swagger
@@ -22,11 +35,24 @@ const mongoose = require('mongoose');
  *         message:
  *           type: string
  *           description: Message template for the campaign
+ *         subject:
+ *           type: string
+ *           description: Subject line template, used by email
+ *         templateId:
+ *           type: string
+ *           description: Template the message was taken from
+ *         templateVersion:
+ *           type: number
+ *           description: Version of the template the message was taken from
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *           description: Channel the campaign is delivered on
  *         status:
  *           type: string
- *           enum: [Draft, Active, Completed, Failed]
+ *           enum: [Draft, Scheduled, Sending, Recurring, Paused, Cancelled, Completed, Failed]
  *           default: Draft
- *           description: Current status of the campaign
+ *           description: Current status of the campaign. Scheduled campaigns start Sending at scheduledAt; Recurring campaigns start a run at each occurrence of their schedule and are Completed after the last; Paused campaigns send nothing until resumed; Cancelled campaigns skip the messages they had not sent
  *         segmentId:
  *           type: string
  *           description: Reference to a predefined segment
@@ -42,12 +68,45 @@ const mongoose = require('mongoose');
  *         scheduledAt:
  *           type: date
  *           description: When the campaign is scheduled to be sent
+ *         delivery:
+ *           $ref: '#/components/schemas/CampaignDelivery'
+ *         variants:
+ *           type: array
+ *           minItems: 2
+ *           maxItems: 5
+ *           items:
+ *             $ref: '#/components/schemas/CampaignVariant'
+ *           description: Messages to test against each other; message and subject hold the first variant's. Leave empty to send one message to everybody
+ *         abTest:
+ *           $ref: '#/components/schemas/CampaignAbTest'
+ *         holdout:
+ *           $ref: '#/components/schemas/CampaignHoldout'
+ *         recurrence:
+ *           $ref: '#/components/schemas/CampaignRecurrence'
+ *         parentId:
+ *           type: string
+ *           readOnly: true
+ *           description: Recurring campaign this campaign is a run of
+ *         runNumber:
+ *           type: number
+ *           readOnly: true
+ *           description: Number of the run, counting from 1, for runs of a recurring campaign
  *         sentAt:
  *           type: date
  *           description: When the campaign was actually sent
  *         completedAt:
  *           type: date
  *           description: When the campaign delivery was completed
+ *         failureReason:
+ *           type: string
+ *           readOnly: true
+ *           description: Why the campaign could not start sending, when status is Failed
+ *         pausedAt:
+ *           type: date
+ *           description: When the campaign was paused, while it is Paused
+ *         cancelledAt:
+ *           type: date
+ *           description: When the campaign was cancelled
  *         tags:
  *           type: array
  *           items:
@@ -65,6 +124,15 @@ const mongoose = require('mongoose');
  *             pending:
  *               type: number
  *               description: Number of pending message deliveries
+ *             suppressed:
+ *               type: number
+ *               description: Number of messages not sent because the customer unsubscribed from the channel
+ *             skipped:
+ *               type: number
+ *               description: Number of messages not sent because the campaign was cancelled
+ *             heldOut:
+ *               type: number
+ *               description: Number of customers held out in the control group, who are never sent the message
  *             deliveredPercentage:
  *               type: number
  *               description: Percentage of successful deliveries
@@ -81,6 +149,146 @@ const mongoose = require('mongoose');
  *           type: date
  *           description: Timestamp when campaign was last updated
  */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignDelivery:
+ *       type: object
+ *       description: When messages go out in each customer's time zone. Customers without a time zone, set or derived from their location, use the campaign's.
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [immediate, local_time]
+ *           default: immediate
+ *           description: immediate sends from scheduledAt for everybody; local_time sends to each customer when their clock shows the time of scheduledAt in the campaign's time zone, which needs scheduledAt
+ *         timezone:
+ *           type: string
+ *           default: UTC
+ *           description: IANA time zone scheduledAt is read in for local_time campaigns, e.g. Asia/Kolkata
+ *         quietHours:
+ *           type: object
+ *           description: Local times between which no messages are sent; messages due then wait until the end. The window may wrap past midnight
+ *           properties:
+ *             start:
+ *               type: string
+ *               example: '21:00'
+ *               description: Start of quiet hours, HH:mm
+ *             end:
+ *               type: string
+ *               example: '09:00'
+ *               description: End of quiet hours, HH:mm
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignVariant:
+ *       type: object
+ *       required:
+ *         - message
+ *       properties:
+ *         key:
+ *           type: string
+ *           enum: [A, B, C, D, E]
+ *           description: Variant letter, given in the order the variants are listed
+ *         name:
+ *           type: string
+ *           description: Label for the variant
+ *         message:
+ *           type: string
+ *           description: Message template sent to customers assigned the variant
+ *         subject:
+ *           type: string
+ *           description: Subject line template, used by email; the campaign's subject if not given
+ *     CampaignAbTest:
+ *       type: object
+ *       description: How a campaign with variants is tested. Each customer is assigned to the test audience, and to a variant, by a hash of the campaign and customer IDs, so the assignment is the same every time. The rest of the audience waits for the winner.
+ *       properties:
+ *         testPercentage:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *           description: Percentage of the audience the variants are tested on
+ *         metric:
+ *           type: string
+ *           enum: [delivery, click, reply]
+ *           default: click
+ *           description: Rate the winner is picked on; click and reply rates are read from event callbacks
+ *         waitHours:
+ *           type: number
+ *           minimum: 0
+ *           default: 4
+ *           description: Hours after the last test message is sent before the winner is picked
+ *         winner:
+ *           type: string
+ *           readOnly: true
+ *           description: Key of the winning variant, once picked
+ *         decidedAt:
+ *           type: date
+ *           readOnly: true
+ *           description: When the winner was picked and sent to the rest of the audience
+ *     CampaignHoldout:
+ *       type: object
+ *       description: Control group the campaign's lift is measured against. Customers are held out by a hash of the campaign and customer IDs, before any A/B test split.
+ *       properties:
+ *         percentage:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 50
+ *           default: 0
+ *           description: Percentage of the audience held out and never sent the message; 0 for no control group
+ *         conversionWindowDays:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 90
+ *           default: 7
+ *           description: Days after the campaign's first message is sent that orders are attributed to it
+ *     CampaignRecurrence:
+ *       type: object
+ *       description: Schedule of a recurring campaign, read in the campaign's time zone (delivery.timezone). At each occurrence the broker starts a run, a campaign of its own copied from this one with its own audience, logs and stats. Set it when creating the campaign, without scheduledAt.
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly, cron]
+ *           description: How often the campaign runs; cron runs on the cron expression
+ *         time:
+ *           type: string
+ *           example: '09:00'
+ *           description: Time of day daily, weekly and monthly campaigns run at, HH:mm
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: number
+ *             minimum: 0
+ *             maximum: 6
+ *           description: Days weekly campaigns run on, 0 for Sunday
+ *         dayOfMonth:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 28
+ *           description: Day of the month monthly campaigns run on
+ *         cron:
+ *           type: string
+ *           example: '0 9 * * 1'
+ *           description: Five-field cron expression (minute, hour, day of month, month, day of week) cron campaigns run on
+ *         endAt:
+ *           type: date
+ *           description: When the schedule ends; the campaign is Completed after its last run before then
+ *         nextRunAt:
+ *           type: date
+ *           readOnly: true
+ *           description: When the next run starts
+ *         lastRunAt:
+ *           type: date
+ *           readOnly: true
+ *           description: When the last run was started
+ *         runCount:
+ *           type: number
+ *           readOnly: true
+ *           description: Number of runs started so far
+ */
 const campaignSchema = new mongoose.Schema(
   {
     name: {
@@ -96,9 +304,25 @@ const campaignSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Message template is required'],
     },
+    subject: {
+      type: String,
+      trim: true,
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+    },
+    templateVersion: {
+      type: Number,
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+      default: 'email',
+    },
     status: {
       type: String,
-      enum: ['Draft', 'Active', 'Completed', 'Failed'],
+      enum: ['Draft', 'Scheduled', 'Sending', 'Recurring', 'Paused', 'Cancelled', 'Completed', 'Failed'],
       default: 'Draft',
     },
     segmentId: {
@@ -119,12 +343,152 @@ const campaignSchema = new mongoose.Schema(
     scheduledAt: {
       type: Date,
     },
+    delivery: {
+      mode: {
+        type: String,
+        enum: ['immediate', 'local_time'],
+        default: 'immediate',
+      },
+      timezone: {
+        type: String,
+        default: config.campaign.defaultTimezone,
+        validate: [isValidTimezone, 'Please provide a valid IANA time zone, e.g. Asia/Kolkata'],
+      },
+      quietHours: {
+        start: {
+          type: String,
+          validate: [isValidTime, 'Quiet hours must be given as HH:mm'],
+        },
+        end: {
+          type: String,
+          validate: [isValidTime, 'Quiet hours must be given as HH:mm'],
+        },
+      },
+    },
+    variants: {
+      type: [
+        {
+          _id: false,
+          key: {
+            type: String,
+            enum: VARIANT_KEYS,
+            required: true,
+          },
+          name: {
+            type: String,
+            trim: true,
+          },
+          message: {
+            type: String,
+            required: [true, 'Each variant needs a message'],
+          },
+          subject: {
+            type: String,
+            trim: true,
+          },
+        },
+      ],
+      validate: [
+        (variants) => variants.length === 0 || (variants.length >= 2 && variants.length <= VARIANT_KEYS.length),
+        `A/B tests need 2 to ${VARIANT_KEYS.length} variants`,
+      ],
+    },
+    abTest: {
+      testPercentage: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: 20,
+      },
+      metric: {
+        type: String,
+        enum: ['delivery', 'click', 'reply'],
+        default: 'click',
+      },
+      waitHours: {
+        type: Number,
+        min: 0,
+        default: 4,
+      },
+      winner: {
+        type: String,
+        enum: VARIANT_KEYS,
+      },
+      decidedAt: {
+        type: Date,
+      },
+    },
+    holdout: {
+      percentage: {
+        type: Number,
+        min: 0,
+        max: 50,
+        default: 0,
+      },
+      conversionWindowDays: {
+        type: Number,
+        min: 1,
+        max: 90,
+        default: 7,
+      },
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: FREQUENCIES,
+      },
+      time: {
+        type: String,
+        validate: [isValidTime, 'Recurring campaigns run at a time given as HH:mm'],
+      },
+      daysOfWeek: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: undefined,
+      },
+      dayOfMonth: {
+        type: Number,
+        min: 1,
+        max: 28,
+      },
+      cron: {
+        type: String,
+        trim: true,
+      },
+      endAt: {
+        type: Date,
+      },
+      nextRunAt: {
+        type: Date,
+      },
+      lastRunAt: {
+        type: Date,
+      },
+      runCount: {
+        type: Number,
+      },
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+    },
+    runNumber: {
+      type: Number,
+    },
     sentAt: {
       type: Date,
     },
     completedAt: {
       type: Date,
     },
+    failureReason: {
+      type: String,
+    },
+    pausedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
     tags: [String],
     stats: {
       delivered: {
@@ -139,13 +503,31 @@ const campaignSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      suppressed: {
+        type: Number,
+        default: 0,
+      },
+      skipped: {
+        type: Number,
+        default: 0,
+      },
+      heldOut: {
+        type: Number,
+        default: 0,
+      },
       deliveredPercentage: {
         type: Number,
         default: 0,
+        get: function () {
+          return audiencePercentage(this, this.stats.delivered);
+        },
       },
       failedPercentage: {
         type: Number,
         default: 0,
+        get: function () {
+          return audiencePercentage(this, this.stats.failed);
+        },
       },
     },
     metadata: {
@@ -155,18 +537,39 @@ const campaignSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true },
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
   }
 );
 
+// Statuses a campaign can move to from each status
+const STATUS_TRANSITIONS = {
+  Draft: ['Scheduled', 'Sending', 'Recurring', 'Cancelled'],
+  Scheduled: ['Sending', 'Cancelled'],
+  Sending: ['Paused', 'Cancelled', 'Completed', 'Failed'],
+  // Recurring campaigns send through their runs, and are Completed once their schedule ends
+  Recurring: ['Paused', 'Cancelled', 'Completed'],
+  // Messages that were being sent when the campaign was paused may be its last
+  Paused: ['Sending', 'Recurring', 'Cancelled', 'Completed'],
+  // Replaying failed deliveries sends a finished campaign again
+  Completed: ['Sending'],
+  Failed: ['Sending'],
+  Cancelled: [],
+};
+
 // Indexes for performance
 campaignSchema.index({ status: 1 });
 campaignSchema.index({ createdAt: -1 });
 campaignSchema.index({ segmentId: 1 });
+campaignSchema.index({ templateId: 1 });
 campaignSchema.index({ scheduledAt: 1 });
 campaignSchema.index({ createdBy: 1 });
 campaignSchema.index({ tags: 1 });
+campaignSchema.index({ status: 1, 'recurrence.nextRunAt': 1 });
+campaignSchema.index(
+  { parentId: 1, runNumber: -1 },
+  { unique: true, partialFilterExpression: { parentId: { $exists: true } } }
+);
 
 // Calculate stats percentages before saving
 campaignSchema.pre('save', function (next) {
@@ -178,11 +581,11 @@ campaignSchema.pre('save', function (next) {
       ((this.stats.failed / this.audienceSize) * 100).toFixed(2)
     );
     
-    // Update pending count
-    this.stats.pending = this.audienceSize - this.stats.delivered - this.stats.failed;
+    // Update pending count; suppressed, skipped and held out messages are never sent
+    this.stats.pending = this.audienceSize - this.stats.delivered - this.stats.failed - this.stats.suppressed - this.stats.skipped - this.stats.heldOut;
     
-    // Auto-update status if all messages are delivered or failed
-    if (this.stats.delivered + this.stats.failed === this.audienceSize) {
+    // Auto-update status once a sending campaign has no messages left
+    if (this.canTransitionTo('Completed') && this.stats.pending === 0) {
       this.status = 'Completed';
       this.completedAt = new Date();
     }
@@ -234,16 +637,74 @@ campaignSchema.methods.updateStats = async function (deliveryStatus) {
   return this;
 };
 
+// Method to check whether the campaign can move to a status
+campaignSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Static method to move a campaign to a status, if its current status allows it
+// The check and the change are one update, so a pause cannot undo a completion that happened at the same time
+// Passing the statuses to move from narrows the move, e.g. resuming only moves paused campaigns to Sending
+// Resolves to the updated campaign, or null when the campaign does not exist or cannot move to the status
+campaignSchema.statics.transition = function (id, status, update = {}, from) {
+  const allowed = Object.keys(STATUS_TRANSITIONS)
+    .filter((current) => STATUS_TRANSITIONS[current].includes(status) && (!from || from.includes(current)));
+  
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: allowed } },
+    { ...update, $set: { ...update.$set, status } },
+    { new: true }
+  );
+};
+
 // Static method to find due campaigns
 campaignSchema.statics.findDueCampaigns = function () {
   const now = new Date();
   
   return this.find({
-    status: 'Draft',
+    status: 'Scheduled',
     scheduledAt: { $lte: now },
   });
 };
 
+// Static method to add up the audiences and stats of a recurring campaign's runs
+// Resolves to { runs, audienceSize, stats, lastSentAt }, with stats shaped like a campaign's
+campaignSchema.statics.getRunRollup = async function (parentId) {
+  const [totals] = await this.aggregate([
+    { $match: { parentId: new mongoose.Types.ObjectId(parentId) } },
+    {
+      $group: {
+        _id: null,
+        runs: { $sum: 1 },
+        audienceSize: { $sum: '$audienceSize' },
+        delivered: { $sum: '$stats.delivered' },
+        failed: { $sum: '$stats.failed' },
+        suppressed: { $sum: '$stats.suppressed' },
+        skipped: { $sum: '$stats.skipped' },
+        heldOut: { $sum: '$stats.heldOut' },
+        lastSentAt: { $max: '$sentAt' },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]);
+  
+  const { runs = 0, audienceSize = 0, lastSentAt = null, ...counts } = totals || {};
+  const stats = { delivered: 0, failed: 0, suppressed: 0, skipped: 0, heldOut: 0, ...counts };
+  const percentage = (count) => (audienceSize > 0 ? parseFloat(((count / audienceSize) * 100).toFixed(2)) : 0);
+  
+  return {
+    runs,
+    audienceSize,
+    stats: {
+      ...stats,
+      pending: audienceSize - stats.delivered - stats.failed - stats.suppressed - stats.skipped - stats.heldOut,
+      deliveredPercentage: percentage(stats.delivered),
+      failedPercentage: percentage(stats.failed),
+    },
+    lastSentAt,
+  };
+};
+
 const Campaign = mongoose.model('Campaign', campaignSchema);
 
 module.exports = Campaign;
\ No newline at end of file
@@ -7,7 +7,6 @@ const mongoose = require('mongoose');
  *     CommunicationLog:
  *       type: object
  *       required:
- *         - campaignId
  *         - customerId
  *       properties:
  *         _id:
@@ -15,15 +14,43 @@ const mongoose = require('mongoose');
  *           description: Auto-generated MongoDB ObjectId
  *         campaignId:
  *           type: string
- *           description: Reference to the campaign
+ *           description: Reference to the campaign; every message belongs to a campaign or a journey
+ *         journeyId:
+ *           type: string
+ *           description: Reference to the journey that sent the message
+ *         journeyStep:
+ *           type: string
+ *           description: Key of the journey's send step
  *         customerId:
  *           type: string
  *           description: Reference to the customer
  *         status:
  *           type: string
- *           enum: [PENDING, SENT, FAILED]
+ *           enum: [PENDING, PROCESSING, SENT, FAILED, RETRYING, DEAD_LETTER, SUPPRESSED, SKIPPED, WAITING, HELD_OUT]
  *           default: PENDING
- *           description: Delivery status
+ *           description: Delivery status. PROCESSING logs are being sent by a broker instance; RETRYING logs are sent again at nextAttemptAt; DEAD_LETTER logs ran out of retries; SUPPRESSED logs were not sent because the customer unsubscribed from the channel or the recipient is on the suppression list; SKIPPED logs were not sent because the campaign was cancelled; WAITING logs are outside an A/B test's audience and become PENDING once the winner is picked; HELD_OUT logs are the campaign's control group and are never sent
+ *         variant:
+ *           type: string
+ *           enum: [A, B, C, D, E]
+ *           description: Campaign variant the message is sent with
+ *         variantPhase:
+ *           type: string
+ *           enum: [test, winner]
+ *           description: Whether the message was part of the A/B test or sent the winning variant afterwards
+ *         attempts:
+ *           type: integer
+ *           description: Number of delivery attempts made
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a RETRYING log will be sent again, or when a held PENDING log may be sent, at the customer's local send time or the end of their quiet hours
+ *         leaseOwner:
+ *           type: string
+ *           description: Broker instance holding a PROCESSING log
+ *         leaseExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When another broker instance may take over a PROCESSING log
  *         message:
  *           type: string
  *           description: Personalized message content
@@ -36,9 +63,22 @@ const mongoose = require('mongoose');
  *         errorMessage:
  *           type: string
  *           description: Error message if delivery failed
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *           description: Channel the message was sent on
+ *         recipient:
+ *           type: string
+ *           description: Email address, phone number or push token the message was sent to
+ *         vendor:
+ *           type: string
+ *           description: Channel adapter that sent the message
+ *         vendorMessageId:
+ *           type: string
+ *           description: Message ID returned by the vendor
  *         metadata:
  *           type: object
- *           description: Additional properties or vendor response data
+ *           description: Additional properties or vendor response data; suppression holds the suppression list entry that stopped the message
  *         createdAt:
  *           type: date
  *           description: Timestamp when log was created
@@ -51,7 +91,15 @@ const communicationLogSchema = new mongoose.Schema(
     campaignId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Campaign',
-      required: [true, 'Campaign ID is required'],
+      // Journey messages have no campaign
+      required: [function () { return !this.journeyId; }, 'Campaign ID is required'],
+    },
+    journeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Journey',
+    },
+    journeyStep: {
+      type: String,
     },
     customerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -60,9 +108,30 @@ const communicationLogSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['PENDING', 'SENT', 'FAILED'],
+      enum: ['PENDING', 'PROCESSING', 'SENT', 'FAILED', 'RETRYING', 'DEAD_LETTER', 'SUPPRESSED', 'SKIPPED', 'WAITING', 'HELD_OUT'],
       default: 'PENDING',
     },
+    variant: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D', 'E'],
+    },
+    variantPhase: {
+      type: String,
+      enum: ['test', 'winner'],
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+    },
+    leaseOwner: {
+      type: String,
+    },
+    leaseExpiresAt: {
+      type: Date,
+    },
     message: {
       type: String,
     },
@@ -75,6 +144,20 @@ const communicationLogSchema = new mongoose.Schema(
     errorMessage: {
       type: String,
     },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+      default: 'email',
+    },
+    recipient: {
+      type: String,
+    },
+    vendor: {
+      type: String,
+    },
+    vendorMessageId: {
+      type: String,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -90,6 +173,14 @@ communicationLogSchema.index({ campaignId: 1 });
 communicationLogSchema.index({ customerId: 1 });
 communicationLogSchema.index({ status: 1 });
 communicationLogSchema.index({ campaignId: 1, status: 1 });
+// One log per customer in a campaign, so creating a campaign's logs can be retried
+communicationLogSchema.index(
+  { campaignId: 1, customerId: 1 },
+  { unique: true, partialFilterExpression: { campaignId: { $exists: true } } }
+);
+communicationLogSchema.index({ journeyId: 1, journeyStep: 1 });
+communicationLogSchema.index({ status: 1, nextAttemptAt: 1 });
+communicationLogSchema.index({ status: 1, leaseExpiresAt: 1 });
 communicationLogSchema.index({ sentAt: -1 });
 communicationLogSchema.index({ createdAt: -1 });
 
@@ -126,6 +217,88 @@ communicationLogSchema.methods.updateStatus = async function (status, errorMessa
   return this;
 };
 
+// Messages of a campaign not yet delivered, failed, suppressed, skipped or held out, for use in an update pipeline
+const remainingPending = {
+  $max: [
+    0,
+    {
+      $subtract: [
+        '$audienceSize',
+        { $add: ['$stats.delivered', '$stats.failed', '$stats.suppressed', '$stats.skipped', '$stats.heldOut'] },
+      ],
+    },
+  ],
+};
+
+// Static method to skip a campaign's messages that have not been sent, when the campaign is cancelled
+// PROCESSING logs are left to the broker instance sending them unless their lease has expired
+// Only logs that were actually skipped are counted in the campaign's stats, and pending is derived from the counts so it cannot go negative
+// Kept in sync with message-broker/src/models/communicationLog.model.js; resolves to the number of skipped logs
+communicationLogSchema.statics.skipRemaining = async function (campaignId, reason) {
+  const result = await this.updateMany(
+    {
+      campaignId,
+      $or: [
+        { status: { $in: ['PENDING', 'RETRYING', 'WAITING'] } },
+        { status: 'PROCESSING', leaseExpiresAt: { $lte: new Date() } },
+      ],
+    },
+    {
+      $set: { status: 'SKIPPED', errorMessage: reason },
+      $unset: { nextAttemptAt: '', leaseOwner: '', leaseExpiresAt: '' },
+    }
+  );
+  const skipped = result.modifiedCount;
+  
+  if (skipped > 0) {
+    await mongoose.model('Campaign').updateOne({ _id: campaignId }, [
+      { $set: { 'stats.skipped': { $add: ['$stats.skipped', skipped] } } },
+      { $set: { 'stats.pending': remainingPending } },
+    ]);
+  }
+  
+  return skipped;
+};
+
+// Static method to break a campaign's messages down by variant and by test or winner phase
+// Delivery rates are over the messages attempted, leaving out suppressed and skipped ones; click and reply rates are over the messages sent
+// Kept in sync with message-broker/src/models/communicationLog.model.js, which picks the winner from the test phase
+communicationLogSchema.statics.getVariantStats = async function (campaignId) {
+  const countStatus = (statuses) => ({ $sum: { $cond: [{ $in: ['$status', statuses] }, 1, 0] } });
+  const countEvent = (type) => ({ $sum: { $cond: [{ $in: [type, { $ifNull: ['$metadata.events.type', []] }] }, 1, 0] } });
+  
+  const groups = await this.aggregate([
+    { $match: { campaignId, variant: { $exists: true } } },
+    {
+      $group: {
+        _id: { variant: '$variant', phase: '$variantPhase' },
+        total: { $sum: 1 },
+        sent: countStatus(['SENT']),
+        failed: countStatus(['FAILED', 'DEAD_LETTER']),
+        suppressed: countStatus(['SUPPRESSED']),
+        skipped: countStatus(['SKIPPED']),
+        clicked: countEvent('CLICK'),
+        replied: countEvent('REPLY'),
+      },
+    },
+    { $sort: { '_id.variant': 1, '_id.phase': 1 } },
+  ]);
+  
+  return groups.map(({ _id, ...counts }) => {
+    const attempted = counts.total - counts.suppressed - counts.skipped;
+    
+    return {
+      variant: _id.variant,
+      phase: _id.phase,
+      ...counts,
+      pending: attempted - counts.sent - counts.failed,
+      deliveryRate: attempted > 0 ? counts.sent / attempted : 0,
+      clickRate: counts.sent > 0 ? counts.clicked / counts.sent : 0,
+      replyRate: counts.sent > 0 ? counts.replied / counts.sent : 0,
+    };
+  });
+};
+
 // Static method to create batch of logs
 communicationLogSchema.statics.createBatch = async function (campaignId, customerIds, messageTemplate) {
   const logs = customerIds.map(customerId => ({
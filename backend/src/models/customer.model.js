@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { isEmail } = require('validator');
+const { isValidTimezone, resolveTimezone } = require('../utils/timezone');
 
 /**
  * @swagger
@@ -21,12 +22,22 @@ const { isEmail } = require('validator');
  *           type: string
  *           format: email
  *           description: Customer's email address (must be unique)
+ *         externalId:
+ *           type: string
+ *           description: Customer's ID in an external system such as the store or app (must be unique); used to link tracked events
  *         phone:
  *           type: string
  *           description: Customer's phone number
  *         location:
  *           type: string
  *           description: Customer's location or address
+ *         timezone:
+ *           type: string
+ *           description: Customer's IANA time zone, e.g. Asia/Kolkata; when not set, it is derived from the location
+ *         localTimezone:
+ *           type: string
+ *           readOnly: true
+ *           description: Time zone campaigns use for the customer, the explicit one or the one derived from the location; null when neither gives one
  *         tags:
  *           type: array
  *           items:
@@ -34,13 +45,13 @@ const { isEmail } = require('validator');
  *           description: Tags or labels for customer categorization
  *         totalSpend:
  *           type: number
- *           description: Total amount spent by customer
+ *           description: Total amount spent by customer, net of refunds; recomputed from orders
  *         orderCount:
  *           type: number
- *           description: Number of orders placed by customer
+ *           description: Number of orders placed by customer, excluding pending, cancelled and refunded orders; recomputed from orders
  *         lastOrderDate:
  *           type: date
- *           description: Date of customer's most recent order
+ *           description: Date of customer's most recent order; recomputed from orders
  *         avatar:
  *           type: string
  *           format: uri
@@ -52,6 +63,11 @@ const { isEmail } = require('validator');
  *         metadata:
  *           type: object
  *           description: Additional custom properties
+ *         subscriptions:
+ *           type: object
+ *           description: Subscription to each channel (email, sms, whatsapp, push); customers without an entry for a channel are subscribed to it
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/Subscription'
  *         createdAt:
  *           type: date
  *           description: Timestamp when customer was created
@@ -59,6 +75,52 @@ const { isEmail } = require('validator');
  *           type: date
  *           description: Timestamp when customer was last updated
  */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Subscription:
+ *       type: object
+ *       description: A customer's consent to messages on one channel
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [subscribed, unsubscribed]
+ *         source:
+ *           type: string
+ *           enum: [api, link, vendor]
+ *           description: Who changed it, a user, the customer through an unsubscribe link, or the vendor reporting an opt-out
+ *         campaign:
+ *           type: string
+ *           description: Campaign whose message led to the change, for link and vendor changes
+ *         updatedAt:
+ *           type: date
+ *           description: When the status last changed
+ */
+const subscriptionSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['subscribed', 'unsubscribed'],
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['api', 'link', 'vendor'],
+      default: 'api',
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const customerSchema = new mongoose.Schema(
   {
     name: {
@@ -74,6 +136,12 @@ const customerSchema = new mongoose.Schema(
       trim: true,
       validate: [isEmail, 'Please provide a valid email address'],
     },
+    externalId: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
     phone: {
       type: String,
       trim: true,
@@ -82,6 +150,12 @@ const customerSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    timezone: {
+      type: String,
+      trim: true,
+      // Empty clears the time zone, so it is derived from the location again
+      validate: [(value) => !value || isValidTimezone(value), 'Please provide a valid IANA time zone, e.g. Asia/Kolkata'],
+    },
     tags: [String],
     totalSpend: {
       type: Number,
@@ -105,6 +179,12 @@ const customerSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    subscriptions: {
+      email: subscriptionSchema,
+      sms: subscriptionSchema,
+      whatsapp: subscriptionSchema,
+      push: subscriptionSchema,
+    },
   },
   {
     timestamps: true,
@@ -131,6 +211,11 @@ customerSchema.virtual('averageOrderValue').get(function () {
   return this.totalSpend / this.orderCount;
 });
 
+// Virtual for the time zone campaigns use for the customer
+customerSchema.virtual('localTimezone').get(function () {
+  return resolveTimezone(this);
+});
+
 // Virtual for days since last order
 customerSchema.virtual('daysSinceLastOrder').get(function () {
   if (!this.lastOrderDate) return null;
@@ -144,15 +229,63 @@ customerSchema.virtual('daysSinceLastOrder').get(function () {
   return diffDays;
 });
 
-// Method to update customer spend and order statistics
-customerSchema.methods.updateOrderStats = async function (orderAmount) {
-  this.totalSpend += orderAmount;
-  this.orderCount += 1;
-  this.lastOrderDate = new Date();
+// Method to recompute customer spend and order statistics from the customer's orders
+customerSchema.methods.updateOrderStats = async function () {
+  await mongoose.model('Order').refreshCustomerStats(this._id);
+  
+  return this.constructor.findById(this._id);
+};
+
+// Method to check whether the customer has unsubscribed from a channel
+customerSchema.methods.isUnsubscribed = function (channel) {
+  const subscription = this.subscriptions && this.subscriptions[channel];
   
-  await this.save();
+  return Boolean(subscription && subscription.status === 'unsubscribed');
+};
+
+// Static method to change a customer's subscription to a channel, recording the change for the timeline
+customerSchema.statics.setSubscription = async function (customerId, channel, status, { source = 'api', campaign, changedBy } = {}) {
+  const before = await this.findByIdAndUpdate(
+    customerId,
+    { $set: { [`subscriptions.${channel}`]: { status, source, campaign, updatedAt: new Date() } } },
+    { runValidators: true }
+  );
+  
+  if (!before) {
+    return null;
+  }
+  
+  const previous = before.isUnsubscribed(channel) ? 'unsubscribed' : 'subscribed';
+  if (previous !== status) {
+    await mongoose.model('ProfileChange').record(
+      customerId,
+      'updated',
+      [{ field: `subscriptions.${channel}`, from: previous, to: status }],
+      { source, changedBy }
+    );
+  }
+  
+  return this.findById(customerId);
+};
+
+// Static method to build the customer list filter from query parameters
+customerSchema.statics.buildListFilter = function ({ search, isActive } = {}) {
+  const query = {};
+  
+  // Search by name or email
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+    ];
+  }
+  
+  // Filter by active status
+  if (isActive !== undefined) {
+    query.isActive = isActive === true || isActive === 'true';
+  }
   
-  return this;
+  return query;
 };
 
 // Static method to find inactive customers
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomerMerge:
+ *       type: object
+ *       description: Audit record of customers merged into a surviving customer
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         survivor:
+ *           type: string
+ *           description: Customer the others were merged into
+ *         survivorBefore:
+ *           type: object
+ *           description: The surviving customer as it was before the merge
+ *         mergedCustomers:
+ *           type: array
+ *           description: Customers merged into the survivor and deleted, as they were before the merge
+ *           items:
+ *             type: object
+ *         changes:
+ *           type: object
+ *           description: Fields of the survivor changed by the merge, with their new values
+ *         moved:
+ *           type: object
+ *           description: Records moved to the survivor
+ *           properties:
+ *             orders:
+ *               type: number
+ *             communications:
+ *               type: number
+ *             events:
+ *               type: number
+ *         droppedCommunications:
+ *           type: array
+ *           description: Messages of merged customers removed because another of the customers got the same campaign, as they were before the merge
+ *           items:
+ *             type: object
+ *         candidates:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Duplicate candidates resolved by the merge
+ *         mergedBy:
+ *           type: string
+ *           description: User who merged the customers
+ *         createdAt:
+ *           type: date
+ *           description: When the customers were merged
+ */
+const customerMergeSchema = new mongoose.Schema(
+  {
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    survivorBefore: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    mergedCustomers: [mongoose.Schema.Types.Mixed],
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    moved: {
+      orders: { type: Number, default: 0 },
+      communications: { type: Number, default: 0 },
+      events: { type: Number, default: 0 },
+    },
+    droppedCommunications: [mongoose.Schema.Types.Mixed],
+    candidates: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DuplicateCandidate',
+      },
+    ],
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+customerMergeSchema.index({ survivor: 1, createdAt: -1 });
+customerMergeSchema.index({ 'mergedCustomers._id': 1 });
+customerMergeSchema.index({ createdAt: -1 });
+
+const CustomerMerge = mongoose.model('CustomerMerge', customerMergeSchema);
+
+module.exports = CustomerMerge;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DuplicateCandidate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         customers:
+ *           type: array
+ *           description: The two customers that may be the same person
+ *           items:
+ *             $ref: '#/components/schemas/Customer'
+ *         score:
+ *           type: number
+ *           description: Likelihood that the customers are the same person, from 0 to 1
+ *         reasons:
+ *           type: object
+ *           description: Signals the score is made of
+ *           properties:
+ *             phone:
+ *               type: boolean
+ *               description: Whether the normalised phone numbers match
+ *             nameSimilarity:
+ *               type: number
+ *               description: Similarity of the names, from 0 to 1
+ *             location:
+ *               type: boolean
+ *               description: Whether the locations match
+ *         status:
+ *           type: string
+ *           enum: [open, dismissed, merged]
+ *           description: open until the customers are merged or the candidate is dismissed as not a duplicate
+ *         detectedAt:
+ *           type: date
+ *           description: When the last duplicate scan found the candidate
+ *         resolvedAt:
+ *           type: date
+ *         resolvedBy:
+ *           type: string
+ *           description: User who merged or dismissed the candidate
+ */
+const duplicateCandidateSchema = new mongoose.Schema(
+  {
+    customers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+      },
+    ],
+    // Sorted customer IDs joined with ":", so each pair is stored once
+    pairKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 1,
+      required: true,
+    },
+    reasons: {
+      phone: Boolean,
+      nameSimilarity: Number,
+      location: Boolean,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'dismissed', 'merged'],
+      default: 'open',
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+duplicateCandidateSchema.index({ customers: 1 });
+
+// Static method to build the key of a pair of customers
+duplicateCandidateSchema.statics.pairKey = function (customerIds) {
+  return customerIds.map(String).sort().join(':');
+};
+
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
+
+module.exports = DuplicateCandidate;
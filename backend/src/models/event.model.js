@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Event:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: When the event happened
+ *         meta:
+ *           type: object
+ *           properties:
+ *             event:
+ *               type: string
+ *               description: Event name, e.g. page_view, add_to_cart or app_open
+ *             customerId:
+ *               type: string
+ *               nullable: true
+ *               description: Customer the event was linked to, null if no customer matched
+ *             sourceId:
+ *               type: string
+ *               description: Event source whose API key sent the event
+ *         email:
+ *           type: string
+ *           description: Email the event was sent with
+ *         externalId:
+ *           type: string
+ *           description: External customer ID the event was sent with
+ *         properties:
+ *           type: object
+ *           description: Event-specific data, e.g. the product added to the cart
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the event was accepted by the API
+ *     TrackedEvent:
+ *       type: object
+ *       required:
+ *         - event
+ *       description: Event sent to POST /events. At least one of email or externalId is required.
+ *       properties:
+ *         event:
+ *           type: string
+ *           description: "Event name of up to 64 letters, numbers and the characters _ . : -"
+ *           example: add_to_cart
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email of the customer
+ *         externalId:
+ *           type: string
+ *           description: ID of the customer in the sending system
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: When the event happened, defaults to when it was received
+ *         properties:
+ *           type: object
+ *           description: Event-specific data
+ */
+const eventSchema = new mongoose.Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    // Time-series metadata; measurements sharing it are stored together
+    meta: {
+      event: {
+        type: String,
+        required: true,
+      },
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        default: null,
+      },
+      sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EventSource',
+      },
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    externalId: {
+      type: String,
+      trim: true,
+    },
+    properties: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    receivedAt: {
+      type: Date,
+    },
+  },
+  {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'meta',
+      granularity: 'seconds',
+    },
+    ...(config.events.retentionDays > 0
+      ? { expireAfterSeconds: config.events.retentionDays * 24 * 60 * 60 }
+      : {}),
+    versionKey: false,
+  }
+);
+
+// Indexes for segment conditions and the event list
+eventSchema.index({ 'meta.customerId': 1, 'meta.event': 1, timestamp: -1 });
+eventSchema.index({ 'meta.event': 1, timestamp: -1 });
+
+const Event = mongoose.model('Event', eventSchema);
+
+module.exports = Event;
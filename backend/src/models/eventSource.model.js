@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Prefix that marks event source API keys
+const KEY_PREFIX = 'xk_';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventSource:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         name:
+ *           type: string
+ *           description: Source name, e.g. Website or Android app
+ *         keyPreview:
+ *           type: string
+ *           description: First characters of the API key, to tell keys apart
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the API key is accepted; revoked sources are inactive
+ *         lastUsedAt:
+ *           type: date
+ *           description: When the API key last sent events
+ *         createdBy:
+ *           type: string
+ *           description: User who created the source
+ *         createdAt:
+ *           type: date
+ *           description: Timestamp when source was created
+ *         updatedAt:
+ *           type: date
+ *           description: Timestamp when source was last updated
+ */
+const eventSourceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Source name is required'],
+      trim: true,
+    },
+    // Only a hash of the key is stored; the key itself is shown once on creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    keyPreview: {
+      type: String,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+eventSourceSchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Create a source with a new API key
+ * @param {Object} data - Source fields
+ * @returns {Promise<Object>} { source, apiKey } with the plain key, which is not stored
+ */
+eventSourceSchema.statics.createWithKey = async function (data) {
+  const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const source = await this.create({
+    ...data,
+    keyHash: this.hashKey(apiKey),
+    keyPreview: apiKey.slice(0, KEY_PREFIX.length + 6),
+  });
+
+  return { source, apiKey };
+};
+
+/**
+ * Find the active source an API key belongs to
+ * @param {string} apiKey - Plain API key
+ * @returns {Promise<Object|null>} Event source
+ */
+eventSourceSchema.statics.findByKey = function (apiKey) {
+  return this.findOne({ keyHash: this.hashKey(apiKey), isActive: true });
+};
+
+const EventSource = mongoose.model('EventSource', eventSourceSchema);
+
+module.exports = EventSource;
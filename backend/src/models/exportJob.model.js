@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExportJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         source:
+ *           type: string
+ *           enum: [customers, segment]
+ *           description: Whether filtered customers or a segment's audience are exported
+ *         segment:
+ *           type: string
+ *           description: Exported segment, when source is segment
+ *         filters:
+ *           type: object
+ *           description: Customer list filters, when source is customers
+ *           properties:
+ *             search:
+ *               type: string
+ *             isActive:
+ *               type: boolean
+ *         format:
+ *           type: string
+ *           enum: [csv, json]
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Exported columns, in file order
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, completed, failed, expired]
+ *           description: expired once the file has passed expiresAt and been removed
+ *         totalRows:
+ *           type: number
+ *           description: Customers matching the export when it was started
+ *         exportedRows:
+ *           type: number
+ *         progress:
+ *           type: number
+ *           description: Percentage of customers exported
+ *         fileName:
+ *           type: string
+ *           description: Name the file is downloaded as
+ *         fileSize:
+ *           type: number
+ *           description: Size of the file in bytes
+ *         downloadUrl:
+ *           type: string
+ *           description: Path the file can be downloaded from, once completed
+ *         error:
+ *           type: string
+ *           description: Why the export failed, when status is failed
+ *         startedAt:
+ *           type: date
+ *         completedAt:
+ *           type: date
+ *         expiresAt:
+ *           type: date
+ *           description: When the file is removed
+ *         createdBy:
+ *           type: string
+ *           description: User who started the export
+ *         createdAt:
+ *           type: date
+ *         updatedAt:
+ *           type: date
+ */
+const exportJobSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ['customers', 'segment'],
+      required: true,
+    },
+    segment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Segment',
+    },
+    filters: {
+      search: String,
+      isActive: Boolean,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'json'],
+      default: 'csv',
+    },
+    columns: [String],
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+      default: 'queued',
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    exportedRows: {
+      type: Number,
+      default: 0,
+    },
+    fileName: {
+      type: String,
+    },
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileSize: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+exportJobSchema.index({ createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for percentage of customers exported
+exportJobSchema.virtual('progress').get(function () {
+  if (this.status === 'completed' || this.status === 'expired') return 100;
+  if (!this.totalRows) return 0;
+
+  return Math.min(100, Math.round((this.exportedRows / this.totalRows) * 100));
+});
+
+// Virtual for the download path of a completed export
+exportJobSchema.virtual('downloadUrl').get(function () {
+  return this.status === 'completed' ? `/api/exports/${this._id}/download` : null;
+});
+
+// Method to check whether the export's file can no longer be downloaded
+exportJobSchema.methods.isExpired = function () {
+  return this.status === 'expired' || Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+module.exports = ExportJob;
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         source:
+ *           type: string
+ *           enum: [file, api]
+ *           description: Whether customers came from an uploaded file or POST /customers/bulk
+ *         fileName:
+ *           type: string
+ *           description: Name of the uploaded file
+ *         format:
+ *           type: string
+ *           enum: [csv, json]
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Columns found in the file
+ *         sampleRows:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items: {}
+ *           description: First rows of the file, with values in column order, shown when mapping columns
+ *         suggestedMapping:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImportColumnMapping'
+ *           description: Customer field per column, guessed from the column names
+ *         mapping:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImportColumnMapping'
+ *           description: Customer field per column, as confirmed when the import was started
+ *         status:
+ *           type: string
+ *           enum: [awaiting_mapping, queued, processing, completed, failed]
+ *           description: awaiting_mapping until the mapping is confirmed, then queued, processing and completed
+ *         totalRows:
+ *           type: number
+ *           nullable: true
+ *           description: Number of rows in the file, known once every row has been read
+ *         processedRows:
+ *           type: number
+ *         createdCount:
+ *           type: number
+ *           description: Customers created
+ *         updatedCount:
+ *           type: number
+ *           description: Existing customers with the same email that were updated
+ *         failedCount:
+ *           type: number
+ *         progress:
+ *           type: number
+ *           description: Percentage of rows processed
+ *         rowErrors:
+ *           type: array
+ *           description: Rows that could not be imported (the first 1000)
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: number
+ *                 description: Position of the row in the file, starting at 1 after the header
+ *               email:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         error:
+ *           type: string
+ *           description: Why the import failed, when status is failed
+ *         startedAt:
+ *           type: date
+ *         completedAt:
+ *           type: date
+ *         createdBy:
+ *           type: string
+ *           description: User who started the import
+ *         createdAt:
+ *           type: date
+ *         updatedAt:
+ *           type: date
+ *     ImportColumnMapping:
+ *       type: object
+ *       properties:
+ *         column:
+ *           type: string
+ *           description: Column of the file
+ *         field:
+ *           type: string
+ *           description: Customer field the column is imported into, metadata.<key> for a custom property, or empty to skip the column
+ */
+const columnMappingSchema = new mongoose.Schema(
+  {
+    column: String,
+    field: String,
+  },
+  { _id: false }
+);
+
+const rowErrorSchema = new mongoose.Schema(
+  {
+    row: Number,
+    email: String,
+    message: String,
+  },
+  { _id: false }
+);
+
+const importJobSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ['file', 'api'],
+      default: 'file',
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'json'],
+    },
+    filePath: {
+      type: String,
+      select: false,
+    },
+    columns: [String],
+    sampleRows: [mongoose.Schema.Types.Mixed],
+    suggestedMapping: [columnMappingSchema],
+    mapping: [columnMappingSchema],
+    status: {
+      type: String,
+      enum: ['awaiting_mapping', 'queued', 'processing', 'completed', 'failed'],
+      default: 'awaiting_mapping',
+    },
+    // Unknown until every row has been read and queued
+    totalRows: {
+      type: Number,
+      default: null,
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    createdCount: {
+      type: Number,
+      default: 0,
+    },
+    updatedCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    rowErrors: [rowErrorSchema],
+    // Chunks already counted, so a redelivered chunk is not counted twice
+    processedChunks: {
+      type: [Number],
+      select: false,
+    },
+    rowsQueuedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+importJobSchema.index({ createdAt: -1 });
+importJobSchema.index({ status: 1 });
+
+// Virtual for percentage of rows processed
+importJobSchema.virtual('progress').get(function () {
+  if (this.status === 'completed') return 100;
+  if (!this.totalRows) return 0;
+
+  return Math.min(100, Math.round((this.processedRows / this.totalRows) * 100));
+});
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Journey:
+ *       type: object
+ *       required:
+ *         - name
+ *       description: Multi-step journey, a graph of steps each enrolled customer moves through
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         name:
+ *           type: string
+ *           description: Journey name
+ *         description:
+ *           type: string
+ *           description: Journey description
+ *         status:
+ *           type: string
+ *           enum: [Draft, Active, Paused, Archived]
+ *           default: Draft
+ *           readOnly: true
+ *           description: Journey status; customers only enter and move through Active journeys. Changed through the activate, pause and archive actions
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *           default: email
+ *           description: Channel of send steps that don't name one
+ *         entry:
+ *           $ref: '#/components/schemas/JourneyEntry'
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/JourneyStep'
+ *         startStep:
+ *           type: string
+ *           description: Key of the step customers enter at
+ *         stats:
+ *           type: object
+ *           readOnly: true
+ *           properties:
+ *             enrolled:
+ *               type: number
+ *               description: Number of customers who entered the journey
+ *             active:
+ *               type: number
+ *               description: Number of customers in the journey now
+ *             completed:
+ *               type: number
+ *               description: Number of customers who reached an exit step
+ *             exited:
+ *               type: number
+ *               description: Number of customers taken out of the journey before reaching an exit step, e.g. when it was archived
+ *         activatedAt:
+ *           type: date
+ *           description: When the journey was first activated
+ *         archivedAt:
+ *           type: date
+ *           description: When the journey was archived
+ *         createdBy:
+ *           type: string
+ *           description: User who created the journey
+ *         createdAt:
+ *           type: date
+ *           description: Timestamp when journey was created
+ *         updatedAt:
+ *           type: date
+ *           description: Timestamp when journey was last updated
+ *     JourneyEntry:
+ *       type: object
+ *       description: How customers enter a journey
+ *       properties:
+ *         source:
+ *           type: string
+ *           enum: [segment, event]
+ *           default: segment
+ *           description: segment enrolls customers as they come to match the segment; event enrolls a customer each time they send the event
+ *         segmentId:
+ *           type: string
+ *           description: Segment whose members enter the journey, for segment entry
+ *         event:
+ *           type: string
+ *           description: Event name that enrolls the customer who sent it, for event entry
+ *         allowReentry:
+ *           type: boolean
+ *           default: false
+ *           description: Whether customers who left an event journey enter it again when they next send the event. Segment members enter a journey once, and a customer is never in a journey twice at once
+ *     JourneyStep:
+ *       type: object
+ *       required:
+ *         - key
+ *         - type
+ *       description: One step of a journey. Steps point at the steps that follow them by key.
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Key of the step, unique within the journey
+ *         type:
+ *           type: string
+ *           enum: [send, wait, wait_event, branch, exit]
+ *           description: send sends a message; wait waits for a duration; wait_event waits for the customer to send an event, for at most a duration if one is given; branch checks a condition; exit ends the journey
+ *         name:
+ *           type: string
+ *           description: Label shown in the journey editor
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *           description: Channel of a send step; the journey's if not given
+ *         message:
+ *           type: string
+ *           description: Message template of a send step
+ *         subject:
+ *           type: string
+ *           description: Subject line template of a send step, used by email
+ *         duration:
+ *           type: number
+ *           minimum: 0
+ *           description: How long a wait step waits, or how long a wait_event step waits before timing out
+ *         unit:
+ *           type: string
+ *           enum: [minutes, hours, days]
+ *           default: hours
+ *           description: Unit of the duration
+ *         event:
+ *           type: string
+ *           description: Event name a wait_event step waits for
+ *         branchOn:
+ *           type: string
+ *           enum: [segment, engagement]
+ *           description: What a branch step checks; segment checks whether the customer matches segmentId, engagement checks the message the journey last sent them
+ *         segmentId:
+ *           type: string
+ *           description: Segment a segment branch checks
+ *         engagement:
+ *           type: string
+ *           enum: [delivered, clicked, replied]
+ *           description: Engagement with the last message an engagement branch checks for
+ *         next:
+ *           type: string
+ *           description: Key of the next step; for wait_event steps the step after the event, for branch steps the step when the condition holds
+ *         otherwise:
+ *           type: string
+ *           description: For wait_event steps the step after a timeout, for branch steps the step when the condition does not hold
+ *         position:
+ *           type: object
+ *           description: Where the step is drawn in the journey editor
+ *           properties:
+ *             x:
+ *               type: number
+ *             y:
+ *               type: number
+ */
+const stepSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Step key is required'],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['send', 'wait', 'wait_event', 'branch', 'exit'],
+      required: [true, 'Step type is required'],
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+    },
+    message: {
+      type: String,
+    },
+    subject: {
+      type: String,
+      trim: true,
+    },
+    duration: {
+      type: Number,
+      min: 0,
+    },
+    unit: {
+      type: String,
+      enum: ['minutes', 'hours', 'days'],
+      default: 'hours',
+    },
+    event: {
+      type: String,
+      trim: true,
+    },
+    branchOn: {
+      type: String,
+      enum: ['segment', 'engagement'],
+    },
+    segmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Segment',
+    },
+    engagement: {
+      type: String,
+      enum: ['delivered', 'clicked', 'replied'],
+    },
+    next: {
+      type: String,
+    },
+    otherwise: {
+      type: String,
+    },
+    position: {
+      x: { type: Number, default: 0 },
+      y: { type: Number, default: 0 },
+    },
+  },
+  { _id: false }
+);
+
+const journeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Journey name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['Draft', 'Active', 'Paused', 'Archived'],
+      default: 'Draft',
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+      default: 'email',
+    },
+    entry: {
+      source: {
+        type: String,
+        enum: ['segment', 'event'],
+        default: 'segment',
+      },
+      segmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Segment',
+      },
+      event: {
+        type: String,
+        trim: true,
+      },
+      allowReentry: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    steps: [stepSchema],
+    startStep: {
+      type: String,
+    },
+    stats: {
+      enrolled: {
+        type: Number,
+        default: 0,
+      },
+      active: {
+        type: Number,
+        default: 0,
+      },
+      completed: {
+        type: Number,
+        default: 0,
+      },
+      exited: {
+        type: Number,
+        default: 0,
+      },
+    },
+    activatedAt: {
+      type: Date,
+    },
+    archivedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Statuses a journey can move to from each status
+const STATUS_TRANSITIONS = {
+  Draft: ['Active', 'Archived'],
+  Active: ['Paused', 'Archived'],
+  Paused: ['Active', 'Archived'],
+  Archived: [],
+};
+
+// Indexes for performance
+journeySchema.index({ status: 1 });
+journeySchema.index({ 'entry.source': 1, 'entry.event': 1, status: 1 });
+journeySchema.index({ createdAt: -1 });
+
+// Method to find a step by key
+journeySchema.methods.getStep = function (key) {
+  return this.steps.find((step) => step.key === key);
+};
+
+// Method to check the journey can move to a status
+journeySchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Static method to move a journey to a status, if the state machine allows it from its current status
+// Resolves to the updated journey, or null when the journey is missing or cannot make the move
+journeySchema.statics.transition = function (id, status, update = {}) {
+  const allowed = Object.keys(STATUS_TRANSITIONS).filter((current) => STATUS_TRANSITIONS[current].includes(status));
+
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: allowed } },
+    { ...update, $set: { ...update.$set, status } },
+    { new: true }
+  );
+};
+
+const Journey = mongoose.model('Journey', journeySchema);
+
+module.exports = Journey;
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JourneyEnrollment:
+ *       type: object
+ *       description: A customer's way through a journey. The broker advances enrollments whose nextRunAt has come, so they survive restarts.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         journeyId:
+ *           type: string
+ *           description: Journey the customer is in
+ *         customerId:
+ *           type: string
+ *           description: Enrolled customer
+ *         status:
+ *           type: string
+ *           enum: [active, completed, exited]
+ *           description: active enrollments are in the journey; completed ones reached an exit step; exited ones were taken out, e.g. when the journey was archived
+ *         currentStep:
+ *           type: string
+ *           description: Key of the step the customer is at
+ *         stepEnteredAt:
+ *           type: date
+ *           description: When the customer reached the current step
+ *         nextRunAt:
+ *           type: date
+ *           description: When the broker next advances the customer; not set while waiting for an event without a timeout
+ *         waitingForEvent:
+ *           type: string
+ *           description: Event the customer is waiting to send, at a wait_event step
+ *         lastLogId:
+ *           type: string
+ *           description: Communication log of the last message the journey sent the customer, checked by engagement branches
+ *         source:
+ *           type: string
+ *           enum: [segment, event]
+ *           description: How the customer entered the journey
+ *         history:
+ *           type: array
+ *           description: Steps the customer went through, most recent last
+ *           items:
+ *             type: object
+ *             properties:
+ *               step:
+ *                 type: string
+ *                 description: Step key
+ *               at:
+ *                 type: date
+ *                 description: When the step was left
+ *               outcome:
+ *                 type: string
+ *                 description: What happened at the step, e.g. sent, waited, event, timeout, yes or no
+ *         exitReason:
+ *           type: string
+ *           description: Why the customer was taken out of the journey
+ *         enrolledAt:
+ *           type: date
+ *           description: When the customer entered the journey
+ *         completedAt:
+ *           type: date
+ *           description: When the customer completed or exited the journey
+ */
+const journeyEnrollmentSchema = new mongoose.Schema(
+  {
+    journeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Journey',
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'exited'],
+      default: 'active',
+    },
+    currentStep: {
+      type: String,
+    },
+    stepEnteredAt: {
+      type: Date,
+    },
+    nextRunAt: {
+      type: Date,
+    },
+    waitingForEvent: {
+      type: String,
+    },
+    lastLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunicationLog',
+    },
+    source: {
+      type: String,
+      enum: ['segment', 'event'],
+    },
+    history: [
+      {
+        _id: false,
+        step: { type: String },
+        at: { type: Date },
+        outcome: { type: String },
+      },
+    ],
+    exitReason: {
+      type: String,
+    },
+    leaseOwner: {
+      type: String,
+    },
+    leaseExpiresAt: {
+      type: Date,
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A customer is only in a journey once at a time
+journeyEnrollmentSchema.index(
+  { journeyId: 1, customerId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Indexes for the broker's journey scheduler and the enrollment list
+journeyEnrollmentSchema.index({ status: 1, nextRunAt: 1 });
+journeyEnrollmentSchema.index({ customerId: 1, status: 1, waitingForEvent: 1 });
+journeyEnrollmentSchema.index({ journeyId: 1, status: 1, enrolledAt: -1 });
+
+// Static method to take a journey's customers out of it
+// Resolves to the number of enrollments that were exited
+journeyEnrollmentSchema.statics.exitAll = async function (journeyId, reason) {
+  const result = await this.updateMany(
+    { journeyId, status: 'active' },
+    {
+      $set: { status: 'exited', exitReason: reason, completedAt: new Date() },
+      $unset: { nextRunAt: '', waitingForEvent: '', leaseOwner: '', leaseExpiresAt: '' },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+const JourneyEnrollment = mongoose.model('JourneyEnrollment', journeyEnrollmentSchema);
+
+module.exports = JourneyEnrollment;
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       required:
+ *         - customerId
+ *         - orderNumber
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         customerId:
+ *           type: string
+ *           description: Customer who placed the order
+ *         orderNumber:
+ *           type: string
+ *           description: Order number from the store (must be unique); resubmitting an order with the same number updates it
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *           description: Line items
+ *         amount:
+ *           type: number
+ *           description: Order total; calculated from the line items when not provided
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, fulfilled, partially_refunded, refunded, cancelled]
+ *           default: paid
+ *           description: Order status
+ *         refundedAmount:
+ *           type: number
+ *           description: Amount refunded so far; equals the amount once the order is refunded
+ *         placedAt:
+ *           type: date
+ *           description: When the order was placed in the store
+ *         cancelledAt:
+ *           type: date
+ *           description: When the order was cancelled
+ *         refundedAt:
+ *           type: date
+ *           description: When the latest refund was recorded
+ *         source:
+ *           type: string
+ *           description: Store or system the order came from
+ *         metadata:
+ *           type: object
+ *           description: Additional custom properties
+ *         createdAt:
+ *           type: date
+ *           description: Timestamp when order was created
+ *         updatedAt:
+ *           type: date
+ *           description: Timestamp when order was last updated
+ *     OrderItem:
+ *       type: object
+ *       required:
+ *         - name
+ *         - unitPrice
+ *       properties:
+ *         sku:
+ *           type: string
+ *           description: Product SKU
+ *         name:
+ *           type: string
+ *           description: Product name
+ *         category:
+ *           type: string
+ *           description: Product category
+ *         quantity:
+ *           type: number
+ *           default: 1
+ *           description: Units ordered
+ *         unitPrice:
+ *           type: number
+ *           description: Price per unit
+ */
+
+// Orders that count towards a customer's spend, order count and last order date.
+// Pending orders are not paid yet; refunded and cancelled orders are void.
+const COUNTED_STATUSES = ['paid', 'fulfilled', 'partially_refunded'];
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Item name is required'],
+      trim: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Quantity must be at least 1'],
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, 'Item unit price is required'],
+      min: [0, 'Unit price cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer ID is required'],
+    },
+    orderNumber: {
+      type: String,
+      required: [true, 'Order number is required'],
+      unique: true,
+      trim: true,
+    },
+    items: [orderItemSchema],
+    amount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative'],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: config.orders.currency,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'fulfilled', 'partially_refunded', 'refunded', 'cancelled'],
+      default: 'paid',
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refunded amount cannot be negative'],
+    },
+    placedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    refundedAt: {
+      type: Date,
+    },
+    source: {
+      type: String,
+      trim: true,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+orderSchema.index({ customerId: 1, placedAt: -1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ placedAt: -1 });
+
+// Virtual for the amount the customer kept paying for
+orderSchema.virtual('netAmount').get(function () {
+  return (this.amount || 0) - (this.refundedAmount || 0);
+});
+
+// Derive the amount from line items and keep refunds consistent with the status
+orderSchema.pre('validate', function (next) {
+  if (this.amount === undefined || this.amount === null) {
+    this.amount = this.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+  }
+
+  if (this.status === 'refunded') {
+    this.refundedAmount = this.amount;
+  }
+
+  if (this.refundedAmount > this.amount) {
+    this.invalidate('refundedAmount', 'Refunded amount cannot exceed the order amount');
+  }
+
+  if (this.isModified('status')) {
+    if (this.status === 'cancelled' && !this.cancelledAt) {
+      this.cancelledAt = new Date();
+    }
+    if (['refunded', 'partially_refunded'].includes(this.status) && !this.refundedAt) {
+      this.refundedAt = new Date();
+    }
+  }
+
+  next();
+});
+
+/**
+ * Filter selecting the orders that count towards customer aggregates and order segment conditions
+ * @returns {Object} MongoDB query
+ */
+orderSchema.statics.countedOrderMatch = function () {
+  return {
+    status: { $in: COUNTED_STATUSES },
+    currency: config.orders.currency,
+  };
+};
+
+/**
+ * Recompute totalSpend, orderCount and lastOrderDate of customers from their orders.
+ * Only paid, fulfilled and partially refunded orders in the store currency count,
+ * net of refunds.
+ * @param {Array<string>|string} customerIds - Customers to update
+ * @returns {Promise<number>} Number of customers updated
+ */
+orderSchema.statics.refreshCustomerStats = async function (customerIds) {
+  const Customer = mongoose.model('Customer');
+  const ids = [].concat(customerIds).map((id) => new mongoose.Types.ObjectId(String(id)));
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const stats = await this.aggregate([
+    { $match: { ...this.countedOrderMatch(), customerId: { $in: ids } } },
+    {
+      $group: {
+        _id: '$customerId',
+        totalSpend: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+        orderCount: { $sum: 1 },
+        lastOrderDate: { $max: '$placedAt' },
+      },
+    },
+  ]);
+
+  const statsById = new Map(stats.map((entry) => [String(entry._id), entry]));
+
+  // Customers without counted orders are reset
+  const operations = ids.map((id) => {
+    const entry = statsById.get(String(id));
+
+    return {
+      updateOne: {
+        filter: { _id: id },
+        update: entry
+          ? { $set: { totalSpend: entry.totalSpend, orderCount: entry.orderCount, lastOrderDate: entry.lastOrderDate } }
+          : { $set: { totalSpend: 0, orderCount: 0 }, $unset: { lastOrderDate: '' } },
+      },
+    };
+  });
+
+  const result = await Customer.bulkWrite(operations, { ordered: false });
+
+  return result.matchedCount;
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Customer fields whose changes are recorded
+const TRACKED_FIELDS = ['name', 'email', 'externalId', 'phone', 'location', 'timezone', 'tags', 'isActive', 'avatar', 'metadata', 'subscriptions'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProfileChange:
+ *       type: object
+ *       description: A change to a customer's profile
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         customerId:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [created, updated, merged]
+ *         source:
+ *           type: string
+ *           enum: [api, import, merge, link, vendor]
+ *           description: What made the change; link is the customer using an unsubscribe link and vendor an opt-out reported by a vendor
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ *         importJob:
+ *           type: string
+ *           description: Import that made the change, when source is import
+ *         merge:
+ *           type: string
+ *           description: Merge audit record, when action is merged
+ *         changedBy:
+ *           type: string
+ *           description: User who made the change, if known
+ *         createdAt:
+ *           type: date
+ *           description: When the change was made
+ */
+const profileChangeSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer ID is required'],
+    },
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'merged'],
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['api', 'import', 'merge', 'link', 'vendor'],
+      default: 'api',
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    importJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportJob',
+    },
+    merge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerMerge',
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for performance
+profileChangeSchema.index({ customerId: 1, createdAt: -1 });
+
+// Static method to list the tracked fields that differ between two versions of a customer
+profileChangeSchema.statics.diff = function (before, after) {
+  return TRACKED_FIELDS
+    .filter((field) => JSON.stringify((before || {})[field] ?? null) !== JSON.stringify((after || {})[field] ?? null))
+    .map((field) => ({ field, from: (before || {})[field] ?? null, to: (after || {})[field] ?? null }));
+};
+
+// Static method to record a change; updates that changed nothing are skipped
+profileChangeSchema.statics.record = async function (customerId, action, changes, details = {}) {
+  if (action === 'updated' && changes.length === 0) {
+    return null;
+  }
+
+  return this.create({ customerId, action, changes, ...details });
+};
+
+const ProfileChange = mongoose.model('ProfileChange', profileChangeSchema);
+
+module.exports = ProfileChange;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { validateRules, normalizeRules, compileRules } = require('../utils/segmentRules');
 
 /**
  * @swagger
@@ -20,27 +21,7 @@ const mongoose = require('mongoose');
  *           type: string
  *           description: Segment description
  *         rules:
- *           type: object
- *           description: Rules for customer segmentation
- *           properties:
- *             conditionType:
- *               type: string
- *               enum: [AND, OR]
- *               description: Logic for combining conditions
- *             conditions:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   field:
- *                     type: string
- *                     description: Field to filter on
- *                   operator:
- *                     type: string
- *                     description: Comparison operator
- *                   value:
- *                     type: string
- *                     description: Value to compare against
+ *           $ref: '#/components/schemas/RuleGroup'
  *         audienceSize:
  *           type: number
  *           description: Cached audience size
@@ -70,6 +51,54 @@ const mongoose = require('mongoose');
  *         updatedAt:
  *           type: date
  *           description: Timestamp when segment was last updated
+ *     RuleGroup:
+ *       type: object
+ *       description: Group of conditions combined with AND/OR logic. Groups can be nested.
+ *       properties:
+ *         conditionType:
+ *           type: string
+ *           enum: [AND, OR]
+ *           description: Logic for combining conditions
+ *         conditions:
+ *           type: array
+ *           items:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/RuleCondition'
+ *               - $ref: '#/components/schemas/RuleGroup'
+ *     RuleCondition:
+ *       type: object
+ *       properties:
+ *         field:
+ *           type: string
+ *           description: Field to filter on
+ *         operator:
+ *           type: string
+ *           description: Comparison operator
+ *         value:
+ *           description: Value to compare against
+ *         scope:
+ *           $ref: '#/components/schemas/ConditionScope'
+ *     ConditionScope:
+ *       type: object
+ *       description: Narrows a condition on a computed field to matching orders or events. Order fields (orders.count, orders.spend, orders.averageValue) take product, category and period; events.count takes event and period; events.lastOccurred takes event.
+ *       properties:
+ *         event:
+ *           type: string
+ *           description: Only tracked events with this name, e.g. add_to_cart
+ *         product:
+ *           type: string
+ *           description: Only orders with an item of this SKU or name; spend counts only those items
+ *         category:
+ *           type: string
+ *           description: Only orders with an item in this category; spend counts only those items
+ *         period:
+ *           type: string
+ *           enum: [allTime, lastDays, thisMonth, lastMonth, thisQuarter, lastQuarter, thisYear, lastYear]
+ *           default: allTime
+ *           description: Time window the orders were placed in or the events happened
+ *         days:
+ *           type: integer
+ *           description: Number of days, required when period is lastDays
  */
 const segmentSchema = new mongoose.Schema(
   {
@@ -88,22 +117,8 @@ const segmentSchema = new mongoose.Schema(
         enum: ['AND', 'OR'],
         default: 'AND',
       },
-      conditions: [
-        {
-          field: {
-            type: String,
-            required: [true, 'Condition field is required'],
-          },
-          operator: {
-            type: String,
-            required: [true, 'Condition operator is required'],
-          },
-          value: {
-            type: mongoose.Schema.Types.Mixed,
-            required: [true, 'Condition value is required'],
-          },
-        },
-      ],
+      // Conditions or nested groups, validated as a tree before saving
+      conditions: [mongoose.Schema.Types.Mixed],
     },
     audienceSize: {
       type: Number,
@@ -142,6 +157,18 @@ segmentSchema.index({ createdBy: 1 });
 segmentSchema.index({ isActive: 1 });
 segmentSchema.index({ tags: 1 });
 
+// Validate the rule tree and coerce condition values before saving
+segmentSchema.pre('validate', function (next) {
+  const errors = validateRules(this.rules);
+
+  if (errors.length > 0) {
+    this.invalidate('rules', errors.map((error) => `${error.path}: ${error.message}`).join('; '));
+  } else {
+    this.rules = normalizeRules(this.rules);
+  }
+
+  next();
+});
 
 // Populate created by user when querying segments
 segmentSchema.pre(/^find/, function (next) {
@@ -153,100 +180,18 @@ segmentSchema.pre(/^find/, function (next) {
   next();
 });
 
-// Convert rules to MongoDB query
+// Convert rules to MongoDB query, resolving order and event conditions against their collections
 segmentSchema.methods.toMongoQuery = function () {
-  // Build array of condition queries
-  const conditionQueries = this.rules.conditions.map((condition) => {
-    const query = {};
-    
-    // Handle different operators
-    switch (condition.operator) {
-      case 'equals':
-        query[condition.field] = condition.value;
-        break;
-      case 'notEquals':
-        query[condition.field] = { $ne: condition.value };
-        break;
-      case 'contains':
-        query[condition.field] = { $regex: condition.value, $options: 'i' };
-        break;
-      case 'startsWith':
-        query[condition.field] = { $regex: `^${condition.value}`, $options: 'i' };
-        break;
-      case 'endsWith':
-        query[condition.field] = { $regex: `${condition.value}$`, $options: 'i' };
-        break;
-      case 'greaterThan':
-        query[condition.field] = { $gt: condition.value };
-        break;
-      case 'lessThan':
-        query[condition.field] = { $lt: condition.value };
-        break;
-      case 'greaterThanOrEqual':
-        query[condition.field] = { $gte: condition.value };
-        break;
-      case 'lessThanOrEqual':
-        query[condition.field] = { $lte: condition.value };
-        break;
-      case 'between':
-        if (Array.isArray(condition.value) && condition.value.length >= 2) {
-          query[condition.field] = { 
-            $gte: condition.value[0], 
-            $lte: condition.value[1] 
-          };
-        }
-        break;
-      case 'inLast':
-        const days = parseInt(condition.value);
-        if (!isNaN(days)) {
-          const date = new Date();
-          date.setDate(date.getDate() - days);
-          query[condition.field] = { $gte: date };
-        }
-        break;
-      case 'notInLast':
-        const dayCount = parseInt(condition.value);
-        if (!isNaN(dayCount)) {
-          const date = new Date();
-          date.setDate(date.getDate() - dayCount);
-          query[condition.field] = { $lt: date };
-        }
-        break;
-      case 'isNull':
-        query[condition.field] = null;
-        break;
-      case 'isNotNull':
-        query[condition.field] = { $ne: null };
-        break;
-      case 'exists':
-        query[condition.field] = { $exists: true };
-        break;
-      case 'notExists':
-        query[condition.field] = { $exists: false };
-        break;
-      default:
-        // Default to equals for unknown operators
-        query[condition.field] = condition.value;
-    }
-    
-    return query;
+  return compileRules(this.rules, {
+    Order: mongoose.model('Order'),
+    Event: mongoose.model('Event'),
   });
-  
-  // Combine conditions based on AND/OR logic
-  let finalQuery = {};
-  if (this.rules.conditionType === 'AND') {
-    finalQuery = { $and: conditionQueries };
-  } else {
-    finalQuery = { $or: conditionQueries };
-  }
-  
-  return finalQuery;
 };
 
 // Method to refresh audience size
 segmentSchema.methods.refreshAudienceSize = async function () {
   const Customer = mongoose.model('Customer');
-  const query = this.toMongoQuery();
+  const query = await this.toMongoQuery();
 
   // Log the query for debugging
   console.log('Refreshing audience size with query:', query);
@@ -358,10 +303,10 @@ segmentSchema.statics.previewSegment = async function (segmentId, rules) {
     if (!segment) {
       throw new Error('Segment not found');
     }
-    query = segment.toMongoQuery();
+    query = await segment.toMongoQuery();
   } else if (rules) {
     const tempSegment = new this({ name: 'Temporary', rules });
-    query = tempSegment.toMongoQuery();
+    query = await tempSegment.toMongoQuery();
   } else {
     throw new Error('Either segmentId or rules must be provided');
   }
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+// What a suppression matches: one email address, one phone number, or every address at a domain
+const TYPES = ['email', 'phone', 'domain'];
+
+const REASONS = ['hard_bounce', 'complaint', 'competitor', 'legal_hold', 'other'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Suppression:
+ *       type: object
+ *       description: An email address, phone number or domain that campaigns never send to, whatever the customer's subscriptions
+ *       required:
+ *         - type
+ *         - value
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         type:
+ *           type: string
+ *           enum: [email, phone, domain]
+ *         value:
+ *           type: string
+ *           description: Email address, phone number (its last 10 digits) or domain, stored normalised. A domain also matches its subdomains.
+ *         reason:
+ *           type: string
+ *           enum: [hard_bounce, complaint, competitor, legal_hold, other]
+ *         note:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [api, upload, bounce]
+ *           description: How the entry was added; bounce entries come from hard bounces reported in delivery receipts
+ *         campaign:
+ *           type: string
+ *           description: Campaign whose message bounced, for bounce entries
+ *         communicationLog:
+ *           type: string
+ *           description: Communication log that bounced, for bounce entries
+ *         createdBy:
+ *           type: string
+ *           description: User who added the entry, if any
+ *         createdAt:
+ *           type: date
+ *         updatedAt:
+ *           type: date
+ */
+const suppressionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: TYPES,
+      required: [true, 'Suppression type is required'],
+    },
+    value: {
+      type: String,
+      required: [true, 'Suppressed value is required'],
+      trim: true,
+    },
+    reason: {
+      type: String,
+      enum: REASONS,
+      default: 'other',
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot be more than 500 characters'],
+    },
+    source: {
+      type: String,
+      enum: ['api', 'upload', 'bounce'],
+      default: 'api',
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+    },
+    communicationLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunicationLog',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+suppressionSchema.index({ type: 1, value: 1 }, { unique: true });
+suppressionSchema.index({ reason: 1, createdAt: -1 });
+
+// Static method to normalise a value for its type; gives null when the value is not valid for it
+suppressionSchema.statics.normalize = function (type, value) {
+  const text = String(value ?? '').trim().toLowerCase();
+
+  switch (type) {
+    case 'email':
+      return EMAIL_PATTERN.test(text) ? text : null;
+    case 'domain': {
+      const domain = text.replace(/^@/, '');
+      return DOMAIN_PATTERN.test(domain) ? domain : null;
+    }
+    case 'phone': {
+      // The last 10 digits, so formatting and country codes don't matter
+      const digits = text.replace(/\D/g, '');
+      return digits.length >= 7 ? digits.slice(-10) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Static method to tell the type of a value, e.g. from an uploaded list without a type column
+suppressionSchema.statics.detectType = function (value) {
+  const text = String(value ?? '').trim();
+
+  if (text.includes('@') && !text.startsWith('@')) return 'email';
+  if (/^\+?[\d\s().-]+$/.test(text)) return 'phone';
+  return 'domain';
+};
+
+// Static method to suppress the recipient of a message that hard bounced; existing entries are kept
+suppressionSchema.statics.addBounce = async function (log) {
+  // Only email addresses and phone numbers are suppressed; other recipients, e.g. push tokens, are left alone
+  const type = this.detectType(log.recipient);
+  const value = type === 'domain' ? null : this.normalize(type, log.recipient);
+
+  if (!value) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { type, value },
+    {
+      $setOnInsert: {
+        reason: 'hard_bounce',
+        source: 'bounce',
+        note: log.errorMessage,
+        campaign: log.campaignId,
+        communicationLog: log._id,
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Normalise the value before saving
+suppressionSchema.pre('validate', function (next) {
+  if (this.isModified('value') || this.isModified('type')) {
+    const value = this.constructor.normalize(this.type, this.value);
+
+    if (!value) {
+      this.invalidate('value', `'${this.value}' is not a valid ${this.type}`, this.value);
+    } else {
+      this.value = value;
+    }
+  }
+
+  next();
+});
+
+const Suppression = mongoose.model('Suppression', suppressionSchema);
+
+module.exports = Suppression;
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const { validateTemplate } = require('../utils/messageTemplate');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Template:
+ *       type: object
+ *       required:
+ *         - name
+ *         - channel
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         name:
+ *           type: string
+ *           description: Template name
+ *         description:
+ *           type: string
+ *           description: Template description
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *           description: Channel the template is written for
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Tags or categories for the template
+ *         currentVersion:
+ *           type: number
+ *           description: Latest version number
+ *         versions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TemplateVersion'
+ *           description: Every version of the content, oldest first
+ *         createdBy:
+ *           type: string
+ *           description: User who created the template
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the template is offered for new campaigns
+ *         createdAt:
+ *           type: date
+ *           description: Timestamp when template was created
+ *         updatedAt:
+ *           type: date
+ *           description: Timestamp when template was last updated
+ *     TemplateVersion:
+ *       type: object
+ *       description: Immutable snapshot of a template's content. Bodies use the message template syntax.
+ *       properties:
+ *         version:
+ *           type: number
+ *           description: Version number, starting at 1
+ *         subject:
+ *           type: string
+ *           description: Subject line, used by email
+ *         htmlBody:
+ *           type: string
+ *           description: HTML body, used by email
+ *         textBody:
+ *           type: string
+ *           description: Plain text body, required for sms, whatsapp and push
+ *         note:
+ *           type: string
+ *           description: What changed in this version
+ *         createdBy:
+ *           type: string
+ *           description: User who created the version
+ *         createdAt:
+ *           type: date
+ *           description: Timestamp when the version was created
+ */
+
+// Content fields stored on each version
+const CONTENT_FIELDS = ['subject', 'htmlBody', 'textBody'];
+
+const templateVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    subject: {
+      type: String,
+      trim: true,
+    },
+    htmlBody: {
+      type: String,
+    },
+    textBody: {
+      type: String,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const templateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+      required: [true, 'Template channel is required'],
+    },
+    tags: [String],
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    versions: [templateVersionSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+templateSchema.index({ name: 1 });
+templateSchema.index({ channel: 1 });
+templateSchema.index({ tags: 1 });
+templateSchema.index({ createdAt: -1 });
+
+/**
+ * Check the content of a template version
+ * @param {Object} content - Subject and bodies
+ * @param {string} channel - Channel the template is written for
+ * @returns {Object} Messages keyed by content field, empty if valid
+ */
+templateSchema.statics.validateContent = function (content, channel) {
+  const errors = {};
+
+  CONTENT_FIELDS.forEach((field) => {
+    if (content[field]) {
+      const fieldErrors = validateTemplate(content[field]);
+      if (fieldErrors.length > 0) {
+        errors[field] = fieldErrors.join('; ');
+      }
+    }
+  });
+
+  if (channel === 'email') {
+    if (!content.htmlBody && !content.textBody) {
+      errors.htmlBody = errors.htmlBody || 'Email templates need an HTML or plain text body';
+    }
+  } else if (!content.textBody) {
+    errors.textBody = errors.textBody || `A plain text body is required for ${channel} templates`;
+  }
+
+  return errors;
+};
+
+// Check every version's content before saving
+templateSchema.pre('validate', function (next) {
+  if (this.versions.length === 0) {
+    this.invalidate('versions', 'Template needs at least one version');
+  }
+
+  this.versions.forEach((version, index) => {
+    const errors = this.constructor.validateContent(version, this.channel);
+    Object.entries(errors).forEach(([field, message]) => {
+      this.invalidate(`versions.${index}.${field}`, message);
+    });
+  });
+
+  next();
+});
+
+// Populate created by user when querying templates
+templateSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'createdBy',
+    select: 'name email',
+  });
+
+  next();
+});
+
+// Get a version, or the current one when no number is given
+templateSchema.methods.getVersion = function (version = this.currentVersion) {
+  return this.versions.find((entry) => entry.version === Number(version));
+};
+
+// Add a new version with the given content, carrying over fields that are not provided
+templateSchema.methods.addVersion = function (content, userId) {
+  const latest = this.getVersion() || {};
+  const next = { version: this.currentVersion + 1, note: content.note, createdBy: userId };
+
+  CONTENT_FIELDS.forEach((field) => {
+    next[field] = content[field] !== undefined ? content[field] : latest[field];
+  });
+
+  this.versions.push(next);
+  this.currentVersion = next.version;
+
+  return this.getVersion();
+};
+
+// Get the subject and message a campaign on the template's channel sends for a version
+templateSchema.methods.toCampaignContent = function (version) {
+  const entry = this.getVersion(version);
+
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    subject: entry.subject,
+    // Email prefers the HTML body; the other channels only send plain text
+    message: this.channel === 'email' ? entry.htmlBody || entry.textBody : entry.textBody,
+  };
+};
+
+const Template = mongoose.model('Template', templateSchema);
+
+module.exports = Template;
@@ -19,6 +19,7 @@ router.use(authMiddleware.protect);
  * /campaigns:
  *   get:
  *     summary: Get all campaigns with pagination and filters
+ *     description: Runs of recurring campaigns are not listed; get them from the recurring campaign's runs.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
@@ -42,7 +43,7 @@ router.use(authMiddleware.protect);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Draft, Active, Completed, Failed]
+ *           enum: [Draft, Scheduled, Sending, Recurring, Paused, Cancelled, Completed, Failed]
  *         description: Filter by status
  *       - in: query
  *         name: search
@@ -84,11 +85,18 @@ router.get('/', campaignController.getAllCampaigns);
  *                 required: true
  *               customerId:
  *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *                 default: email
+ *                 description: Channel whose escaping is applied to the rendered message
  *     responses:
  *       200:
  *         description: Test message sent successfully
  *       404:
  *         description: Customer not found
+ *       422:
+ *         description: Invalid message template
  */
 router.post('/test', campaignController.testCampaign);
 
@@ -134,6 +142,8 @@ router.get('/:id', campaignController.getCampaign);
  *         description: Campaign created successfully
  *       400:
  *         description: Validation error
+ *       422:
+ *         description: Invalid custom rules, with messages keyed by rule path, invalid message template, delivery settings, A/B test or schedule
  */
 router.post('/', campaignController.createCampaign);
 
@@ -161,8 +171,12 @@ router.post('/', campaignController.createCampaign);
  *     responses:
  *       200:
  *         description: Campaign updated successfully
+ *       400:
+ *         description: The campaign has started sending, or is not recurring and was given a schedule
  *       404:
  *         description: Campaign not found
+ *       422:
+ *         description: Invalid message template, delivery settings, A/B test or schedule
  */
 router.patch('/:id', campaignController.updateCampaign);
 
@@ -194,6 +208,7 @@ router.delete('/:id', campaignController.deleteCampaign);
  * /campaigns/{id}/deliver:
  *   post:
  *     summary: Trigger campaign delivery
+ *     description: Draft and Scheduled campaigns start sending now, and Failed ones try again. Campaigns that are already sending have their pending messages delivered without waiting for the broker's next run.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
@@ -207,16 +222,97 @@ router.delete('/:id', campaignController.deleteCampaign);
  *     responses:
  *       200:
  *         description: Campaign delivery initiated
+ *       400:
+ *         description: The campaign is paused, cancelled or finished
  *       404:
  *         description: Campaign not found
  */
 router.post('/:id/deliver', campaignController.deliverCampaign);
 
+/**
+ * @swagger
+ * /campaigns/{id}/pause:
+ *   post:
+ *     summary: Pause a campaign that is sending
+ *     description: The broker stops claiming the campaign's messages within its current batch; messages already handed to a vendor still go out. Resume the campaign to send the rest. Paused recurring campaigns start no runs; runs already sending are paused on their own.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign paused
+ *       400:
+ *         description: The campaign is not sending or recurring
+ *       404:
+ *         description: Campaign not found
+ */
+router.post('/:id/pause', campaignController.pauseCampaign);
+
+/**
+ * @swagger
+ * /campaigns/{id}/resume:
+ *   post:
+ *     summary: Resume a paused campaign
+ *     description: Sends the messages the campaign had not sent when it was paused. Recurring campaigns start their next run at the next occurrence of their schedule, skipping the ones missed while paused, and are Completed if their schedule has ended.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign resumed
+ *       400:
+ *         description: The campaign is not paused
+ *       404:
+ *         description: Campaign not found
+ */
+router.post('/:id/resume', campaignController.resumeCampaign);
+
+/**
+ * @swagger
+ * /campaigns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign
+ *     description: Messages the campaign has not sent are marked SKIPPED and counted in stats.skipped; messages already handed to a vendor still go out. Cancelled campaigns cannot be resumed. Cancelled recurring campaigns start no more runs; runs already sending carry on unless cancelled on their own.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Campaign cancelled, with the number of skipped messages
+ *       400:
+ *         description: The campaign is already cancelled or finished
+ *       404:
+ *         description: Campaign not found
+ */
+router.post('/:id/cancel', campaignController.cancelCampaign);
+
 /**
  * @swagger
  * /campaigns/{id}/stats:
  *   get:
  *     summary: Get campaign delivery statistics
+ *     description: Campaigns with variants also get their A/B test settings and winner, and counts and rates for each variant in the test and in the winner's send. Click and reply rates are read from event callbacks. Recurring campaigns get the audiences, stats and log counts of all their runs added up, and their schedule with the number of runs.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
@@ -235,6 +331,82 @@ router.post('/:id/deliver', campaignController.deliverCampaign);
  */
 router.get('/:id/stats', campaignController.getCampaignStats);
 
+/**
+ * @swagger
+ * /campaigns/{id}/runs:
+ *   get:
+ *     summary: Get the runs of a recurring campaign
+ *     description: Each run is a campaign of its own, started by the broker at an occurrence of the schedule, with its own audience, logs and stats. Newest runs come first.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Runs of the campaign
+ *       400:
+ *         description: The campaign is not recurring
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/runs', campaignController.getCampaignRuns);
+
+/**
+ * @swagger
+ * /campaigns/{id}/lift:
+ *   get:
+ *     summary: Get a campaign's incremental lift over its control group
+ *     description: Compares counted orders placed in the conversion window, which opens when the campaign's first message is sent, between the customers the campaign was meant for and its held out control group. Returns each group's customers, converters, orders and net revenue, and the lift in conversion rate and revenue per customer with confidence intervals. Until the window closes the lift can still change.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: confidence
+ *         schema:
+ *           type: number
+ *           enum: [0.8, 0.9, 0.95, 0.99]
+ *           default: 0.95
+ *         description: Confidence level of the intervals
+ *     responses:
+ *       200:
+ *         description: Conversion window, treatment and control group totals, and lift
+ *       400:
+ *         description: The campaign has no control group, has not started sending or has no held out customers
+ *       404:
+ *         description: Campaign not found
+ *       422:
+ *         description: Invalid confidence level
+ */
+router.get('/:id/lift', campaignController.getCampaignLift);
+
 /**
  * @swagger
  * /campaigns/{id}/logs:
@@ -269,7 +441,7 @@ router.get('/:id/stats', campaignController.getCampaignStats);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, SENT, FAILED]
+ *           enum: [PENDING, PROCESSING, SENT, FAILED, RETRYING, DEAD_LETTER, SUPPRESSED, SKIPPED, WAITING, HELD_OUT]
  *         description: Filter by status
  *     responses:
  *       200:
@@ -279,4 +451,85 @@ router.get('/:id/stats', campaignController.getCampaignStats);
  */
 router.get('/:id/logs', campaignController.getCampaignLogs);
 
+/**
+ * @swagger
+ * /campaigns/{id}/failures:
+ *   get:
+ *     summary: Get dead-lettered deliveries for a campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DEAD_LETTER, RETRYING, FAILED]
+ *           default: DEAD_LETTER
+ *         description: Failure status to list
+ *     responses:
+ *       200:
+ *         description: Failed deliveries with a count per error message
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/failures', campaignController.getCampaignFailures);
+
+/**
+ * @swagger
+ * /campaigns/{id}/failures/replay:
+ *   post:
+ *     summary: Replay dead-lettered deliveries for a campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Logs to replay; all dead-lettered logs when omitted
+ *     responses:
+ *       200:
+ *         description: Number of deliveries queued again
+ *       400:
+ *         description: Invalid log IDs, or the campaign is cancelled
+ *       404:
+ *         description: Campaign not found
+ */
+router.post('/:id/failures/replay', campaignController.replayCampaignFailures);
+
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,8 @@
 const express = require('express');
 const customerController = require('../controllers/customer.controller');
+const exportController = require('../controllers/export.controller');
+const duplicateController = require('../controllers/duplicate.controller');
+const subscriptionController = require('../controllers/subscription.controller');
 const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
@@ -77,11 +80,194 @@ router.get('/', customerController.getAllCustomers);
  */
 router.get('/stats', customerController.getCustomerStats);
 
+/**
+ * @swagger
+ * /customers/export:
+ *   get:
+ *     summary: Export customers matching the list filters as CSV or JSON
+ *     description: The file is streamed in the response. Exports with more customers than the stream limit, or with background=true, run as a background job instead and respond 202 with the export job.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma separated columns (see GET /exports/columns); the default columns if omitted
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or email
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Always run the export as a background job
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       202:
+ *         description: Export started as a background job
+ *       422:
+ *         description: Invalid format or columns
+ */
+router.get('/export', exportController.exportCustomers);
+
+/**
+ * @swagger
+ * /customers/duplicates:
+ *   get:
+ *     summary: Get likely duplicate customers, highest score first
+ *     description: Candidates are found by the duplicate scan, which pairs customers with the same normalised phone number and scores them on phone, name similarity and location.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, dismissed, merged]
+ *           default: open
+ *         description: Filter by candidate status
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *         description: Only candidates scoring at least this much
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of duplicate candidates with their customers
+ */
+router.get('/duplicates', duplicateController.getDuplicates);
+
+/**
+ * @swagger
+ * /customers/duplicates/scan:
+ *   post:
+ *     summary: Start a duplicate scan
+ *     description: The scan runs asynchronously in the message broker, which also runs it periodically. Open candidates that no longer qualify are removed; dismissed candidates stay dismissed.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Duplicate scan started
+ */
+router.post('/duplicates/scan', duplicateController.scanDuplicates);
+
+/**
+ * @swagger
+ * /customers/duplicates/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a duplicate candidate as not the same person
+ *     description: Dismissed candidates are not reopened by later scans.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Duplicate candidate ID
+ *     responses:
+ *       200:
+ *         description: Candidate dismissed
+ *       404:
+ *         description: Duplicate candidate not found
+ *       409:
+ *         description: Candidate has already been merged
+ */
+router.post('/duplicates/:id/dismiss', duplicateController.dismissDuplicate);
+
+/**
+ * @swagger
+ * /customers/merges:
+ *   get:
+ *     summary: Get the audit of customer merges, newest first
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Only merges this customer took part in, as survivor or merged customer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of merge audit records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     merges:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CustomerMerge'
+ */
+router.get('/merges', duplicateController.getMerges);
+
 /**
  * @swagger
  * /customers/bulk:
  *   post:
  *     summary: Create multiple customers in bulk
+ *     description: Customers are matched by email; existing customers are updated and new ones created. They are processed asynchronously as an import job; poll GET /imports/{importJobId} for the results. Larger lists can be uploaded as a file with POST /imports.
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
@@ -98,7 +284,7 @@ router.get('/stats', customerController.getCustomerStats);
  *                   $ref: '#/components/schemas/Customer'
  *     responses:
  *       200:
- *         description: Bulk import initiated
+ *         description: Bulk import initiated; the response includes the import job ID
  */
 router.post('/bulk', customerController.bulkCreateCustomers);
 
@@ -125,6 +311,75 @@ router.post('/bulk', customerController.bulkCreateCustomers);
  */
 router.get('/:id', customerController.getCustomer);
 
+/**
+ * @swagger
+ * /customers/{id}/timeline:
+ *   get:
+ *     summary: Get a customer's timeline, newest first
+ *     description: Merges the messages sent to the customer (queued, sent, delivered and failed), their opens, clicks and replies, the customer's orders and changes to their profile into one feed. Message entries include the campaign and segment, or the journey, that sent them.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated categories to include (communication, engagement, order, profile)
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         description: Only entries of messages sent by this campaign
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *         description: Only entries of messages sent on this channel
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Timeline entries, each with type, category, occurredAt, source, sourceId and details
+ *       404:
+ *         description: Customer not found
+ *       422:
+ *         description: Invalid filters
+ */
+router.get('/:id/timeline', customerController.getCustomerTimeline);
+
 /**
  * @swagger
  * /customers:
@@ -152,6 +407,7 @@ router.post('/', customerController.createCustomer);
  * /customers/{id}:
  *   patch:
  *     summary: Update a customer
+ *     description: totalSpend, orderCount and lastOrderDate are ignored; they are recomputed from the customer's orders. subscriptions are ignored too; change them with PATCH /customers/{id}/subscriptions.
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
@@ -199,4 +455,87 @@ router.patch('/:id', customerController.updateCustomer);
  */
 router.delete('/:id', customerController.deleteCustomer);
 
+/**
+ * @swagger
+ * /customers/{id}/merge:
+ *   post:
+ *     summary: Merge customers into this customer
+ *     description: Orders, communication history and events of the merged customers move to this customer, which keeps its own profile values and takes missing ones, tags and metadata from the merged customers. Spend and order aggregates are recomputed, the merged customers are deleted and the merge is recorded for audit.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the customer that is kept
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerIds
+ *             properties:
+ *               customerIds:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 description: Customers to merge into this customer; earlier ones win when filling missing fields
+ *     responses:
+ *       200:
+ *         description: Customers merged; the response includes the updated customer and the merge audit record
+ *       404:
+ *         description: Customer not found
+ *       422:
+ *         description: Invalid customer IDs
+ */
+router.post('/:id/merge', duplicateController.mergeCustomers);
+
+/**
+ * @swagger
+ * /customers/{id}/subscriptions:
+ *   patch:
+ *     summary: Change a customer's subscription to a channel
+ *     description: Customers are subscribed to every channel until they or a user unsubscribe them. Changes are recorded on the customer's timeline.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *               - status
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *               status:
+ *                 type: string
+ *                 enum: [subscribed, unsubscribed]
+ *     responses:
+ *       200:
+ *         description: Subscription changed; the response includes the updated customer
+ *       404:
+ *         description: Customer not found
+ *       422:
+ *         description: Invalid channel or status
+ */
+router.patch('/:id/subscriptions', subscriptionController.updateSubscription);
+
 module.exports = router;
\ No newline at end of file
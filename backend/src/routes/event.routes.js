@@ -0,0 +1,196 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const eventController = require('../controllers/event.controller');
+const authMiddleware = require('../middleware/auth');
+const config = require('../config');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Customer event tracking; events are sent by sources such as a website or app using an API key
+ */
+
+// Requests that fail authentication are limited per IP, so API keys cannot be guessed
+const authFailureLimiter = rateLimit({
+  max: config.events.authFailureLimit,
+  windowMs: 60 * 1000,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  message: 'Too many requests with an invalid API key from this IP, please try again in a minute!'
+});
+
+// Ingestion is limited per event source rather than per IP, since one server may send for many users.
+// It runs after authentication, so only a valid key counts against its source's limit
+const ingestionLimiter = rateLimit({
+  max: config.events.rateLimit,
+  windowMs: 60 * 1000,
+  keyGenerator: (req) => String(req.eventSource._id),
+  message: 'Too many event requests for this API key, please try again in a minute!'
+});
+
+/**
+ * @swagger
+ * /events:
+ *   post:
+ *     summary: Track one or more customer events
+ *     description: Send a single event, or a batch as { events }. Events are stored asynchronously by the message broker and linked to the customer with the given email or externalId; events that match no customer are kept unlinked. Authenticated with an event source API key instead of a user token.
+ *     tags: [Events]
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/TrackedEvent'
+ *               - type: object
+ *                 properties:
+ *                   events:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/TrackedEvent'
+ *     responses:
+ *       202:
+ *         description: Events accepted for processing
+ *       400:
+ *         description: No events provided or batch too large
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       422:
+ *         description: Invalid events, keyed by position and field
+ *       429:
+ *         description: Too many requests for this API key, or too many with an invalid API key from this IP
+ */
+router.post('/', authFailureLimiter, authMiddleware.apiKey, ingestionLimiter, eventController.trackEvents);
+
+// Protect all other event routes
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Get tracked events, newest first
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Filter by customer
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filter by event name
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events on or before this date
+ *     responses:
+ *       200:
+ *         description: List of events
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', eventController.getEvents);
+
+/**
+ * @swagger
+ * /events/sources:
+ *   get:
+ *     summary: Get all event sources
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of event sources
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sources', eventController.getEventSources);
+
+/**
+ * @swagger
+ * /events/sources:
+ *   post:
+ *     summary: Create an event source and its API key
+ *     description: The API key is only returned in this response. Send it in the X-API-Key header of POST /events.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Source name, e.g. Website or Android app
+ *     responses:
+ *       201:
+ *         description: Event source created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/sources', eventController.createEventSource);
+
+/**
+ * @swagger
+ * /events/sources/{id}:
+ *   delete:
+ *     summary: Revoke an event source's API key
+ *     description: Events sent with the key are rejected from then on. Events already tracked are kept.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event source ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: Event source not found
+ */
+router.delete('/sources/:id', eventController.revokeEventSource);
+
+module.exports = router;
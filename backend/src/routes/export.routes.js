@@ -0,0 +1,124 @@
+const express = require('express');
+const exportController = require('../controllers/export.controller');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exports
+ *   description: Customer exports to CSV and JSON, with background jobs for large exports
+ */
+
+// Protect all export routes
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /exports/columns:
+ *   get:
+ *     summary: Get the columns that can be chosen for a customer export
+ *     description: Custom properties can also be exported with metadata.<key>.
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exportable columns, default columns and formats
+ */
+router.get('/columns', exportController.getExportColumns);
+
+/**
+ * @swagger
+ * /exports:
+ *   get:
+ *     summary: Get recent background exports, newest first
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of exports
+ */
+router.get('/', exportController.getExports);
+
+/**
+ * @swagger
+ * /exports/{id}:
+ *   get:
+ *     summary: Get a background export's progress
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Export job ID
+ *     responses:
+ *       200:
+ *         description: Export job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exportJob:
+ *                       $ref: '#/components/schemas/ExportJob'
+ *       404:
+ *         description: Export job not found
+ */
+router.get('/:id', exportController.getExport);
+
+/**
+ * @swagger
+ * /exports/{id}/download:
+ *   get:
+ *     summary: Download the file of a completed background export
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Export job ID
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       404:
+ *         description: Export job not found
+ *       409:
+ *         description: Export has not completed
+ *       410:
+ *         description: Export has expired
+ */
+router.get('/:id/download', exportController.downloadExport);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const importController = require('../controllers/import.controller');
+const authMiddleware = require('../middleware/auth');
+const uploadMiddleware = require('../middleware/upload');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Customer imports from CSV and JSON files, with column mapping and progress reports
+ */
+
+// Protect all import routes
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /imports/fields:
+ *   get:
+ *     summary: Get the customer fields that file columns can be mapped to
+ *     description: Columns can also be mapped to metadata.<key> to keep them as custom properties.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mappable fields
+ */
+router.get('/fields', importController.getImportFields);
+
+/**
+ * @swagger
+ * /imports:
+ *   get:
+ *     summary: Get recent imports, newest first
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: List of imports, without their row errors
+ */
+router.get('/', importController.getImports);
+
+/**
+ * @swagger
+ * /imports:
+ *   post:
+ *     summary: Upload a CSV or JSON file of customers
+ *     description: The file is stored and its columns are read. The import starts once the column mapping is confirmed with POST /imports/{id}/start. CSV files need a header row; JSON files hold an array of objects.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File uploaded; the job awaits a column mapping
+ *       400:
+ *         description: No file, unsupported file type or file too large
+ *       422:
+ *         description: File could not be read
+ */
+router.post('/', uploadMiddleware.importFile, importController.createImport);
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   get:
+ *     summary: Get an import's progress and row errors
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import job ID
+ *     responses:
+ *       200:
+ *         description: Import job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     importJob:
+ *                       $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/:id', importController.getImport);
+
+/**
+ * @swagger
+ * /imports/{id}/start:
+ *   post:
+ *     summary: Confirm the column mapping and start an import
+ *     description: Rows are processed asynchronously by the message broker. Customers are matched by email; existing customers are updated and new ones created. Poll GET /imports/{id} for progress.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import job ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mapping
+ *             properties:
+ *               mapping:
+ *                 type: array
+ *                 description: Customer field (or metadata.<key>) per column; columns left out or with an empty field are skipped
+ *                 items:
+ *                   $ref: '#/components/schemas/ImportColumnMapping'
+ *     responses:
+ *       202:
+ *         description: Import started
+ *       404:
+ *         description: Import job not found
+ *       409:
+ *         description: Import already started
+ *       422:
+ *         description: Invalid mapping
+ */
+router.post('/:id/start', importController.startImport);
+
+module.exports = router;
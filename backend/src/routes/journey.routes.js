@@ -0,0 +1,321 @@
+const express = require('express');
+const journeyController = require('../controllers/journey.controller');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Journeys
+ *   description: Multi-step journeys that move each customer through messages, waits and branches
+ */
+
+// Protect all journey routes
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /journeys:
+ *   get:
+ *     summary: Get all journeys with pagination and filters
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Active, Paused, Archived]
+ *         description: Filter by status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or description
+ *     responses:
+ *       200:
+ *         description: List of journeys, most recently updated first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', journeyController.getAllJourneys);
+
+/**
+ * @swagger
+ * /journeys/{id}:
+ *   get:
+ *     summary: Get a journey with the customers at each step
+ *     description: stepStats holds, for each step key, the number of customers at the step now and the journey's messages from send steps by delivery status.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey and step stats
+ *       404:
+ *         description: Journey not found
+ */
+router.get('/:id', journeyController.getJourney);
+
+/**
+ * @swagger
+ * /journeys/{id}/enrollments:
+ *   get:
+ *     summary: Get the customers who entered a journey, most recent first
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, exited]
+ *         description: Filter by enrollment status
+ *       - in: query
+ *         name: step
+ *         schema:
+ *           type: string
+ *         description: Only customers at this step
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Enrollments with the customer's name and email
+ *       404:
+ *         description: Journey not found
+ */
+router.get('/:id/enrollments', journeyController.getJourneyEnrollments);
+
+/**
+ * @swagger
+ * /journeys:
+ *   post:
+ *     summary: Create a journey
+ *     description: Journeys are created as Draft; activate them to start enrolling customers.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - entry
+ *               - steps
+ *               - startStep
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *               entry:
+ *                 $ref: '#/components/schemas/JourneyEntry'
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/JourneyStep'
+ *               startStep:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Journey created
+ *       400:
+ *         description: Validation error
+ *       422:
+ *         description: Invalid journey, with messages keyed by path, e.g. steps.2.next
+ */
+router.post('/', journeyController.createJourney);
+
+/**
+ * @swagger
+ * /journeys/{id}:
+ *   patch:
+ *     summary: Update a journey
+ *     description: Entry and steps can only change while the journey is Draft or Paused, and steps customers are at cannot be removed. Archived journeys cannot be changed.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Journey updated
+ *       400:
+ *         description: The journey is archived, or active and the entry or steps were changed
+ *       404:
+ *         description: Journey not found
+ *       409:
+ *         description: Customers are at a step the update removes
+ *       422:
+ *         description: Invalid journey, with messages keyed by path
+ */
+router.patch('/:id', journeyController.updateJourney);
+
+/**
+ * @swagger
+ * /journeys/{id}:
+ *   delete:
+ *     summary: Delete a journey
+ *     description: Only journeys no customer has entered can be deleted; archive the others.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       204:
+ *         description: Journey deleted
+ *       400:
+ *         description: Customers have entered the journey
+ *       404:
+ *         description: Journey not found
+ */
+router.delete('/:id', journeyController.deleteJourney);
+
+/**
+ * @swagger
+ * /journeys/{id}/activate:
+ *   post:
+ *     summary: Activate a journey
+ *     description: Starts enrolling customers from the journey's segment or event, and moves enrolled customers on again after a pause.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey activated
+ *       400:
+ *         description: The journey is already active or archived
+ *       404:
+ *         description: Journey not found
+ *       422:
+ *         description: Invalid journey, with messages keyed by path
+ */
+router.post('/:id/activate', journeyController.activateJourney);
+
+/**
+ * @swagger
+ * /journeys/{id}/pause:
+ *   post:
+ *     summary: Pause a journey
+ *     description: No customers enter or move on while the journey is paused, and its queued messages are held. Customers stay at their steps and carry on when it is activated again.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey paused
+ *       400:
+ *         description: The journey is not active
+ *       404:
+ *         description: Journey not found
+ */
+router.post('/:id/pause', journeyController.pauseJourney);
+
+/**
+ * @swagger
+ * /journeys/{id}/archive:
+ *   post:
+ *     summary: Archive a journey
+ *     description: Takes every customer out of the journey and stops it for good; messages it has queued are not sent. Archived journeys cannot be activated again.
+ *     tags: [Journeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Journey ID
+ *     responses:
+ *       200:
+ *         description: Journey archived, with the number of customers taken out of it
+ *       400:
+ *         description: The journey is already archived
+ *       404:
+ *         description: Journey not found
+ */
+router.post('/:id/archive', journeyController.archiveJourney);
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const orderController = require('../controllers/order.controller');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Orders
+ *   description: Order ingestion endpoints; orders drive customer spend and order counts
+ */
+
+// Protect all order routes
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /orders:
+ *   get:
+ *     summary: Get all orders with pagination and filters
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Results per page
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Filter by customer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, fulfilled, partially_refunded, refunded, cancelled]
+ *         description: Filter by status
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [placedAt, -placedAt, amount, -amount, createdAt, -createdAt]
+ *           default: -placedAt
+ *         description: Sort field (prefix with - for descending)
+ *     responses:
+ *       200:
+ *         description: List of orders
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', orderController.getAllOrders);
+
+/**
+ * @swagger
+ * /orders/bulk:
+ *   post:
+ *     summary: Ingest orders in bulk
+ *     description: Orders are processed asynchronously by the message broker. Orders whose orderNumber already exists are updated, so a store export can be resent safely.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orders:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Order'
+ *     responses:
+ *       200:
+ *         description: Bulk ingestion initiated
+ *       400:
+ *         description: No orders provided
+ *       413:
+ *         description: Request body is larger than ORDERS_MAX_PAYLOAD_SIZE (5mb by default)
+ */
+router.post('/bulk', orderController.bulkCreateOrders);
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Get a specific order by ID
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order details
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id', orderController.getOrder);
+
+/**
+ * @swagger
+ * /orders:
+ *   post:
+ *     summary: Record an order
+ *     description: The customer is identified by customerId or customerEmail. Their totalSpend, orderCount and lastOrderDate are recomputed from their orders.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Order'
+ *               - type: object
+ *                 properties:
+ *                   customerEmail:
+ *                     type: string
+ *                     format: email
+ *                     description: Used to find the customer when customerId is not given
+ *     responses:
+ *       201:
+ *         description: Order recorded successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Order number already exists
+ */
+router.post('/', orderController.createOrder);
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   patch:
+ *     summary: Update an order, e.g. to record a refund or cancellation
+ *     description: Setting status to refunded refunds the full amount; partially_refunded needs a refundedAmount. The customer's aggregates are recomputed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, paid, fulfilled, partially_refunded, refunded, cancelled]
+ *               refundedAmount:
+ *                 type: number
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItem'
+ *               amount:
+ *                 type: number
+ *               placedAt:
+ *                 type: string
+ *                 format: date-time
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Order updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Order not found
+ */
+router.patch('/:id', orderController.updateOrder);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const segmentController = require('../controllers/segment.controller');
+const exportController = require('../controllers/export.controller');
 const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
@@ -63,6 +64,22 @@ router.use(authMiddleware.protect);
  */
 router.get('/', segmentController.getAllSegments);
 
+/**
+ * @swagger
+ * /segments/fields:
+ *   get:
+ *     summary: Get the customer, order and event fields, operators and scope periods available to segment rules
+ *     tags: [Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segment field registry
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/fields', segmentController.getSegmentFields);
+
 /**
  * @swagger
  * /segments/preview:
@@ -87,6 +104,8 @@ router.get('/', segmentController.getAllSegments);
  *     responses:
  *       200:
  *         description: Audience preview
+ *       422:
+ *         description: Invalid segment rules, with messages keyed by rule path
  */
 router.post('/preview', segmentController.previewSegment);
 
@@ -132,6 +151,8 @@ router.get('/:id', segmentController.getSegment);
  *         description: Segment created successfully
  *       400:
  *         description: Validation error
+ *       422:
+ *         description: Invalid segment rules, with messages keyed by rule path
  */
 router.post('/', segmentController.createSegment);
 
@@ -159,6 +180,8 @@ router.post('/', segmentController.createSegment);
  *     responses:
  *       200:
  *         description: Segment updated successfully
+ *       422:
+ *         description: Invalid segment rules, with messages keyed by rule path
  *       404:
  *         description: Segment not found
  */
@@ -235,4 +258,49 @@ router.post('/:id/refresh', segmentController.refreshSegmentSize);
  */
 router.get('/:id/performance', segmentController.getSegmentPerformance);
 
+/**
+ * @swagger
+ * /segments/{id}/export:
+ *   get:
+ *     summary: Export the customers of a segment as CSV or JSON
+ *     description: The file is streamed in the response. Exports with more customers than the stream limit, or with background=true, run as a background job instead and respond 202 with the export job.
+ *     tags: [Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma separated columns (see GET /exports/columns); the default columns if omitted
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Always run the export as a background job
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       202:
+ *         description: Export started as a background job
+ *       404:
+ *         description: Segment not found
+ *       422:
+ *         description: Invalid format or columns
+ */
+router.get('/:id/export', exportController.exportSegment);
+
 module.exports = router;
\ No newline at end of file
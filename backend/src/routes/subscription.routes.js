@@ -0,0 +1,61 @@
+const express = require('express');
+const subscriptionController = require('../controllers/subscription.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Subscriptions
+ *   description: Public unsubscribe endpoints used by the links in messages
+ */
+
+/**
+ * @swagger
+ * /subscriptions/unsubscribe/{token}:
+ *   get:
+ *     summary: Look up an unsubscribe link
+ *     description: Public endpoint used by the unsubscribe page to show what the link unsubscribes from. It changes nothing, as mail scanners open links in messages.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the unsubscribe link
+ *     responses:
+ *       200:
+ *         description: Channel, masked email address and current subscription status
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       404:
+ *         description: The customer no longer exists
+ */
+router.get('/unsubscribe/:token', subscriptionController.getUnsubscribeLink);
+
+/**
+ * @swagger
+ * /subscriptions/unsubscribe/{token}:
+ *   post:
+ *     summary: Unsubscribe a customer from a channel through their unsubscribe link
+ *     description: Public endpoint. The customer stops receiving messages on the channel of the link; campaigns skip them and count them as suppressed. Unsubscribing again keeps the original date.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the unsubscribe link
+ *     responses:
+ *       200:
+ *         description: Customer unsubscribed
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       404:
+ *         description: The customer no longer exists
+ */
+router.post('/unsubscribe/:token', subscriptionController.unsubscribe);
+
+module.exports = router;
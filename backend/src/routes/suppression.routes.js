@@ -0,0 +1,169 @@
+const express = require('express');
+const suppressionController = require('../controllers/suppression.controller');
+const authMiddleware = require('../middleware/auth');
+const uploadMiddleware = require('../middleware/upload');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suppressions
+ *   description: Email addresses, phone numbers and domains that campaigns never send to, such as hard bounces, competitors and legal holds
+ */
+
+// Protect all suppression routes
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /suppressions:
+ *   get:
+ *     summary: Get the suppression list, newest first
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [email, phone, domain]
+ *         description: Filter by type
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [hard_bounce, complaint, competitor, legal_hold, other]
+ *         description: Filter by reason
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Find entries whose value contains this text
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Suppression list entries
+ */
+router.get('/', suppressionController.getSuppressions);
+
+/**
+ * @swagger
+ * /suppressions:
+ *   post:
+ *     summary: Add an email address, phone number or domain to the suppression list
+ *     description: Campaigns skip customers whose recipient matches the list and log them as suppressed, whatever their subscriptions.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - value
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [email, phone, domain]
+ *               value:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [hard_bounce, complaint, competitor, legal_hold, other]
+ *                 default: other
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entry added
+ *       409:
+ *         description: The value is already on the suppression list
+ *       422:
+ *         description: Invalid type, value or reason
+ */
+router.post('/', suppressionController.createSuppression);
+
+/**
+ * @swagger
+ * /suppressions/upload:
+ *   post:
+ *     summary: Add the entries of a CSV file to the suppression list
+ *     description: The file needs a header row. Each row holds a value column, with an optional type column, or email, phone and domain columns; reason and note columns are optional. The form's type, reason and note apply to rows without them. Values already on the list keep their reason.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               type:
+ *                 type: string
+ *                 enum: [email, phone, domain]
+ *                 description: Type of value columns in rows without a type; detected from each value if not given
+ *               reason:
+ *                 type: string
+ *                 enum: [hard_bounce, complaint, competitor, legal_hold, other]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report of the rows added, already on the list and rejected, with the first 100 row errors
+ *       400:
+ *         description: No file, not a CSV file or file too large
+ *       422:
+ *         description: Invalid type or reason, or the file could not be read
+ */
+router.post('/upload', uploadMiddleware.suppressionFile, suppressionController.uploadSuppressions);
+
+/**
+ * @swagger
+ * /suppressions/{id}:
+ *   delete:
+ *     summary: Remove an entry from the suppression list
+ *     description: Campaigns send to the value again, unless the customer unsubscribed.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suppression ID
+ *     responses:
+ *       204:
+ *         description: Entry removed
+ *       404:
+ *         description: Suppression not found
+ */
+router.delete('/:id', suppressionController.deleteSuppression);
+
+module.exports = router;
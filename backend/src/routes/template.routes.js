@@ -0,0 +1,253 @@
+const express = require('express');
+const templateController = require('../controllers/template.controller');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Templates
+ *   description: Reusable, versioned message templates
+ */
+
+// Protect all template routes
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /templates:
+ *   get:
+ *     summary: Get all templates with pagination and filters
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Results per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or description
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, push]
+ *         description: Filter by channel
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, createdAt, -createdAt, updatedAt, -updatedAt]
+ *           default: -updatedAt
+ *         description: Sort field (prefix with - for descending)
+ *     responses:
+ *       200:
+ *         description: List of templates
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', templateController.getAllTemplates);
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   get:
+ *     summary: Get a specific template with all its versions
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:id', templateController.getTemplate);
+
+/**
+ * @swagger
+ * /templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Template version
+ *       404:
+ *         description: Template or version not found
+ */
+router.get('/:id/versions/:version', templateController.getTemplateVersion);
+
+/**
+ * @swagger
+ * /templates:
+ *   post:
+ *     summary: Create a new template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - channel
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp, push]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               subject:
+ *                 type: string
+ *               htmlBody:
+ *                 type: string
+ *               textBody:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template created as version 1
+ *       400:
+ *         description: Validation error
+ *       422:
+ *         description: Invalid template content, with messages keyed by field
+ */
+router.post('/', templateController.createTemplate);
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   patch:
+ *     summary: Update a template
+ *     description: Name, description, tags and isActive are updated in place. Any change to subject, htmlBody or textBody adds a new version; earlier versions are kept unchanged for the campaigns that use them.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *               subject:
+ *                 type: string
+ *               htmlBody:
+ *                 type: string
+ *               textBody:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 description: What changed, stored on the new version
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Channel cannot be changed
+ *       404:
+ *         description: Template not found
+ *       422:
+ *         description: Invalid template content, with messages keyed by field
+ */
+router.patch('/:id', templateController.updateTemplate);
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   delete:
+ *     summary: Delete a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       204:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Template not found
+ *       400:
+ *         description: Template is in use and cannot be deleted
+ */
+router.delete('/:id', templateController.deleteTemplate);
+
+module.exports = router;
@@ -35,6 +35,10 @@ const router = express.Router();
  *               errorMessage:
  *                 type: string
  *                 description: Error message if delivery failed
+ *               bounceType:
+ *                 type: string
+ *                 enum: [hard, soft]
+ *                 description: For failed deliveries, whether the recipient bounced permanently; hard bounces add the recipient to the suppression list
  *               metadata:
  *                 type: object
  *                 description: Additional vendor-specific data
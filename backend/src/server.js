@@ -2,6 +2,8 @@ const app = require('./app');
 const mongoose = require('mongoose');
 const config = require('./config');
 const logger = require('./utils/logger');
+const { removeExpiredExports, failInterruptedExports } = require('./services/customerExport');
+const { cleanUpImports } = require('./services/customerImport');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -31,6 +33,23 @@ const server = app.listen(config.port, () => {
   logger.info(`Environment: ${config.nodeEnv}`);
 });
 
+// Remove the files of expired exports and fail exports interrupted by a restart
+const exportCleanupInterval = setInterval(() => {
+  removeExpiredExports().catch((err) => {
+    logger.error(`Error removing expired exports: ${err.message}`);
+  });
+  failInterruptedExports().catch((err) => {
+    logger.error(`Error failing interrupted exports: ${err.message}`);
+  });
+}, config.exports.cleanupIntervalMinutes * 60 * 1000);
+
+// Fail imports interrupted by a restart and remove uploads that were never mapped
+const importCleanupInterval = setInterval(() => {
+  cleanUpImports().catch((err) => {
+    logger.error(`Error cleaning up imports: ${err.message}`);
+  });
+}, config.imports.cleanupIntervalMinutes * 60 * 1000);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('UNHANDLED REJECTION! Shutting down...');
@@ -43,6 +62,8 @@ process.on('unhandledRejection', (err) => {
 // Handle SIGTERM signal
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully');
+  clearInterval(exportCleanupInterval);
+  clearInterval(importCleanupInterval);
   server.close(() => {
     logger.info('Process terminated');
   });
@@ -0,0 +1,204 @@
+/**
+ * Incremental lift of a campaign
+ *
+ * A campaign's control group is a share of its audience that is held out:
+ * their logs are HELD_OUT and never sent. Orders placed in the conversion
+ * window, which opens when the campaign's first message is sent, are compared between
+ * the customers the campaign was meant for and the held out ones. Everybody
+ * assigned to the campaign counts, whether or not their message went out, so
+ * the two groups stay comparable.
+ */
+
+const config = require('../config');
+const CommunicationLog = require('../models/communicationLog.model');
+const Order = require('../models/order.model');
+
+// Two-sided normal quantiles of the confidence levels offered
+exports.CONFIDENCE_LEVELS = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96,
+  0.99: 2.5758,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Summarize a group's order totals
+ * @param {Object} totals - Customers, converters, orders, revenue and sum of squared revenue per customer of the group
+ * @returns {Object} Group totals, with the sample variance of revenue per customer
+ */
+const summarize = ({ customers = 0, converters = 0, orders = 0, revenue = 0, revenueSquares = 0 } = {}) => {
+  const revenuePerCustomer = customers > 0 ? revenue / customers : 0;
+
+  return {
+    customers,
+    converters,
+    orders,
+    revenue,
+    conversionRate: customers > 0 ? converters / customers : 0,
+    revenuePerCustomer,
+    // Customers without orders count as no revenue
+    revenueVariance: customers > 1 ? (revenueSquares - customers * revenuePerCustomer ** 2) / (customers - 1) : 0,
+  };
+};
+
+/**
+ * Confidence interval around an estimate
+ * @param {number} estimate - Estimate
+ * @param {number} standardError - Standard error of the estimate
+ * @param {number} z - Normal quantile of the confidence level
+ * @returns {Array<number>} Lower and upper bounds
+ */
+const interval = (estimate, standardError, z) => [estimate - z * standardError, estimate + z * standardError];
+
+/**
+ * Lift in conversion rate, absolute and relative to the control group
+ * @param {Object} treatment - Treatment group totals
+ * @param {Object} control - Control group totals
+ * @param {number} z - Normal quantile of the confidence level
+ * @returns {Object} Difference and relative lift with their intervals; relative lift is null without conversions in both groups
+ */
+const compareRates = (treatment, control, z) => {
+  const { conversionRate: pt, customers: nt } = treatment;
+  const { conversionRate: pc, customers: nc } = control;
+  const difference = pt - pc;
+  const standardError = Math.sqrt((pt * (1 - pt)) / nt + (pc * (1 - pc)) / nc);
+
+  // The log of the rate ratio is closer to normal than the ratio itself
+  let relative = null;
+  let relativeInterval = null;
+  if (pt > 0 && pc > 0) {
+    const logStandardError = Math.sqrt((1 - pt) / (nt * pt) + (1 - pc) / (nc * pc));
+    relative = pt / pc - 1;
+    relativeInterval = interval(Math.log(pt / pc), logStandardError, z).map((bound) => Math.exp(bound) - 1);
+  }
+
+  return {
+    difference,
+    interval: interval(difference, standardError, z),
+    relative,
+    relativeInterval,
+  };
+};
+
+/**
+ * Lift in revenue per customer, absolute and relative to the control group
+ * @param {Object} treatment - Treatment group totals
+ * @param {Object} control - Control group totals
+ * @param {number} z - Normal quantile of the confidence level
+ * @returns {Object} Difference with its interval, and relative lift, null when the control group spent nothing
+ */
+const compareMeans = (treatment, control, z) => {
+  const difference = treatment.revenuePerCustomer - control.revenuePerCustomer;
+  const standardError = Math.sqrt(treatment.revenueVariance / treatment.customers + control.revenueVariance / control.customers);
+
+  return {
+    difference,
+    interval: interval(difference, standardError, z),
+    relative: control.revenuePerCustomer > 0 ? difference / control.revenuePerCustomer : null,
+  };
+};
+
+/**
+ * Measure the lift of a campaign over its control group
+ * The campaign must have started sending and have held out customers.
+ * @param {Object} campaign - Campaign document
+ * @param {Object} options - Options
+ * @param {number} options.confidence - Confidence level of the intervals, one of CONFIDENCE_LEVELS
+ * @param {Date} options.now - Current time, to tell whether the window has closed
+ * @returns {Promise<Object>} Conversion window, group totals and lift
+ */
+exports.measureLift = async (campaign, { confidence = 0.95, now = new Date() } = {}) => {
+  const z = exports.CONFIDENCE_LEVELS[confidence];
+  const { conversionWindowDays } = campaign.holdout;
+
+  // Messages held for local time or quiet hours can go out well after the campaign starts;
+  // until one has gone out the window is taken to open when the campaign started
+  const firstSend = await CommunicationLog.findOne({ campaignId: campaign._id, sentAt: { $exists: true } })
+    .sort({ sentAt: 1 })
+    .select('sentAt')
+    .lean();
+  const start = firstSend ? firstSend.sentAt : campaign.sentAt;
+  const end = new Date(start.getTime() + conversionWindowDays * DAY_MS);
+
+  // Each customer's orders are looked up from their log and totalled per group in the database,
+  // so audiences of any size are measured without listing their customers
+  const groups = await CommunicationLog.aggregate([
+    { $match: { campaignId: campaign._id } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { customerId: '$customerId' },
+        pipeline: [
+          {
+            // Net revenue of counted orders in the store currency, as in customer spend totals
+            $match: {
+              ...Order.countedOrderMatch(),
+              $expr: { $eq: ['$customerId', '$$customerId'] },
+              placedAt: { $gte: start, $lt: end },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              revenue: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+            },
+          },
+        ],
+        as: 'placed',
+      },
+    },
+    {
+      $project: {
+        heldOut: { $eq: ['$status', 'HELD_OUT'] },
+        orders: { $ifNull: [{ $arrayElemAt: ['$placed.orders', 0] }, 0] },
+        revenue: { $ifNull: [{ $arrayElemAt: ['$placed.revenue', 0] }, 0] },
+      },
+    },
+    {
+      $group: {
+        _id: '$heldOut',
+        customers: { $sum: 1 },
+        converters: { $sum: { $cond: [{ $gt: ['$orders', 0] }, 1, 0] } },
+        orders: { $sum: '$orders' },
+        revenue: { $sum: '$revenue' },
+        revenueSquares: { $sum: { $multiply: ['$revenue', '$revenue'] } },
+      },
+    },
+  ]);
+  const totalsOf = (heldOut) => groups.find((group) => group._id === heldOut);
+
+  const { revenueVariance: treatmentVariance, ...treatment } = summarize(totalsOf(false));
+  const { revenueVariance: controlVariance, ...control } = summarize(totalsOf(true));
+  const conversionRate = compareRates(treatment, control, z);
+  const revenuePerCustomer = compareMeans(
+    { ...treatment, revenueVariance: treatmentVariance },
+    { ...control, revenueVariance: controlVariance },
+    z
+  );
+
+  return {
+    window: {
+      start,
+      end,
+      days: conversionWindowDays,
+      // Lift keeps changing until the window closes
+      closed: end <= now,
+    },
+    confidence,
+    currency: config.orders.currency,
+    treatment,
+    control,
+    lift: {
+      conversionRate,
+      revenuePerCustomer,
+      // What the treatment group gained over the control group's rates
+      incrementalConversions: conversionRate.difference * treatment.customers,
+      incrementalRevenue: revenuePerCustomer.difference * treatment.customers,
+      // The conversion rate interval leaves out zero
+      significant: conversionRate.interval[0] > 0 || conversionRate.interval[1] < 0,
+    },
+  };
+};
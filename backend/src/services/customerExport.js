@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const Customer = require('../models/customer.model');
+const Segment = require('../models/segment.model');
+const ExportJob = require('../models/exportJob.model');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { columnPath, readColumn } = require('../config/exportFields');
+
+// Customers read from MongoDB per cursor batch
+const CURSOR_BATCH_SIZE = 1000;
+
+// Background exports report progress after this many customers
+const PROGRESS_INTERVAL = 5000;
+
+/**
+ * Format a value for a CSV cell
+ * Lists are joined with ";" so the file can be imported again.
+ * @param {*} value - Customer value
+ * @returns {*} Cell value
+ */
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(';');
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+
+  return value;
+};
+
+/**
+ * Turn customers into CSV rows, values in column order
+ * @param {AsyncIterable<Object>} customers - Plain customer documents
+ * @param {Array<string>} columns - Exported columns
+ * @returns {AsyncGenerator<Array>} Rows
+ */
+async function* csvRows(customers, columns) {
+  for await (const customer of customers) {
+    yield columns.map((column) => toCsvValue(readColumn(customer, column)));
+  }
+}
+
+/**
+ * Turn customers into the chunks of a JSON array of objects keyed by column
+ * @param {AsyncIterable<Object>} customers - Plain customer documents
+ * @param {Array<string>} columns - Exported columns
+ * @returns {AsyncGenerator<string>} JSON text
+ */
+async function* jsonChunks(customers, columns) {
+  let separator = '[\n';
+
+  for await (const customer of customers) {
+    const record = {};
+    columns.forEach((column) => {
+      record[column] = readColumn(customer, column) ?? null;
+    });
+
+    yield `${separator}${JSON.stringify(record)}`;
+    separator = ',\n';
+  }
+
+  yield separator === '[\n' ? '[]\n' : '\n]\n';
+}
+
+/**
+ * Build the customer query of an export
+ * @param {Object} source - { source, segment, filters }; segment is a document or an ID
+ * @returns {Promise<Object>} MongoDB query
+ * @throws {Error} If the segment no longer exists
+ */
+exports.buildExportQuery = async ({ source, segment, filters }) => {
+  if (source === 'segment') {
+    const segmentDoc = segment instanceof Segment ? segment : await Segment.findById(segment);
+
+    if (!segmentDoc) {
+      throw new Error('The exported segment no longer exists');
+    }
+
+    return segmentDoc.toMongoQuery();
+  }
+
+  return Customer.buildListFilter(filters || {});
+};
+
+/**
+ * Name the file of an export, e.g. customers-2025-01-31.csv
+ * @param {Object} options - { format, segment }; segment is the exported segment document, if any
+ * @returns {string} File name
+ */
+exports.exportFileName = ({ format, segment }) => {
+  const prefix = segment
+    ? `segment-${segment.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || segment._id}`
+    : 'customers';
+
+  return `${prefix}-${new Date().toISOString().slice(0, 10)}.${format}`;
+};
+
+/**
+ * Write the customers matching a query to a stream
+ * Customers are read through a cursor, so memory use does not grow with the
+ * size of the export. The destination is ended once every customer is written.
+ * @param {Object} query - MongoDB query
+ * @param {Object} options - { format, columns, onProgress }; onProgress is called with the count written so far
+ * @param {stream.Writable} destination - Response or file stream
+ * @returns {Promise<number>} Customers written
+ */
+exports.writeCustomers = async (query, { format, columns, onProgress }, destination) => {
+  const cursor = Customer.find(query)
+    .select([...new Set(columns.map(columnPath))].join(' '))
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+  let count = 0;
+
+  async function* customers() {
+    for await (const customer of cursor) {
+      count += 1;
+      if (onProgress && count % PROGRESS_INTERVAL === 0) {
+        await onProgress(count);
+      }
+      yield customer;
+    }
+  }
+
+  if (format === 'json') {
+    await pipeline(Readable.from(jsonChunks(customers(), columns)), destination);
+  } else {
+    await pipeline(
+      Readable.from(csvRows(customers(), columns)),
+      stringify({
+        header: true,
+        columns,
+        cast: {
+          boolean: (value) => String(value),
+          date: (value) => value.toISOString(),
+        },
+      }),
+      destination
+    );
+  }
+
+  return count;
+};
+
+/**
+ * Run a background export, writing its file to the export directory
+ * The job is completed with the file's size and an expiry, or failed with the reason.
+ * @param {string} exportJobId - Queued export job
+ * @returns {Promise<void>}
+ */
+exports.runExportJob = async (exportJobId) => {
+  const exportJob = await ExportJob.findById(exportJobId);
+  const filePath = path.join(config.exports.dir, `${exportJob._id}.${exportJob.format}`);
+
+  try {
+    await fs.promises.mkdir(config.exports.dir, { recursive: true });
+    await ExportJob.updateOne({ _id: exportJobId }, { status: 'processing', startedAt: new Date(), filePath });
+
+    const query = await exports.buildExportQuery(exportJob);
+    const exportedRows = await exports.writeCustomers(
+      query,
+      {
+        format: exportJob.format,
+        columns: exportJob.columns,
+        onProgress: (count) => ExportJob.updateOne({ _id: exportJobId }, { exportedRows: count }),
+      },
+      fs.createWriteStream(filePath)
+    );
+    const { size } = await fs.promises.stat(filePath);
+    const completedAt = new Date();
+
+    await ExportJob.updateOne(
+      { _id: exportJobId },
+      {
+        status: 'completed',
+        totalRows: exportedRows,
+        exportedRows,
+        fileSize: size,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + config.exports.expiryHours * 60 * 60 * 1000),
+      }
+    );
+
+    logger.info(`Export ${exportJobId} completed: ${exportedRows} customers`);
+  } catch (err) {
+    logger.error(`Error running export ${exportJobId}: ${err.message}`);
+
+    await ExportJob.updateOne({ _id: exportJobId }, { status: 'failed', error: err.message });
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+};
+
+/**
+ * Remove the files of completed exports that have expired
+ * @returns {Promise<number>} Number of exports expired
+ */
+exports.removeExpiredExports = async () => {
+  const exportJobs = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } })
+    .select('+filePath');
+
+  for (const exportJob of exportJobs) {
+    await fs.promises.unlink(exportJob.filePath).catch(() => {});
+    exportJob.status = 'expired';
+    await exportJob.save();
+  }
+
+  if (exportJobs.length > 0) {
+    logger.info(`Removed ${exportJobs.length} expired export files`);
+  }
+
+  return exportJobs.length;
+};
+
+/**
+ * Fail background exports that were interrupted, and delete their partial files
+ * Exports are written by the server that started them and report progress as
+ * they go, so one that has not changed for a while was stopped by a restart.
+ * @returns {Promise<number>} Number of exports failed
+ */
+exports.failInterruptedExports = async () => {
+  const exportJobs = await ExportJob.find({
+    status: { $in: ['queued', 'processing'] },
+    updatedAt: { $lte: new Date(Date.now() - config.exports.staleMinutes * 60 * 1000) },
+  }).select('+filePath');
+  let failed = 0;
+
+  for (const exportJob of exportJobs) {
+    // Skip exports that moved on since they were found
+    const result = await ExportJob.updateOne(
+      { _id: exportJob._id, status: exportJob.status, updatedAt: exportJob.updatedAt },
+      { status: 'failed', error: 'The export was interrupted. Start a new export' }
+    );
+
+    if (result.modifiedCount > 0) {
+      failed += 1;
+      if (exportJob.filePath) {
+        fs.promises.unlink(exportJob.filePath).catch(() => {});
+      }
+    }
+  }
+
+  if (failed > 0) {
+    logger.info(`Failed ${failed} interrupted exports`);
+  }
+
+  return failed;
+};
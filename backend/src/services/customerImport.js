@@ -0,0 +1,228 @@
+const fs = require('fs');
+const { parse } = require('csv-parse');
+const ImportJob = require('../models/importJob.model');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { mapRecord } = require('../config/importFields');
+const { publishMessage } = require('./messagePublisher');
+
+/**
+ * Read the records of an uploaded file one at a time
+ * CSV files are streamed; the first row holds the column names. JSON files
+ * must hold an array of objects, or an object with a `customers` array.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} format - csv or json
+ * @param {Object} options - { columns: false } yields raw CSV rows, header included
+ * @returns {AsyncGenerator<Object>} Records keyed by column
+ */
+async function* readRecords(filePath, format, { columns = true } = {}) {
+  if (format === 'json') {
+    const content = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const records = Array.isArray(content) ? content : content && content.customers;
+
+    if (!Array.isArray(records)) {
+      throw new Error('JSON file must contain an array of customers');
+    }
+
+    yield* records;
+    return;
+  }
+
+  const stream = fs.createReadStream(filePath);
+  const parser = stream.pipe(parse({
+    columns,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    skip_records_with_empty_values: true,
+    relax_column_count: true,
+  }));
+
+  try {
+    for await (const record of parser) {
+      yield record;
+    }
+  } finally {
+    stream.destroy();
+  }
+}
+
+exports.readRecords = readRecords;
+
+/**
+ * Find the columns of an uploaded file and its first rows
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} format - csv or json
+ * @returns {Promise<Object>} { columns, sampleRows } with each sample row's values in column order
+ * @throws {Error} If the file cannot be read or has no usable columns
+ */
+exports.inspectFile = async (filePath, format) => {
+  const sampleRows = [];
+  let columns = [];
+
+  if (format === 'json') {
+    const seen = new Set();
+    const samples = [];
+
+    for await (const record of readRecords(filePath, format)) {
+      if (record && typeof record === 'object' && !Array.isArray(record)) {
+        Object.keys(record).forEach((key) => seen.add(key));
+        if (samples.length < config.imports.sampleSize) {
+          samples.push(record);
+        }
+      }
+    }
+
+    columns = [...seen];
+    samples.forEach((record) => sampleRows.push(columns.map((column) => record[column] ?? '')));
+  } else {
+    for await (const row of readRecords(filePath, format, { columns: false })) {
+      if (columns.length === 0) {
+        columns = row;
+      } else {
+        sampleRows.push(columns.map((column, index) => row[index] ?? ''));
+      }
+
+      if (sampleRows.length >= config.imports.sampleSize) {
+        break;
+      }
+    }
+
+    const names = new Set();
+    columns.forEach((column) => {
+      if (!column) {
+        throw new Error('Every column in the header row needs a name');
+      }
+      if (names.has(column)) {
+        throw new Error(`Column '${column}' appears more than once in the header row`);
+      }
+      names.add(column);
+    });
+  }
+
+  if (columns.length === 0) {
+    throw new Error('No columns found. CSV files need a header row');
+  }
+
+  return { columns, sampleRows };
+};
+
+/**
+ * Map every row of an import's file and queue the rows for the message broker
+ * Rows are sent in chunks on the customer.import channel, followed by a message
+ * saying all rows are queued. The broker counts the rows into the job, records
+ * per-row errors and completes the job. The file is deleted once read.
+ * @param {string} importJobId - Import job with a confirmed mapping
+ * @returns {Promise<void>}
+ */
+exports.queueImportRows = async (importJobId) => {
+  const importJob = await ImportJob.findById(importJobId).select('+filePath');
+  let chunk = [];
+  let chunkIndex = 0;
+  let totalRows = 0;
+
+  const publishChunk = async () => {
+    await publishMessage('customer.import', { importJobId, chunk: chunkIndex, rows: chunk });
+    chunkIndex += 1;
+    chunk = [];
+
+    // Keep a large file that is still being read from looking interrupted to cleanUpImports
+    await ImportJob.updateOne({ _id: importJobId }, { $set: { updatedAt: new Date() } });
+  };
+
+  try {
+    await ImportJob.updateOne({ _id: importJobId }, { status: 'processing', startedAt: new Date() });
+
+    for await (const record of readRecords(importJob.filePath, importJob.format)) {
+      totalRows += 1;
+
+      // Rows that cannot be mapped are still sent, so the broker counts them as failed
+      const { customer, error, email } = mapRecord(record, importJob.mapping);
+      chunk.push(error ? { row: totalRows, error, email } : { row: totalRows, customer });
+
+      if (chunk.length >= config.imports.chunkSize) {
+        await publishChunk();
+      }
+    }
+
+    if (chunk.length > 0) {
+      await publishChunk();
+    }
+
+    await ImportJob.updateOne({ _id: importJobId }, { totalRows, rowsQueuedAt: new Date() });
+    await publishMessage('customer.import', { importJobId, totalRows });
+
+    logger.info(`Import ${importJobId} queued: ${totalRows} rows in ${chunkIndex} chunks`);
+  } catch (err) {
+    logger.error(`Error reading import ${importJobId}: ${err.message}`);
+
+    await ImportJob.updateOne(
+      { _id: importJobId },
+      { status: 'failed', error: `Could not read the file after ${totalRows} rows: ${err.message}` }
+    );
+  } finally {
+    fs.promises.unlink(importJob.filePath).catch(() => {});
+  }
+};
+
+/**
+ * Fail the import jobs matching a filter and delete their files
+ * @param {Object} filter - Import jobs to fail
+ * @param {string} error - Why they failed
+ * @returns {Promise<number>} Number of import jobs failed
+ */
+const failImports = async (filter, error) => {
+  const importJobs = await ImportJob.find(filter).select('+filePath');
+  let failed = 0;
+
+  for (const importJob of importJobs) {
+    // Skip jobs that moved on since they were found
+    const result = await ImportJob.updateOne(
+      { _id: importJob._id, status: importJob.status, updatedAt: importJob.updatedAt },
+      { status: 'failed', error }
+    );
+
+    if (result.modifiedCount > 0) {
+      failed += 1;
+      if (importJob.filePath) {
+        fs.promises.unlink(importJob.filePath).catch(() => {});
+      }
+    }
+  }
+
+  return failed;
+};
+
+/**
+ * Fail imports that were interrupted while their file was read, and uploads that were never mapped
+ * Files are read by the server that started the import, so a restart leaves
+ * those imports queued or processing for good. Imports being read are
+ * touched after every chunk, so only those that stopped making progress are
+ * failed. Imports whose rows have all been queued are left to the message broker.
+ * @returns {Promise<number>} Number of import jobs failed
+ */
+exports.cleanUpImports = async () => {
+  const now = Date.now();
+
+  const interrupted = await failImports(
+    {
+      status: { $in: ['queued', 'processing'] },
+      rowsQueuedAt: null,
+      updatedAt: { $lte: new Date(now - config.imports.staleMinutes * 60 * 1000) },
+    },
+    'The import was interrupted before all rows were read. Upload the file again'
+  );
+  const abandoned = await failImports(
+    {
+      status: 'awaiting_mapping',
+      createdAt: { $lte: new Date(now - config.imports.abandonedHours * 60 * 60 * 1000) },
+    },
+    `The columns were not mapped within ${config.imports.abandonedHours} hours. Upload the file again`
+  );
+
+  if (interrupted + abandoned > 0) {
+    logger.info(`Cleaned up imports: ${interrupted} interrupted, ${abandoned} never mapped`);
+  }
+
+  return interrupted + abandoned;
+};
@@ -0,0 +1,175 @@
+const Customer = require('../models/customer.model');
+const Order = require('../models/order.model');
+const CommunicationLog = require('../models/communicationLog.model');
+const Event = require('../models/event.model');
+const DuplicateCandidate = require('../models/duplicateCandidate.model');
+const CustomerMerge = require('../models/customerMerge.model');
+const ProfileChange = require('../models/profileChange.model');
+const logger = require('../utils/logger');
+
+// Profile fields the survivor takes from a merged customer when it has none
+const FILLED_FIELDS = ['phone', 'location', 'timezone', 'externalId', 'avatar'];
+
+// Channels a customer can unsubscribe from
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+
+/**
+ * Work out the survivor's profile after a merge
+ * The survivor's own values win. Missing fields are filled from the merged
+ * customers in the order given, tags are combined and metadata keys the
+ * survivor lacks are added. An unsubscribe from any of the customers is kept,
+ * so merging never resumes messages someone asked to stop.
+ * @param {Object} survivor - Surviving customer
+ * @param {Array<Object>} duplicates - Customers merged into the survivor
+ * @returns {Object} Fields of the survivor that change, with their new values
+ */
+const combineProfiles = (survivor, duplicates) => {
+  const changes = {};
+
+  FILLED_FIELDS.forEach((field) => {
+    const donor = !survivor[field] && duplicates.find((customer) => customer[field]);
+    if (donor) {
+      changes[field] = donor[field];
+    }
+  });
+
+  const tags = [...new Set([...(survivor.tags || []), ...duplicates.flatMap((customer) => customer.tags || [])])];
+  if (tags.length > (survivor.tags || []).length) {
+    changes.tags = tags;
+  }
+
+  // Later assignments win, so the survivor goes last and the first duplicate after the others
+  const metadata = Object.assign(
+    {},
+    ...[...duplicates].reverse().map((customer) => customer.metadata || {}),
+    survivor.metadata || {}
+  );
+  if (Object.keys(metadata).length > Object.keys(survivor.metadata || {}).length) {
+    changes.metadata = metadata;
+  }
+
+  const unsubscribed = CHANNELS.filter((channel) => !survivor.isUnsubscribed(channel)
+    && duplicates.some((customer) => customer.isUnsubscribed(channel)));
+  if (unsubscribed.length > 0) {
+    changes.subscriptions = { ...(survivor.toObject().subscriptions || {}) };
+    unsubscribed.forEach((channel) => {
+      changes.subscriptions[channel] = duplicates.find((customer) => customer.isUnsubscribed(channel)).subscriptions[channel].toObject();
+    });
+  }
+
+  if (!survivor.isActive && duplicates.some((customer) => customer.isActive)) {
+    changes.isActive = true;
+  }
+
+  return changes;
+};
+
+/**
+ * Remove the merged customers' messages from campaigns that another of the customers also got
+ * A customer has one message per campaign, so only one of them can move to the
+ * survivor: the survivor's own, or else that of the first merged customer to have one.
+ * @param {ObjectId} survivorId - Surviving customer
+ * @param {Array<ObjectId>} duplicateIds - Customers merged into the survivor, in order
+ * @returns {Promise<Array<Object>>} Removed communication logs, for the audit record
+ */
+const dropSharedCampaignLogs = async (survivorId, duplicateIds) => {
+  const customerIds = [survivorId, ...duplicateIds];
+  const rank = (customerId) => customerIds.findIndex((id) => id.equals(customerId));
+
+  const campaigns = await CommunicationLog.aggregate([
+    { $match: { customerId: { $in: customerIds }, campaignId: { $exists: true } } },
+    { $group: { _id: '$campaignId', logs: { $push: { _id: '$_id', customerId: '$customerId' } } } },
+    { $match: { 'logs.1': { $exists: true } } },
+  ]);
+
+  const droppedIds = campaigns.flatMap(({ logs }) => logs
+    .sort((a, b) => rank(a.customerId) - rank(b.customerId))
+    .slice(1)
+    .map((log) => log._id));
+
+  if (droppedIds.length === 0) {
+    return [];
+  }
+
+  const dropped = await CommunicationLog.find({ _id: { $in: droppedIds } }).lean();
+  await CommunicationLog.deleteMany({ _id: { $in: droppedIds } });
+
+  return dropped;
+};
+
+/**
+ * Merge customers into a surviving customer
+ * Orders, communication history, events and profile changes move to the
+ * survivor, its spend and order aggregates are recomputed, and the merged
+ * customers are deleted. Where several of the customers got the same
+ * campaign, only one message is kept and the others are kept in the audit record.
+ * Duplicate candidates between the customers are marked merged and an audit
+ * record keeps every customer as it was before the merge.
+ * @param {Object} survivor - Customer document that is kept
+ * @param {Array<Object>} duplicates - Customer documents merged into the survivor
+ * @param {Object} options - { mergedBy } user merging the customers
+ * @returns {Promise<Object>} { customer, merge } with the updated survivor and the audit record
+ */
+exports.mergeCustomers = async (survivor, duplicates, { mergedBy } = {}) => {
+  const duplicateIds = duplicates.map((customer) => customer._id);
+  const survivorBefore = survivor.toObject({ virtuals: false });
+  const changes = combineProfiles(survivor, duplicates);
+
+  // History moves first, so nothing is left pointing at a deleted customer if a later step fails.
+  // The moves run one after another, so a failure stops the merge before the next one starts,
+  // and merging the same customers again finishes it
+  const droppedCommunications = await dropSharedCampaignLogs(survivor._id, duplicateIds);
+  const orders = await Order.updateMany({ customerId: { $in: duplicateIds } }, { $set: { customerId: survivor._id } });
+  const communications = await CommunicationLog.updateMany({ customerId: { $in: duplicateIds } }, { $set: { customerId: survivor._id } });
+  const events = await Event.updateMany({ 'meta.customerId': { $in: duplicateIds } }, { $set: { 'meta.customerId': survivor._id } });
+  await ProfileChange.updateMany({ customerId: { $in: duplicateIds } }, { $set: { customerId: survivor._id } });
+
+  // Merged customers are deleted before the survivor is updated, since externalId is unique
+  await Customer.deleteMany({ _id: { $in: duplicateIds } });
+
+  Object.assign(survivor, changes);
+  await survivor.save();
+  await Order.refreshCustomerStats(survivor._id);
+
+  // Candidates between merged customers are resolved; others involving them are stale
+  const customerIds = [survivor._id, ...duplicateIds];
+  const pairKeys = customerIds.flatMap((id, index) => customerIds
+    .slice(index + 1)
+    .map((otherId) => DuplicateCandidate.pairKey([id, otherId])));
+  const candidates = await DuplicateCandidate.find({ pairKey: { $in: pairKeys } }).select('_id');
+
+  await DuplicateCandidate.updateMany(
+    { _id: { $in: candidates.map((candidate) => candidate._id) } },
+    { status: 'merged', resolvedAt: new Date(), resolvedBy: mergedBy }
+  );
+  await DuplicateCandidate.deleteMany({ customers: { $in: duplicateIds }, status: { $ne: 'merged' } });
+
+  const merge = await CustomerMerge.create({
+    survivor: survivor._id,
+    survivorBefore,
+    mergedCustomers: duplicates.map((customer) => customer.toObject({ virtuals: false })),
+    changes,
+    moved: {
+      orders: orders.modifiedCount,
+      communications: communications.modifiedCount,
+      events: events.modifiedCount,
+    },
+    droppedCommunications,
+    candidates: candidates.map((candidate) => candidate._id),
+    mergedBy,
+  });
+
+  await ProfileChange.record(
+    survivor._id,
+    'merged',
+    ProfileChange.diff(survivorBefore, survivor.toObject({ virtuals: false })),
+    { source: 'merge', merge: merge._id, changedBy: mergedBy }
+  );
+
+  logger.info(`Merged ${duplicateIds.length} customers into ${survivor.email}`);
+
+  return {
+    customer: await Customer.findById(survivor._id),
+    merge,
+  };
+};
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/campaign.model');
+const Journey = require('../models/journey.model');
+const CommunicationLog = require('../models/communicationLog.model');
+const Order = require('../models/order.model');
+const ProfileChange = require('../models/profileChange.model');
+const User = require('../models/user.model');
+
+// Kinds of timeline entries, usable as filters
+exports.CATEGORIES = ['communication', 'engagement', 'order', 'profile'];
+
+// Entry types of the delivery callbacks stored on a communication log
+const ENGAGEMENT_TYPES = {
+  OPEN: 'message.opened',
+  CLICK: 'message.clicked',
+  REPLY: 'message.replied',
+};
+
+/**
+ * Build an entry of a communication log for $concatArrays, or none if the condition fails
+ * @param {Object} condition - Aggregation condition
+ * @param {Object} entry - Entry fields
+ * @returns {Object} Aggregation expression giving a list of zero or one entry
+ */
+const entryIf = (condition, entry) => ({ $cond: [condition, [entry], []] });
+
+/**
+ * Stages turning each communication log into its timeline entries
+ * A log gives a queued entry while it is waiting to be sent, sent and
+ * delivered entries as the vendor reports them, a failed entry once it gives
+ * up or a suppressed entry if the customer unsubscribed, and an engagement
+ * entry per open, click or reply callback.
+ * @returns {Array<Object>} Aggregation stages
+ */
+const communicationStages = () => [
+  {
+    $project: {
+      _id: 0,
+      sourceId: '$_id',
+      campaignId: 1,
+      journeyId: 1,
+      channel: 1,
+      recipient: 1,
+      message: 1,
+      entries: {
+        $concatArrays: [
+          entryIf(
+            { $in: ['$status', ['PENDING', 'PROCESSING', 'RETRYING']] },
+            { type: 'message.queued', category: 'communication', occurredAt: '$createdAt', details: { status: '$status' } }
+          ),
+          entryIf(
+            { $and: [{ $eq: ['$status', 'SENT'] }, { $gt: ['$sentAt', null] }] },
+            { type: 'message.sent', category: 'communication', occurredAt: '$sentAt', details: {} }
+          ),
+          entryIf(
+            { $gt: ['$deliveredAt', null] },
+            { type: 'message.delivered', category: 'communication', occurredAt: '$deliveredAt', details: {} }
+          ),
+          entryIf(
+            { $in: ['$status', ['FAILED', 'DEAD_LETTER']] },
+            {
+              type: 'message.failed',
+              category: 'communication',
+              occurredAt: { $ifNull: ['$sentAt', '$updatedAt'] },
+              details: { status: '$status', error: '$errorMessage' },
+            }
+          ),
+          entryIf(
+            { $eq: ['$status', 'SUPPRESSED'] },
+            {
+              type: 'message.suppressed',
+              category: 'communication',
+              occurredAt: '$updatedAt',
+              details: { status: '$status', error: '$errorMessage' },
+            }
+          ),
+          {
+            $map: {
+              input: { $ifNull: ['$metadata.events', []] },
+              as: 'event',
+              in: {
+                type: {
+                  $switch: {
+                    branches: Object.entries(ENGAGEMENT_TYPES).map(([eventType, type]) => ({
+                      case: { $eq: ['$$event.type', eventType] },
+                      then: type,
+                    })),
+                    default: 'message.engaged',
+                  },
+                },
+                category: 'engagement',
+                occurredAt: { $toDate: '$$event.timestamp' },
+                details: { url: '$$event.url', replyText: '$$event.replyText' },
+              },
+            },
+          },
+        ],
+      },
+    },
+  },
+  { $unwind: '$entries' },
+  {
+    $replaceWith: {
+      $mergeObjects: [
+        '$entries',
+        {
+          source: 'communication',
+          sourceId: '$sourceId',
+          campaignId: '$campaignId',
+          journeyId: '$journeyId',
+          channel: '$channel',
+          recipient: '$recipient',
+          message: '$message',
+        },
+      ],
+    },
+  },
+];
+
+/**
+ * Stages turning each order of a customer into a timeline entry
+ * @param {ObjectId} customerId - Customer ID
+ * @returns {Array<Object>} Aggregation stages
+ */
+const orderStages = (customerId) => [
+  { $match: { customerId } },
+  {
+    $project: {
+      _id: 0,
+      type: { $literal: 'order.placed' },
+      category: { $literal: 'order' },
+      occurredAt: '$placedAt',
+      source: { $literal: 'order' },
+      sourceId: '$_id',
+      details: {
+        orderNumber: '$orderNumber',
+        amount: '$amount',
+        currency: '$currency',
+        status: '$status',
+        refundedAmount: '$refundedAmount',
+      },
+    },
+  },
+];
+
+/**
+ * Stages turning each profile change of a customer into a timeline entry
+ * @param {ObjectId} customerId - Customer ID
+ * @returns {Array<Object>} Aggregation stages
+ */
+const profileStages = (customerId) => [
+  { $match: { customerId } },
+  {
+    $project: {
+      _id: 0,
+      type: { $concat: ['profile.', '$action'] },
+      category: { $literal: 'profile' },
+      occurredAt: '$createdAt',
+      source: { $literal: 'profile' },
+      sourceId: '$_id',
+      details: {
+        source: '$source',
+        changes: '$changes',
+        importJob: '$importJob',
+        merge: '$merge',
+        changedBy: '$changedBy',
+      },
+    },
+  },
+];
+
+/**
+ * Build the filter applied to timeline entries
+ * @param {Object} filters - { categories, campaignId, channel, from, to }
+ * @returns {Object} MongoDB filter
+ */
+const buildEntryFilter = ({ categories, campaignId, channel, from, to } = {}) => {
+  const filter = {};
+
+  if (categories && categories.length > 0) {
+    filter.category = { $in: categories };
+  }
+
+  if (campaignId) {
+    filter.campaignId = new mongoose.Types.ObjectId(String(campaignId));
+  }
+
+  if (channel) {
+    filter.channel = channel;
+  }
+
+  if (from || to) {
+    filter.occurredAt = {};
+    if (from) filter.occurredAt.$gte = from;
+    if (to) filter.occurredAt.$lte = to;
+  }
+
+  return filter;
+};
+
+/**
+ * Add the campaign or journey and the user behind each entry, so support can tell why a message was sent
+ * @param {Array<Object>} entries - Timeline entries
+ * @returns {Promise<Array<Object>>} Entries with campaign, journey and changedBy details
+ */
+const describeEntries = async (entries) => {
+  const campaignIds = [...new Set(entries.filter((entry) => entry.campaignId).map((entry) => String(entry.campaignId)))];
+  const journeyIds = [...new Set(entries.filter((entry) => entry.journeyId).map((entry) => String(entry.journeyId)))];
+  const userIds = [...new Set(entries
+    .filter((entry) => entry.details && entry.details.changedBy)
+    .map((entry) => String(entry.details.changedBy)))];
+
+  const [campaigns, journeys, users] = await Promise.all([
+    campaignIds.length > 0
+      ? Campaign.find({ _id: { $in: campaignIds } })
+        .select('name channel status segmentId sentAt')
+        .populate('segmentId', 'name')
+        .lean()
+      : [],
+    journeyIds.length > 0 ? Journey.find({ _id: { $in: journeyIds } }).select('name status').lean() : [],
+    userIds.length > 0 ? User.find({ _id: { $in: userIds } }).select('name email').lean() : [],
+  ]);
+
+  const campaignsById = new Map(campaigns.map((campaign) => [String(campaign._id), {
+    _id: campaign._id,
+    name: campaign.name,
+    channel: campaign.channel,
+    status: campaign.status,
+    segment: campaign.segmentId ? { _id: campaign.segmentId._id, name: campaign.segmentId.name } : null,
+  }]));
+  const journeysById = new Map(journeys.map((journey) => [String(journey._id), journey]));
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  return entries.map((entry) => {
+    const described = { ...entry };
+
+    if (entry.campaignId) {
+      described.campaign = campaignsById.get(String(entry.campaignId)) || null;
+    }
+
+    if (entry.journeyId) {
+      described.journey = journeysById.get(String(entry.journeyId)) || null;
+    }
+
+    if (entry.details && entry.details.changedBy) {
+      described.details = { ...entry.details, changedBy: usersById.get(String(entry.details.changedBy)) || null };
+    }
+
+    return described;
+  });
+};
+
+/**
+ * Get a customer's timeline, newest first
+ * Communication logs, delivery callbacks, orders and profile changes are
+ * merged into one list of entries ({ type, category, occurredAt, source,
+ * sourceId, details }); communication and engagement entries also carry the
+ * campaign, channel, recipient and message.
+ * @param {ObjectId|string} customerId - Customer ID
+ * @param {Object} options - { categories, campaignId, channel, from, to, skip, limit }
+ * @returns {Promise<Object>} { entries, total }
+ */
+exports.getTimeline = async (customerId, { skip = 0, limit = 20, ...filters } = {}) => {
+  const id = new mongoose.Types.ObjectId(String(customerId));
+
+  const [result] = await CommunicationLog.aggregate([
+    { $match: { customerId: id } },
+    ...communicationStages(),
+    { $unionWith: { coll: Order.collection.name, pipeline: orderStages(id) } },
+    { $unionWith: { coll: ProfileChange.collection.name, pipeline: profileStages(id) } },
+    { $match: buildEntryFilter(filters) },
+    { $sort: { occurredAt: -1, sourceId: -1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        entries: [{ $skip: skip }, { $limit: limit }],
+      },
+    },
+  ]);
+
+  return {
+    entries: await describeEntries(result.entries),
+    total: result.total.length > 0 ? result.total[0].count : 0,
+  };
+};
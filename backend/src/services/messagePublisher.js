@@ -16,9 +16,12 @@ redisClient.on('error', (err) => {
 
 /**
  * Publish a message to a channel
- * @param {string} channel - Redis channel
+ * Messages are appended to a Redis stream per channel, so they are kept until
+ * the message broker's consumer group reads and acknowledges them, even if
+ * the broker is down when they are published.
+ * @param {string} channel - Channel name, e.g. campaign.created
  * @param {Object} message - Message to publish
- * @returns {Promise<number>} Number of clients that received the message
+ * @returns {Promise<string>} ID of the stream entry
  */
 exports.publishMessage = async (channel, message) => {
   try {
@@ -30,8 +33,13 @@ exports.publishMessage = async (channel, message) => {
     // Convert message to JSON string
     const messageString = JSON.stringify(message);
     
-    // Publish to Redis channel
-    const result = await redisClient.publish(channel, messageString);
+    // Append to the channel's stream; the broker trims entries once they are acknowledged
+    const result = await redisClient.xadd(
+      `${config.redis.streamPrefix}${channel}`,
+      '*',
+      'data',
+      messageString
+    );
     
     logger.debug(`Published message to ${channel}: ${messageString.substring(0, 100)}${messageString.length > 100 ? '...' : ''}`);
     
@@ -0,0 +1,115 @@
+const Suppression = require('../models/suppression.model');
+const { readRecords } = require('./customerImport');
+
+const TYPES = ['email', 'phone', 'domain'];
+
+const REASONS = ['hard_bounce', 'complaint', 'competitor', 'legal_hold', 'other'];
+
+// Entries upserted per bulk write
+const WRITE_BATCH_SIZE = 500;
+
+// Row errors kept in an upload's report
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Read the entries of one row of an uploaded list
+ * A row holds its values in a value column, whose type comes from a type
+ * column, the upload's default or the value itself, or in email, phone and
+ * domain columns. Reason and note columns override the upload's defaults.
+ * @param {Object} record - Row keyed by column
+ * @param {Object} defaults - { type, reason, note }
+ * @returns {Array<Object>} Entries ({ type, value, reason, note } or { error })
+ */
+const readRow = (record, defaults) => {
+  const row = Object.fromEntries(Object.entries(record).map(([column, value]) => [column.trim().toLowerCase(), value]));
+  const reason = row.reason || defaults.reason || 'other';
+  const note = row.note || defaults.note;
+
+  const values = [
+    ...TYPES.filter((type) => row[type]).map((type) => ({ type, value: row[type] })),
+    ...(row.value ? [{ type: row.type || defaults.type || Suppression.detectType(row.value), value: row.value }] : []),
+  ];
+
+  if (values.length === 0) {
+    return [{ error: 'No email, phone, domain or value' }];
+  }
+
+  return values.map(({ type, value }) => {
+    if (!TYPES.includes(type)) {
+      return { error: `Unknown type '${type}'` };
+    }
+    if (!REASONS.includes(reason)) {
+      return { error: `Unknown reason '${reason}'` };
+    }
+
+    const normalized = Suppression.normalize(type, value);
+    if (!normalized) {
+      return { error: `'${value}' is not a valid ${type}` };
+    }
+
+    return { type, value: normalized, reason, note };
+  });
+};
+
+/**
+ * Add the entries of an uploaded CSV file to the suppression list
+ * Entries already on the list keep their reason and note.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {Object} options - { type, reason, note } defaults for rows without them, and createdBy
+ * @returns {Promise<Object>} Report: { rows, added, existing, failed, errors: [{ row, message }] }
+ */
+exports.importSuppressions = async (filePath, { createdBy, ...defaults } = {}) => {
+  const report = { rows: 0, added: 0, existing: 0, failed: 0, errors: [] };
+  let batch = new Map();
+
+  const writeBatch = async () => {
+    const entries = [...batch.values()];
+    batch = new Map();
+
+    const result = await Suppression.bulkWrite(entries.map(({ type, value, reason, note }) => ({
+      updateOne: {
+        filter: { type, value },
+        update: { $setOnInsert: { reason, note, source: 'upload', createdBy } },
+        upsert: true,
+      },
+    })), { ordered: false });
+
+    report.added += result.upsertedCount;
+    report.existing += entries.length - result.upsertedCount;
+  };
+
+  for await (const record of readRecords(filePath, 'csv')) {
+    report.rows += 1;
+
+    for (const entry of readRow(record, defaults)) {
+      if (entry.error) {
+        report.failed += 1;
+        if (report.errors.length < MAX_REPORTED_ERRORS) {
+          report.errors.push({ row: report.rows, message: entry.error });
+        }
+        continue;
+      }
+
+      // The same value twice in a batch is written once and counted as existing the second time
+      const key = `${entry.type}:${entry.value}`;
+      if (batch.has(key)) {
+        report.existing += 1;
+      } else {
+        batch.set(key, entry);
+      }
+    }
+
+    if (batch.size >= WRITE_BATCH_SIZE) {
+      await writeBatch();
+    }
+  }
+
+  if (batch.size > 0) {
+    await writeBatch();
+  }
+
+  return report;
+};
+
+exports.TYPES = TYPES;
+exports.REASONS = REASONS;
@@ -7,14 +7,19 @@ class AppError extends Error {
      * Create a new AppError
      * @param {string} message - Error message
      * @param {number} statusCode - HTTP status code
+     * @param {Object} [errors] - Field-level validation errors keyed by path
      */
-    constructor(message, statusCode) {
+    constructor(message, statusCode, errors) {
       super(message);
       
       this.statusCode = statusCode;
       this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
       this.isOperational = true; // Mark as operational error for proper handling
       
+      if (errors) {
+        this.errors = errors;
+      }
+      
       Error.captureStackTrace(this, this.constructor);
     }
   }
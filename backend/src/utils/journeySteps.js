@@ -0,0 +1,200 @@
+/**
+ * Journey steps
+ *
+ * A journey is a graph of steps keyed by name. Each step points at the steps
+ * that follow it: next for all steps but exit, and otherwise for the timeout
+ * of a wait_event step and the "no" side of a branch. Send and branch steps
+ * take no time, so a loop through them alone would never stop; every loop
+ * must pass through a wait or wait_event step.
+ */
+
+const { validateTemplate } = require('./messageTemplate');
+
+const STEP_TYPES = ['send', 'wait', 'wait_event', 'branch', 'exit'];
+
+const DURATION_UNITS = ['minutes', 'hours', 'days'];
+
+const ENGAGEMENTS = ['delivered', 'clicked', 'replied'];
+
+// Same rule as tracked event names
+const EVENT_NAME_PATTERN = /^[a-zA-Z0-9_.:-]{1,64}$/;
+
+// Steps customers pass through without waiting
+const INSTANT_TYPES = ['send', 'branch'];
+
+/**
+ * Find a loop through steps that take no time
+ * @param {Map<string, Object>} stepsByKey - Steps keyed by step key
+ * @returns {Array<string>|null} Keys of the steps in the loop, or null if there is none
+ */
+const findInstantLoop = (stepsByKey) => {
+  const done = new Set();
+
+  const visit = (key, path) => {
+    const step = stepsByKey.get(key);
+    if (!step || !INSTANT_TYPES.includes(step.type) || done.has(key)) {
+      return null;
+    }
+    if (path.includes(key)) {
+      return path.slice(path.indexOf(key));
+    }
+
+    for (const link of [step.next, step.otherwise]) {
+      const loop = link ? visit(link, [...path, key]) : null;
+      if (loop) {
+        return loop;
+      }
+    }
+
+    done.add(key);
+    return null;
+  };
+
+  for (const key of stepsByKey.keys()) {
+    const loop = visit(key, []);
+    if (loop) {
+      return loop;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check the settings of one step
+ * @param {Object} step - Journey step
+ * @param {string} path - Path of the step in the journey, for error keys
+ * @param {Object} errors - Messages keyed by path, added to
+ */
+const checkStep = (step, path, errors) => {
+  const hasDuration = step.duration !== undefined && step.duration !== null && step.duration !== '';
+
+  // A zero timeout would let a wait_event step pass at once, like a send or branch step
+  if (hasDuration && !(Number(step.duration) > 0)) {
+    errors[`${path}.duration`] = 'Duration must be more than 0';
+  }
+  if (step.unit !== undefined && !DURATION_UNITS.includes(step.unit)) {
+    errors[`${path}.unit`] = `Unit must be one of ${DURATION_UNITS.join(', ')}`;
+  }
+
+  switch (step.type) {
+    case 'send':
+      ['message', 'subject'].forEach((field) => {
+        if (field === 'message' && !step.message) {
+          errors[`${path}.message`] = 'Send steps need a message';
+          return;
+        }
+        const fieldErrors = validateTemplate(step[field] || '');
+        if (fieldErrors.length > 0) {
+          errors[`${path}.${field}`] = fieldErrors.join('; ');
+        }
+      });
+      break;
+    case 'wait':
+      if (!(Number(step.duration) > 0)) {
+        errors[`${path}.duration`] = 'Wait steps need a duration';
+      }
+      break;
+    case 'wait_event':
+      if (!EVENT_NAME_PATTERN.test(step.event || '')) {
+        errors[`${path}.event`] = 'Name the event to wait for, using letters, numbers, _ . : and -, up to 64 characters';
+      }
+      // The timeout and the step it leads to come together
+      if (hasDuration && !step.otherwise) {
+        errors[`${path}.otherwise`] = 'Pick the step after the wait times out';
+      } else if (!hasDuration && step.otherwise) {
+        errors[`${path}.duration`] = 'Set how long to wait before timing out';
+      }
+      break;
+    case 'branch':
+      if (step.branchOn === 'segment') {
+        if (!step.segmentId) {
+          errors[`${path}.segmentId`] = 'Pick the segment to branch on';
+        }
+      } else if (step.branchOn === 'engagement') {
+        if (!ENGAGEMENTS.includes(step.engagement)) {
+          errors[`${path}.engagement`] = `Engagement must be one of ${ENGAGEMENTS.join(', ')}`;
+        }
+      } else {
+        errors[`${path}.branchOn`] = 'Branch on a segment or on engagement';
+      }
+      if (!step.otherwise) {
+        errors[`${path}.otherwise`] = 'Pick the step when the condition does not hold';
+      }
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Check a journey's entry and steps
+ * Steps that cannot be reached from the start step are allowed, so a journey
+ * can be saved while it is being edited.
+ * @param {Object} journey - Journey with entry, steps and startStep
+ * @returns {Object} Messages keyed by path, e.g. { 'steps.2.next': "No step with key 'reminder'" }; empty if valid
+ */
+const validateJourney = ({ entry = {}, steps = [], startStep }) => {
+  const errors = {};
+
+  if (entry.source === 'event') {
+    if (!EVENT_NAME_PATTERN.test(entry.event || '')) {
+      errors['entry.event'] = 'Name the event that enrolls customers, using letters, numbers, _ . : and -, up to 64 characters';
+    }
+  } else if (entry.source !== undefined && entry.source !== 'segment') {
+    errors['entry.source'] = 'Customers enter from a segment or an event';
+  } else if (!entry.segmentId) {
+    errors['entry.segmentId'] = 'Pick the segment whose customers enter the journey';
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.steps = 'A journey needs at least one step';
+    return errors;
+  }
+
+  const stepsByKey = new Map();
+  steps.forEach((step, index) => {
+    if (!step.key) {
+      errors[`steps.${index}.key`] = 'Step needs a key';
+    } else if (stepsByKey.has(step.key)) {
+      errors[`steps.${index}.key`] = `Step key '${step.key}' is used more than once`;
+    } else {
+      stepsByKey.set(step.key, step);
+    }
+  });
+
+  steps.forEach((step, index) => {
+    const path = `steps.${index}`;
+
+    if (!STEP_TYPES.includes(step.type)) {
+      errors[`${path}.type`] = `Step type must be one of ${STEP_TYPES.join(', ')}`;
+      return;
+    }
+
+    checkStep(step, path, errors);
+
+    if (step.type !== 'exit' && !step.next) {
+      errors[`${path}.next`] = 'Pick the next step';
+    }
+    ['next', 'otherwise'].forEach((link) => {
+      if (step[link] && !stepsByKey.has(step[link])) {
+        errors[`${path}.${link}`] = `No step with key '${step[link]}'`;
+      }
+    });
+  });
+
+  if (!startStep || !stepsByKey.has(startStep)) {
+    errors.startStep = 'Pick the step customers enter at';
+  }
+
+  const loop = findInstantLoop(stepsByKey);
+  if (loop) {
+    errors.steps = `Steps ${loop.join(', ')} loop without a wait`;
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateJourney,
+};
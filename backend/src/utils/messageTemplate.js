@@ -0,0 +1,514 @@
+/**
+ * Message template engine
+ *
+ * Campaign messages are templates rendered once per customer:
+ * - {{location}}, {{metadata.tier}}: any registry field or metadata path
+ * - {{totalSpend | currency}}: filters, chained left to right, some with an
+ *   argument, e.g. {{name | default: "there"}} or {{lastOrderDate | date: "long"}}
+ * - {{#if orderCount}}...{{else}}...{{/if}} and {{#unless ...}}...{{/unless}}
+ * - {{#each tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+ * - {{unsubscribeUrl}}: the customer's unsubscribe link, supplied when the
+ *   message is sent; messages that do not place it get it at the end
+ *
+ * Values are escaped for the channel the message is sent on (HTML for email)
+ * unless passed through the raw filter. Literal template text is not escaped.
+ */
+
+const { getField } = require('../config/segmentFields');
+
+// Fallbacks for missing values without a default filter, so {{name}} renders as it did before defaults existed
+const FALLBACKS = {
+  name: 'Customer',
+};
+
+// Allowed arguments for the date filter
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+// Filters: arg is 'none', 'optional' or 'required'
+const FILTERS = {
+  default: {
+    arg: 'required',
+    apply: (value, arg) => (isBlank(value) ? arg : value),
+  },
+  upper: {
+    arg: 'none',
+    apply: (value) => toText(value).toUpperCase(),
+  },
+  lower: {
+    arg: 'none',
+    apply: (value) => toText(value).toLowerCase(),
+  },
+  capitalize: {
+    arg: 'none',
+    apply: (value) => toText(value).replace(/\b\w/g, (letter) => letter.toUpperCase()),
+  },
+  trim: {
+    arg: 'none',
+    apply: (value) => toText(value).trim(),
+  },
+  truncate: {
+    arg: 'required',
+    apply: (value, arg) => {
+      const text = toText(value);
+      return text.length > arg ? `${text.slice(0, arg).trimEnd()}...` : text;
+    },
+  },
+  number: {
+    arg: 'none',
+    apply: (value) => (isNumeric(value) ? new Intl.NumberFormat('en-IN').format(Number(value)) : value),
+  },
+  currency: {
+    arg: 'optional',
+    apply: (value, arg = 'INR') => (isNumeric(value)
+      ? new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: arg,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+      }).format(Number(value))
+      : value),
+  },
+  date: {
+    arg: 'optional',
+    apply: (value, arg = 'medium') => {
+      const date = value instanceof Date ? value : new Date(value);
+      return isBlank(value) || isNaN(date.getTime())
+        ? value
+        : new Intl.DateTimeFormat('en-IN', { dateStyle: arg }).format(date);
+    },
+  },
+  join: {
+    arg: 'optional',
+    apply: (value, arg = ', ') => (Array.isArray(value) ? value.map(toText).join(arg) : value),
+  },
+  raw: {
+    arg: 'none',
+    apply: (value) => value,
+  },
+};
+
+// Escaping applied to rendered values for each channel
+const ESCAPERS = {
+  html: (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;'),
+  // Plain text channels only need control characters removed
+  text: (text) => text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, ''),
+};
+
+const CHANNEL_ESCAPING = {
+  email: 'html',
+  sms: 'text',
+  whatsapp: 'text',
+  push: 'text',
+};
+
+// Loop variables available inside {{#each}}
+const LOOP_VARIABLES = ['@index', '@first', '@last'];
+
+// Variables supplied when the message is sent rather than read from the customer
+const MESSAGE_VARIABLES = ['unsubscribeUrl'];
+
+const TAG = /{{\s*([\s\S]*?)\s*}}/g;
+const PATH = /^(?:@\w+|[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)$/;
+
+// Parsed templates, as the broker renders the same template for every recipient
+const cache = new Map();
+const CACHE_SIZE = 100;
+
+/**
+ * Check whether a value counts as missing
+ * @param {*} value - Value
+ * @returns {boolean} True for undefined, null, empty strings and empty arrays
+ */
+const isBlank = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check whether a value can be formatted as a number
+ * @param {*} value - Value
+ * @returns {boolean} True if numeric
+ */
+const isNumeric = (value) => !isBlank(value) && typeof value !== 'boolean' && Number.isFinite(Number(value));
+
+/**
+ * Convert a value to display text
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+const toText = (value) => {
+  if (isBlank(value)) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(toText).join(', ');
+  }
+  if (value instanceof Date) {
+    return FILTERS.date.apply(value);
+  }
+  return String(value);
+};
+
+/**
+ * Parse a filter argument written as a quoted string or a number
+ * @param {string} source - Argument source
+ * @returns {Object} { value } on success, { error } otherwise
+ */
+const parseArgument = (source) => {
+  const quoted = source.match(/^(["'])(.*)\1$/);
+  if (quoted) {
+    return { value: quoted[2] };
+  }
+  if (source !== '' && Number.isFinite(Number(source))) {
+    return { value: Number(source) };
+  }
+  return { error: `Filter argument ${source} must be a quoted string or a number` };
+};
+
+/**
+ * Split an expression on pipes that are not inside quotes
+ * @param {string} source - Expression source
+ * @returns {Array<string>} Parts
+ */
+const splitPipes = (source) => {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current.trim());
+  return parts;
+};
+
+/**
+ * Parse an output expression such as `totalSpend | currency: "USD"`
+ * @param {string} source - Expression source
+ * @param {Array<string>} errors - Collected errors
+ * @returns {Object} { path, filters }
+ */
+const parseExpression = (source, errors) => {
+  const [path, ...filterSources] = splitPipes(source);
+  const filters = [];
+
+  if (!PATH.test(path)) {
+    errors.push(`Invalid variable '${path}' in {{${source}}}`);
+  }
+
+  for (const filterSource of filterSources) {
+    const separator = filterSource.indexOf(':');
+    const name = (separator === -1 ? filterSource : filterSource.slice(0, separator)).trim();
+    const argSource = separator === -1 ? null : filterSource.slice(separator + 1).trim();
+    const filter = FILTERS[name];
+
+    if (!filter) {
+      errors.push(`Unknown filter '${name}' in {{${source}}}`);
+      continue;
+    }
+
+    let arg;
+    if (argSource !== null) {
+      const parsed = parseArgument(argSource);
+      if (parsed.error) {
+        errors.push(`${parsed.error} in {{${source}}}`);
+        continue;
+      }
+      arg = parsed.value;
+    }
+
+    if (filter.arg === 'none' && arg !== undefined) {
+      errors.push(`Filter '${name}' does not take an argument in {{${source}}}`);
+    } else if (filter.arg === 'required' && arg === undefined) {
+      errors.push(`Filter '${name}' requires an argument in {{${source}}}`);
+    } else if (name === 'truncate' && !(Number.isInteger(arg) && arg > 0)) {
+      errors.push(`Filter 'truncate' needs a positive whole number in {{${source}}}`);
+    } else if (name === 'date' && arg !== undefined && !DATE_STYLES.includes(arg)) {
+      errors.push(`Filter 'date' accepts ${DATE_STYLES.join(', ')} in {{${source}}}`);
+    } else if (name === 'currency' && arg !== undefined && !/^[A-Z]{3}$/.test(arg)) {
+      errors.push(`Filter 'currency' needs a three letter currency code in {{${source}}}`);
+    }
+
+    filters.push({ name, arg });
+  }
+
+  return { path, filters };
+};
+
+/**
+ * Parse a template into a node tree
+ * @param {string} template - Template source
+ * @returns {Object} { nodes, errors } where errors lists syntax problems
+ */
+const parse = (template) => {
+  const errors = [];
+  const root = { type: 'root', body: [] };
+  // Open blocks; new nodes go into the innermost block's current branch
+  const stack = [root];
+  const branch = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.otherwise : block.body;
+  };
+
+  let lastIndex = 0;
+  let match;
+  TAG.lastIndex = 0;
+
+  while ((match = TAG.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      branch().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG.lastIndex;
+
+    const source = match[1];
+
+    if (source.startsWith('#')) {
+      const [keyword, ...rest] = source.slice(1).trim().split(/\s+/);
+      const path = rest.join(' ');
+
+      if (!['if', 'unless', 'each'].includes(keyword)) {
+        errors.push(`Unknown block {{${source}}}`);
+        continue;
+      }
+      if (!PATH.test(path)) {
+        errors.push(`Block {{${source}}} needs a single variable`);
+      }
+
+      const block = { type: keyword, path, body: [], otherwise: [], inElse: false };
+      branch().push(block);
+      stack.push(block);
+    } else if (source === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.inElse) {
+        errors.push('{{else}} outside of a block');
+      } else {
+        block.inElse = true;
+      }
+    } else if (source.startsWith('/')) {
+      const keyword = source.slice(1).trim();
+      const block = stack[stack.length - 1];
+      if (block === root) {
+        errors.push(`{{${source}}} has no matching opening block`);
+      } else if (block.type !== keyword) {
+        errors.push(`{{${source}}} closes {{#${block.type}}}`);
+      } else {
+        stack.pop();
+      }
+    } else {
+      branch().push({ type: 'output', ...parseExpression(source, errors) });
+    }
+  }
+
+  if (lastIndex < template.length) {
+    branch().push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  stack.slice(1).forEach((block) => {
+    errors.push(`{{#${block.type} ${block.path}}} is not closed`);
+  });
+
+  return { nodes: root.body, errors };
+};
+
+/**
+ * Parse a template, reusing earlier results
+ * @param {string} template - Template source
+ * @returns {Object} { nodes, errors }
+ */
+const parseCached = (template) => {
+  if (!cache.has(template)) {
+    if (cache.size >= CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(template, parse(template));
+  }
+  return cache.get(template);
+};
+
+/**
+ * Check that a variable refers to a known customer field
+ * @param {string} path - Variable path
+ * @param {number} loopDepth - Number of enclosing {{#each}} blocks
+ * @returns {string|null} Error message, or null if the variable is known
+ */
+const checkVariable = (path, loopDepth) => {
+  const [head] = path.split('.');
+
+  if (head === 'this' || LOOP_VARIABLES.includes(head)) {
+    return loopDepth > 0 ? null : `'${path}' can only be used inside {{#each}}`;
+  }
+  if (head.startsWith('@')) {
+    return `Unknown loop variable '${head}'`;
+  }
+  if (head === 'metadata' || MESSAGE_VARIABLES.includes(path)) {
+    return null;
+  }
+
+  const field = getField(head);
+  if (!field) {
+    return `Unknown field '${head}'`;
+  }
+  if (path !== head) {
+    return `Field '${head}' has no properties`;
+  }
+  return null;
+};
+
+/**
+ * Validate a template's syntax, fields and filters
+ * @param {string} template - Template source
+ * @returns {Array<string>} Error messages, empty if valid
+ */
+const validateTemplate = (template) => {
+  if (typeof template !== 'string') {
+    return ['Template must be a string'];
+  }
+
+  const { nodes, errors } = parse(template);
+  const fieldErrors = [];
+
+  const visit = (list, loopDepth) => {
+    for (const node of list) {
+      if (node.type === 'text') {
+        continue;
+      }
+
+      const error = PATH.test(node.path) ? checkVariable(node.path, loopDepth) : null;
+      if (error) {
+        fieldErrors.push(error);
+      }
+
+      if (node.type === 'each') {
+        const field = getField(node.path);
+        if (field && field.type !== 'array') {
+          fieldErrors.push(`{{#each ${node.path}}} needs a list field, '${node.path}' is ${field.type}`);
+        }
+        visit(node.body, loopDepth + 1);
+        visit(node.otherwise, loopDepth);
+      } else if (node.type !== 'output') {
+        visit(node.body, loopDepth);
+        visit(node.otherwise, loopDepth);
+      }
+    }
+  };
+
+  visit(nodes, 0);
+
+  return [...errors, ...new Set(fieldErrors)];
+};
+
+/**
+ * Read a dot path from an object
+ * @param {Object} source - Object to read from
+ * @param {string} path - Dot path
+ * @returns {*} Value, or undefined if any step is missing
+ */
+const getPath = (source, path) => path
+  .split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+/**
+ * Resolve a variable against the customer and the enclosing loops
+ * @param {string} path - Variable path
+ * @param {Object} customer - Customer data
+ * @param {Array<Object>} loops - Enclosing loop frames, innermost last
+ * @returns {*} Value
+ */
+const resolve = (path, customer, loops) => {
+  const loop = loops[loops.length - 1];
+  const [head] = path.split('.');
+
+  if (head === 'this') {
+    return loop && (path === 'this' ? loop.item : getPath(loop.item, path.slice(5)));
+  }
+  if (LOOP_VARIABLES.includes(head)) {
+    return loop && loop[head.slice(1)];
+  }
+
+  return getPath(customer, path);
+};
+
+/**
+ * Render a template for a customer
+ * @param {string} template - Template source
+ * @param {Object} customer - Customer document or plain object
+ * @param {Object} options - Rendering options
+ * @param {string} options.channel - Channel the message is sent on, selects the escaping
+ * @param {Object} options.variables - Values of message variables, e.g. { unsubscribeUrl }
+ * @returns {string} Rendered message
+ * @throws {Error} If the template has syntax errors
+ */
+const renderTemplate = (template, customer, { channel, variables = {} } = {}) => {
+  const { nodes, errors } = parseCached(template || '');
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid message template: ${errors.join('; ')}`);
+  }
+
+  const data = {
+    ...(customer && typeof customer.toObject === 'function' ? customer.toObject() : (customer || {})),
+    ...variables,
+  };
+  const escape = ESCAPERS[CHANNEL_ESCAPING[channel]] || ESCAPERS.text;
+
+  const renderNodes = (list, loops) => list.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'output': {
+        let value = resolve(node.path, data, loops);
+        if (isBlank(value) && node.path in FALLBACKS && !node.filters.some((filter) => filter.name === 'default')) {
+          value = FALLBACKS[node.path];
+        }
+        let raw = false;
+        for (const filter of node.filters) {
+          raw = raw || filter.name === 'raw';
+          value = FILTERS[filter.name].apply(value, filter.arg);
+        }
+        return raw ? toText(value) : escape(toText(value));
+      }
+      case 'if':
+      case 'unless': {
+        const value = resolve(node.path, data, loops);
+        const truthy = !isBlank(value) && Boolean(value);
+        return renderNodes(truthy === (node.type === 'if') ? node.body : node.otherwise, loops);
+      }
+      case 'each': {
+        const items = resolve(node.path, data, loops);
+        if (!Array.isArray(items) || items.length === 0) {
+          return renderNodes(node.otherwise, loops);
+        }
+        return items.map((item, index) => renderNodes(node.body, [...loops, {
+          item,
+          index,
+          first: index === 0,
+          last: index === items.length - 1,
+        }])).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+
+  return renderNodes(nodes, []);
+};
+
+module.exports = {
+  validateTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,197 @@
+/**
+ * Recurring campaign schedules
+ *
+ * A recurring campaign runs daily, weekly or monthly at a time of day, or on a
+ * five-field cron expression (minute, hour, day of month, month, day of week).
+ * Presets are turned into cron expressions, and every schedule is read in the
+ * campaign's time zone, so a 09:00 run stays at 09:00 across daylight saving
+ * changes. A schedule may have an end date after which it has no more runs.
+ *
+ * Kept in sync with message-broker/src/utils/recurrence.js
+ */
+
+const { isValidTime, getLocalParts, zonedTimeToDate } = require('./timezone');
+
+// How often a recurring campaign runs; cron runs on the schedule's cron expression
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+
+// Values each cron field takes, in order: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // Sunday is 0 or 7
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const CRON_PART_PATTERN = /^(?:\*|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/i;
+
+// Occurrences are looked for this far ahead, far enough to reach the next 29 February
+const MAX_DAYS_AHEAD = 8 * 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read one value of a cron field, given as a number or a three-letter name
+ * @param {string} value - Field value, e.g. "5" or "mon"
+ * @param {Object} range - { min, max, names } of the field
+ * @returns {number|null} Value, or null if it is not valid for the field
+ */
+const parseValue = (value, { min, max, names }) => {
+  const index = names ? names.indexOf(value.toLowerCase()) : -1;
+  if (index < 0 && !/^\d+$/.test(value)) return null;
+
+  const number = index >= 0 ? index + min : Number(value);
+  return number >= min && number <= max ? number : null;
+};
+
+/**
+ * Read a cron field: *, values, ranges and steps, separated by commas, e.g. "1-5", "0,30" or "5/15"
+ * @param {string} field - Cron field
+ * @param {Object} range - { min, max, names } of the field
+ * @returns {Array<number>|null} Sorted values the field matches, or null if it is not valid
+ */
+const parseField = (field, range) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(CRON_PART_PATTERN);
+    if (!match) return null;
+
+    const [, first, last, step] = match;
+    let start = range.min;
+    let end = range.max;
+
+    if (first !== undefined) {
+      start = parseValue(first, range);
+      // A single value with a step, e.g. 5/15, runs from the value to the end of the field
+      end = last !== undefined ? parseValue(last, range) : step !== undefined ? range.max : start;
+      if (start === null || end === null || start > end) return null;
+    }
+
+    const increment = step !== undefined ? Number(step) : 1;
+    if (increment < 1) return null;
+
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+};
+
+/**
+ * Read a five-field cron expression
+ * @param {string} expression - Cron expression, e.g. "0 9 * * 1"
+ * @returns {Object|null} Values each field matches, or null if the expression is not valid
+ */
+const parseCron = (expression) => {
+  if (typeof expression !== 'string') return null;
+
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) return null;
+
+  const values = fields.map((field, index) => parseField(field, CRON_FIELDS[index]));
+  if (values.includes(null)) return null;
+
+  const [minutes, hours, days, months, weekdays] = values;
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays: weekdays.map((weekday) => weekday % 7),
+    // As in cron, a day that matches either day field runs when both are restricted
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*'),
+  };
+};
+
+/**
+ * Get the cron expression a schedule runs on
+ * @param {Object} recurrence - { frequency, time, daysOfWeek, dayOfMonth, cron }
+ * @returns {string|null} Cron expression, or null if a preset is missing its time
+ */
+const toCron = ({ frequency, time, daysOfWeek, dayOfMonth, cron } = {}) => {
+  if (frequency === 'cron') return cron;
+  if (!isValidTime(time)) return null;
+
+  const [hour, minute] = time.split(':').map(Number);
+
+  switch (frequency) {
+    case 'daily':
+      return `${minute} ${hour} * * *`;
+    case 'weekly':
+      return `${minute} ${hour} * * ${(daysOfWeek || []).join(',')}`;
+    case 'monthly':
+      return `${minute} ${hour} ${dayOfMonth} * *`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether a date matches the day fields of a cron expression
+ * @param {Object} fields - Parsed cron expression
+ * @param {number} day - Day of the month
+ * @param {number} weekday - Day of the week, 0 for Sunday
+ * @returns {boolean} Whether the schedule runs on the day
+ */
+const matchesDay = ({ days, weekdays, anyDay, anyWeekday }, day, weekday) => {
+  if (anyDay || anyWeekday) {
+    return days.includes(day) && weekdays.includes(weekday);
+  }
+
+  return days.includes(day) || weekdays.includes(weekday);
+};
+
+/**
+ * Find the first time a schedule runs after an instant
+ * @param {Object} recurrence - { frequency, time, daysOfWeek, dayOfMonth, cron, endAt }
+ * @param {string} timeZone - Time zone the schedule is read in
+ * @param {Date} after - Instant to look from, now by default
+ * @returns {Date|null} Next run, or null if the schedule is not valid or has no more runs
+ */
+const nextOccurrence = (recurrence, timeZone, after = new Date()) => {
+  const fields = parseCron(toCron(recurrence));
+  if (!fields) return null;
+
+  const endAt = recurrence.endAt ? new Date(recurrence.endAt) : null;
+  const start = getLocalParts(after, timeZone);
+
+  // Walk the local calendar one day at a time; the UTC date stands for the local one
+  const date = new Date(Date.UTC(start.year, start.month - 1, start.day));
+
+  for (let i = 0; i < MAX_DAYS_AHEAD; i += 1) {
+    // Local midnight is within a day of the UTC one
+    if (endAt && date.getTime() - DAY_MS > endAt.getTime()) return null;
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    if (fields.months.includes(month) && matchesDay(fields, day, date.getUTCDay())) {
+      for (const hour of fields.hours) {
+        for (const minute of fields.minutes) {
+          const occurrence = zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+          if (occurrence > after) {
+            return endAt && occurrence > endAt ? null : occurrence;
+          }
+        }
+      }
+    }
+
+    date.setUTCDate(day + 1);
+  }
+
+  return null;
+};
+
+module.exports = {
+  FREQUENCIES,
+  parseCron,
+  toCron,
+  nextOccurrence,
+};
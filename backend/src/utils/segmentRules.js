@@ -0,0 +1,669 @@
+/**
+ * Segment rule tree helpers
+ *
+ * Rules are stored as a recursive tree. A group looks like
+ * { conditionType: 'AND' | 'OR', conditions: [...] } and every entry in
+ * `conditions` is either a condition ({ field, operator, value }) or
+ * another group. The root of the tree is always a group, so rules saved
+ * before nesting was supported are still valid trees of depth 1.
+ *
+ * Conditions on order and event fields (`source: 'orders'` or `'events'` in
+ * the field registry) are resolved with an aggregation over the orders or
+ * events collection and replaced by a filter on the matching customer IDs,
+ * so compiled rules are always a plain Customer query.
+ */
+
+const { OPERATORS, PERIODS, getField, getFieldOperators } = require('../config/segmentFields');
+
+// Deepest nesting allowed below the root group
+const MAX_DEPTH = 5;
+
+const CONDITION_TYPES = ['AND', 'OR'];
+
+/**
+ * Check whether a rule node is a group
+ * @param {Object} node - Rule node
+ * @returns {boolean} True if the node is a group
+ */
+const isGroup = (node) => Boolean(node) && Array.isArray(node.conditions);
+
+/**
+ * Escape a user supplied string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Coerce a single value to the type of a field
+ * @param {Object} field - Field definition from the registry
+ * @param {*} value - Raw value
+ * @returns {Object} { value } on success, { error } otherwise
+ */
+const coerceScalar = (field, value) => {
+  if (value === undefined || value === null || value === '') {
+    return { error: 'Value is required' };
+  }
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        return { error: `Value for '${field.name}' must be a number` };
+      }
+      return { value: number };
+    }
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (typeof value === 'boolean' || isNaN(date.getTime())) {
+        return { error: `Value for '${field.name}' must be a valid date` };
+      }
+      return { value: date };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return { value: true };
+      }
+      if (value === false || value === 'false') {
+        return { value: false };
+      }
+      return { error: `Value for '${field.name}' must be true or false` };
+    case 'enum':
+      if (!field.values.includes(value)) {
+        return { error: `Value for '${field.name}' must be one of: ${field.values.join(', ')}` };
+      }
+      return { value };
+    default:
+      if (typeof value === 'object') {
+        return { error: `Value for '${field.name}' must be text` };
+      }
+      return { value: String(value) };
+  }
+};
+
+/**
+ * Check the scope of a computed field condition, keeping only the keys the field takes
+ * @param {*} scope - Raw scope
+ * @param {Object} field - Field definition from the registry
+ * @returns {Object} { scope } with the normalized scope on success, { error } otherwise
+ */
+const normalizeScope = (scope, field) => {
+  if (scope === undefined || scope === null) {
+    scope = {};
+  }
+
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    return { error: 'Scope must be an object' };
+  }
+
+  const normalized = {};
+
+  if (field.scope.includes('period')) {
+    normalized.period = scope.period || 'allTime';
+
+    if (!PERIODS[normalized.period]) {
+      return { error: `Scope period must be one of: ${Object.keys(PERIODS).join(', ')}` };
+    }
+
+    if (normalized.period === 'lastDays') {
+      const days = scope.days === '' || scope.days === null || scope.days === undefined ? NaN : Number(scope.days);
+      if (!Number.isInteger(days) || days < 1) {
+        return { error: 'Scope days must be a whole number of days, at least 1' };
+      }
+      normalized.days = days;
+    }
+  }
+
+  for (const key of field.scope.filter((name) => name !== 'period')) {
+    if (scope[key] !== undefined && scope[key] !== null && scope[key] !== '') {
+      if (typeof scope[key] === 'object') {
+        return { error: `Scope ${key} must be text` };
+      }
+      normalized[key] = String(scope[key]).trim();
+    }
+  }
+
+  return { scope: normalized };
+};
+
+/**
+ * Check a condition against the field registry and coerce its value
+ * @param {Object} condition - Condition node
+ * @returns {Object} { condition } with the coerced value on success, { error } otherwise
+ */
+const normalizeCondition = (condition) => {
+  const field = condition.field && getField(condition.field);
+
+  // Computed fields carry a scope that is checked before the value
+  if (field && field.scope) {
+    const { scope, error } = normalizeScope(condition.scope, field);
+    if (error) {
+      return { error };
+    }
+
+    return normalizeValue({ ...condition, scope }, field);
+  }
+
+  if (condition.scope !== undefined) {
+    return { error: `Field '${condition.field}' does not take a scope` };
+  }
+
+  return normalizeValue(condition, field);
+};
+
+/**
+ * Check a condition's operator and value against its field
+ * @param {Object} condition - Condition node
+ * @param {Object} field - Field definition from the registry, if any
+ * @returns {Object} { condition } with the coerced value on success, { error } otherwise
+ */
+const normalizeValue = (condition, field) => {
+  if (!condition.field) {
+    return { error: 'Condition field is required' };
+  }
+
+  if (!condition.operator) {
+    return { error: 'Condition operator is required' };
+  }
+
+  if (!field) {
+    return { error: `Unknown field '${condition.field}'` };
+  }
+
+  if (!getFieldOperators(field).includes(condition.operator)) {
+    return { error: `Operator '${condition.operator}' is not supported for field '${condition.field}'` };
+  }
+
+  const { value } = condition;
+
+  switch (OPERATORS[condition.operator].value) {
+    case 'none': {
+      const normalized = { ...condition };
+      delete normalized.value;
+      return { condition: normalized };
+    }
+    case 'days': {
+      const days = value === '' || value === null || value === undefined ? NaN : Number(value);
+      if (!Number.isInteger(days) || days < 0) {
+        return { error: `Value for '${condition.operator}' must be a whole number of days` };
+      }
+      return { condition: { ...condition, value: days } };
+    }
+    case 'range': {
+      const bounds = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(bounds) || bounds.length !== 2) {
+        return { error: 'Between needs exactly two values' };
+      }
+
+      const low = coerceScalar(field, bounds[0]);
+      const high = coerceScalar(field, bounds[1]);
+      if (low.error || high.error) {
+        return { error: low.error || high.error };
+      }
+      if (low.value > high.value) {
+        return { error: 'Between lower bound must not be greater than the upper bound' };
+      }
+      return { condition: { ...condition, value: [low.value, high.value] } };
+    }
+    default: {
+      const result = coerceScalar(field, value);
+      if (result.error) {
+        return { error: result.error };
+      }
+      return { condition: { ...condition, value: result.value } };
+    }
+  }
+};
+
+/**
+ * Walk a rule tree, normalizing every condition
+ * @param {Object} rules - Root rule group
+ * @returns {Object} { rules, errors } where errors is a list of { path, message }
+ */
+const processRules = (rules) => {
+  const errors = [];
+
+  const visit = (node, path, depth) => {
+    if (!node || typeof node !== 'object') {
+      errors.push({ path, message: 'Rule must be a condition or a group' });
+      return node;
+    }
+
+    if (isGroup(node)) {
+      if (depth > MAX_DEPTH) {
+        errors.push({ path, message: `Groups cannot be nested more than ${MAX_DEPTH} levels deep` });
+        return node;
+      }
+
+      if (node.conditionType !== undefined && !CONDITION_TYPES.includes(node.conditionType)) {
+        errors.push({ path, message: 'Condition type must be AND or OR' });
+      }
+
+      if (node.conditions.length === 0) {
+        errors.push({ path, message: 'Group must include at least one condition' });
+      }
+
+      return {
+        ...node,
+        conditions: node.conditions.map((child, index) => visit(child, `${path}.conditions[${index}]`, depth + 1)),
+      };
+    }
+
+    const result = normalizeCondition(node);
+
+    if (result.error) {
+      errors.push({ path, message: result.error });
+      return node;
+    }
+
+    return result.condition;
+  };
+
+  if (!isGroup(rules)) {
+    return { rules, errors: [{ path: 'rules', message: 'Rules must be a group with a conditions array' }] };
+  }
+
+  return { rules: visit(rules, 'rules', 0), errors };
+};
+
+/**
+ * Validate a rule tree
+ * @param {Object} rules - Root rule group
+ * @returns {Array<Object>} List of { path, message } errors, empty if valid
+ */
+const validateRules = (rules) => processRules(rules).errors;
+
+/**
+ * Group validation errors by rule path for API responses
+ * @param {Array<Object>} errors - Errors from validateRules
+ * @returns {Object} Messages keyed by path, e.g. { 'rules.conditions[0]': "Unknown field 'password'" }
+ */
+const groupRuleErrors = (errors) => errors.reduce((grouped, error) => {
+  grouped[error.path] = grouped[error.path] ? `${grouped[error.path]}; ${error.message}` : error.message;
+  return grouped;
+}, {});
+
+/**
+ * Coerce every condition value in a valid rule tree to its field type,
+ * e.g. numeric strings to numbers and date strings to dates
+ * @param {Object} rules - Root rule group
+ * @returns {Object} Normalized copy of the rule tree
+ * @throws {Error} If the rule tree is invalid
+ */
+const normalizeRules = (rules) => {
+  const result = processRules(rules);
+
+  if (result.errors.length > 0) {
+    throw new Error(`Invalid segment rules: ${result.errors.map((error) => `${error.path}: ${error.message}`).join('; ')}`);
+  }
+
+  return result.rules;
+};
+
+/**
+ * Compile a single normalized condition into a MongoDB query
+ * @param {Object} condition - Condition node
+ * @returns {Object} MongoDB query
+ */
+const compileCondition = ({ field, operator, value }) => {
+  switch (operator) {
+    case 'equals':
+      return { [field]: value };
+    case 'notEquals':
+      return { [field]: { $ne: value } };
+    case 'contains':
+      return { [field]: { $regex: escapeRegex(value), $options: 'i' } };
+    case 'notContains':
+      return { [field]: { $not: new RegExp(escapeRegex(value), 'i') } };
+    case 'startsWith':
+      return { [field]: { $regex: `^${escapeRegex(value)}`, $options: 'i' } };
+    case 'endsWith':
+      return { [field]: { $regex: `${escapeRegex(value)}$`, $options: 'i' } };
+    case 'greaterThan':
+      return { [field]: { $gt: value } };
+    case 'lessThan':
+      return { [field]: { $lt: value } };
+    case 'greaterThanOrEqual':
+      return { [field]: { $gte: value } };
+    case 'lessThanOrEqual':
+      return { [field]: { $lte: value } };
+    case 'between':
+      return { [field]: { $gte: value[0], $lte: value[1] } };
+    case 'before':
+      return { [field]: { $lt: value } };
+    case 'after':
+      return { [field]: { $gt: value } };
+    case 'on': {
+      // Match the whole calendar day (UTC) the date falls on
+      const start = new Date(value);
+      start.setUTCHours(0, 0, 0, 0);
+      const end = new Date(start);
+      end.setUTCDate(end.getUTCDate() + 1);
+      return { [field]: { $gte: start, $lt: end } };
+    }
+    case 'inLast': {
+      const date = new Date();
+      date.setDate(date.getDate() - value);
+      return { [field]: { $gte: date } };
+    }
+    case 'notInLast': {
+      const date = new Date();
+      date.setDate(date.getDate() - value);
+      return { [field]: { $lt: date } };
+    }
+    case 'isNull':
+      return { [field]: null };
+    case 'isNotNull':
+      return { [field]: { $ne: null } };
+    default:
+      throw new Error(`Unsupported segment operator '${operator}'`);
+  }
+};
+
+// Most customers an order or event condition can resolve to. Their IDs are listed
+// in the compiled query, which must stay well inside MongoDB's 16MB document limit
+const MAX_RESOLVED_CUSTOMERS = 100000;
+
+/**
+ * Run the aggregation deciding an order or event condition and list the customers it finds in a filter on customer IDs
+ * @param {Object} condition - Normalized order or event field condition
+ * @param {Object} Model - Order or Event model
+ * @param {Array} pipeline - Aggregation returning one document per customer, keyed by customer ID
+ * @param {boolean} exclude - Whether the customers found fail the condition rather than meet it
+ * @returns {Promise<Object>} MongoDB query on customers
+ * @throws {Error} If the condition is decided by more customers than a query can list
+ */
+const resolveCustomerIds = async (condition, Model, pipeline, exclude) => {
+  const customers = await Model.aggregate([...pipeline, { $limit: MAX_RESOLVED_CUSTOMERS + 1 }]);
+
+  if (customers.length > MAX_RESOLVED_CUSTOMERS) {
+    const error = new Error(
+      `The condition on '${condition.field}' is decided by more than ${MAX_RESOLVED_CUSTOMERS} customers; narrow it, e.g. with a shorter period`
+    );
+    // Passed on to the client by the backend's error handler, as for an AppError
+    Object.assign(error, { statusCode: 422, status: 'fail', isOperational: true });
+    throw error;
+  }
+
+  const ids = customers.map((customer) => customer._id);
+  return { _id: exclude ? { $nin: ids } : { $in: ids } };
+};
+
+// Per-customer aggregate computed for each order field
+const ORDER_METRICS = {
+  'orders.count': '$count',
+  'orders.spend': '$spend',
+  'orders.averageValue': { $divide: ['$spend', '$count'] },
+};
+
+/**
+ * Get the time window of a scope period (UTC)
+ * @param {Object} scope - Normalized scope
+ * @param {Date} now - Reference time
+ * @returns {Object} { start, end }, either of which may be missing
+ */
+const getPeriodRange = ({ period, days }, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const quarter = month - (month % 3);
+
+  switch (period) {
+    case 'lastDays': {
+      const start = new Date(now);
+      start.setUTCDate(start.getUTCDate() - days);
+      return { start };
+    }
+    case 'thisMonth':
+      return { start: new Date(Date.UTC(year, month, 1)) };
+    case 'lastMonth':
+      return { start: new Date(Date.UTC(year, month - 1, 1)), end: new Date(Date.UTC(year, month, 1)) };
+    case 'thisQuarter':
+      return { start: new Date(Date.UTC(year, quarter, 1)) };
+    case 'lastQuarter':
+      return { start: new Date(Date.UTC(year, quarter - 3, 1)), end: new Date(Date.UTC(year, quarter, 1)) };
+    case 'thisYear':
+      return { start: new Date(Date.UTC(year, 0, 1)) };
+    case 'lastYear':
+      return { start: new Date(Date.UTC(year - 1, 0, 1)), end: new Date(Date.UTC(year, 0, 1)) };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Check whether a number satisfies a numeric condition
+ * @param {string} operator - Operator name
+ * @param {*} value - Normalized condition value
+ * @param {number} number - Number to test
+ * @returns {boolean} Whether the condition holds
+ */
+const matchesNumber = (operator, value, number) => {
+  switch (operator) {
+    case 'equals':
+      return number === value;
+    case 'notEquals':
+      return number !== value;
+    case 'greaterThan':
+      return number > value;
+    case 'lessThan':
+      return number < value;
+    case 'greaterThanOrEqual':
+      return number >= value;
+    case 'lessThanOrEqual':
+      return number <= value;
+    case 'between':
+      return number >= value[0] && number <= value[1];
+    default:
+      return false;
+  }
+};
+
+/**
+ * Build the aggregation over orders that finds the customers deciding an order field condition
+ *
+ * Customers without orders in the scope never appear in the aggregation. When
+ * they satisfy the condition anyway (e.g. "fewer than 2 orders"), the pipeline
+ * returns the customers that fail it instead, to be excluded.
+ * @param {Object} condition - Normalized order field condition
+ * @param {Object} orderMatch - Filter selecting the orders that count, e.g. paid orders
+ * @returns {Object} { pipeline, matchesWithoutOrders }
+ */
+const buildOrderPipeline = ({ field, operator, value, scope }, orderMatch = {}) => {
+  const match = { ...orderMatch };
+
+  const { start, end } = getPeriodRange(scope);
+  if (start || end) {
+    match.placedAt = {};
+    if (start) {
+      match.placedAt.$gte = start;
+    }
+    if (end) {
+      match.placedAt.$lt = end;
+    }
+  }
+
+  // Products match on SKU or name, categories on name, ignoring case
+  const itemMatch = {};
+  if (scope.product) {
+    itemMatch.$or = [
+      { 'items.sku': scope.product },
+      { 'items.name': { $regex: `^${escapeRegex(scope.product)}$`, $options: 'i' } },
+    ];
+  }
+  if (scope.category) {
+    itemMatch['items.category'] = { $regex: `^${escapeRegex(scope.category)}$`, $options: 'i' };
+  }
+
+  const pipeline = [{ $match: { ...match, ...itemMatch } }];
+
+  if (Object.keys(itemMatch).length > 0) {
+    // Only the matching line items count towards the spend
+    pipeline.push(
+      { $unwind: '$items' },
+      { $match: itemMatch },
+      {
+        $group: {
+          _id: '$_id',
+          customerId: { $first: '$customerId' },
+          value: { $sum: { $multiply: [{ $ifNull: ['$items.quantity', 1] }, '$items.unitPrice'] } },
+        },
+      }
+    );
+  } else {
+    pipeline.push({
+      $project: {
+        customerId: 1,
+        value: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] },
+      },
+    });
+  }
+
+  // Customers without orders have no average order value, so they never match it
+  const matchesWithoutOrders = field !== 'orders.averageValue' && matchesNumber(operator, value, 0);
+  const metricQuery = compileCondition({ field: 'value', operator, value });
+
+  pipeline.push(
+    { $group: { _id: '$customerId', count: { $sum: 1 }, spend: { $sum: '$value' } } },
+    { $project: { value: ORDER_METRICS[field] } },
+    { $match: matchesWithoutOrders ? { $nor: [metricQuery] } : metricQuery }
+  );
+
+  return { pipeline, matchesWithoutOrders };
+};
+
+/**
+ * Resolve an order field condition into a filter on customer IDs
+ * @param {Object} condition - Normalized order field condition
+ * @param {Object} Order - Order model
+ * @returns {Promise<Object>} MongoDB query on customers
+ * @throws {Error} If the condition is decided by too many customers
+ */
+const resolveOrderCondition = async (condition, Order) => {
+  if (!Order) {
+    throw new Error(`Conditions on '${condition.field}' need the Order model to compile`);
+  }
+
+  const { pipeline, matchesWithoutOrders } = buildOrderPipeline(condition, Order.countedOrderMatch());
+  return resolveCustomerIds(condition, Order, pipeline, matchesWithoutOrders);
+};
+
+// Per-customer aggregate computed for each event field
+const EVENT_METRICS = {
+  'events.count': { $sum: 1 },
+  'events.lastOccurred': { $max: '$timestamp' },
+};
+
+/**
+ * Build the aggregation over tracked events that finds the customers deciding an event field condition
+ *
+ * As with orders, when customers without events in the scope satisfy the
+ * condition (e.g. "fewer than 3 page views", or "last event is empty"), the
+ * pipeline returns the customers that fail it instead, to be excluded.
+ * @param {Object} condition - Normalized event field condition
+ * @returns {Object} { pipeline, matchesWithoutEvents }
+ */
+const buildEventPipeline = ({ field, operator, value, scope }) => {
+  // Events that matched no customer cannot decide a condition
+  const match = { 'meta.customerId': { $ne: null } };
+
+  if (scope.event) {
+    match['meta.event'] = scope.event;
+  }
+
+  const { start, end } = getPeriodRange(scope);
+  if (start || end) {
+    match.timestamp = {};
+    if (start) {
+      match.timestamp.$gte = start;
+    }
+    if (end) {
+      match.timestamp.$lt = end;
+    }
+  }
+
+  // Customers without events have a count of 0 and no last occurrence
+  const matchesWithoutEvents = field === 'events.count'
+    ? matchesNumber(operator, value, 0)
+    : operator === 'isNull';
+  const metricQuery = compileCondition({ field: 'value', operator, value });
+
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: '$meta.customerId', value: EVENT_METRICS[field] } },
+    { $match: matchesWithoutEvents ? { $nor: [metricQuery] } : metricQuery },
+  ];
+
+  return { pipeline, matchesWithoutEvents };
+};
+
+/**
+ * Resolve an event field condition into a filter on customer IDs
+ * @param {Object} condition - Normalized event field condition
+ * @param {Object} Event - Event model
+ * @returns {Promise<Object>} MongoDB query on customers
+ * @throws {Error} If the condition is decided by too many customers
+ */
+const resolveEventCondition = async (condition, Event) => {
+  if (!Event) {
+    throw new Error(`Conditions on '${condition.field}' need the Event model to compile`);
+  }
+
+  const { pipeline, matchesWithoutEvents } = buildEventPipeline(condition);
+  return resolveCustomerIds(condition, Event, pipeline, matchesWithoutEvents);
+};
+
+/**
+ * Compile a rule tree into a MongoDB query
+ * @param {Object} rules - Root rule group
+ * @param {Object} options - { Order, Event } models, needed when the rules use order or event fields
+ * @returns {Promise<Object>} MongoDB query
+ * @throws {Error} If the rule tree is invalid
+ */
+const compileRules = async (rules, { Order, Event } = {}) => {
+  const compile = async (node) => {
+    if (!isGroup(node)) {
+      switch (getField(node.field).source) {
+        case 'orders':
+          return resolveOrderCondition(node, Order);
+        case 'events':
+          return resolveEventCondition(node, Event);
+        default:
+          return compileCondition(node);
+      }
+    }
+
+    const clauses = await Promise.all(node.conditions.map(compile));
+
+    // $and / $or reject empty arrays, so an empty group matches everyone
+    if (clauses.length === 0) {
+      return {};
+    }
+
+    return node.conditionType === 'OR' ? { $or: clauses } : { $and: clauses };
+  };
+
+  return compile(normalizeRules(rules));
+};
+
+/**
+ * Count the conditions in a rule tree, ignoring groups
+ * @param {Object} node - Rule group or condition
+ * @returns {number} Number of leaf conditions
+ */
+const countConditions = (node) => {
+  if (!isGroup(node)) {
+    return node ? 1 : 0;
+  }
+
+  return node.conditions.reduce((sum, child) => sum + countConditions(child), 0);
+};
+
+module.exports = {
+  MAX_DEPTH,
+  isGroup,
+  validateRules,
+  groupRuleErrors,
+  normalizeRules,
+  compileRules,
+  countConditions,
+};
@@ -0,0 +1,342 @@
+/**
+ * Customer time zones and sending windows
+ *
+ * Customers carry an IANA time zone (e.g. Asia/Kolkata), set explicitly or
+ * derived from their location. Campaigns can send at the same local time for
+ * every customer and keep quiet hours, both worked out in the customer's time
+ * zone. Times of day are "HH:mm" strings; quiet hours may wrap past midnight,
+ * e.g. 21:00 to 09:00.
+ *
+ * Kept in sync with message-broker/src/utils/timezone.js
+ */
+
+// Time zones of common locations, matched against each comma-separated part of a
+// customer's location. Countries spanning several time zones are left out.
+const LOCATION_TIMEZONES = {
+  india: 'Asia/Kolkata',
+  mumbai: 'Asia/Kolkata',
+  delhi: 'Asia/Kolkata',
+  'new delhi': 'Asia/Kolkata',
+  bangalore: 'Asia/Kolkata',
+  bengaluru: 'Asia/Kolkata',
+  chennai: 'Asia/Kolkata',
+  kolkata: 'Asia/Kolkata',
+  hyderabad: 'Asia/Kolkata',
+  pune: 'Asia/Kolkata',
+  ahmedabad: 'Asia/Kolkata',
+  jaipur: 'Asia/Kolkata',
+  lucknow: 'Asia/Kolkata',
+  surat: 'Asia/Kolkata',
+  kochi: 'Asia/Kolkata',
+  chandigarh: 'Asia/Kolkata',
+  gurgaon: 'Asia/Kolkata',
+  gurugram: 'Asia/Kolkata',
+  noida: 'Asia/Kolkata',
+  pakistan: 'Asia/Karachi',
+  karachi: 'Asia/Karachi',
+  lahore: 'Asia/Karachi',
+  bangladesh: 'Asia/Dhaka',
+  dhaka: 'Asia/Dhaka',
+  nepal: 'Asia/Kathmandu',
+  kathmandu: 'Asia/Kathmandu',
+  'sri lanka': 'Asia/Colombo',
+  colombo: 'Asia/Colombo',
+  uae: 'Asia/Dubai',
+  'united arab emirates': 'Asia/Dubai',
+  dubai: 'Asia/Dubai',
+  'abu dhabi': 'Asia/Dubai',
+  'saudi arabia': 'Asia/Riyadh',
+  riyadh: 'Asia/Riyadh',
+  singapore: 'Asia/Singapore',
+  malaysia: 'Asia/Kuala_Lumpur',
+  'kuala lumpur': 'Asia/Kuala_Lumpur',
+  thailand: 'Asia/Bangkok',
+  bangkok: 'Asia/Bangkok',
+  jakarta: 'Asia/Jakarta',
+  philippines: 'Asia/Manila',
+  manila: 'Asia/Manila',
+  'hong kong': 'Asia/Hong_Kong',
+  china: 'Asia/Shanghai',
+  beijing: 'Asia/Shanghai',
+  shanghai: 'Asia/Shanghai',
+  japan: 'Asia/Tokyo',
+  tokyo: 'Asia/Tokyo',
+  'south korea': 'Asia/Seoul',
+  seoul: 'Asia/Seoul',
+  sydney: 'Australia/Sydney',
+  melbourne: 'Australia/Melbourne',
+  brisbane: 'Australia/Brisbane',
+  perth: 'Australia/Perth',
+  'new zealand': 'Pacific/Auckland',
+  auckland: 'Pacific/Auckland',
+  uk: 'Europe/London',
+  'united kingdom': 'Europe/London',
+  england: 'Europe/London',
+  london: 'Europe/London',
+  ireland: 'Europe/Dublin',
+  dublin: 'Europe/Dublin',
+  france: 'Europe/Paris',
+  paris: 'Europe/Paris',
+  germany: 'Europe/Berlin',
+  berlin: 'Europe/Berlin',
+  munich: 'Europe/Berlin',
+  netherlands: 'Europe/Amsterdam',
+  amsterdam: 'Europe/Amsterdam',
+  spain: 'Europe/Madrid',
+  madrid: 'Europe/Madrid',
+  italy: 'Europe/Rome',
+  rome: 'Europe/Rome',
+  milan: 'Europe/Rome',
+  portugal: 'Europe/Lisbon',
+  lisbon: 'Europe/Lisbon',
+  switzerland: 'Europe/Zurich',
+  zurich: 'Europe/Zurich',
+  sweden: 'Europe/Stockholm',
+  stockholm: 'Europe/Stockholm',
+  turkey: 'Europe/Istanbul',
+  istanbul: 'Europe/Istanbul',
+  moscow: 'Europe/Moscow',
+  egypt: 'Africa/Cairo',
+  cairo: 'Africa/Cairo',
+  nigeria: 'Africa/Lagos',
+  lagos: 'Africa/Lagos',
+  kenya: 'Africa/Nairobi',
+  nairobi: 'Africa/Nairobi',
+  'south africa': 'Africa/Johannesburg',
+  johannesburg: 'Africa/Johannesburg',
+  'cape town': 'Africa/Johannesburg',
+  'new york': 'America/New_York',
+  nyc: 'America/New_York',
+  boston: 'America/New_York',
+  washington: 'America/New_York',
+  miami: 'America/New_York',
+  atlanta: 'America/New_York',
+  toronto: 'America/Toronto',
+  chicago: 'America/Chicago',
+  dallas: 'America/Chicago',
+  houston: 'America/Chicago',
+  denver: 'America/Denver',
+  'los angeles': 'America/Los_Angeles',
+  'san francisco': 'America/Los_Angeles',
+  seattle: 'America/Los_Angeles',
+  vancouver: 'America/Vancouver',
+  mexico: 'America/Mexico_City',
+  'mexico city': 'America/Mexico_City',
+  'sao paulo': 'America/Sao_Paulo',
+  argentina: 'America/Argentina/Buenos_Aires',
+  'buenos aires': 'America/Argentina/Buenos_Aires',
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Date formatters by time zone; building one is slow
+const formatters = new Map();
+
+/**
+ * Check that a time zone is a valid IANA name
+ * @param {string} timeZone - Time zone, e.g. Europe/London
+ * @returns {boolean} Whether the time zone is known
+ */
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  if (formatters.has(timeZone)) return true;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Check that a time of day is "HH:mm"
+ * @param {string} time - Time of day
+ * @returns {boolean} Whether the time is valid
+ */
+const isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+/**
+ * Derive a time zone from a location such as "Mumbai, India"
+ * The most specific part that names a known place wins; a location that is
+ * itself a time zone name is used as is.
+ * @param {string} location - Customer location
+ * @returns {string|null} Time zone, or null if the location is not recognised
+ */
+const timezoneForLocation = (location) => {
+  if (!location) return null;
+  if (location.includes('/') && isValidTimezone(location.trim())) return location.trim();
+
+  const parts = location.toLowerCase().split(',').map((part) => part.trim()).filter(Boolean);
+
+  for (const part of parts) {
+    if (LOCATION_TIMEZONES[part]) return LOCATION_TIMEZONES[part];
+  }
+
+  return null;
+};
+
+/**
+ * Get the time zone to use for a customer: their own, else one derived from their location
+ * @param {Object} customer - Customer with timezone and location
+ * @param {string} fallback - Time zone used when neither gives one
+ * @returns {string|null} Time zone
+ */
+const resolveTimezone = (customer, fallback = null) => {
+  if (!customer) return fallback;
+  if (isValidTimezone(customer.timezone)) return customer.timezone;
+
+  return timezoneForLocation(customer.location) || fallback;
+};
+
+/**
+ * Read the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getLocalParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+
+  return Object.fromEntries(formatters.get(timeZone)
+    .formatToParts(date)
+    .filter((part) => part.type !== 'literal')
+    .map((part) => [part.type, Number(part.value)]));
+};
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {number} time - Instant in milliseconds
+ * @param {string} timeZone - Time zone
+ * @returns {number} Offset in milliseconds
+ */
+const getOffset = (time, timeZone) => {
+  const seconds = Math.floor(time / 1000) * 1000;
+  const local = getLocalParts(new Date(seconds), timeZone);
+
+  return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - seconds;
+};
+
+/**
+ * Find the instant at which a wall-clock date and time occurs in a time zone
+ * @param {Object} wallTime - { year, month, day, hour, minute }
+ * @param {string} timeZone - Time zone
+ * @returns {Date} Instant
+ */
+const zonedTimeToDate = ({ year, month, day, hour, minute }, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - getOffset(wall, timeZone);
+
+  // The offset at the result differs from the first guess across a daylight saving change
+  return new Date(wall - getOffset(guess, timeZone));
+};
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether an instant falls in quiet hours in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone
+ * @param {Object} quietHours - { start, end } times of day; none means never quiet
+ * @returns {boolean} Whether messages must wait
+ */
+const isQuietTime = (date, timeZone, quietHours) => {
+  if (!quietHours || !isValidTime(quietHours.start) || !isValidTime(quietHours.end) || quietHours.start === quietHours.end) {
+    return false;
+  }
+
+  const { hour, minute } = getLocalParts(date, timeZone);
+  const now = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Get the first instant from a given one that is outside quiet hours
+ * @param {Date} date - Earliest instant
+ * @param {string} timeZone - Time zone
+ * @param {Object} quietHours - { start, end } times of day
+ * @returns {Date} The instant itself, or the end of the quiet hours it falls in
+ */
+const nextAllowedTime = (date, timeZone, quietHours) => {
+  if (!isQuietTime(date, timeZone, quietHours)) {
+    return date;
+  }
+
+  const { year, month, day } = getLocalParts(date, timeZone);
+  const [hour, minute] = quietHours.end.split(':').map(Number);
+  const end = zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+
+  if (end > date) {
+    return end;
+  }
+
+  // Quiet hours that started this evening end tomorrow morning
+  const tomorrow = new Date(Date.UTC(year, month - 1, day + 1));
+
+  return zonedTimeToDate({
+    year: tomorrow.getUTCFullYear(),
+    month: tomorrow.getUTCMonth() + 1,
+    day: tomorrow.getUTCDate(),
+    hour,
+    minute,
+  }, timeZone);
+};
+
+/**
+ * Get when a campaign's message may go out to a customer
+ * Campaigns sending at local time reach each customer when their clock shows
+ * the campaign's scheduled wall-clock time, read in the campaign's time zone;
+ * customers for whom that time has passed are sent to now. Either way the
+ * message then waits for the customer's quiet hours to end.
+ * @param {Object} delivery - Campaign delivery settings: { mode, timezone, quietHours }
+ * @param {Date} scheduledAt - When the campaign is scheduled
+ * @param {string} timeZone - Customer's time zone
+ * @param {Date} now - Current time
+ * @returns {Date} Earliest instant the message may be sent
+ */
+const getDeliveryTime = ({ mode, timezone, quietHours } = {}, scheduledAt, timeZone, now = new Date()) => {
+  let time = now;
+
+  if (mode === 'local_time' && scheduledAt) {
+    const local = zonedTimeToDate(getLocalParts(new Date(scheduledAt), timezone), timeZone);
+    if (local > now) {
+      time = local;
+    }
+  }
+
+  return nextAllowedTime(time, timeZone, quietHours);
+};
+
+module.exports = {
+  isValidTimezone,
+  isValidTime,
+  timezoneForLocation,
+  resolveTimezone,
+  getLocalParts,
+  zonedTimeToDate,
+  isQuietTime,
+  nextAllowedTime,
+  getDeliveryTime,
+};
@@ -0,0 +1,100 @@
+/**
+ * Unsubscribe links
+ *
+ * Every message carries a link to the public unsubscribe page. Its token
+ * names the customer, the channel and the campaign that sent the message,
+ * signed with UNSUBSCRIBE_SECRET so it cannot be changed to unsubscribe
+ * someone else. Tokens do not expire, as an unsubscribe link has to keep
+ * working for as long as the message is kept.
+ *
+ * Kept in sync with message-broker/src/utils/unsubscribe.js
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// Rendered messages that contain tags are HTML, as in the SMTP adapter
+const HTML = /<[a-z][\s\S]*>/i;
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Encoded payload
+ * @returns {string} Signature
+ */
+const sign = (payload) => crypto
+  .createHmac('sha256', config.subscriptions.secret)
+  .update(payload)
+  .digest('base64url');
+
+/**
+ * Create an unsubscribe token
+ * @param {Object} details - { customerId, channel, campaignId }
+ * @returns {string} Token
+ */
+const createToken = ({ customerId, channel, campaignId }) => {
+  const payload = Buffer.from(JSON.stringify({
+    customerId: String(customerId),
+    channel,
+    campaignId: campaignId ? String(campaignId) : undefined,
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Read an unsubscribe token
+ * @param {string} token - Token
+ * @returns {Object|null} { customerId, channel, campaignId }, or null if the token is invalid
+ */
+const verifyToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const [payload, signature] = parts;
+  const expected = sign(payload);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const details = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return details && details.customerId && details.channel ? details : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Get the unsubscribe link for a customer on a channel
+ * @param {Object} details - { customerId, channel, campaignId }
+ * @returns {string} URL of the public unsubscribe page
+ */
+const getUnsubscribeUrl = (details) => `${config.subscriptions.unsubscribeUrl}/${createToken(details)}`;
+
+/**
+ * Add the unsubscribe link to the end of a rendered message, unless the template already placed it
+ * @param {string} message - Rendered message
+ * @param {string} url - Unsubscribe URL
+ * @param {string} channel - Channel the message is sent on
+ * @returns {string} Message with the link
+ */
+const addUnsubscribeLink = (message, url, channel) => {
+  if (message.includes(url)) {
+    return message;
+  }
+
+  if (channel === 'email' && HTML.test(message)) {
+    return `${message}\n<p><a href="${url}">Unsubscribe</a></p>`;
+  }
+
+  return `${message}\n\nUnsubscribe: ${url}`;
+};
+
+module.exports = {
+  createToken,
+  verifyToken,
+  getUnsubscribeUrl,
+  addUnsubscribeLink,
+};
@@ -17,6 +17,7 @@ import AuthGuard from '@components/auth/AuthGuard';
 import Login from '@pages/Login';
 import Register from '@pages/Register';
 import NotFound from '@pages/NotFound';
+import Unsubscribe from '@pages/Unsubscribe';
 
 // Pages - Lazy loaded
 const Dashboard = lazy(() => import('@pages/Dashboard'));
@@ -24,6 +25,7 @@ const Customers = lazy(() => import('@pages/Customers'));
 const Segments = lazy(() => import('@pages/Segments'));
 const CampaignCreate = lazy(() => import('@pages/CampaignCreate'));
 const CampaignHistory = lazy(() => import('@pages/CampaignHistory'));
+const Journeys = lazy(() => import('@pages/Journeys'));
 
 function App() {
   const location = useLocation();
@@ -33,8 +35,8 @@ function App() {
     window.scrollTo(0, 0);
   }, [location.pathname]);
 
-  // Check if we're on an auth page
-  const isAuthPage = location.pathname === '/login' || location.pathname === '/register';
+  // Check if we're on an auth page, or the unsubscribe page customers reach from their messages
+  const isAuthPage = location.pathname === '/login' || location.pathname === '/register' || location.pathname.startsWith('/unsubscribe/');
 
   return (
     <AuthProvider>
@@ -68,6 +70,7 @@ function App() {
                     {/* Public Routes */}
                     <Route path="/login" element={<Login />} />
                     <Route path="/register" element={<Register />} />
+                    <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
                     
                     {/* Protected Routes */}
                     <Route element={<AuthGuard />}>
@@ -79,6 +82,7 @@ function App() {
                       {/* Nested Routes */}
                       <Route path="/campaigns/create" element={<CampaignCreate />} />
                       <Route path="/campaigns/history" element={<CampaignHistory />} />
+                      <Route path="/journeys/*" element={<Journeys />} />
                     </Route>
                     
                     {/* Not Found */}
@@ -2,10 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { toast } from 'react-toastify';
 import aiService from '../../services/ai.service';
+import templateService from '../../services/template.service';
 import LoadingSpinner from '../common/LoadingSpinner';
 import Modal from '../common/Modal';
 
-const AIMessageSuggestions = ({ segmentRules, segmentId, onSelect, onCancel, onError }) => {
+const AIMessageSuggestions = ({ segmentRules, segmentId, channel = 'email', onSelect, onCancel, onError, onTemplateSaved }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [suggestions, setSuggestions] = useState([]);
   const [error, setError] = useState(null);
@@ -13,6 +14,9 @@ const AIMessageSuggestions = ({ segmentRules, segmentId, onSelect, onCancel, onE
   const [customPrompt, setCustomPrompt] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
   const [copiedIndex, setCopiedIndex] = useState(null);
+  const [savingSuggestionId, setSavingSuggestionId] = useState(null);
+  const [templateName, setTemplateName] = useState('');
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
 
   useEffect(() => {
     generateSuggestions();
@@ -133,6 +137,35 @@ const AIMessageSuggestions = ({ segmentRules, segmentId, onSelect, onCancel, onE
       });
   };
 
+  const handleSaveTemplate = async (suggestion) => {
+    if (!templateName.trim()) {
+      toast.error('Please enter a template name');
+      return;
+    }
+
+    try {
+      setIsSavingTemplate(true);
+      const response = await templateService.createTemplate({
+        name: templateName.trim(),
+        channel,
+        textBody: suggestion.message,
+        tags: ['ai-suggestion', suggestion.tone].filter(Boolean),
+      });
+
+      toast.success('Suggestion saved as a template');
+      setSavingSuggestionId(null);
+      setTemplateName('');
+      if (onTemplateSaved && response?.data?.template) {
+        onTemplateSaved(response.data.template);
+      }
+    } catch (err) {
+      console.error('Error saving suggestion as template:', err);
+      toast.error('Failed to save template');
+    } finally {
+      setIsSavingTemplate(false);
+    }
+  };
+
   return (
     <Modal title="AI Message Suggestions" onClose={onCancel} size="lg">
       <div className="p-6">
@@ -208,34 +241,73 @@ const AIMessageSuggestions = ({ segmentRules, segmentId, onSelect, onCancel, onE
                       Effectiveness: {suggestion.strength || 'High'}
                     </span>
                   </div>
-                  <button
-                    onClick={() => handleCopySuggestion(suggestion, index)}
-                    className={`px-3 py-1 rounded-md text-sm font-medium flex items-center ${
-                      copiedIndex === index
-                        ? 'bg-green-100 text-green-800'
-                        : 'bg-blue-50 text-blue-600 hover:bg-blue-100'
-                    }`}
-                  >
-                    {copiedIndex === index ? (
-                      <>
-                        <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
-                        </svg>
-                        Copied!
-                      </>
-                    ) : (
-                      <>
-                        <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m0 0h2a2 2 0 012 2v3m2 4H10m0 0l3-3m-3 3l3 3" />
-                        </svg>
-                        Copy
-                      </>
-                    )}
-                  </button>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => {
+                        setSavingSuggestionId(suggestion.id);
+                        setTemplateName('');
+                      }}
+                      className="px-3 py-1 rounded-md text-sm font-medium bg-gray-50 text-gray-700 hover:bg-gray-100"
+                    >
+                      Save as template
+                    </button>
+                    <button
+                      onClick={() => handleCopySuggestion(suggestion, index)}
+                      className={`px-3 py-1 rounded-md text-sm font-medium flex items-center ${
+                        copiedIndex === index
+                          ? 'bg-green-100 text-green-800'
+                          : 'bg-blue-50 text-blue-600 hover:bg-blue-100'
+                      }`}
+                    >
+                      {copiedIndex === index ? (
+                        <>
+                          <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+                          </svg>
+                          Copied!
+                        </>
+                      ) : (
+                        <>
+                          <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m0 0h2a2 2 0 012 2v3m2 4H10m0 0l3-3m-3 3l3 3" />
+                          </svg>
+                          Copy
+                        </>
+                      )}
+                    </button>
+                  </div>
                 </div>
                 <div className="mt-2 p-3 bg-gray-50 rounded-md">
                   <p className="text-gray-800 whitespace-pre-wrap">{suggestion.message}</p>
                 </div>
+                {savingSuggestionId === suggestion.id && (
+                  <div className="mt-3 flex gap-2">
+                    <input
+                      type="text"
+                      value={templateName}
+                      onChange={(e) => setTemplateName(e.target.value)}
+                      placeholder={`Template name (${channel})`}
+                      className="flex-1 p-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleSaveTemplate(suggestion)}
+                      disabled={isSavingTemplate}
+                      className={`px-3 py-1 rounded-md text-sm text-white ${
+                        isSavingTemplate ? 'bg-blue-300 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+                      }`}
+                    >
+                      {isSavingTemplate ? 'Saving...' : 'Save'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSavingSuggestionId(null)}
+                      className="px-3 py-1 rounded-md text-sm text-gray-600 hover:text-gray-800"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -1,10 +1,152 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import aiService from '../../services/ai.service';
+import campaignService from '../../services/campaign.service';
 import Card from '../common/Card';
 import LoadingSpinner from '../common/LoadingSpinner';
+import { formatCurrency, formatDate, formatNumber, formatPercentage } from '../../utils/formatters';
 
-const CampaignInsights = ({ campaignId, campaignData }) => {
+const CONFIDENCE_OPTIONS = [
+  { value: 0.9, label: '90%' },
+  { value: 0.95, label: '95%' },
+  { value: 0.99, label: '99%' },
+];
+
+// Prefix gains with a plus sign
+const signed = (text, value) => (value > 0 ? `+${text}` : text);
+
+const formatInterval = ([lower, upper], format) => `${signed(format(lower), lower)} to ${signed(format(upper), upper)}`;
+
+/**
+ * Lift of a campaign over its held out control group, with confidence intervals
+ */
+const CampaignLift = ({ campaignId, status }) => {
+  const [lift, setLift] = useState(null);
+  const [confidence, setConfidence] = useState(0.95);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchLift = async () => {
+      try {
+        setIsLoading(true);
+        const response = await campaignService.getCampaignLift(campaignId, { confidence });
+        setLift(response.data);
+      } catch (err) {
+        console.error('Error fetching campaign lift:', err);
+        setLift(null);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchLift();
+  }, [campaignId, confidence, status]);
+
+  if (isLoading && !lift) {
+    return (
+      <Card title="Incremental Lift">
+        <div className="flex justify-center py-8">
+          <LoadingSpinner />
+        </div>
+      </Card>
+    );
+  }
+
+  if (!lift) {
+    return null;
+  }
+
+  const { treatment, control, lift: results, currency } = lift;
+  const money = (value) => formatCurrency(value, currency);
+  const conversionRate = results.conversionRate;
+  const revenuePerCustomer = results.revenuePerCustomer;
+
+  return (
+    <Card title="Incremental Lift">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <p className="text-sm text-gray-500">
+          Orders from {formatDate(lift.window.start)} to {formatDate(lift.window.end)}
+          {lift.window.closed ? '' : ', window still open'}
+        </p>
+        <select
+          value={confidence}
+          onChange={(e) => setConfidence(Number(e.target.value))}
+          aria-label="Confidence level"
+          className="border border-gray-300 rounded px-3 py-1 text-sm"
+        >
+          {CONFIDENCE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label} confidence</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-sm text-gray-500 mb-1">Conversion rate lift</div>
+          <div className="text-2xl font-bold">
+            {signed(formatPercentage(conversionRate.difference), conversionRate.difference)}
+            {conversionRate.relative !== null && (
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                ({signed(formatPercentage(conversionRate.relative), conversionRate.relative)} relative)
+              </span>
+            )}
+          </div>
+          <div className="text-xs text-gray-400 mt-1">
+            {formatInterval(conversionRate.interval, formatPercentage)}
+            {conversionRate.relativeInterval && `; ${formatInterval(conversionRate.relativeInterval, formatPercentage)} relative`}
+          </div>
+        </div>
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-sm text-gray-500 mb-1">Revenue per customer lift</div>
+          <div className="text-2xl font-bold">
+            {signed(money(revenuePerCustomer.difference), revenuePerCustomer.difference)}
+            {revenuePerCustomer.relative !== null && (
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                ({signed(formatPercentage(revenuePerCustomer.relative), revenuePerCustomer.relative)} relative)
+              </span>
+            )}
+          </div>
+          <div className="text-xs text-gray-400 mt-1">{formatInterval(revenuePerCustomer.interval, money)}</div>
+        </div>
+      </div>
+
+      <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Group</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Customers</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Converted</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Orders</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Revenue</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Per customer</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {[{ label: 'Sent the campaign', group: treatment }, { label: 'Control group', group: control }].map(({ label, group }) => (
+            <tr key={label}>
+              <td className="px-4 py-2 text-gray-900">{label}</td>
+              <td className="px-4 py-2 text-right">{formatNumber(group.customers)}</td>
+              <td className="px-4 py-2 text-right">
+                {formatNumber(group.converters)} ({formatPercentage(group.conversionRate)})
+              </td>
+              <td className="px-4 py-2 text-right">{formatNumber(group.orders)}</td>
+              <td className="px-4 py-2 text-right">{money(group.revenue)}</td>
+              <td className="px-4 py-2 text-right">{money(group.revenuePerCustomer)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className={`text-sm ${results.significant ? 'text-green-700' : 'text-gray-500'}`}>
+        {results.significant
+          ? `The campaign changed the conversion rate: about ${formatNumber(Math.round(results.incrementalConversions))} extra customers converted and ${money(results.incrementalRevenue)} in extra revenue.`
+          : 'The difference from the control group is not significant yet; the interval still includes no lift.'}
+      </p>
+    </Card>
+  );
+};
+
+const GeneratedInsights = ({ campaignId, campaignData }) => {
   const [insights, setInsights] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -163,4 +305,16 @@ const CampaignInsights = ({ campaignId, campaignData }) => {
   );
 };
 
+// Campaigns with a control group also get their lift, once the control group has been held out
+const CampaignInsights = ({ campaignId, campaignData }) => {
+  const hasControlGroup = campaignData?.holdout?.percentage > 0 && campaignData?.stats?.heldOut > 0;
+
+  return (
+    <div className="space-y-6">
+      {hasControlGroup && <CampaignLift campaignId={campaignId} status={campaignData.status} />}
+      <GeneratedInsights campaignId={campaignId} campaignData={campaignData} />
+    </div>
+  );
+};
+
 export default CampaignInsights;
\ No newline at end of file
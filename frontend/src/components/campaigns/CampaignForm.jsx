@@ -5,11 +5,57 @@ import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import campaignService from '../../services/campaign.service';
 import segmentService from '../../services/segment.service';
+import templateService from '../../services/template.service';
 import SegmentBuilder from '../segments/SegmentBuilder';
 import AudiencePreview from '../segments/AudiencePreview';
 import AIMessageSuggestions from '../ai/AIMessageSuggestions';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { toast } from 'react-toastify';
+import { getBrowserTimezone, getTimezones, zonedTimeToDate, WEEKDAY_NAMES } from '../../utils/helpers';
+
+// Delivery channels supported by the message broker
+const CHANNEL_OPTIONS = [
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'whatsapp', label: 'WhatsApp' },
+  { value: 'push', label: 'Push notification' },
+];
+
+// When messages go out; local_time sends at the scheduled time on each customer's clock
+const DELIVERY_MODE_OPTIONS = [
+  { value: 'immediate', label: 'At the scheduled time for everyone' },
+  { value: 'local_time', label: "At the scheduled time in each customer's time zone" },
+];
+
+const TIMEZONES = getTimezones();
+
+// How often a recurring campaign starts a run; each run sends to the audience as it is then
+const REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'daily', label: 'Every day' },
+  { value: 'weekly', label: 'Every week' },
+  { value: 'monthly', label: 'Every month' },
+  { value: 'cron', label: 'Custom (cron expression)' },
+];
+
+// Variant letters; the message field is variant A
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// Rates an A/B test's winner can be picked on
+const WINNER_METRIC_OPTIONS = [
+  { value: 'click', label: 'Click rate' },
+  { value: 'reply', label: 'Reply rate' },
+  { value: 'delivery', label: 'Delivery rate' },
+];
+
+// Body a template sends on its channel; email prefers the HTML body
+const getTemplateBody = (template) => {
+  const version = template.versions?.find((entry) => entry.version === template.currentVersion) || {};
+  return {
+    message: template.channel === 'email' ? version.htmlBody || version.textBody || '' : version.textBody || '',
+    subject: version.subject || '',
+  };
+};
 
 const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
   const navigate = useNavigate();
@@ -25,20 +71,96 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
   const [showAIMessageSuggestions, setShowAIMessageSuggestions] = useState(false);
   const [customSegmentName, setCustomSegmentName] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [templates, setTemplates] = useState([]);
   const formikRef = useRef(null);
 
   // Define validation schema
   const validationSchema = Yup.object({
     name: Yup.string().required('Campaign name is required'),
-    message: Yup.string().required('Message is required').max(500, 'Message must be 500 characters or less'),
+    // Template bodies, such as HTML emails, may be longer than a hand-written message
+    message: Yup.string().required('Message is required').when('templateId', {
+      is: (templateId) => !templateId,
+      then: (schema) => schema.max(500, 'Message must be 500 characters or less'),
+    }),
+    scheduledDate: Yup.string().when(['deliveryMode', 'repeat'], {
+      is: (deliveryMode, repeat) => deliveryMode === 'local_time' && !repeat,
+      then: (schema) => schema.required("Pick a schedule to send at each customer's local time"),
+    }),
+    repeatTime: Yup.string().when('repeat', {
+      is: (repeat) => ['daily', 'weekly', 'monthly'].includes(repeat),
+      then: (schema) => schema.required('Pick the time runs start at'),
+    }),
+    repeatDays: Yup.array().when('repeat', {
+      is: 'weekly',
+      then: (schema) => schema.min(1, 'Pick at least one day'),
+    }),
+    repeatDayOfMonth: Yup.number().when('repeat', {
+      is: 'monthly',
+      then: (schema) => schema.required('Day of the month is required').integer('Pick a whole day').min(1, 'Pick a day from 1 to 28').max(28, 'Pick a day from 1 to 28 so the campaign runs every month'),
+    }),
+    repeatCron: Yup.string().when('repeat', {
+      is: 'cron',
+      then: (schema) => schema.required('Cron expression is required').matches(/^\S+(\s+\S+){4}$/, 'Cron expressions have five fields: minute, hour, day of month, month and day of week'),
+    }),
+    otherVariants: Yup.array().when('abTestEnabled', {
+      is: true,
+      then: (schema) => schema.of(Yup.object({
+        message: Yup.string().required('Each variant needs a message').max(500, 'Message must be 500 characters or less'),
+      })),
+    }),
+    testPercentage: Yup.number().when('abTestEnabled', {
+      is: true,
+      then: (schema) => schema.required('Test percentage is required').min(1, 'Test at least 1% of the audience').max(100, 'Test at most 100% of the audience'),
+    }),
+    waitHours: Yup.number().when('abTestEnabled', {
+      is: true,
+      then: (schema) => schema.required('Wait is required').min(0, 'Wait must be 0 hours or more'),
+    }),
+    holdoutPercentage: Yup.number().when('holdoutEnabled', {
+      is: true,
+      then: (schema) => schema.required('Holdout percentage is required').min(1, 'Hold out at least 1% of the audience').max(50, 'Hold out at most 50% of the audience'),
+    }),
+    conversionWindowDays: Yup.number().when('holdoutEnabled', {
+      is: true,
+      then: (schema) => schema.required('Conversion window is required').min(1, 'Conversion window must be at least 1 day').max(90, 'Conversion window must be at most 90 days'),
+    }),
+    quietEnd: Yup.string().test(
+      'quiet-hours',
+      'Quiet hours need both a start and an end',
+      function (quietEnd) {
+        return Boolean(this.parent.quietStart) === Boolean(quietEnd);
+      }
+    ),
   });
 
   // Initial form values
   const initialValues = {
     name: '',
+    channel: 'email',
+    templateId: '',
+    templateVersion: '',
+    subject: '',
     message: '',
     segmentId: '',
     scheduledDate: '',
+    repeat: '',
+    repeatTime: '09:00',
+    repeatDays: ['1'],
+    repeatDayOfMonth: 1,
+    repeatCron: '',
+    repeatEndDate: '',
+    deliveryMode: 'immediate',
+    timezone: getBrowserTimezone(),
+    quietStart: '',
+    quietEnd: '',
+    abTestEnabled: false,
+    otherVariants: [{ message: '', subject: '' }],
+    testPercentage: 20,
+    winnerMetric: 'click',
+    waitHours: 4,
+    holdoutEnabled: false,
+    holdoutPercentage: 10,
+    conversionWindowDays: 7,
     saveSegment: false,
   };
 
@@ -153,6 +275,34 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
     fetchSegments();
   }, [location.state, preSelectedSegmentId]);
 
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await templateService.getAllTemplates({ isActive: true, limit: 100 });
+        setTemplates(response?.data?.templates || []);
+      } catch (err) {
+        // Campaigns can still be written by hand without the library
+        console.error('Error fetching templates:', err);
+      }
+    };
+
+    fetchTemplates();
+  }, []);
+
+  // Fill the message from a template, or detach it when none is chosen
+  const handleTemplateChange = (templateId, setFieldValue) => {
+    const template = templates.find((entry) => entry._id === templateId);
+
+    setFieldValue('templateId', template ? template._id : '');
+    setFieldValue('templateVersion', template ? template.currentVersion : '');
+
+    if (template) {
+      const { message, subject } = getTemplateBody(template);
+      setFieldValue('message', message);
+      setFieldValue('subject', subject);
+    }
+  };
+
   const handleSegmentChange = async (segmentId) => {
     if (segmentId === 'custom') {
       setShowSegmentBuilder(true);
@@ -276,10 +426,53 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
       // Create campaign
       const campaignData = {
         name: values.name,
+        channel: values.channel,
         message: finalMessage,
+        subject: values.channel === 'email' ? values.subject || undefined : undefined,
+        templateId: values.templateId || undefined,
+        templateVersion: values.templateVersion || undefined,
         segmentId: segmentId || null,
         customRules: !segmentId ? segmentRules : null,
-        scheduledDate: values.scheduledDate || new Date(),
+        // The schedule is read in the campaign's time zone; recurring campaigns start on theirs
+        scheduledAt: values.scheduledDate && !values.repeat ? zonedTimeToDate(values.scheduledDate, values.timezone) : undefined,
+        recurrence: values.repeat
+          ? {
+            frequency: values.repeat,
+            time: values.repeat !== 'cron' ? values.repeatTime : undefined,
+            daysOfWeek: values.repeat === 'weekly' ? values.repeatDays.map(Number).sort((a, b) => a - b) : undefined,
+            dayOfMonth: values.repeat === 'monthly' ? Number(values.repeatDayOfMonth) : undefined,
+            cron: values.repeat === 'cron' ? values.repeatCron.trim() : undefined,
+            // Runs may start until the end of the day
+            endAt: values.repeatEndDate ? zonedTimeToDate(`${values.repeatEndDate}T23:59`, values.timezone) : undefined,
+          }
+          : undefined,
+        delivery: {
+          mode: values.deliveryMode,
+          timezone: values.timezone,
+          quietHours: values.quietStart && values.quietEnd
+            ? { start: values.quietStart, end: values.quietEnd }
+            : undefined,
+        },
+        // The message and subject above are variant A
+        variants: values.abTestEnabled
+          ? [{ message: finalMessage, subject: values.subject }, ...values.otherVariants].map((variant) => ({
+            message: variant.message,
+            subject: values.channel === 'email' ? variant.subject || undefined : undefined,
+          }))
+          : undefined,
+        abTest: values.abTestEnabled
+          ? {
+            testPercentage: Number(values.testPercentage),
+            metric: values.winnerMetric,
+            waitHours: Number(values.waitHours),
+          }
+          : undefined,
+        holdout: values.holdoutEnabled
+          ? {
+            percentage: Number(values.holdoutPercentage),
+            conversionWindowDays: Number(values.conversionWindowDays),
+          }
+          : undefined,
         audienceSize,
       };
 
@@ -297,8 +490,14 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
         campaignId = campaign.id;
       }
       
-      // Trigger campaign delivery if we have a valid campaign ID
-      if (campaignId) {
+      // Recurring and scheduled campaigns are started by the message broker when they are due
+      if (campaignId && campaignData.recurrence) {
+        toast.success('Recurring campaign created, its first run starts on schedule');
+        navigate(`/campaigns/history/${campaignId}`);
+      } else if (campaignId && campaignData.scheduledAt > new Date()) {
+        toast.success('Campaign scheduled');
+        navigate('/campaigns/history');
+      } else if (campaignId) {
         await campaignService.deliverCampaign(campaignId);
         toast.success('Campaign created and delivery started');
         navigate('/campaigns/history');
@@ -395,6 +594,31 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
                 />
               </div>
 
+              <div>
+                <label htmlFor="channel" className="block text-sm font-medium text-gray-700 mb-1">
+                  Channel
+                </label>
+                <Field
+                  as="select"
+                  id="channel"
+                  name="channel"
+                  className="w-full p-2 border border-gray-300 rounded bg-white"
+                  onChange={(e) => {
+                    setFieldValue('channel', e.target.value);
+                    // Templates are written for one channel
+                    if (values.templateId) {
+                      handleTemplateChange('', setFieldValue);
+                    }
+                  }}
+                >
+                  {CHANNEL_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </Field>
+              </div>
+
               <div>
                 <label htmlFor="segmentId" className="block text-sm font-medium text-gray-700 mb-1">
                   Select Audience
@@ -461,6 +685,54 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
                 <AudiencePreview audienceSize={audienceSize} isCustom={showSegmentBuilder} />
               </div>
 
+              <div>
+                <label htmlFor="templateId" className="block text-sm font-medium text-gray-700 mb-1">
+                  Template (optional)
+                </label>
+                <select
+                  id="templateId"
+                  className="w-full p-2 border border-gray-300 rounded bg-white"
+                  value={values.templateId}
+                  onChange={(e) => handleTemplateChange(e.target.value, setFieldValue)}
+                >
+                  <option value="">Write a new message</option>
+                  {templates
+                    .filter((template) => template.channel === values.channel)
+                    .map((template) => (
+                      <option key={template._id} value={template._id}>
+                        {template.name} (v{template.currentVersion})
+                      </option>
+                    ))}
+                </select>
+                {values.templateId && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Sending version {values.templateVersion} of this template. Editing the message below detaches it.
+                  </p>
+                )}
+              </div>
+
+              {values.channel === 'email' && (
+                <div>
+                  <label htmlFor="subject" className="block text-sm font-medium text-gray-700 mb-1">
+                    Subject
+                  </label>
+                  <Field
+                    id="subject"
+                    name="subject"
+                    type="text"
+                    className="w-full p-2 border border-gray-300 rounded"
+                    placeholder="Subject line, e.g. {{name}}, your picks this week"
+                    onChange={(e) => {
+                      setFieldValue('subject', e.target.value);
+                      if (values.templateId) {
+                        setFieldValue('templateId', '');
+                        setFieldValue('templateVersion', '');
+                      }
+                    }}
+                  />
+                </div>
+              )}
+
               <div>
                 <div className="flex justify-between items-center mb-1">
                   <label htmlFor="message" className="block text-sm font-medium text-gray-700">
@@ -530,6 +802,11 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
                   onChange={(e) => {
                     console.log('Message field onChange:', e.target.value);
                     setFieldValue('message', e.target.value);
+                    // An edited message is no longer the template's
+                    if (values.templateId) {
+                      setFieldValue('templateId', '');
+                      setFieldValue('templateVersion', '');
+                    }
                   }}
                 />
                 <ErrorMessage
@@ -538,25 +815,373 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
                   className="mt-1 text-sm text-red-500"
                 />
                 <p className="mt-1 text-xs text-gray-500">
-                  You can use {'{'}'{'{'}name{'}'}'{'}'} to personalize your message with the customer's name.
+                  Personalize with any customer field, e.g. {'{{name}}'}, {'{{location | default: "your city"}}'} or {'{{totalSpend | currency}}'}.
+                  Use {'{{#if orderCount}}...{{else}}...{{/if}}'} for conditional text and {'{{#each tags}}{{this}} {{/each}}'} to list tags.
+                  An unsubscribe link is added to every message; place it yourself with {'{{unsubscribeUrl}}'}.
                 </p>
               </div>
 
+              <div className="border border-gray-200 rounded p-4 space-y-4">
+                <div className="flex items-center">
+                  <Field
+                    type="checkbox"
+                    id="abTestEnabled"
+                    name="abTestEnabled"
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <label htmlFor="abTestEnabled" className="ml-2 block text-sm text-gray-900">
+                    A/B test this message
+                  </label>
+                </div>
+
+                {values.abTestEnabled && (
+                  <>
+                    <p className="text-xs text-gray-500">
+                      The message above is variant A. Part of the audience is split between the variants, and the variant that does best is sent to everybody else.
+                    </p>
+
+                    {values.otherVariants.map((variant, index) => (
+                      <div key={index}>
+                        <div className="flex justify-between items-center mb-1">
+                          <label htmlFor={`otherVariants.${index}.message`} className="block text-sm font-medium text-gray-700">
+                            Variant {VARIANT_KEYS[index + 1]}
+                          </label>
+                          {values.otherVariants.length > 1 && (
+                            <button
+                              type="button"
+                              className="text-sm text-red-600 hover:text-red-800"
+                              onClick={() => setFieldValue('otherVariants', values.otherVariants.filter((_, position) => position !== index))}
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                        {values.channel === 'email' && (
+                          <Field
+                            name={`otherVariants.${index}.subject`}
+                            type="text"
+                            aria-label={`Variant ${VARIANT_KEYS[index + 1]} subject`}
+                            className="w-full p-2 mb-2 border border-gray-300 rounded"
+                            placeholder="Subject line, the one above if left empty"
+                          />
+                        )}
+                        <Field
+                          as="textarea"
+                          id={`otherVariants.${index}.message`}
+                          name={`otherVariants.${index}.message`}
+                          rows={3}
+                          className="w-full p-2 border border-gray-300 rounded"
+                          placeholder="Hi {{name}}, try a different message here..."
+                        />
+                        <ErrorMessage
+                          name={`otherVariants.${index}.message`}
+                          component="div"
+                          className="mt-1 text-sm text-red-500"
+                        />
+                      </div>
+                    ))}
+
+                    {values.otherVariants.length < VARIANT_KEYS.length - 1 && (
+                      <button
+                        type="button"
+                        className="text-sm text-blue-500 hover:text-blue-700"
+                        onClick={() => setFieldValue('otherVariants', [...values.otherVariants, { message: '', subject: '' }])}
+                      >
+                        Add variant
+                      </button>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div>
+                        <label htmlFor="testPercentage" className="block text-sm font-medium text-gray-700 mb-1">
+                          Test audience (%)
+                        </label>
+                        <Field
+                          id="testPercentage"
+                          name="testPercentage"
+                          type="number"
+                          min={1}
+                          max={100}
+                          className="w-full p-2 border border-gray-300 rounded"
+                        />
+                        <ErrorMessage name="testPercentage" component="div" className="mt-1 text-sm text-red-500" />
+                      </div>
+                      <div>
+                        <label htmlFor="winnerMetric" className="block text-sm font-medium text-gray-700 mb-1">
+                          Pick the winner on
+                        </label>
+                        <Field
+                          as="select"
+                          id="winnerMetric"
+                          name="winnerMetric"
+                          className="w-full p-2 border border-gray-300 rounded"
+                        >
+                          {WINNER_METRIC_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </Field>
+                      </div>
+                      <div>
+                        <label htmlFor="waitHours" className="block text-sm font-medium text-gray-700 mb-1">
+                          Wait before picking (hours)
+                        </label>
+                        <Field
+                          id="waitHours"
+                          name="waitHours"
+                          type="number"
+                          min={0}
+                          className="w-full p-2 border border-gray-300 rounded"
+                        />
+                        <ErrorMessage name="waitHours" component="div" className="mt-1 text-sm text-red-500" />
+                      </div>
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <div className="border border-gray-200 rounded p-4 space-y-4">
+                <div className="flex items-center">
+                  <Field
+                    type="checkbox"
+                    id="holdoutEnabled"
+                    name="holdoutEnabled"
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <label htmlFor="holdoutEnabled" className="ml-2 block text-sm text-gray-900">
+                    Hold out a control group
+                  </label>
+                </div>
+
+                {values.holdoutEnabled && (
+                  <>
+                    <p className="text-xs text-gray-500">
+                      Part of the audience is never sent the message. Their orders are compared with everybody else's to measure the campaign's lift.
+                    </p>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label htmlFor="holdoutPercentage" className="block text-sm font-medium text-gray-700 mb-1">
+                          Control group (%)
+                        </label>
+                        <Field
+                          id="holdoutPercentage"
+                          name="holdoutPercentage"
+                          type="number"
+                          min={1}
+                          max={50}
+                          className="w-full p-2 border border-gray-300 rounded"
+                        />
+                        <ErrorMessage name="holdoutPercentage" component="div" className="mt-1 text-sm text-red-500" />
+                      </div>
+                      <div>
+                        <label htmlFor="conversionWindowDays" className="block text-sm font-medium text-gray-700 mb-1">
+                          Conversion window (days)
+                        </label>
+                        <Field
+                          id="conversionWindowDays"
+                          name="conversionWindowDays"
+                          type="number"
+                          min={1}
+                          max={90}
+                          className="w-full p-2 border border-gray-300 rounded"
+                        />
+                        <ErrorMessage name="conversionWindowDays" component="div" className="mt-1 text-sm text-red-500" />
+                      </div>
+                    </div>
+                  </>
+                )}
+              </div>
+
               <div>
-                <label
-                  htmlFor="scheduledDate"
-                  className="block text-sm font-medium text-gray-700 mb-1"
-                >
-                  Schedule (optional)
+                <label htmlFor="repeat" className="block text-sm font-medium text-gray-700 mb-1">
+                  Repeat
                 </label>
                 <Field
-                  id="scheduledDate"
-                  name="scheduledDate"
-                  type="datetime-local"
+                  as="select"
+                  id="repeat"
+                  name="repeat"
                   className="w-full p-2 border border-gray-300 rounded"
+                >
+                  {REPEAT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Field>
+              </div>
+
+              {values.repeat ? (
+                <div className="border border-gray-200 rounded p-4 space-y-4">
+                  <p className="text-xs text-gray-500">
+                    Each run sends to the audience as it is when the run starts, and has its own delivery logs and stats.
+                  </p>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {values.repeat === 'cron' ? (
+                      <div>
+                        <label htmlFor="repeatCron" className="block text-sm font-medium text-gray-700 mb-1">
+                          Cron expression
+                        </label>
+                        <Field
+                          id="repeatCron"
+                          name="repeatCron"
+                          type="text"
+                          placeholder="0 9 1 * *"
+                          className="w-full p-2 border border-gray-300 rounded font-mono"
+                        />
+                        <ErrorMessage name="repeatCron" component="div" className="mt-1 text-sm text-red-500" />
+                        <p className="mt-1 text-xs text-gray-500">
+                          Minute, hour, day of month, month and day of week, e.g. 0 9 1 * * for 09:00 on the 1st of every month.
+                        </p>
+                      </div>
+                    ) : (
+                      <div>
+                        <label htmlFor="repeatTime" className="block text-sm font-medium text-gray-700 mb-1">
+                          At
+                        </label>
+                        <Field
+                          id="repeatTime"
+                          name="repeatTime"
+                          type="time"
+                          className="w-full p-2 border border-gray-300 rounded"
+                        />
+                        <ErrorMessage name="repeatTime" component="div" className="mt-1 text-sm text-red-500" />
+                      </div>
+                    )}
+                    {values.repeat === 'monthly' && (
+                      <div>
+                        <label htmlFor="repeatDayOfMonth" className="block text-sm font-medium text-gray-700 mb-1">
+                          Day of the month
+                        </label>
+                        <Field
+                          id="repeatDayOfMonth"
+                          name="repeatDayOfMonth"
+                          type="number"
+                          min={1}
+                          max={28}
+                          className="w-full p-2 border border-gray-300 rounded"
+                        />
+                        <ErrorMessage name="repeatDayOfMonth" component="div" className="mt-1 text-sm text-red-500" />
+                      </div>
+                    )}
+                    <div>
+                      <label htmlFor="repeatEndDate" className="block text-sm font-medium text-gray-700 mb-1">
+                        Ends on (optional)
+                      </label>
+                      <Field
+                        id="repeatEndDate"
+                        name="repeatEndDate"
+                        type="date"
+                        className="w-full p-2 border border-gray-300 rounded"
+                      />
+                    </div>
+                  </div>
+
+                  {values.repeat === 'weekly' && (
+                    <div>
+                      <span className="block text-sm font-medium text-gray-700 mb-1">On</span>
+                      <div className="flex flex-wrap gap-4">
+                        {WEEKDAY_NAMES.map((day, index) => (
+                          <label key={day} className="flex items-center text-sm text-gray-900">
+                            <Field
+                              type="checkbox"
+                              name="repeatDays"
+                              value={String(index)}
+                              className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                            />
+                            {day}
+                          </label>
+                        ))}
+                      </div>
+                      <ErrorMessage name="repeatDays" component="div" className="mt-1 text-sm text-red-500" />
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div>
+                  <label
+                    htmlFor="scheduledDate"
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                  >
+                    Schedule (optional)
+                  </label>
+                  <Field
+                    id="scheduledDate"
+                    name="scheduledDate"
+                    type="datetime-local"
+                    className="w-full p-2 border border-gray-300 rounded"
+                  />
+                  <ErrorMessage
+                    name="scheduledDate"
+                    component="div"
+                    className="mt-1 text-sm text-red-500"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Leave empty to send immediately after creation.
+                  </p>
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="deliveryMode" className="block text-sm font-medium text-gray-700 mb-1">
+                    Send
+                  </label>
+                  <Field
+                    as="select"
+                    id="deliveryMode"
+                    name="deliveryMode"
+                    className="w-full p-2 border border-gray-300 rounded"
+                  >
+                    {DELIVERY_MODE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Field>
+                </div>
+                <div>
+                  <label htmlFor="timezone" className="block text-sm font-medium text-gray-700 mb-1">
+                    Time zone
+                  </label>
+                  <Field
+                    as="select"
+                    id="timezone"
+                    name="timezone"
+                    className="w-full p-2 border border-gray-300 rounded"
+                  >
+                    {TIMEZONES.map((timezone) => (
+                      <option key={timezone} value={timezone}>{timezone}</option>
+                    ))}
+                  </Field>
+                </div>
+              </div>
+              <p className="-mt-4 text-xs text-gray-500">
+                The schedule is read in this time zone. Customers whose time zone is not set and cannot be told from their location are sent to in this time zone too.
+              </p>
+
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Quiet hours (optional)</span>
+                <div className="flex items-center gap-2">
+                  <Field
+                    id="quietStart"
+                    name="quietStart"
+                    type="time"
+                    aria-label="Quiet hours start"
+                    className="p-2 border border-gray-300 rounded"
+                  />
+                  <span className="text-gray-500">to</span>
+                  <Field
+                    id="quietEnd"
+                    name="quietEnd"
+                    type="time"
+                    aria-label="Quiet hours end"
+                    className="p-2 border border-gray-300 rounded"
+                  />
+                </div>
+                <ErrorMessage
+                  name="quietEnd"
+                  component="div"
+                  className="mt-1 text-sm text-red-500"
                 />
                 <p className="mt-1 text-xs text-gray-500">
-                  Leave empty to send immediately after creation.
+                  No messages are sent between these times on the customer's clock; messages due then wait until the quiet hours end.
                 </p>
               </div>
 
@@ -589,6 +1214,8 @@ const CampaignForm = ({ initialRules, preSelectedSegmentId }) => {
         <AIMessageSuggestions
           segmentRules={segmentRules}
           segmentId={selectedSegmentId}
+          channel={formikRef.current?.values.channel}
+          onTemplateSaved={(template) => setTemplates((prev) => [template, ...prev])}
           onSelect={() => {
             setIsLoadingSuggestions(false);
             setShowAIMessageSuggestions(false);
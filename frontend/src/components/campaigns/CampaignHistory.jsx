@@ -6,6 +6,7 @@ import  aiService  from '../../services/ai.service';
 import LoadingSpinner from '../common/LoadingSpinner';
 import Card from '../common/Card';
 import { formatDate, formatNumber, timeAgo } from '../../utils/formatters';
+import { getCampaignStatusClass } from '../../utils/helpers';
 
 const CampaignHistory = () => {
   const [campaigns, setCampaigns] = useState([]);
@@ -216,13 +217,7 @@ const CampaignHistory = () => {
                   </div>
                   <div>
                     <span
-                      className={`px-3 py-1 rounded-full text-xs font-medium ${
-                        campaign.status === 'Completed'
-                          ? 'bg-green-100 text-green-800'
-                          : campaign.status === 'Active'
-                          ? 'bg-blue-100 text-blue-800'
-                          : 'bg-yellow-100 text-yellow-800'
-                      }`}
+                      className={`px-3 py-1 rounded-full text-xs font-medium ${getCampaignStatusClass(campaign.status)}`}
                     >
                       {campaign.status}
                     </span>
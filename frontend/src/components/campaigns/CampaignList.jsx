@@ -4,6 +4,9 @@ import { motion } from 'framer-motion';
 import  campaignService  from '../../services/campaign.service';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { formatDate, formatNumber } from '../../utils/formatters';
+import { getCampaignStatusClass } from '../../utils/helpers';
+
+const CAMPAIGN_STATUSES = ['Draft', 'Scheduled', 'Sending', 'Recurring', 'Paused', 'Cancelled', 'Completed', 'Failed'];
 
 const CampaignList = () => {
   const [campaigns, setCampaigns] = useState([]);
@@ -47,13 +50,7 @@ const CampaignList = () => {
       }
 
       // Status filter
-      if (filter === 'active' && campaign.status !== 'Active') {
-        return false;
-      }
-      if (filter === 'completed' && campaign.status !== 'Completed') {
-        return false;
-      }
-      if (filter === 'draft' && campaign.status !== 'Draft') {
+      if (filter !== 'all' && campaign.status !== filter) {
         return false;
       }
 
@@ -61,19 +58,6 @@ const CampaignList = () => {
     })
     .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-  const getCampaignStatusClass = (status) => {
-    switch (status) {
-      case 'Active':
-        return 'bg-green-100 text-green-800';
-      case 'Completed':
-        return 'bg-blue-100 text-blue-800';
-      case 'Draft':
-        return 'bg-yellow-100 text-yellow-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
-
   if (isLoading) return <LoadingSpinner />;
 
   if (error) {
@@ -138,9 +122,9 @@ const CampaignList = () => {
               onChange={(e) => setFilter(e.target.value)}
             >
               <option value="all">All Campaigns</option>
-              <option value="active">Active</option>
-              <option value="completed">Completed</option>
-              <option value="draft">Draft</option>
+              {CAMPAIGN_STATUSES.map((status) => (
+                <option key={status} value={status}>{status}</option>
+              ))}
             </select>
           </div>
         </div>
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../common/Card';
+import LoadingSpinner from '../common/LoadingSpinner';
+import campaignService from '../../services/campaign.service';
+import { formatDate, formatNumber, formatPercentage } from '../../utils/formatters';
+import { getCampaignStatusClass } from '../../utils/helpers';
+
+const PAGE_SIZE = 20;
+
+// Runs of a recurring campaign, newest first; each links to its own details, logs and stats
+const CampaignRuns = ({ campaignId }) => {
+  const [runs, setRuns] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, totalResults: 0 });
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await campaignService.getCampaignRuns(campaignId, page, PAGE_SIZE);
+      setRuns(response.data.runs || []);
+      setPagination(response.pagination || { page, totalPages: 1, totalResults: 0 });
+    } catch (err) {
+      console.error('Error fetching campaign runs:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [campaignId, page]);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  return (
+    <Card title={`Runs (${formatNumber(pagination.totalResults)})`}>
+      {isLoading ? (
+        <div className="flex justify-center p-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scheduled For</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Audience</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Delivered</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Failed</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {runs.length === 0 ? (
+                <tr>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-center" colSpan={6}>
+                    No runs yet
+                  </td>
+                </tr>
+              ) : (
+                runs.map((run) => (
+                  <tr key={run._id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <Link to={`/campaigns/history/${run._id}`} className="text-blue-600 hover:text-blue-800">
+                        #{run.runNumber}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getCampaignStatusClass(run.status)}`}>
+                        {run.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(run.scheduledAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatNumber(run.audienceSize || 0)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatNumber(run.stats?.delivered || 0)}
+                      <span className="ml-1 text-xs text-gray-400">({formatPercentage((run.stats?.deliveredPercentage || 0) / 100)})</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatNumber(run.stats?.failed || 0)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center mt-6">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">Page {page} of {pagination.totalPages}</span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default CampaignRuns;
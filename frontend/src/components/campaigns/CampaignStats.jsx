@@ -1,28 +1,67 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
 import Card from '../common/Card';
-import { formatNumber, formatPercentage } from '../../utils/formatters';
+import campaignService from '../../services/campaign.service';
+import { formatDate, formatNumber, formatPercentage } from '../../utils/formatters';
+
+// Names of the rates an A/B test's winner can be picked on
+const METRIC_LABELS = {
+  delivery: 'Delivery rate',
+  click: 'Click rate',
+  reply: 'Reply rate',
+};
 
 const CampaignStats = ({ campaign }) => {
+  const [variantStats, setVariantStats] = useState(null);
+  const hasVariants = campaign.variants?.length > 1;
+
+  // The per-variant breakdown comes from the stats endpoint
+  useEffect(() => {
+    if (!hasVariants) return;
+
+    const fetchVariantStats = async () => {
+      try {
+        const response = await campaignService.getCampaignStats(campaign._id);
+        setVariantStats(response.data);
+      } catch (err) {
+        console.error('Error fetching variant stats:', err);
+      }
+    };
+
+    fetchVariantStats();
+  }, [campaign._id, campaign.status, hasVariants]);
+
   // Extract stats from campaign data
   const stats = {
     sent: campaign.stats?.delivered || 0,
     failed: campaign.stats?.failed || 0,
-    pending: (campaign.audienceSize || 0) - (campaign.stats?.delivered || 0) - (campaign.stats?.failed || 0),
+    // Customers skipped because they unsubscribed from the campaign's channel
+    suppressed: campaign.stats?.suppressed || 0,
+    // Messages left unsent when the campaign was cancelled
+    skipped: campaign.stats?.skipped || 0,
+    // Customers in the control group, who are never sent the message
+    heldOut: campaign.stats?.heldOut || 0,
+    pending: (campaign.audienceSize || 0) - (campaign.stats?.delivered || 0) - (campaign.stats?.failed || 0) - (campaign.stats?.suppressed || 0) - (campaign.stats?.skipped || 0) - (campaign.stats?.heldOut || 0),
   };
 
   // Prepare data for pie chart
   const chartData = [
     { name: 'Sent', value: stats.sent, color: '#10B981' },
     { name: 'Failed', value: stats.failed, color: '#EF4444' },
+    { name: 'Suppressed', value: stats.suppressed, color: '#9CA3AF' },
+    { name: 'Skipped', value: stats.skipped, color: '#4B5563' },
+    { name: 'Held out', value: stats.heldOut, color: '#818CF8' },
     { name: 'Pending', value: stats.pending, color: '#F59E0B' },
   ].filter(item => item.value > 0);
 
   // Calculate percentages
-  const total = stats.sent + stats.failed + stats.pending;
+  const total = stats.sent + stats.failed + stats.suppressed + stats.skipped + stats.heldOut + stats.pending;
   const sentPercentage = total ? (stats.sent / total) * 100 : 0;
   const failedPercentage = total ? (stats.failed / total) * 100 : 0;
+  const suppressedPercentage = total ? (stats.suppressed / total) * 100 : 0;
+  const skippedPercentage = total ? (stats.skipped / total) * 100 : 0;
+  const heldOutPercentage = total ? (stats.heldOut / total) * 100 : 0;
   const pendingPercentage = total ? (stats.pending / total) * 100 : 0;
 
   // Animation variants
@@ -70,7 +109,7 @@ const CampaignStats = ({ campaign }) => {
     >
       <motion.div variants={itemVariants} className="md:col-span-2">
         <Card title="Delivery Overview">
-          <div className="grid grid-cols-3 gap-4 mb-6">
+          <div className="grid grid-cols-6 gap-4 mb-6">
             <div className="text-center">
               <div className="text-3xl font-bold text-green-500">{formatNumber(stats.sent)}</div>
               <div className="text-sm text-gray-500">Sent</div>
@@ -81,6 +120,21 @@ const CampaignStats = ({ campaign }) => {
               <div className="text-sm text-gray-500">Failed</div>
               <div className="text-xs text-gray-400">{formatPercentage(failedPercentage / 100)}</div>
             </div>
+            <div className="text-center">
+              <div className="text-3xl font-bold text-gray-500">{formatNumber(stats.suppressed)}</div>
+              <div className="text-sm text-gray-500">Suppressed</div>
+              <div className="text-xs text-gray-400">{formatPercentage(suppressedPercentage / 100)}</div>
+            </div>
+            <div className="text-center">
+              <div className="text-3xl font-bold text-gray-700">{formatNumber(stats.skipped)}</div>
+              <div className="text-sm text-gray-500">Skipped</div>
+              <div className="text-xs text-gray-400">{formatPercentage(skippedPercentage / 100)}</div>
+            </div>
+            <div className="text-center">
+              <div className="text-3xl font-bold text-indigo-400">{formatNumber(stats.heldOut)}</div>
+              <div className="text-sm text-gray-500">Held out</div>
+              <div className="text-xs text-gray-400">{formatPercentage(heldOutPercentage / 100)}</div>
+            </div>
             <div className="text-center">
               <div className="text-3xl font-bold text-yellow-500">{formatNumber(stats.pending)}</div>
               <div className="text-sm text-gray-500">Pending</div>
@@ -99,8 +153,20 @@ const CampaignStats = ({ campaign }) => {
                 className="absolute h-full bg-red-500 left-0 top-0"
                 style={{ width: `${sentPercentage + failedPercentage}%`, left: `${sentPercentage}%` }}
               ></div>
+              <div
+                className="absolute h-full bg-gray-400 left-0 top-0"
+                style={{ width: `${suppressedPercentage}%`, left: `${sentPercentage + failedPercentage}%` }}
+              ></div>
+              <div
+                className="absolute h-full bg-gray-600 left-0 top-0"
+                style={{ width: `${skippedPercentage}%`, left: `${sentPercentage + failedPercentage + suppressedPercentage}%` }}
+              ></div>
+              <div
+                className="absolute h-full bg-indigo-400 left-0 top-0"
+                style={{ width: `${heldOutPercentage}%`, left: `${sentPercentage + failedPercentage + suppressedPercentage + skippedPercentage}%` }}
+              ></div>
               <div className="absolute w-full h-full flex items-center justify-center text-xs font-medium">
-                {formatPercentage((stats.sent + stats.failed) / total)} Complete
+                {formatPercentage((stats.sent + stats.failed + stats.suppressed + stats.skipped + stats.heldOut) / total)} Complete
               </div>
             </div>
           </div>
@@ -130,7 +196,7 @@ const CampaignStats = ({ campaign }) => {
               </PieChart>
             </ResponsiveContainer>
           </div>
-          <div className="grid grid-cols-3 text-center text-sm mt-4">
+          <div className="grid grid-cols-5 text-center text-sm mt-4">
             {chartData.map((entry, index) => (
               <div key={index} className="flex flex-col items-center">
                 <div className="w-3 h-3 rounded-full mb-1" style={{ backgroundColor: entry.color }}></div>
@@ -141,6 +207,68 @@ const CampaignStats = ({ campaign }) => {
         </Card>
       </motion.div>
 
+      {hasVariants && variantStats && (
+        <motion.div variants={itemVariants} className="md:col-span-3">
+          <Card title="A/B Test">
+            <p className="text-sm text-gray-600 mb-4">
+              {formatNumber(variantStats.abTest.testPercentage)}% of the audience is split between the variants.{' '}
+              {variantStats.abTest.winner
+                ? `Variant ${variantStats.abTest.winner} won on ${METRIC_LABELS[variantStats.abTest.metric].toLowerCase()} on ${formatDate(variantStats.abTest.decidedAt)} and was sent to the rest.`
+                : `The variant with the best ${METRIC_LABELS[variantStats.abTest.metric].toLowerCase()} is sent to the rest ${formatNumber(variantStats.abTest.waitHours)} hours after the last test message is sent.`}
+            </p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Variant</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sent</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Failed</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pending</th>
+                    {Object.entries(METRIC_LABELS).map(([metric, label]) => (
+                      <th
+                        key={metric}
+                        className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${
+                          metric === variantStats.abTest.metric ? 'text-blue-600' : 'text-gray-500'
+                        }`}
+                      >
+                        {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {campaign.variants.flatMap((variant) => ['test', 'winner'].map((phase) => {
+                    const row = variantStats.variants.find((entry) => entry.variant === variant.key && entry.phase === phase);
+                    if (!row && phase === 'winner') return null;
+
+                    return (
+                      <tr key={`${variant.key}-${phase}`}>
+                        <td className="px-4 py-3 text-sm">
+                          <div className="font-medium text-gray-900">
+                            {variant.name || `Variant ${variant.key}`}
+                            {phase === 'winner' && ' (sent to the rest)'}
+                            {phase === 'test' && variantStats.abTest.winner === variant.key && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Winner</span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-500 truncate max-w-xs">{variant.message}</div>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatNumber(row?.sent || 0)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatNumber(row?.failed || 0)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatNumber(row?.pending || 0)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatPercentage(row?.deliveryRate || 0)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatPercentage(row?.clickRate || 0)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatPercentage(row?.replyRate || 0)}</td>
+                      </tr>
+                    );
+                  }))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        </motion.div>
+      )}
+
       <motion.div variants={itemVariants} className="md:col-span-3">
         <Card title="Campaign Performance Metrics">
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
@@ -166,7 +294,7 @@ const CampaignStats = ({ campaign }) => {
             <div className="bg-gray-50 p-4 rounded-lg">
               <div className="text-sm text-gray-500 mb-1">Completion</div>
               <div className="text-2xl font-bold">
-                {formatPercentage((stats.sent + stats.failed) / (campaign.audienceSize || 1))}
+                {formatPercentage((stats.sent + stats.failed + stats.suppressed + stats.skipped + stats.heldOut) / (campaign.audienceSize || 1))}
               </div>
               <div className="text-xs text-gray-400 mt-1">Overall progress</div>
             </div>
@@ -4,6 +4,9 @@ import Input from '../common/Input';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { toast } from 'react-toastify';
 import customerService from '../../services/customer.service';
+import { getTimezones } from '../../utils/helpers';
+
+const TIMEZONES = getTimezones();
 
 const CustomerCreateModal = ({ isOpen, onClose, onCustomerCreated }) => {
   const [customer, setCustomer] = useState({
@@ -11,6 +14,7 @@ const CustomerCreateModal = ({ isOpen, onClose, onCustomerCreated }) => {
     email: '',
     phone: '',
     location: '',
+    timezone: '',
     isActive: true
   });
   
@@ -63,7 +67,7 @@ const CustomerCreateModal = ({ isOpen, onClose, onCustomerCreated }) => {
     
     try {
       setIsSubmitting(true);
-      const response = await customerService.createCustomer(customer);
+      const response = await customerService.createCustomer({ ...customer, timezone: customer.timezone || undefined });
       
       toast.success('Customer created successfully');
       onCustomerCreated(response.data.customer);
@@ -75,6 +79,7 @@ const CustomerCreateModal = ({ isOpen, onClose, onCustomerCreated }) => {
         email: '',
         phone: '',
         location: '',
+        timezone: '',
         isActive: true
       });
     } catch (error) {
@@ -206,6 +211,25 @@ const CustomerCreateModal = ({ isOpen, onClose, onCustomerCreated }) => {
               />
             </div>
 
+            <div className="mb-4">
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="timezone">
+                Time zone
+              </label>
+              <select
+                id="timezone"
+                name="timezone"
+                value={customer.timezone}
+                onChange={handleChange}
+                className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+              >
+                <option value="">From location</option>
+                {TIMEZONES.map((timezone) => (
+                  <option key={timezone} value={timezone}>{timezone}</option>
+                ))}
+              </select>
+              <p className="text-gray-500 text-xs mt-1">Campaigns sent at local time and quiet hours use this time zone.</p>
+            </div>
+
             <div className="mb-6">
               <label className="flex items-center">
                 <input
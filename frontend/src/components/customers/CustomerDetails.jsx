@@ -1,12 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
 import  customerService  from '../../services/customer.service';
 import  campaignService  from '../../services/campaign.service';
 import LoadingSpinner from '../common/LoadingSpinner';
 import Card from '../common/Card';
+import CustomerTimeline from './CustomerTimeline';
 import { formatDate, formatCurrency, timeAgo } from '../../utils/formatters';
 
+// Channels a customer can unsubscribe from
+const SUBSCRIPTION_CHANNELS = [
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' },
+  { key: 'whatsapp', label: 'WhatsApp' },
+  { key: 'push', label: 'Push' },
+];
+
+const SUBSCRIPTION_SOURCES = {
+  api: 'by a user',
+  link: 'through an unsubscribe link',
+  vendor: 'by a vendor opt-out',
+};
+
 const CustomerDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -16,6 +32,7 @@ const CustomerDetails = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [updatingChannel, setUpdatingChannel] = useState(null);
 
   useEffect(() => {
     const fetchCustomerData = async () => {
@@ -46,6 +63,19 @@ const CustomerDetails = () => {
     navigate('/campaigns/create', { state: { preSelectedCustomerId: id } });
   };
 
+  const handleSubscriptionChange = async (channel, status) => {
+    try {
+      setUpdatingChannel(channel);
+      const response = await customerService.updateSubscription(id, channel, status);
+      setCustomer({ ...customer, subscriptions: response.data.customer.subscriptions });
+      toast.success(`${status === 'subscribed' ? 'Subscribed to' : 'Unsubscribed from'} ${channel}`);
+    } catch (err) {
+      console.error('Error updating subscription:', err);
+    } finally {
+      setUpdatingChannel(null);
+    }
+  };
+
   if (isLoading) return <LoadingSpinner />;
 
   if (error) {
@@ -181,6 +211,16 @@ const CustomerDetails = () => {
           >
             Campaigns ({campaigns.length})
           </button>
+          <button
+            className={`pb-4 px-1 ${
+              activeTab === 'timeline'
+                ? 'border-b-2 border-blue-500 text-blue-600 font-medium'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+            onClick={() => setActiveTab('timeline')}
+          >
+            Timeline
+          </button>
         </nav>
       </div>
 
@@ -197,6 +237,15 @@ const CustomerDetails = () => {
                 <span className="text-gray-500">Location</span>
                 <span className="text-gray-900">{customer.location || 'N/A'}</span>
               </li>
+              <li className="py-3 flex justify-between">
+                <span className="text-gray-500">Time Zone</span>
+                <span className="text-gray-900">
+                  {customer.localTimezone || 'Unknown'}
+                  {customer.localTimezone && !customer.timezone && (
+                    <span className="text-gray-500"> (from location)</span>
+                  )}
+                </span>
+              </li>
               <li className="py-3 flex justify-between">
                 <span className="text-gray-500">Last Order</span>
                 <span className="text-gray-900">
@@ -224,6 +273,40 @@ const CustomerDetails = () => {
             </ul>
           </Card>
 
+          <Card title="Subscriptions">
+            <ul className="divide-y divide-gray-200">
+              {SUBSCRIPTION_CHANNELS.map((channel) => {
+                const subscription = customer.subscriptions?.[channel.key];
+                const isUnsubscribed = subscription?.status === 'unsubscribed';
+
+                return (
+                  <li key={channel.key} className="py-3 flex justify-between items-center">
+                    <div>
+                      <span className="text-gray-900">{channel.label}</span>
+                      {isUnsubscribed && (
+                        <div className="text-xs text-gray-500">
+                          Unsubscribed {SUBSCRIPTION_SOURCES[subscription.source] || ''}
+                          {subscription.updatedAt ? ` on ${formatDate(subscription.updatedAt)}` : ''}
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleSubscriptionChange(channel.key, isUnsubscribed ? 'subscribed' : 'unsubscribed')}
+                      disabled={updatingChannel === channel.key}
+                      className={`px-3 py-1 text-xs font-medium rounded-full disabled:opacity-50 ${
+                        isUnsubscribed ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                      }`}
+                      title={isUnsubscribed ? 'Resubscribe' : 'Unsubscribe'}
+                    >
+                      {isUnsubscribed ? 'Unsubscribed' : 'Subscribed'}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </Card>
+
           <Card title="Recent Activity">
             {[...orders, ...campaigns]
               .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
@@ -419,6 +502,8 @@ const CustomerDetails = () => {
           </table>
         </div>
       )}
+
+      {activeTab === 'timeline' && <CustomerTimeline customerId={id} />}
     </motion.div>
   );
 };
@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import Modal from '../common/Modal';
+import exportService from '../../services/export.service';
+import { downloadFile } from '../../utils/helpers';
+import { formatDate, formatNumber } from '../../utils/formatters';
+
+// How often the progress of a background export is fetched
+const POLL_INTERVAL_MS = 2000;
+
+// Export statuses after which nothing changes
+const FINISHED_STATUSES = ['completed', 'failed', 'expired'];
+
+/**
+ * Read the file name from a download response
+ * @param {Object} response Full axios response
+ * @param {string} fallback Name used when the response has none
+ * @returns {string} File name
+ */
+const getFileName = (response, fallback) => {
+  const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+  return match ? match[1] : fallback;
+};
+
+/**
+ * Modal for exporting customers, or the customers of a segment, as CSV or JSON
+ * Small exports download straight away; large ones run in the background and
+ * can be downloaded once completed.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Function to call when the modal is closed
+ * @param {Object} [props.segment] - Segment to export; all customers matching filters otherwise
+ * @param {Object} [props.filters] - Customer list filters (search, isActive)
+ */
+const CustomerExportModal = ({ isOpen, onClose, segment, filters = {} }) => {
+  const [columnOptions, setColumnOptions] = useState([]);
+  const [metadataPrefix, setMetadataPrefix] = useState('metadata.');
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState([]);
+  const [customProperties, setCustomProperties] = useState('');
+  const [exportJob, setExportJob] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Load the exportable columns the first time the modal opens
+  useEffect(() => {
+    if (!isOpen || columnOptions.length > 0) {
+      return;
+    }
+
+    exportService.getExportColumns()
+      .then((response) => {
+        setColumnOptions(response.data.columns || []);
+        setColumns(response.data.defaultColumns || []);
+        setMetadataPrefix(response.data.metadataPrefix || 'metadata.');
+      })
+      .catch((err) => {
+        console.error('Error fetching export columns:', err);
+      });
+  }, [isOpen, columnOptions.length]);
+
+  // Poll a background export until it finishes
+  useEffect(() => {
+    if (!exportJob || FINISHED_STATUSES.includes(exportJob.status)) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await exportService.getExport(exportJob._id);
+        setExportJob(response.data.exportJob);
+      } catch (err) {
+        console.error('Error fetching export progress:', err);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [exportJob]);
+
+  const toggleColumn = (name) => {
+    setColumns(columns.includes(name)
+      ? columns.filter((column) => column !== name)
+      : columnOptions.map((option) => option.name).filter((option) => option === name || columns.includes(option)));
+  };
+
+  const handleClose = () => {
+    setExportJob(null);
+    onClose();
+  };
+
+  const handleExport = async () => {
+    const properties = customProperties
+      .split(',')
+      .map((key) => key.trim())
+      .filter(Boolean)
+      .map((key) => `${metadataPrefix}${key}`);
+    const selected = [...columns, ...properties];
+
+    if (selected.length === 0) {
+      toast.error('Choose at least one column to export');
+      return;
+    }
+
+    const params = { format, columns: selected.join(',') };
+
+    try {
+      setIsExporting(true);
+      const response = segment
+        ? await exportService.exportSegment(segment._id, params)
+        : await exportService.exportCustomers({ ...params, ...filters });
+
+      if (response.status === 202) {
+        // Large exports respond with the background job instead of the file
+        const body = JSON.parse(await response.data.text());
+        setExportJob(body.data.exportJob);
+        toast.info('This export is large, so it is being prepared in the background');
+        return;
+      }
+
+      downloadFile(response.data, getFileName(response, `customers.${format}`));
+      toast.success('Customers exported successfully');
+      handleClose();
+    } catch (err) {
+      console.error('Error exporting customers:', err);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      setIsExporting(true);
+      const response = await exportService.downloadExport(exportJob._id);
+      downloadFile(response.data, getFileName(response, exportJob.fileName));
+    } catch (err) {
+      console.error('Error downloading export:', err);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderOptions = () => (
+    <div>
+      {segment && (
+        <p className="text-gray-600 mb-4">
+          Exports the customers in <span className="font-medium">{segment.name}</span>.
+        </p>
+      )}
+
+      <div className="mb-6">
+        <label className="block text-gray-700 font-medium mb-2">Format</label>
+        <div className="flex space-x-4">
+          {['csv', 'json'].map((option) => (
+            <label key={option} className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                name="export-format"
+                value={option}
+                checked={format === option}
+                onChange={() => setFormat(option)}
+                className="mr-2 text-blue-600 focus:ring-blue-500"
+              />
+              {option.toUpperCase()}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <label className="block text-gray-700 font-medium mb-2">Columns</label>
+        <div className="grid grid-cols-2 gap-2">
+          {columnOptions.map((option) => (
+            <label key={option.name} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={columns.includes(option.name)}
+                onChange={() => toggleColumn(option.name)}
+                className="mr-2 rounded text-blue-600 focus:ring-blue-500"
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <label className="block text-gray-700 font-medium mb-2">Custom properties</label>
+        <input
+          type="text"
+          value={customProperties}
+          onChange={(e) => setCustomProperties(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+          placeholder="e.g. loyalty_tier, referral_code"
+        />
+        <p className="mt-1 text-xs text-gray-500">Comma separated keys of customer metadata to add as columns.</p>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={handleClose}
+          className="mr-2 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={isExporting}
+          className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+            isExporting
+              ? 'bg-blue-400 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
+          }`}
+        >
+          {isExporting ? 'Exporting...' : 'Export'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderJob = () => (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-700 font-medium">
+          {exportJob.status === 'completed' && 'Export ready'}
+          {exportJob.status === 'failed' && 'Export failed'}
+          {exportJob.status === 'expired' && 'Export expired'}
+          {!FINISHED_STATUSES.includes(exportJob.status) && 'Preparing export...'}
+        </span>
+        <span className="text-sm text-gray-500">
+          {formatNumber(exportJob.exportedRows)} of {formatNumber(exportJob.totalRows)} customers
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2.5 mb-4">
+        <div
+          className={`h-2.5 rounded-full ${exportJob.status === 'failed' ? 'bg-red-500' : 'bg-blue-600'}`}
+          style={{ width: `${exportJob.progress || 0}%` }}
+        />
+      </div>
+
+      {exportJob.error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {exportJob.error}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600 mb-6">
+        {exportJob.status === 'completed'
+          ? `${exportJob.fileName} can be downloaded until ${formatDate(exportJob.expiresAt)}.`
+          : 'You can close this window; the export keeps running in the background.'}
+      </p>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={handleClose}
+          className="mr-2 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Close
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          disabled={exportJob.status !== 'completed' || isExporting}
+          className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+            exportJob.status !== 'completed' || isExporting
+              ? 'bg-blue-400 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
+          }`}
+        >
+          Download
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Export Customers" size="lg">
+      {exportJob ? renderJob() : renderOptions()}
+    </Modal>
+  );
+};
+
+export default CustomerExportModal;
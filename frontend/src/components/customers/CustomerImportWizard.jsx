@@ -0,0 +1,450 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import importService from '../../services/import.service';
+
+// How often the progress of a running import is fetched
+const POLL_INTERVAL_MS = 2000;
+
+// Import statuses after which nothing changes
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// Select value that maps a column to a custom metadata property
+const METADATA_OPTION = '__metadata__';
+
+const STEPS = [
+  { id: 'upload', label: 'Upload file' },
+  { id: 'mapping', label: 'Map columns' },
+  { id: 'progress', label: 'Import' }
+];
+
+/**
+ * Turn a column name into a metadata key, e.g. "Loyalty Tier" into "loyalty_tier"
+ * @param {string} column Column name
+ * @returns {string} Metadata key
+ */
+const toMetadataKey = (column) => column.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 64);
+
+/**
+ * Format a sample cell for display
+ * @param {*} value Cell value
+ * @returns {string} Display text
+ */
+const formatSample = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? ''));
+
+const CustomerImportWizard = ({ onDone }) => {
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [metadataPrefix, setMetadataPrefix] = useState('metadata.');
+  const [importJob, setImportJob] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [mappingErrors, setMappingErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Load the fields columns can be mapped to
+  useEffect(() => {
+    importService.getImportFields()
+      .then((response) => {
+        setFields(response.data.fields || []);
+        setMetadataPrefix(response.data.metadataPrefix || 'metadata.');
+      })
+      .catch((err) => {
+        console.error('Error fetching import fields:', err);
+        toast.error('Failed to load import fields');
+      });
+  }, []);
+
+  // Poll the import until it finishes
+  useEffect(() => {
+    if (step !== 'progress' || !importJob || FINISHED_STATUSES.includes(importJob.status)) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await importService.getImport(importJob._id);
+        setImportJob(response.data.importJob);
+      } catch (err) {
+        console.error('Error fetching import progress:', err);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [step, importJob]);
+
+  const handleFileChange = (e) => {
+    if (e.target.files && e.target.files[0]) {
+      setFile(e.target.files[0]);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+
+    if (!file) {
+      toast.error('Please select a file to import');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const response = await importService.uploadImportFile(file);
+      const job = response.data.importJob;
+
+      setImportJob(job);
+      setMapping(job.suggestedMapping.map(({ column, field }) => ({ column, field })));
+      setMappingErrors({});
+      setStep('mapping');
+    } catch (err) {
+      console.error('Error uploading import file:', err);
+      toast.error(err.response?.data?.message || 'Failed to upload file');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleFieldChange = (column, value) => {
+    setMapping(mapping.map((entry) => {
+      if (entry.column !== column) {
+        return entry;
+      }
+      return {
+        column,
+        field: value === METADATA_OPTION ? `${metadataPrefix}${toMetadataKey(column)}` : value
+      };
+    }));
+  };
+
+  const handleMetadataKeyChange = (column, key) => {
+    setMapping(mapping.map((entry) => (
+      entry.column === column ? { column, field: `${metadataPrefix}${key}` } : entry
+    )));
+  };
+
+  const handleStart = async () => {
+    // Every required field needs a column before the import can start
+    const missing = fields.filter((field) => field.required && !mapping.some((entry) => entry.field === field.name));
+    if (missing.length > 0) {
+      toast.error(`Map a column to ${missing.map((field) => field.label).join(' and ')}`);
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const response = await importService.startImport(importJob._id, mapping);
+      setImportJob(response.data.importJob);
+      setStep('progress');
+    } catch (err) {
+      console.error('Error starting import:', err);
+      setMappingErrors(err.response?.data?.errors || {});
+      toast.error(err.response?.data?.message || 'Failed to start import');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReset = () => {
+    setStep('upload');
+    setFile(null);
+    setImportJob(null);
+    setMapping([]);
+    setMappingErrors({});
+  };
+
+  const renderSteps = () => (
+    <ol className="flex items-center mb-6 text-sm">
+      {STEPS.map((item, index) => {
+        const isCurrent = item.id === step;
+        const isDone = STEPS.findIndex((s) => s.id === step) > index;
+
+        return (
+          <li key={item.id} className="flex items-center">
+            {index > 0 && <span className="mx-3 h-px w-8 bg-gray-300" />}
+            <span
+              className={`flex items-center justify-center w-6 h-6 rounded-full mr-2 text-xs font-medium ${
+                isCurrent ? 'bg-blue-600 text-white' : isDone ? 'bg-green-500 text-white' : 'bg-gray-200 text-gray-600'
+              }`}
+            >
+              {index + 1}
+            </span>
+            <span className={isCurrent ? 'font-medium text-gray-900' : 'text-gray-500'}>{item.label}</span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+
+  const renderUpload = () => (
+    <form onSubmit={handleUpload}>
+      <div className="mb-6">
+        <label className="block text-gray-700 font-medium mb-2">File Format</label>
+        <p className="text-gray-600 mb-2">
+          Upload a CSV file with a header row, or a JSON file holding an array of customers.
+          You will match the file's columns to customer fields in the next step.
+        </p>
+        <p className="text-gray-600">
+          <span className="font-medium">Note:</span> Customers are matched by email. Existing customers are updated and new ones created.
+        </p>
+      </div>
+
+      <div className="mb-6">
+        <label className="block text-gray-700 font-medium mb-2">Upload File</label>
+        <div className="relative border-2 border-dashed border-gray-300 rounded-lg p-6 text-center">
+          {file ? (
+            <div className="flex items-center justify-center">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-green-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span className="text-gray-900">{file.name}</span>
+              <button
+                type="button"
+                onClick={() => setFile(null)}
+                className="ml-2 text-red-500 hover:text-red-700"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+                </svg>
+              </button>
+            </div>
+          ) : (
+            <>
+              <svg xmlns="http://www.w3.org/2000/svg" className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+              </svg>
+              <p className="mt-1 text-sm text-gray-600">
+                Drag and drop or click to select a .csv or .json file
+              </p>
+              <input
+                type="file"
+                accept=".csv,.json"
+                onChange={handleFileChange}
+                className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={onDone}
+          className="mr-2 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!file || isSubmitting}
+          className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+            !file || isSubmitting
+              ? 'bg-blue-400 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
+          }`}
+        >
+          {isSubmitting ? 'Uploading...' : 'Next: Map Columns'}
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderMapping = () => (
+    <div>
+      <p className="text-gray-600 mb-4">
+        Choose the customer field each column of <span className="font-medium">{importJob.fileName}</span> is imported into.
+        Columns set to "Skip" are ignored; "Custom property" keeps the column in the customer's metadata.
+      </p>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Column</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Sample values</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Import as</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {mapping.map(({ column, field }, columnIndex) => {
+              const isMetadata = field.startsWith(metadataPrefix);
+              const samples = importJob.sampleRows
+                .map((row) => formatSample(row[columnIndex]))
+                .filter(Boolean)
+                .slice(0, 3);
+
+              return (
+                <tr key={column}>
+                  <td className="px-4 py-2 font-medium text-gray-900">{column}</td>
+                  <td className="px-4 py-2 text-gray-500 max-w-xs truncate">
+                    {samples.length > 0 ? samples.join(', ') : <span className="italic">empty</span>}
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={isMetadata ? METADATA_OPTION : field}
+                        onChange={(e) => handleFieldChange(column, e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+                      >
+                        <option value="">Skip</option>
+                        {fields.map((option) => (
+                          <option key={option.name} value={option.name}>
+                            {option.label}{option.required ? ' *' : ''}
+                          </option>
+                        ))}
+                        <option value={METADATA_OPTION}>Custom property</option>
+                      </select>
+                      {isMetadata && (
+                        <input
+                          type="text"
+                          value={field.slice(metadataPrefix.length)}
+                          onChange={(e) => handleMetadataKeyChange(column, e.target.value)}
+                          className="w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+                          placeholder="Property name"
+                        />
+                      )}
+                    </div>
+                    {mappingErrors[column] && (
+                      <p className="mt-1 text-xs text-red-600">{mappingErrors[column]}</p>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {fields.filter((field) => mappingErrors[field.name]).map((field) => (
+        <p key={field.name} className="mb-2 text-sm text-red-600">{mappingErrors[field.name]}</p>
+      ))}
+
+      <div className="flex justify-between">
+        <button
+          type="button"
+          onClick={handleReset}
+          className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Choose Another File
+        </button>
+        <button
+          type="button"
+          onClick={handleStart}
+          disabled={isSubmitting}
+          className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+            isSubmitting
+              ? 'bg-blue-400 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
+          }`}
+        >
+          {isSubmitting ? 'Starting...' : 'Start Import'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderProgress = () => {
+    const isFinished = FINISHED_STATUSES.includes(importJob.status);
+
+    return (
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-gray-700 font-medium">
+            {importJob.status === 'completed' && 'Import completed'}
+            {importJob.status === 'failed' && 'Import failed'}
+            {!isFinished && 'Importing customers...'}
+          </span>
+          <span className="text-sm text-gray-500">
+            {importJob.processedRows} of {importJob.totalRows ?? '?'} rows
+          </span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2.5 mb-6">
+          <div
+            className={`h-2.5 rounded-full ${importJob.status === 'failed' ? 'bg-red-500' : 'bg-blue-600'}`}
+            style={{ width: `${importJob.progress || 0}%` }}
+          />
+        </div>
+
+        {importJob.error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {importJob.error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-3 gap-4 mb-6">
+          <div className="bg-green-50 rounded-lg p-4">
+            <p className="text-sm text-green-700">Created</p>
+            <p className="text-2xl font-semibold text-green-800">{importJob.createdCount}</p>
+          </div>
+          <div className="bg-blue-50 rounded-lg p-4">
+            <p className="text-sm text-blue-700">Updated</p>
+            <p className="text-2xl font-semibold text-blue-800">{importJob.updatedCount}</p>
+          </div>
+          <div className="bg-red-50 rounded-lg p-4">
+            <p className="text-sm text-red-700">Failed</p>
+            <p className="text-2xl font-semibold text-red-800">{importJob.failedCount}</p>
+          </div>
+        </div>
+
+        {importJob.rowErrors && importJob.rowErrors.length > 0 && (
+          <div className="mb-6">
+            <h3 className="text-gray-700 font-medium mb-2">Rows not imported</h3>
+            <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Row</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Email</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Error</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {importJob.rowErrors.map((rowError) => (
+                    <tr key={rowError.row}>
+                      <td className="px-4 py-2 text-gray-900">{rowError.row}</td>
+                      <td className="px-4 py-2 text-gray-500">{rowError.email || '-'}</td>
+                      <td className="px-4 py-2 text-red-600">{rowError.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {importJob.failedCount > importJob.rowErrors.length && (
+              <p className="mt-2 text-xs text-gray-500">
+                Showing the first {importJob.rowErrors.length} of {importJob.failedCount} failed rows.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={handleReset}
+            disabled={!isFinished}
+            className="mr-2 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            Import Another File
+          </button>
+          <button
+            type="button"
+            onClick={onDone}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            {isFinished ? 'View Customers' : 'Continue in Background'}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      {renderSteps()}
+      {step === 'upload' && renderUpload()}
+      {step === 'mapping' && importJob && renderMapping()}
+      {step === 'progress' && importJob && renderProgress()}
+    </div>
+  );
+};
+
+export default CustomerImportWizard;
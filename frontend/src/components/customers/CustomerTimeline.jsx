@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import LoadingSpinner from '../common/LoadingSpinner';
+import customerService from '../../services/customer.service';
+import { formatCurrency, formatDate, formatNumber } from '../../utils/formatters';
+
+const PAGE_SIZE = 20;
+
+const CATEGORIES = [
+  { value: '', label: 'All activity' },
+  { value: 'communication', label: 'Messages' },
+  { value: 'engagement', label: 'Opens, clicks and replies' },
+  { value: 'order', label: 'Orders' },
+  { value: 'profile', label: 'Profile changes' },
+];
+
+// Label and badge colour of each entry type
+const ENTRY_TYPES = {
+  'message.queued': { label: 'Message queued', className: 'bg-gray-100 text-gray-700' },
+  'message.sent': { label: 'Message sent', className: 'bg-blue-100 text-blue-800' },
+  'message.delivered': { label: 'Message delivered', className: 'bg-green-100 text-green-800' },
+  'message.failed': { label: 'Message failed', className: 'bg-red-100 text-red-800' },
+  'message.suppressed': { label: 'Message suppressed', className: 'bg-orange-100 text-orange-800' },
+  'message.opened': { label: 'Opened', className: 'bg-indigo-100 text-indigo-800' },
+  'message.clicked': { label: 'Clicked', className: 'bg-indigo-100 text-indigo-800' },
+  'message.replied': { label: 'Replied', className: 'bg-indigo-100 text-indigo-800' },
+  'order.placed': { label: 'Order placed', className: 'bg-purple-100 text-purple-800' },
+  'profile.created': { label: 'Profile created', className: 'bg-yellow-100 text-yellow-800' },
+  'profile.updated': { label: 'Profile updated', className: 'bg-yellow-100 text-yellow-800' },
+  'profile.merged': { label: 'Customers merged', className: 'bg-yellow-100 text-yellow-800' },
+};
+
+const PROFILE_SOURCES = {
+  api: 'by a user',
+  import: 'by an import',
+  merge: 'by a merge',
+  link: 'through an unsubscribe link',
+  vendor: 'by a vendor opt-out',
+};
+
+/**
+ * Format a profile value for display
+ * @param {*} value Field value
+ * @returns {string} Display value
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'empty';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'empty';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Describe a timeline entry in one line
+ * @param {Object} entry Timeline entry
+ * @returns {string} Description
+ */
+const describeEntry = (entry) => {
+  const { details = {} } = entry;
+
+  switch (entry.category) {
+    case 'communication':
+    case 'engagement': {
+      let campaign;
+      if (entry.journeyId) {
+        campaign = entry.journey ? `journey "${entry.journey.name}"` : 'a deleted journey';
+      } else {
+        campaign = entry.campaign
+          ? `"${entry.campaign.name}"${entry.campaign.segment ? ` to segment "${entry.campaign.segment.name}"` : ''}`
+          : 'a deleted campaign';
+      }
+      if (entry.type === 'message.clicked' && details.url) return `Clicked ${details.url} in ${campaign}`;
+      if (entry.type === 'message.replied' && details.replyText) return `Replied "${details.replyText}" to ${campaign}`;
+      return `${entry.channel || 'Message'} to ${entry.recipient || 'customer'} from ${entry.journeyId ? '' : 'campaign '}${campaign}`;
+    }
+    case 'order':
+      return `Order #${details.orderNumber} for ${formatCurrency(details.amount || 0, details.currency)} (${details.status})`;
+    case 'profile': {
+      const by = details.changedBy ? `by ${details.changedBy.name}` : PROFILE_SOURCES[details.source] || '';
+      const fields = (details.changes || []).map((change) => change.field).join(', ');
+      return `${fields ? `Changed ${fields}` : 'No field changes'} ${by}`.trim();
+    }
+    default:
+      return '';
+  }
+};
+
+const CustomerTimeline = ({ customerId }) => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, totalResults: 0 });
+  const [page, setPage] = useState(1);
+  const [category, setCategory] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchTimeline = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const params = { page, limit: PAGE_SIZE };
+      if (category) params.category = category;
+
+      const response = await customerService.getCustomerTimeline(customerId, params);
+      setEntries(response.data.entries || []);
+      setPagination(response.pagination || { page, totalPages: 1, totalResults: 0 });
+    } catch (err) {
+      console.error('Error fetching customer timeline:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [customerId, page, category]);
+
+  useEffect(() => {
+    fetchTimeline();
+  }, [fetchTimeline]);
+
+  const handleCategoryChange = (e) => {
+    setCategory(e.target.value);
+    setPage(1);
+  };
+
+  const renderDetails = (entry) => {
+    if (entry.category === 'profile') {
+      return (
+        <ul className="text-sm text-gray-600 space-y-1">
+          {(entry.details.changes || []).map((change) => (
+            <li key={change.field}>
+              <span className="font-medium">{change.field}</span>: {formatValue(change.from)} &rarr; {formatValue(change.to)}
+            </li>
+          ))}
+        </ul>
+      );
+    }
+
+    return (
+      <div className="text-sm text-gray-600 space-y-1">
+        {entry.message && <p className="whitespace-pre-wrap">{entry.message}</p>}
+        {entry.details.error && <p className="text-red-600">Error: {entry.details.error}</p>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-6">
+        <p className="text-gray-600">{formatNumber(pagination.totalResults)} entries</p>
+        <select
+          value={category}
+          onChange={handleCategoryChange}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        >
+          {CATEGORIES.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center p-12">
+          <LoadingSpinner />
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center text-gray-500 py-12">No activity yet</div>
+      ) : (
+        <ol className="border-l border-gray-200 ml-2">
+          {entries.map((entry) => {
+            const key = `${entry.sourceId}-${entry.type}-${entry.occurredAt}`;
+            const type = ENTRY_TYPES[entry.type] || { label: entry.type, className: 'bg-gray-100 text-gray-700' };
+            const expandable = Boolean(entry.message || entry.details?.error || entry.details?.changes?.length);
+
+            return (
+              <li key={key} className="ml-4 mb-4 last:mb-0">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${type.className}`}>
+                      {type.label}
+                    </span>
+                    <span className="ml-3 text-sm text-gray-900">{describeEntry(entry)}</span>
+                  </div>
+                  <span className="text-xs text-gray-500 whitespace-nowrap ml-4">{formatDate(entry.occurredAt)}</span>
+                </div>
+                {expandable && (
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(expandedId === key ? null : key)}
+                    className="mt-1 text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    {expandedId === key ? 'Hide details' : 'Show details'}
+                  </button>
+                )}
+                {expandedId === key && <div className="mt-2 p-3 bg-gray-50 rounded">{renderDetails(entry)}</div>}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center mt-6">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">Page {page} of {pagination.totalPages}</span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerTimeline;
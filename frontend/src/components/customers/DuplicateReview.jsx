@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import LoadingSpinner from '../common/LoadingSpinner';
+import customerService from '../../services/customer.service';
+import { formatCurrency, formatDate, formatNumber } from '../../utils/formatters';
+
+const PAGE_SIZE = 10;
+
+// Customer fields compared side by side
+const COMPARED_FIELDS = [
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'location', label: 'Location' },
+  { key: 'orderCount', label: 'Orders', format: (value) => formatNumber(value || 0) },
+  { key: 'totalSpend', label: 'Total spend', format: (value) => formatCurrency(value || 0) },
+  { key: 'lastOrderDate', label: 'Last order', format: (value) => (value ? formatDate(value) : 'Never') },
+  { key: 'createdAt', label: 'Created', format: (value) => formatDate(value) },
+];
+
+/**
+ * Describe why a pair was flagged, e.g. "Same phone, similar name (82%)"
+ * @param {Object} reasons Candidate reasons
+ * @returns {string} Description
+ */
+const describeReasons = (reasons = {}) => [
+  reasons.phone && 'Same phone',
+  reasons.nameSimilarity > 0 && `name ${Math.round(reasons.nameSimilarity * 100)}% similar`,
+  reasons.location && 'same location',
+].filter(Boolean).join(', ');
+
+const DuplicateReview = () => {
+  const [candidates, setCandidates] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, totalResults: 0 });
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchCandidates = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await customerService.getDuplicates({ page, limit: PAGE_SIZE });
+      setCandidates(response.data.candidates || []);
+      setPagination(response.pagination || { page, totalPages: 1, totalResults: 0 });
+    } catch (err) {
+      console.error('Error fetching duplicates:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchCandidates();
+  }, [fetchCandidates]);
+
+  const handleScan = async () => {
+    try {
+      await customerService.scanDuplicates();
+      toast.info('Duplicate scan started. Refresh in a moment to see new candidates.');
+    } catch (err) {
+      console.error('Error starting duplicate scan:', err);
+    }
+  };
+
+  const handleMerge = async (candidate, survivor, duplicate) => {
+    if (!window.confirm(`Merge ${duplicate.email} into ${survivor.email}? ${duplicate.email} will be deleted and its orders and history moved.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(candidate._id);
+      await customerService.mergeCustomers(survivor._id, [duplicate._id]);
+      toast.success('Customers merged successfully');
+      await fetchCandidates();
+    } catch (err) {
+      console.error('Error merging customers:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDismiss = async (candidate) => {
+    try {
+      setBusyId(candidate._id);
+      await customerService.dismissDuplicate(candidate._id);
+      setCandidates(candidates.filter((item) => item._id !== candidate._id));
+      setPagination({ ...pagination, totalResults: pagination.totalResults - 1 });
+    } catch (err) {
+      console.error('Error dismissing duplicate:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderCustomer = (candidate, customer, other) => (
+    <div key={customer._id} className="flex-1 border border-gray-200 rounded-lg p-4">
+      <div className="font-medium text-gray-900 mb-3">{customer.name}</div>
+      <dl className="space-y-1 text-sm">
+        {COMPARED_FIELDS.map((field) => (
+          <div key={field.key} className="flex justify-between">
+            <dt className="text-gray-500">{field.label}</dt>
+            <dd className="text-gray-900 text-right">
+              {field.format ? field.format(customer[field.key]) : customer[field.key] || '-'}
+            </dd>
+          </div>
+        ))}
+      </dl>
+      <button
+        type="button"
+        onClick={() => handleMerge(candidate, customer, other)}
+        disabled={busyId === candidate._id}
+        className="mt-4 w-full py-2 px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white text-sm rounded-lg transition"
+      >
+        Keep this customer
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-6">
+        <p className="text-gray-600">
+          {formatNumber(pagination.totalResults)} possible duplicates, found by matching phone numbers and scoring names and locations.
+        </p>
+        <button
+          type="button"
+          onClick={handleScan}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition text-sm"
+        >
+          Scan Now
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center p-12">
+          <LoadingSpinner />
+        </div>
+      ) : candidates.length === 0 ? (
+        <div className="text-center text-gray-500 py-12">No possible duplicates to review</div>
+      ) : (
+        <div className="space-y-6">
+          {candidates.filter((candidate) => candidate.customers.length === 2).map((candidate) => {
+            const [first, second] = candidate.customers;
+
+            return (
+              <div key={candidate._id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-center mb-4">
+                  <div>
+                    <span className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                      {Math.round(candidate.score * 100)}% match
+                    </span>
+                    <span className="ml-3 text-sm text-gray-500">{describeReasons(candidate.reasons)}</span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleDismiss(candidate)}
+                    disabled={busyId === candidate._id}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Not a duplicate
+                  </button>
+                </div>
+                <div className="flex flex-col md:flex-row gap-4">
+                  {renderCustomer(candidate, first, second)}
+                  {renderCustomer(candidate, second, first)}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center mt-6">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">Page {page} of {pagination.totalPages}</span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateReview;
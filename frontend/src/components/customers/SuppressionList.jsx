@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import LoadingSpinner from '../common/LoadingSpinner';
+import suppressionService from '../../services/suppression.service';
+import { formatDate, formatNumber } from '../../utils/formatters';
+
+const PAGE_SIZE = 20;
+
+const TYPES = [
+  { value: 'email', label: 'Email' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'domain', label: 'Domain' },
+];
+
+const REASONS = [
+  { value: 'hard_bounce', label: 'Hard bounce' },
+  { value: 'complaint', label: 'Complaint' },
+  { value: 'competitor', label: 'Competitor' },
+  { value: 'legal_hold', label: 'Legal hold' },
+  { value: 'other', label: 'Other' },
+];
+
+const SOURCES = {
+  api: 'Added by hand',
+  upload: 'Uploaded',
+  bounce: 'Bounced',
+};
+
+const EMPTY_ENTRY = { type: 'email', value: '', reason: 'other', note: '' };
+
+const labelOf = (options, value) => (options.find((option) => option.value === value) || { label: value }).label;
+
+const SuppressionList = () => {
+  const [suppressions, setSuppressions] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, totalResults: 0 });
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ type: '', reason: '', search: '' });
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [upload, setUpload] = useState({ file: null, reason: 'other' });
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchSuppressions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await suppressionService.getSuppressions(params);
+      setSuppressions(response.data.suppressions || []);
+      setPagination(response.pagination || { page, totalPages: 1, totalResults: 0 });
+    } catch (err) {
+      console.error('Error fetching suppressions:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    fetchSuppressions();
+  }, [fetchSuppressions]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setPage(1);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      await suppressionService.createSuppression(entry);
+      toast.success(`${entry.value} added to the suppression list`);
+      setEntry(EMPTY_ENTRY);
+      await fetchSuppressions();
+    } catch (err) {
+      console.error('Error adding suppression:', err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const response = await suppressionService.uploadSuppressions(upload.file, { reason: upload.reason });
+      setReport(response.data.report);
+      setUpload({ ...upload, file: null });
+      e.target.reset();
+      await fetchSuppressions();
+    } catch (err) {
+      console.error('Error uploading suppressions:', err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (suppression) => {
+    if (!window.confirm(`Remove ${suppression.value} from the suppression list? Campaigns will send to it again.`)) {
+      return;
+    }
+
+    try {
+      await suppressionService.deleteSuppression(suppression._id);
+      setSuppressions(suppressions.filter((item) => item._id !== suppression._id));
+      setPagination({ ...pagination, totalResults: pagination.totalResults - 1 });
+    } catch (err) {
+      console.error('Error removing suppression:', err);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <form onSubmit={handleAdd} className="bg-white rounded-lg shadow p-6 space-y-3">
+          <h2 className="text-lg font-medium text-gray-900">Add an entry</h2>
+          <div className="flex gap-3">
+            <select
+              value={entry.type}
+              onChange={(e) => setEntry({ ...entry, type: e.target.value })}
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            >
+              {TYPES.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={entry.value}
+              onChange={(e) => setEntry({ ...entry, value: e.target.value })}
+              placeholder={entry.type === 'domain' ? 'competitor.com' : entry.type === 'phone' ? '+1 555 123 4567' : 'name@example.com'}
+              className="flex-1 border border-gray-300 rounded px-3 py-2 text-sm"
+              required
+            />
+          </div>
+          <div className="flex gap-3">
+            <select
+              value={entry.reason}
+              onChange={(e) => setEntry({ ...entry, reason: e.target.value })}
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            >
+              {REASONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={entry.note}
+              onChange={(e) => setEntry({ ...entry, note: e.target.value })}
+              placeholder="Note (optional)"
+              className="flex-1 border border-gray-300 rounded px-3 py-2 text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="py-2 px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white text-sm rounded-lg transition"
+          >
+            Add to list
+          </button>
+        </form>
+
+        <form onSubmit={handleUpload} className="bg-white rounded-lg shadow p-6 space-y-3">
+          <h2 className="text-lg font-medium text-gray-900">Upload a CSV file</h2>
+          <p className="text-sm text-gray-500">
+            Use email, phone or domain columns, or a value column. Optional reason and note columns override the reason below.
+          </p>
+          <input
+            type="file"
+            accept=".csv"
+            onChange={(e) => setUpload({ ...upload, file: e.target.files[0] || null })}
+            className="block w-full text-sm text-gray-700"
+            required
+          />
+          <select
+            value={upload.reason}
+            onChange={(e) => setUpload({ ...upload, reason: e.target.value })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          >
+            {REASONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div>
+            <button
+              type="submit"
+              disabled={isSaving || !upload.file}
+              className="py-2 px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white text-sm rounded-lg transition"
+            >
+              Upload
+            </button>
+          </div>
+          {report && (
+            <div className="text-sm text-gray-600">
+              <p>
+                {formatNumber(report.added)} added, {formatNumber(report.existing)} already listed, {formatNumber(report.failed)} rejected
+              </p>
+              {report.errors.length > 0 && (
+                <ul className="mt-2 max-h-32 overflow-y-auto text-red-600">
+                  {report.errors.map((error, index) => (
+                    <li key={index}>Row {error.row}: {error.message}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </form>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+          <p className="text-gray-600">{formatNumber(pagination.totalResults)} suppressed recipients</p>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              name="search"
+              value={filters.search}
+              onChange={handleFilterChange}
+              placeholder="Search"
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            />
+            <select
+              name="type"
+              value={filters.type}
+              onChange={handleFilterChange}
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            >
+              <option value="">All types</option>
+              {TYPES.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              name="reason"
+              value={filters.reason}
+              onChange={handleFilterChange}
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            >
+              <option value="">All reasons</option>
+              {REASONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center p-12">
+            <LoadingSpinner />
+          </div>
+        ) : suppressions.length === 0 ? (
+          <div className="text-center text-gray-500 py-12">No suppressed recipients</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Added</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {suppressions.map((suppression) => (
+                <tr key={suppression._id}>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="text-gray-900">{suppression.value}</div>
+                    <div className="text-xs text-gray-500">{labelOf(TYPES, suppression.type)}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="text-gray-900">{labelOf(REASONS, suppression.reason)}</div>
+                    {suppression.note && <div className="text-xs text-gray-500">{suppression.note}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {SOURCES[suppression.source] || suppression.source}
+                    {suppression.campaign && ` from "${suppression.campaign.name}"`}
+                    {suppression.createdBy && ` by ${suppression.createdBy.name}`}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{formatDate(suppression.createdAt)}</td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(suppression)}
+                      className="text-sm text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-500">Page {page} of {pagination.totalPages}</span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SuppressionList;
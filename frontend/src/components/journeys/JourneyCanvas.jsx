@@ -0,0 +1,147 @@
+import React, { useRef, useState } from 'react';
+import { STEP_TYPES, NODE_WIDTH, NODE_HEIGHT, LINK_LABELS, describeStep } from '../../utils/journeySteps';
+import { formatNumber } from '../../utils/formatters';
+
+// Empty space kept around the steps so they can be dragged further out
+const CANVAS_MARGIN = 160;
+
+/**
+ * Draw the link between two steps as a curve from the bottom of one to the top of the other
+ * @param {Object} from - Position of the step the link leaves
+ * @param {Object} to - Position of the step the link goes to
+ * @returns {string} SVG path
+ */
+const linkPath = (from, to) => {
+  const x1 = from.x + NODE_WIDTH / 2;
+  const y1 = from.y + NODE_HEIGHT;
+  const x2 = to.x + NODE_WIDTH / 2;
+  const y2 = to.y;
+  const bend = Math.max(40, Math.abs(y2 - y1) / 2);
+
+  return `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`;
+};
+
+const JourneyCanvas = ({ steps, startStep, selectedKey, onSelect, onMove, stepStats = {}, segmentNames, invalidKeys = [], readOnly = false }) => {
+  const canvasRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+
+  const positions = Object.fromEntries(steps.map((step) => [step.key, step.position || { x: 0, y: 0 }]));
+  const width = Math.max(800, ...steps.map((step) => positions[step.key].x + NODE_WIDTH + CANVAS_MARGIN));
+  const height = Math.max(480, ...steps.map((step) => positions[step.key].y + NODE_HEIGHT + CANVAS_MARGIN));
+
+  const links = steps.flatMap((step) => ['next', 'otherwise']
+    .filter((link) => step[link] && positions[step[link]])
+    .map((link) => ({
+      id: `${step.key}-${link}`,
+      path: linkPath(positions[step.key], positions[step[link]]),
+      label: LINK_LABELS[step.type]?.[link],
+      from: positions[step.key],
+      to: positions[step[link]],
+      isOtherwise: link === 'otherwise'
+    })));
+
+  const handlePointerDown = (e, step) => {
+    onSelect(step.key);
+    if (readOnly) {
+      return;
+    }
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ key: step.key, x: e.clientX, y: e.clientY, origin: positions[step.key] });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) {
+      return;
+    }
+
+    onMove(drag.key, {
+      x: Math.max(0, Math.round(drag.origin.x + e.clientX - drag.x)),
+      y: Math.max(0, Math.round(drag.origin.y + e.clientY - drag.y))
+    });
+  };
+
+  return (
+    <div className="overflow-auto bg-gray-50 border border-gray-200 rounded-lg" style={{ maxHeight: '70vh' }}>
+      <div
+        ref={canvasRef}
+        className="relative"
+        style={{
+          width,
+          height,
+          backgroundImage: 'radial-gradient(circle, #d1d5db 1px, transparent 1px)',
+          backgroundSize: '24px 24px'
+        }}
+        onPointerDown={(e) => e.target === canvasRef.current && onSelect(null)}
+      >
+        <svg className="absolute inset-0 pointer-events-none" width={width} height={height}>
+          <defs>
+            <marker id="journey-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af" />
+            </marker>
+          </defs>
+          {links.map((link) => (
+            <g key={link.id}>
+              <path
+                d={link.path}
+                fill="none"
+                stroke="#9ca3af"
+                strokeWidth="2"
+                strokeDasharray={link.isOtherwise ? '6 4' : undefined}
+                markerEnd="url(#journey-arrow)"
+              />
+              {link.label && (
+                <text
+                  x={(link.from.x + link.to.x) / 2 + NODE_WIDTH / 2 + 6}
+                  y={(link.from.y + NODE_HEIGHT + link.to.y) / 2}
+                  className="text-xs"
+                  fill="#4b5563"
+                >
+                  {link.label}
+                </text>
+              )}
+            </g>
+          ))}
+        </svg>
+
+        {steps.map((step) => {
+          const type = STEP_TYPES[step.type] || STEP_TYPES.exit;
+          const stats = stepStats[step.key];
+          const isSelected = step.key === selectedKey;
+          const isInvalid = invalidKeys.includes(step.key);
+
+          return (
+            <div
+              key={step.key}
+              className={`absolute rounded-lg border-2 shadow-sm px-3 py-2 select-none ${type.color} ${
+                isSelected ? 'ring-2 ring-blue-500' : ''
+              } ${isInvalid ? 'border-red-500' : ''} ${readOnly ? 'cursor-pointer' : 'cursor-move'}`}
+              style={{ left: positions[step.key].x, top: positions[step.key].y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+              onPointerDown={(e) => handlePointerDown(e, step)}
+              onPointerMove={handlePointerMove}
+              onPointerUp={() => setDrag(null)}
+            >
+              <div className="flex justify-between items-center text-xs text-gray-500">
+                <span>{type.label}</span>
+                {step.key === startStep && (
+                  <span className="px-1.5 rounded bg-green-100 text-green-800 font-medium">Start</span>
+                )}
+              </div>
+              <div className="text-sm font-medium text-gray-900 truncate">{step.name || step.key}</div>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span className="truncate">{describeStep(step, segmentNames)}</span>
+                {stats?.active > 0 && (
+                  <span className="ml-2 flex-shrink-0 text-blue-700" title="Customers at this step">
+                    {formatNumber(stats.active)}
+                  </span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default JourneyCanvas;
@@ -0,0 +1,230 @@
+import React from 'react';
+import { STEP_TYPES, LINK_LABELS } from '../../utils/journeySteps';
+
+const CHANNELS = [
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'whatsapp', label: 'WhatsApp' },
+  { value: 'push', label: 'Push' }
+];
+
+const UNITS = [
+  { value: 'minutes', label: 'Minutes' },
+  { value: 'hours', label: 'Hours' },
+  { value: 'days', label: 'Days' }
+];
+
+const ENGAGEMENTS = [
+  { value: 'delivered', label: 'The last message was delivered' },
+  { value: 'clicked', label: 'A link in the last message was clicked' },
+  { value: 'replied', label: 'The last message was replied to' }
+];
+
+const inputClasses = (error) => `w-full border rounded px-3 py-2 text-sm ${error ? 'border-red-500' : 'border-gray-300'}`;
+
+const Field = ({ label, error, children }) => (
+  <label className="block">
+    <span className="block text-sm font-medium text-gray-700 mb-1">{label}</span>
+    {children}
+    {error && <span className="block text-xs text-red-600 mt-1">{error}</span>}
+  </label>
+);
+
+const JourneyStepPanel = ({ step, steps, startStep, channel, segments, errors = {}, readOnly = false, onChange, onRemove, onMakeStart }) => {
+  const update = (changes) => onChange({ ...step, ...changes });
+  const otherSteps = steps.filter((other) => other.key !== step.key);
+  const labels = LINK_LABELS[step.type] || {};
+
+  const stepSelect = (link, label) => (
+    <Field label={label} error={errors[link]}>
+      <select
+        value={step[link] || ''}
+        onChange={(e) => update({ [link]: e.target.value || undefined })}
+        className={inputClasses(errors[link])}
+        disabled={readOnly}
+      >
+        <option value="">Pick a step</option>
+        {otherSteps.map((other) => (
+          <option key={other.key} value={other.key}>{other.name || other.key}</option>
+        ))}
+      </select>
+    </Field>
+  );
+
+  const durationFields = (label, optional) => (
+    <Field label={label} error={errors.duration || errors.unit}>
+      <div className="flex gap-2">
+        <input
+          type="number"
+          min="1"
+          value={step.duration ?? ''}
+          onChange={(e) => update({ duration: e.target.value === '' ? undefined : Number(e.target.value) })}
+          placeholder={optional ? 'No timeout' : ''}
+          className={inputClasses(errors.duration)}
+          disabled={readOnly}
+        />
+        <select
+          value={step.unit || 'hours'}
+          onChange={(e) => update({ unit: e.target.value })}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+          disabled={readOnly}
+        >
+          {UNITS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+    </Field>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">{STEP_TYPES[step.type]?.label || step.type}</h2>
+          <p className="text-xs text-gray-500">Key: {step.key}</p>
+        </div>
+        {step.key === startStep && (
+          <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">Start step</span>
+        )}
+      </div>
+
+      <Field label="Label" error={errors.name}>
+        <input
+          type="text"
+          value={step.name || ''}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder={step.key}
+          className={inputClasses(errors.name)}
+          disabled={readOnly}
+        />
+      </Field>
+
+      {step.type === 'send' && (
+        <>
+          <Field label="Channel" error={errors.channel}>
+            <select
+              value={step.channel || ''}
+              onChange={(e) => update({ channel: e.target.value || undefined })}
+              className={inputClasses(errors.channel)}
+              disabled={readOnly}
+            >
+              <option value="">Journey channel ({channel})</option>
+              {CHANNELS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </Field>
+          {(step.channel || channel) === 'email' && (
+            <Field label="Subject" error={errors.subject}>
+              <input
+                type="text"
+                value={step.subject || ''}
+                onChange={(e) => update({ subject: e.target.value })}
+                className={inputClasses(errors.subject)}
+                disabled={readOnly}
+              />
+            </Field>
+          )}
+          <Field label="Message" error={errors.message}>
+            <textarea
+              rows={5}
+              value={step.message || ''}
+              onChange={(e) => update({ message: e.target.value })}
+              placeholder="Hi {{name}}, ..."
+              className={inputClasses(errors.message)}
+              disabled={readOnly}
+            />
+          </Field>
+        </>
+      )}
+
+      {step.type === 'wait' && durationFields('Wait for')}
+
+      {step.type === 'wait_event' && (
+        <>
+          <Field label="Event" error={errors.event}>
+            <input
+              type="text"
+              value={step.event || ''}
+              onChange={(e) => update({ event: e.target.value })}
+              placeholder="purchase"
+              className={inputClasses(errors.event)}
+              disabled={readOnly}
+            />
+          </Field>
+          {durationFields('Time out after', true)}
+        </>
+      )}
+
+      {step.type === 'branch' && (
+        <>
+          <Field label="Branch on" error={errors.branchOn}>
+            <select
+              value={step.branchOn || ''}
+              onChange={(e) => update({ branchOn: e.target.value })}
+              className={inputClasses(errors.branchOn)}
+              disabled={readOnly}
+            >
+              <option value="engagement">Engagement with the last message</option>
+              <option value="segment">Segment membership</option>
+            </select>
+          </Field>
+          {step.branchOn === 'segment' ? (
+            <Field label="Customer is in segment" error={errors.segmentId}>
+              <select
+                value={step.segmentId || ''}
+                onChange={(e) => update({ segmentId: e.target.value || undefined })}
+                className={inputClasses(errors.segmentId)}
+                disabled={readOnly}
+              >
+                <option value="">Pick a segment</option>
+                {segments.map((segment) => (
+                  <option key={segment._id} value={segment._id}>{segment.name}</option>
+                ))}
+              </select>
+            </Field>
+          ) : (
+            <Field label="Condition" error={errors.engagement}>
+              <select
+                value={step.engagement || ''}
+                onChange={(e) => update({ engagement: e.target.value })}
+                className={inputClasses(errors.engagement)}
+                disabled={readOnly}
+              >
+                {ENGAGEMENTS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </Field>
+          )}
+        </>
+      )}
+
+      {step.type !== 'exit' && stepSelect('next', labels.next ? `${labels.next}: go to` : 'Then go to')}
+      {labels.otherwise && stepSelect('otherwise', `${labels.otherwise}: go to`)}
+
+      {!readOnly && (
+        <div className="flex justify-between pt-2 border-t">
+          <button
+            type="button"
+            onClick={onMakeStart}
+            disabled={step.key === startStep}
+            className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+          >
+            Start here
+          </button>
+          <button
+            type="button"
+            onClick={onRemove}
+            className="text-sm text-red-600 hover:text-red-800"
+          >
+            Remove step
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JourneyStepPanel;
@@ -1,6 +1,8 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { IoAddCircle, IoTrash } from 'react-icons/io5';
+import { NO_VALUE_OPERATORS, createConditionScope } from '../../../utils/segmentRules';
+import useSegmentFields from '../../../hooks/useSegmentFields';
 
 const RuleBuilder = ({ 
   rule, 
@@ -14,28 +16,64 @@ const RuleBuilder = ({
   // Get selected field details
   const selectedField = fieldOptions.find(f => f.value === rule.field) || { type: 'text' };
   
-  // Get operator options based on field type
-  const operatorOptions = getOperatorOptions(selectedField.type);
+  // Get operator options allowed for the selected field
+  const operatorOptions = getOperatorOptions(rule.field);
+
+  // Order and event fields are computed per customer and can be narrowed by a scope,
+  // e.g. product, category and period for orders or event name and period for events
+  const { periods } = useSegmentFields();
+  const scopeKeys = selectedField.scope || [];
+  const scope = rule.scope || createConditionScope(scopeKeys);
 
   // Handle field change
   const handleFieldChange = (e) => {
     const fieldValue = e.target.value;
-    const fieldType = fieldOptions.find(f => f.value === fieldValue)?.type || 'text';
-    const defaultOperator = getOperatorOptions(fieldType)[0]?.value || 'equals';
+    const defaultOperator = getOperatorOptions(fieldValue)[0]?.value || '';
+    const { scope: previousScope, ...rest } = rule;
+    const nextScopeKeys = fieldOptions.find(f => f.value === fieldValue)?.scope;
     
     onUpdate({
-      ...rule,
+      ...rest,
       field: fieldValue,
       operator: defaultOperator,
-      value: ''
+      value: '',
+      // Only computed fields take a scope; carry over the parts the new field shares
+      ...(nextScopeKeys ? { scope: createConditionScope(nextScopeKeys, previousScope) } : {})
+    }, index);
+  };
+
+  // Handle change of one part of a computed field's scope
+  const handleScopeChange = (key, e) => {
+    onUpdate({
+      ...rule,
+      scope: {
+        ...scope,
+        [key]: e.target.value
+      }
     }, index);
   };
 
   // Handle operator change
   const handleOperatorChange = (e) => {
+    const operator = e.target.value;
+    // Between takes a [from, to] pair, so reset the value when switching to or from it
+    const rangeChanged = (operator === 'between') !== (rule.operator === 'between');
+
     onUpdate({
       ...rule,
-      operator: e.target.value
+      operator,
+      value: rangeChanged ? (operator === 'between' ? ['', ''] : '') : rule.value
+    }, index);
+  };
+
+  // Handle change of one end of a between range
+  const handleRangeChange = (position, e) => {
+    const range = Array.isArray(rule.value) ? [...rule.value] : ['', ''];
+    range[position] = e.target.value;
+
+    onUpdate({
+      ...rule,
+      value: range
     }, index);
   };
 
@@ -50,17 +88,60 @@ const RuleBuilder = ({
   // Render appropriate value input based on field type and operator
   const renderValueInput = () => {
     // Some operators like "is empty" don't need a value input
-    const noValueOperators = ['isEmpty', 'isNotEmpty'];
-    if (noValueOperators.includes(rule.operator)) {
+    if (NO_VALUE_OPERATORS.includes(rule.operator)) {
       return null;
     }
 
+    // Between takes a from/to pair of numbers or dates
+    if (rule.operator === 'between') {
+      const range = Array.isArray(rule.value) ? rule.value : ['', ''];
+      const inputType = selectedField.type === 'date' ? 'date' : 'number';
+
+      return (
+        <div className="flex items-center space-x-2 flex-1">
+          <input
+            type={inputType}
+            value={inputType === 'date' ? String(range[0] ?? '').slice(0, 10) : range[0] ?? ''}
+            onChange={(e) => handleRangeChange(0, e)}
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+            placeholder="From"
+            disabled={disabled}
+          />
+          <span className="text-sm text-gray-500">and</span>
+          <input
+            type={inputType}
+            value={inputType === 'date' ? String(range[1] ?? '').slice(0, 10) : range[1] ?? ''}
+            onChange={(e) => handleRangeChange(1, e)}
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+            placeholder="To"
+            disabled={disabled}
+          />
+        </div>
+      );
+    }
+
     switch (selectedField.type) {
+      case 'enum':
+        return (
+          <select
+            value={rule.value || ''}
+            onChange={handleValueChange}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+            disabled={disabled}
+          >
+            <option value="">Select value</option>
+            {(selectedField.values || []).map(value => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        );
       case 'number':
         return (
           <input
             type="number"
-            value={rule.value || ''}
+            value={rule.value ?? ''}
             onChange={handleValueChange}
             className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
             placeholder="Enter value"
@@ -68,47 +149,26 @@ const RuleBuilder = ({
           />
         );
       case 'date':
-        if (rule.operator === 'inTheLast' || rule.operator === 'notInTheLast') {
+        if (rule.operator === 'inLast' || rule.operator === 'notInLast') {
           return (
             <div className="flex items-center space-x-2 flex-1">
               <input
                 type="number"
-                value={rule.value?.split(' ')[0] || ''}
-                onChange={(e) => {
-                  const timeUnit = rule.value?.split(' ')[1] || 'days';
-                  onUpdate({
-                    ...rule,
-                    value: `${e.target.value} ${timeUnit}`
-                  }, index);
-                }}
-                className="w-20 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
-                placeholder="Value"
+                min="0"
+                value={rule.value ?? ''}
+                onChange={handleValueChange}
+                className="w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                placeholder="Days"
                 disabled={disabled}
               />
-              <select
-                value={rule.value?.split(' ')[1] || 'days'}
-                onChange={(e) => {
-                  const value = rule.value?.split(' ')[0] || '';
-                  onUpdate({
-                    ...rule,
-                    value: `${value} ${e.target.value}`
-                  }, index);
-                }}
-                className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
-                disabled={disabled}
-              >
-                <option value="days">Days</option>
-                <option value="weeks">Weeks</option>
-                <option value="months">Months</option>
-                <option value="years">Years</option>
-              </select>
+              <span className="text-sm text-gray-500">days</span>
             </div>
           );
         } else {
           return (
             <input
               type="date"
-              value={rule.value || ''}
+              value={String(rule.value || '').slice(0, 10)}
               onChange={handleValueChange}
               className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
               disabled={disabled}
@@ -118,7 +178,7 @@ const RuleBuilder = ({
       case 'boolean':
         return (
           <select
-            value={rule.value || ''}
+            value={rule.value === undefined ? '' : String(rule.value)}
             onChange={handleValueChange}
             className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
             disabled={disabled}
@@ -143,6 +203,61 @@ const RuleBuilder = ({
     }
   };
 
+  // Placeholder of each text scope input
+  const scopePlaceholders = {
+    event: 'Any event (e.g. page_view)',
+    product: 'Any product (name or SKU)',
+    category: 'Any category'
+  };
+
+  // Render the scope inputs the selected field takes
+  const renderScopeInputs = () => (
+    <>
+      {scopeKeys.filter(key => key !== 'period').map(key => (
+        <div key={key} className={`col-span-12 ${key === 'category' ? 'sm:col-span-3' : 'sm:col-span-4'}`}>
+          <input
+            type="text"
+            value={scope[key] || ''}
+            onChange={(e) => handleScopeChange(key, e)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+            placeholder={scopePlaceholders[key]}
+            disabled={disabled}
+          />
+        </div>
+      ))}
+      {scopeKeys.includes('period') && (
+        <div className="col-span-12 sm:col-span-5 flex items-center space-x-2">
+          <select
+            value={scope.period || 'allTime'}
+            onChange={(e) => handleScopeChange('period', e)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+            disabled={disabled}
+          >
+            {Object.entries(periods).map(([period, label]) => (
+              <option key={period} value={period}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {scope.period === 'lastDays' && (
+            <>
+              <input
+                type="number"
+                min="1"
+                value={scope.days ?? ''}
+                onChange={(e) => handleScopeChange('days', e)}
+                className="w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+                placeholder="Days"
+                disabled={disabled}
+              />
+              <span className="text-sm text-gray-500">days</span>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+
   return (
     <motion.div
       initial={{ opacity: 0, y: -10 }}
@@ -190,6 +305,9 @@ const RuleBuilder = ({
         <div className="col-span-12 sm:col-span-5">
           {renderValueInput()}
         </div>
+
+        {/* Scope of computed fields */}
+        {scopeKeys.length > 0 && renderScopeInputs()}
       </div>
 
       {/* Remove button */}
@@ -1,36 +1,70 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { IoAddCircle } from 'react-icons/io5';
+import { IoAddCircle, IoGitBranch, IoTrash } from 'react-icons/io5';
 import RuleBuilder from './RuleBuilder';
+import {
+  MAX_GROUP_DEPTH,
+  isRuleGroup,
+  createCondition,
+  createRuleGroup
+} from '../../../utils/segmentRules';
+
+/**
+ * Recursive group of segment rules. Each entry is either a condition
+ * (rendered with RuleBuilder) or a nested RuleGroup.
+ * @param {Object} props
+ * @param {Object} props.rules - Group with conditionType and conditions
+ * @param {Function} props.onChange - Called with the updated group
+ * @param {Function} props.onRemove - Removes this group from its parent (nested groups only)
+ * @param {number} props.depth - Nesting level, 0 for the root group
+ */
+const RuleGroup = ({
+  rules,
+  onChange,
+  onRemove,
+  fieldOptions,
+  getOperatorOptions,
+  disabled = false,
+  depth = 0
+}) => {
+  const conditionType = rules.conditionType || 'AND';
+
+  // Toggle between AND/OR logic for this group
+  const handleToggleConditionType = () => {
+    onChange({
+      ...rules,
+      conditionType: conditionType === 'AND' ? 'OR' : 'AND'
+    });
+  };
 
-const RuleGroup = ({ rules, onChange, fieldOptions, getOperatorOptions, disabled = false }) => {
   // Add a new condition
   const handleAddCondition = () => {
-    const newCondition = {
-      id: `rule_${Date.now()}`,
-      field: '',
-      operator: '',
-      value: ''
-    };
-    
     onChange({
       ...rules,
-      conditions: [...rules.conditions, newCondition]
+      conditions: [...rules.conditions, createCondition()]
+    });
+  };
+
+  // Add a nested group, defaulting to the opposite logic of this group
+  const handleAddGroup = () => {
+    onChange({
+      ...rules,
+      conditions: [...rules.conditions, createRuleGroup(conditionType === 'AND' ? 'OR' : 'AND')]
     });
   };
 
-  // Update a condition at a specific index
+  // Update a condition or nested group at a specific index
   const handleUpdateCondition = (updatedCondition, index) => {
     const newConditions = [...rules.conditions];
     newConditions[index] = updatedCondition;
-    
+
     onChange({
       ...rules,
       conditions: newConditions
     });
   };
 
-  // Remove a condition at a specific index
+  // Remove a condition or nested group at a specific index
   const handleRemoveCondition = (index) => {
     onChange({
       ...rules,
@@ -39,19 +73,62 @@ const RuleGroup = ({ rules, onChange, fieldOptions, getOperatorOptions, disabled
   };
 
   return (
-    <div>
+    <div className={depth > 0 ? 'mb-3 ml-2 pl-4 border-l-2 border-indigo-200' : ''}>
+      <div className="mb-3 flex items-center">
+        <button
+          type="button"
+          onClick={handleToggleConditionType}
+          className={`px-3 py-1 rounded-full text-xs font-medium transition ${
+            conditionType === 'AND'
+              ? 'bg-indigo-100 text-indigo-800 hover:bg-indigo-200'
+              : 'bg-purple-100 text-purple-800 hover:bg-purple-200'
+          }`}
+          disabled={disabled}
+        >
+          Match {conditionType === 'AND' ? 'ALL' : 'ANY'} Conditions
+        </button>
+        <span className="text-xs text-gray-500 ml-2 flex-1">
+          {conditionType === 'AND'
+            ? 'Customer must meet all conditions (AND logic)'
+            : 'Customer must meet at least one condition (OR logic)'}
+        </span>
+        {!disabled && depth > 0 && (
+          <button
+            type="button"
+            onClick={onRemove}
+            className="p-1 text-red-500 hover:text-red-700 transition-colors"
+            title="Remove group"
+          >
+            <IoTrash size={18} />
+          </button>
+        )}
+      </div>
+
       <AnimatePresence mode="popLayout">
         {rules.conditions.map((condition, index) => (
-          <RuleBuilder
-            key={condition.id || index}
-            rule={condition}
-            index={index}
-            onUpdate={handleUpdateCondition}
-            onRemove={handleRemoveCondition}
-            fieldOptions={fieldOptions}
-            getOperatorOptions={getOperatorOptions}
-            disabled={disabled}
-          />
+          isRuleGroup(condition) ? (
+            <RuleGroup
+              key={condition.id || condition._id || index}
+              rules={condition}
+              onChange={(updatedGroup) => handleUpdateCondition(updatedGroup, index)}
+              onRemove={() => handleRemoveCondition(index)}
+              fieldOptions={fieldOptions}
+              getOperatorOptions={getOperatorOptions}
+              disabled={disabled}
+              depth={depth + 1}
+            />
+          ) : (
+            <RuleBuilder
+              key={condition.id || condition._id || index}
+              rule={condition}
+              index={index}
+              onUpdate={handleUpdateCondition}
+              onRemove={handleRemoveCondition}
+              fieldOptions={fieldOptions}
+              getOperatorOptions={getOperatorOptions}
+              disabled={disabled}
+            />
+          )
         ))}
       </AnimatePresence>
 
@@ -60,6 +137,7 @@ const RuleGroup = ({ rules, onChange, fieldOptions, getOperatorOptions, disabled
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
           transition={{ delay: 0.2 }}
+          className="flex items-center space-x-4"
         >
           <button
             type="button"
@@ -69,10 +147,20 @@ const RuleGroup = ({ rules, onChange, fieldOptions, getOperatorOptions, disabled
             <IoAddCircle className="mr-1" size={18} />
             <span>Add condition</span>
           </button>
+          {depth < MAX_GROUP_DEPTH && (
+            <button
+              type="button"
+              onClick={handleAddGroup}
+              className="mt-2 flex items-center text-sm text-purple-600 hover:text-purple-800 transition-colors"
+            >
+              <IoGitBranch className="mr-1" size={18} />
+              <span>Add group</span>
+            </button>
+          )}
         </motion.div>
       )}
     </div>
   );
 };
 
-export default RuleGroup;
\ No newline at end of file
+export default RuleGroup;
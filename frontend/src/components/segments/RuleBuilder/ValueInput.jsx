@@ -1,11 +1,16 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import useSegmentFields from '../../../hooks/useSegmentFields';
 
 const ValueInput = ({ field, operator, value, onChange }) => {
+  // Look up the field type in the backend field registry
+  const { fieldOptions } = useSegmentFields();
+  const fieldType = fieldOptions.find(option => option.value === field)?.type || 'text';
+
   // Based on field and operator, render appropriate input
   const renderInput = () => {
     // For date fields
-    if (field === 'lastPurchaseDate' || field === 'createdAt') {
+    if (fieldType === 'date') {
       return (
         <input
           type="date"
@@ -18,7 +23,7 @@ const ValueInput = ({ field, operator, value, onChange }) => {
     }
     
     // For boolean fields (isActive, etc.)
-    if (operator === 'is' && ['isActive', 'hasAccount'].includes(field)) {
+    if (fieldType === 'boolean') {
       return (
         <select
           name="value"
@@ -34,7 +39,7 @@ const ValueInput = ({ field, operator, value, onChange }) => {
     }
     
     // For 'between' operator with numeric fields
-    if (operator === 'between' && ['totalSpend', 'orderCount', 'visits', 'inactiveDays'].includes(field)) {
+    if (operator === 'between' && fieldType === 'number') {
       return (
         <div className="flex items-center space-x-2">
           <input
@@ -65,7 +70,7 @@ const ValueInput = ({ field, operator, value, onChange }) => {
     }
     
     // For numeric fields
-    if (['totalSpend', 'orderCount', 'visits', 'inactiveDays'].includes(field)) {
+    if (fieldType === 'number') {
       return (
         <input
           type="number"
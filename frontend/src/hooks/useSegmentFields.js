@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import segmentService from '../services/segment.service';
+
+// The registry only changes on deploy, so share one request across the app
+let registryRequest = null;
+
+const loadRegistry = () => {
+  if (!registryRequest) {
+    registryRequest = segmentService.getSegmentFields()
+      .then((response) => response?.data || { fields: [], operators: {}, periods: {} })
+      .catch((err) => {
+        registryRequest = null;
+        throw err;
+      });
+  }
+
+  return registryRequest;
+};
+
+/**
+ * Custom hook exposing the segment field registry served by the backend
+ * @returns {Object} Field options, operator lookups and loading state
+ */
+const useSegmentFields = () => {
+  const [registry, setRegistry] = useState({ fields: [], operators: {}, periods: {} });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadRegistry()
+      .then((data) => {
+        if (!cancelled) {
+          setRegistry(data);
+        }
+      })
+      .catch((err) => {
+        console.error('Error fetching segment fields:', err);
+        if (!cancelled) {
+          setError('Failed to load segment fields');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Field options in the shape the rule builder expects
+  const fieldOptions = useMemo(() => registry.fields.map((field) => ({
+    label: field.label,
+    value: field.name,
+    type: field.type,
+    values: field.values,
+    source: field.source,
+    scope: field.scope,
+    operators: field.operators
+  })), [registry]);
+
+  // Operator options allowed for a field
+  const getOperatorOptions = useCallback((fieldName) => {
+    const field = fieldOptions.find((option) => option.value === fieldName);
+    return field ? field.operators : [];
+  }, [fieldOptions]);
+
+  // Display labels keyed by field and operator name
+  const fieldNames = useMemo(() => Object.fromEntries(
+    registry.fields.map((field) => [field.name, field.label])
+  ), [registry]);
+
+  const operatorNames = useMemo(() => Object.fromEntries(
+    Object.entries(registry.operators).map(([name, operator]) => [name, operator.label])
+  ), [registry]);
+
+  // Time windows order and event fields can be scoped to, keyed by period name
+  const periods = registry.periods || {};
+
+  return {
+    fieldOptions,
+    getOperatorOptions,
+    fieldNames,
+    operatorNames,
+    periods,
+    loading,
+    error
+  };
+};
+
+export default useSegmentFields;
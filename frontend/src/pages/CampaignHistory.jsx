@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { Routes, Route, useNavigate, useParams } from 'react-router-dom';
+import { Routes, Route, Link, useNavigate, useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
 import CampaignList from '../components/campaigns/CampaignList';
 import CampaignStats from '../components/campaigns/CampaignStats';
+import CampaignRuns from '../components/campaigns/CampaignRuns';
 import CampaignInsights from '../components/ai/CampaignInsights';
 import campaignService from '../services/campaign.service';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Card from '../components/common/Card';
 import { formatDate, formatNumber } from '../utils/formatters';
+import { getCampaignStatusClass, describeRecurrence } from '../utils/helpers';
 
 // Main CampaignHistory Page Container
 const CampaignHistory = () => {
@@ -69,7 +72,7 @@ const CampaignListPage = () => {
           {
             _id: '2',
             name: 'New Collection Launch',
-            status: 'Active',
+            status: 'Sending',
             description: 'Introducing our new autumn collection with early access for preferred customers.',
             createdAt: '2023-06-15T14:45:00Z',
             sentAt: '2023-06-15T15:00:00Z',
@@ -135,6 +138,9 @@ const CampaignDetailsPage = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [logs, setLogs] = useState([]);
+  const [rollup, setRollup] = useState(null);
+  const [isChangingStatus, setIsChangingStatus] = useState(false);
+  const isRecurring = Boolean(campaign?.recurrence?.frequency);
 
   useEffect(() => {
     const fetchCampaignDetails = async () => {
@@ -160,6 +166,15 @@ const CampaignDetailsPage = () => {
         
         setCampaign(campaignDetails);
         
+        // Recurring campaigns send through their runs, whose stats are added up
+        if (campaignDetails.recurrence?.frequency) {
+          const statsData = await campaignService.getCampaignStats(id);
+          setRollup(statsData.data);
+          setLogs([]);
+          return;
+        }
+        setRollup(null);
+        
         // Fetch campaign logs
         const logsData = await campaignService.getCampaignLogs(id);
         console.log('Fetched campaign logs:', logsData);
@@ -186,6 +201,36 @@ const CampaignDetailsPage = () => {
     fetchCampaignDetails();
   }, [id]);
 
+  // Pause, resume or cancel the campaign
+  const handleStatusChange = async (action) => {
+    const confirmation = isRecurring
+      ? 'Cancel this recurring campaign? No more runs will start; runs already sending carry on.'
+      : 'Cancel this campaign? Messages it has not sent yet will be skipped.';
+    if (action === 'cancel' && !window.confirm(confirmation)) {
+      return;
+    }
+
+    try {
+      setIsChangingStatus(true);
+      let response;
+      if (action === 'pause') {
+        response = await campaignService.pauseCampaign(id);
+        toast.success('Campaign paused');
+      } else if (action === 'resume') {
+        response = await campaignService.resumeCampaign(id);
+        toast.success('Campaign resumed');
+      } else {
+        response = await campaignService.cancelCampaign(id);
+        toast.success(`Campaign cancelled, ${formatNumber(response.data.skipped)} messages skipped`);
+      }
+      setCampaign({ ...campaign, ...response.data.campaign });
+    } catch (err) {
+      console.error(`Error trying to ${action} campaign:`, err);
+    } finally {
+      setIsChangingStatus(false);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="flex h-full items-center justify-center p-12">
@@ -257,19 +302,43 @@ const CampaignDetailsPage = () => {
               <div>
                 <h1 className="text-2xl font-bold text-gray-800">{campaign.name}</h1>
                 <p className="text-gray-600 mt-1">{campaign.description}</p>
+                {campaign.status === 'Failed' && campaign.failureReason && (
+                  <p className="text-sm text-red-600 mt-1">Could not start sending: {campaign.failureReason}</p>
+                )}
               </div>
-              <div className="mt-4 md:mt-0">
+              <div className="mt-4 md:mt-0 flex items-center gap-2">
                 <span
-                  className={`px-3 py-1 rounded-full text-xs font-medium ${
-                    campaign.status === 'Completed'
-                      ? 'bg-green-100 text-green-800'
-                      : campaign.status === 'Active'
-                      ? 'bg-blue-100 text-blue-800'
-                      : 'bg-yellow-100 text-yellow-800'
-                  }`}
+                  className={`px-3 py-1 rounded-full text-xs font-medium ${getCampaignStatusClass(campaign.status)}`}
                 >
                   {campaign.status}
                 </span>
+                {['Sending', 'Recurring'].includes(campaign.status) && (
+                  <button
+                    className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50"
+                    onClick={() => handleStatusChange('pause')}
+                    disabled={isChangingStatus}
+                  >
+                    Pause
+                  </button>
+                )}
+                {campaign.status === 'Paused' && (
+                  <button
+                    className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                    onClick={() => handleStatusChange('resume')}
+                    disabled={isChangingStatus}
+                  >
+                    Resume
+                  </button>
+                )}
+                {['Draft', 'Scheduled', 'Sending', 'Recurring', 'Paused'].includes(campaign.status) && (
+                  <button
+                    className="px-3 py-1 text-sm border border-red-300 text-red-600 rounded hover:bg-red-50 disabled:opacity-50"
+                    onClick={() => handleStatusChange('cancel')}
+                    disabled={isChangingStatus}
+                  >
+                    Cancel
+                  </button>
+                )}
               </div>
             </div>
 
@@ -278,15 +347,26 @@ const CampaignDetailsPage = () => {
                 <div className="text-sm text-gray-500">Created</div>
                 <div className="font-medium">{formatDate(campaign.createdAt)}</div>
               </div>
-              <div>
-                <div className="text-sm text-gray-500">Sent</div>
-                <div className="font-medium">
-                  {campaign.sentAt ? formatDate(campaign.sentAt) : 'Not sent yet'}
+              {isRecurring ? (
+                <div>
+                  <div className="text-sm text-gray-500">Next Run</div>
+                  <div className="font-medium">
+                    {campaign.recurrence.nextRunAt && ['Recurring', 'Paused'].includes(campaign.status)
+                      ? formatDate(campaign.recurrence.nextRunAt)
+                      : 'No more runs'}
+                  </div>
                 </div>
-              </div>
+              ) : (
+                <div>
+                  <div className="text-sm text-gray-500">Sent</div>
+                  <div className="font-medium">
+                    {campaign.sentAt ? formatDate(campaign.sentAt) : 'Not sent yet'}
+                  </div>
+                </div>
+              )}
               <div>
                 <div className="text-sm text-gray-500">Audience Size</div>
-                <div className="font-medium">{formatNumber(campaign.audienceSize)}</div>
+                <div className="font-medium">{formatNumber(rollup ? rollup.audienceSize : campaign.audienceSize)}</div>
               </div>
               <div>
                 <div className="text-sm text-gray-500">Segment</div>
@@ -294,6 +374,24 @@ const CampaignDetailsPage = () => {
               </div>
             </div>
 
+            {isRecurring && (
+              <div className="bg-teal-50 border border-teal-200 p-4 rounded-lg mb-6 text-sm text-teal-900">
+                {describeRecurrence(campaign.recurrence)} ({campaign.delivery?.timezone})
+                {campaign.recurrence.endAt && `, until ${formatDate(campaign.recurrence.endAt)}`}.
+                {' '}{formatNumber(campaign.recurrence.runCount || 0)} runs so far. Changes to the audience or message apply to the runs still to come.
+              </div>
+            )}
+
+            {campaign.parentId && (
+              <div className="bg-teal-50 border border-teal-200 p-4 rounded-lg mb-6 text-sm text-teal-900">
+                Run #{campaign.runNumber} of a{' '}
+                <Link to={`/campaigns/history/${campaign.parentId}`} className="font-medium underline">
+                  recurring campaign
+                </Link>
+                , sent to the audience as it was when the run started.
+              </div>
+            )}
+
             <div className="bg-gray-50 p-4 rounded-lg mb-6">
               <div className="text-sm font-medium text-gray-700 mb-2">Message Template</div>
               <div className="p-3 bg-white border border-gray-200 rounded text-gray-800">
@@ -305,77 +403,87 @@ const CampaignDetailsPage = () => {
       </div>
 
       <div className="mb-6">
-        <CampaignStats campaign={campaign} />
+        <CampaignStats
+          campaign={rollup ? { ...campaign, variants: [], audienceSize: rollup.audienceSize, stats: rollup.stats } : campaign}
+        />
       </div>
 
       <div className="mb-6">
         <CampaignInsights campaignId={id} campaignData={campaign} />
       </div>
 
-      <div className="mb-6">
-        <Card title="Delivery Logs">
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Customer
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Email
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Sent At
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Details
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {logs.length === 0 ? (
+      {isRecurring && (
+        <div className="mb-6">
+          <CampaignRuns campaignId={id} />
+        </div>
+      )}
+
+      {!isRecurring && (
+        <div className="mb-6">
+          <Card title="Delivery Logs">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
                   <tr>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-center" colSpan={5}>
-                      No delivery logs found
-                    </td>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Customer
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Email
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Sent At
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Details
+                    </th>
                   </tr>
-                ) : (
-                  logs.map((log) => (
-                    <tr key={log._id}>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-gray-900">{log.customerName}</div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {log.customerEmail}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span
-                          className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                            log.status === 'SENT'
-                              ? 'bg-green-100 text-green-800'
-                              : 'bg-red-100 text-red-800'
-                          }`}
-                        >
-                          {log.status}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {formatDate(log.sentAt)}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {log.failureReason || '-'}
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {logs.length === 0 ? (
+                    <tr>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-center" colSpan={5}>
+                        No delivery logs found
                       </td>
                     </tr>
-                  ))
-                )}
-              </tbody>
-            </table>
-          </div>
-        </Card>
-      </div>
+                  ) : (
+                    logs.map((log) => (
+                      <tr key={log._id}>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">{log.customerName}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {log.customerEmail}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span
+                            className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                              log.status === 'SENT'
+                                ? 'bg-green-100 text-green-800'
+                                : 'bg-red-100 text-red-800'
+                            }`}
+                          >
+                            {log.status}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatDate(log.sentAt)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {log.failureReason || '-'}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        </div>
+      )}
     </motion.div>
   );
 };
@@ -4,6 +4,10 @@ import { motion } from 'framer-motion';
 import CustomerList from '../components/customers/CustomerList';
 import CustomerDetails from '../components/customers/CustomerDetails';
 import CustomerCreateModal from '../components/customers/CustomerCreateModal';
+import CustomerImportWizard from '../components/customers/CustomerImportWizard';
+import CustomerExportModal from '../components/customers/CustomerExportModal';
+import DuplicateReview from '../components/customers/DuplicateReview';
+import SuppressionList from '../components/customers/SuppressionList';
 import customerService from '@services/customer.service';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import { toast } from 'react-toastify';
@@ -21,6 +25,8 @@ const Customers = () => {
       <Route index element={<CustomersListPage />} />
       {/* Add specific route for create BEFORE the :id parameter route */}
       <Route path="create" element={<CustomerCreatePage />} />
+      <Route path="duplicates" element={<CustomerDuplicatesPage />} />
+      <Route path="suppressions" element={<CustomerSuppressionsPage />} />
       <Route path=":id" element={<CustomerDetailsPage />} />
       <Route path="import" element={<CustomerImportPage />} />
     </Routes>
@@ -81,6 +87,7 @@ const CustomersListPage = () => {
     active: 0,
     inactive: 0
   });
+  const [isExportOpen, setIsExportOpen] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -186,6 +193,34 @@ const CustomersListPage = () => {
             </svg>
             Import
           </button>
+          <button
+            onClick={() => setIsExportOpen(true)}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition flex items-center"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+            Export
+          </button>
+          <button
+            onClick={() => navigate('/customers/duplicates')}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition flex items-center"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M7 9a2 2 0 012-2h6a2 2 0 012 2v6a2 2 0 01-2 2H9a2 2 0 01-2-2V9z" />
+              <path d="M5 3a2 2 0 00-2 2v6a2 2 0 002 2V5h8a2 2 0 00-2-2H5z" />
+            </svg>
+            Duplicates
+          </button>
+          <button
+            onClick={() => navigate('/customers/suppressions')}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition flex items-center"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M13.477 14.89A6 6 0 015.11 6.524l8.367 8.368zm1.414-1.414L6.524 5.11a6 6 0 018.367 8.367zM18 10a8 8 0 11-16 0 8 8 0 0116 0z" clipRule="evenodd" />
+            </svg>
+            Suppressions
+          </button>
         </div>
       </div>
 
@@ -234,6 +269,8 @@ const CustomersListPage = () => {
       </div>
 
       <CustomerList customers={customers} />
+
+      <CustomerExportModal isOpen={isExportOpen} onClose={() => setIsExportOpen(false)} />
     </motion.div>
   );
 };
@@ -315,36 +352,36 @@ const CustomerDetailsPage = () => {
 // Customer Import Page Component
 const CustomerImportPage = () => {
   const navigate = useNavigate();
-  const [file, setFile] = useState(null);
-  const [isUploading, setIsUploading] = useState(false);
 
-  const handleFileChange = (e) => {
-    if (e.target.files && e.target.files[0]) {
-      setFile(e.target.files[0]);
-    }
-  };
+  return (
+    <motion.div
+      variants={pageVariants}
+      initial="initial"
+      animate="animate"
+      exit="exit"
+      className="p-6"
+    >
+      <div className="flex items-center mb-6">
+        <button
+          onClick={() => navigate('/customers')}
+          className="mr-4 text-blue-500 hover:text-blue-700 flex items-center"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M9.707 16.707a1 1 0 01-1.414 0l-6-6a1 1 0 010-1.414l6-6a1 1 0 011.414 1.414L5.414 9H17a1 1 0 110 2H5.414l4.293 4.293a1 1 0 010 1.414z" clipRule="evenodd" />
+          </svg>
+          Back
+        </button>
+        <h1 className="text-2xl font-bold text-gray-800">Import Customers</h1>
+      </div>
 
-  const handleImport = async (e) => {
-    e.preventDefault();
-    
-    if (!file) {
-      toast.error('Please select a file to import');
-      return;
-    }
-    
-    try {
-      setIsUploading(true);
-      // Call the service to import customers
-      await customerService.importCustomers(file);
-      toast.success('Customers imported successfully');
-      navigate('/customers');
-    } catch (err) {
-      console.error('Error importing customers:', err);
-      toast.error('Failed to import customers');
-    } finally {
-      setIsUploading(false);
-    }
-  };
+      <CustomerImportWizard onDone={() => navigate('/customers')} />
+    </motion.div>
+  );
+};
+
+// Customer Duplicates Page Component
+const CustomerDuplicatesPage = () => {
+  const navigate = useNavigate();
 
   return (
     <motion.div
@@ -364,98 +401,42 @@ const CustomerImportPage = () => {
           </svg>
           Back
         </button>
-        <h1 className="text-2xl font-bold text-gray-800">Import Customers</h1>
+        <h1 className="text-2xl font-bold text-gray-800">Duplicate Customers</h1>
       </div>
 
-      <div className="bg-white rounded-lg shadow p-6">
-        <form onSubmit={handleImport}>
-          <div className="mb-6">
-            <label className="block text-gray-700 font-medium mb-2">File Format</label>
-            <p className="text-gray-600 mb-4">
-              Upload a CSV file with the following columns:
-            </p>
-            <div className="bg-gray-50 p-4 rounded-lg mb-4 overflow-x-auto">
-              <code className="text-sm text-gray-800">
-                name,email,phone,location,totalSpend,orderCount,lastOrderDate,isActive
-              </code>
-            </div>
-            <p className="text-gray-600">
-              <span className="font-medium">Note:</span> The file should include a header row.
-            </p>
-          </div>
+      <DuplicateReview />
+    </motion.div>
+  );
+};
 
-          <div className="mb-6">
-            <label className="block text-gray-700 font-medium mb-2">Upload File</label>
-            <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center">
-              {file ? (
-                <div className="flex items-center justify-center">
-                  <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-green-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                  <span className="text-gray-900">{file.name}</span>
-                  <button
-                    type="button"
-                    onClick={() => setFile(null)}
-                    className="ml-2 text-red-500 hover:text-red-700"
-                  >
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                      <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
-                    </svg>
-                  </button>
-                </div>
-              ) : (
-                <>
-                  <svg xmlns="http://www.w3.org/2000/svg" className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                  </svg>
-                  <p className="mt-1 text-sm text-gray-600">
-                    Drag and drop or click to select a file
-                  </p>
-                  <input
-                    type="file"
-                    accept=".csv"
-                    onChange={handleFileChange}
-                    className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
-                  />
-                </>
-              )}
-            </div>
-          </div>
+// Customer Suppressions Page Component
+const CustomerSuppressionsPage = () => {
+  const navigate = useNavigate();
 
-          <div className="flex justify-end">
-            <button
-              type="button"
-              onClick={() => navigate('/customers')}
-              className="mr-2 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              disabled={!file || isUploading}
-              className={`px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
-                !file || isUploading
-                  ? 'bg-blue-400 cursor-not-allowed'
-                  : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
-              }`}
-            >
-              {isUploading ? (
-                <span className="flex items-center">
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Importing...
-                </span>
-              ) : (
-                'Import Customers'
-              )}
-            </button>
-          </div>
-        </form>
+  return (
+    <motion.div
+      variants={pageVariants}
+      initial="initial"
+      animate="animate"
+      exit="exit"
+      className="p-6"
+    >
+      <div className="flex items-center mb-6">
+        <button
+          onClick={() => navigate('/customers')}
+          className="mr-4 text-blue-500 hover:text-blue-700 flex items-center"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M9.707 16.707a1 1 0 01-1.414 0l-6-6a1 1 0 010-1.414l6-6a1 1 0 011.414 1.414L5.414 9H17a1 1 0 110 2H5.414l4.293 4.293a1 1 0 010 1.414z" clipRule="evenodd" />
+          </svg>
+          Back
+        </button>
+        <h1 className="text-2xl font-bold text-gray-800">Suppression List</h1>
       </div>
+
+      <SuppressionList />
     </motion.div>
   );
 };
 
-export default Customers;
\ No newline at end of file
+export default Customers;
@@ -58,7 +58,7 @@ const Dashboard = () => {
         const customerStats = await mockFetchCustomerStats();
         
         // Calculate dashboard stats
-        const activeCampaigns = campaignsData.filter(c => c.status === 'Active').length;
+        const activeCampaigns = campaignsData.filter(c => c.status === 'Sending').length;
         const completedCampaigns = campaignsData.filter(c => c.status === 'Completed').length;
         const totalDelivered = campaignsData.reduce((sum, c) => sum + (c.stats?.delivered || 0), 0);
         const totalAudience = campaignsData.reduce((sum, c) => sum + (c.audienceSize || 0), 0);
@@ -123,7 +123,7 @@ const Dashboard = () => {
       {
         _id: '2',
         name: 'New Collection Launch',
-        status: 'Active',
+        status: 'Sending',
         description: 'Introducing our new autumn collection with early access for preferred customers.',
         createdAt: '2023-06-15T14:45:00Z',
         sentAt: '2023-06-15T15:00:00Z',
@@ -0,0 +1,695 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Routes, Route, useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import JourneyCanvas from '../components/journeys/JourneyCanvas';
+import JourneyStepPanel from '../components/journeys/JourneyStepPanel';
+import journeyService from '../services/journey.service';
+import segmentService from '../services/segment.service';
+import { formatDate, formatNumber } from '../utils/formatters';
+import { STEP_TYPES, createStep, removeStep, getStepErrors } from '../utils/journeySteps';
+
+const PAGE_SIZE = 20;
+
+const STATUSES = ['Draft', 'Active', 'Paused', 'Archived'];
+
+const STATUS_STYLES = {
+  Draft: 'bg-gray-100 text-gray-800',
+  Active: 'bg-green-100 text-green-800',
+  Paused: 'bg-yellow-100 text-yellow-800',
+  Archived: 'bg-red-100 text-red-800'
+};
+
+const ENROLLMENT_STATUSES = {
+  active: 'In journey',
+  completed: 'Completed',
+  exited: 'Exited'
+};
+
+const EMPTY_JOURNEY = {
+  name: '',
+  description: '',
+  channel: 'email',
+  entry: { source: 'segment', segmentId: '', event: '', allowReentry: false },
+  steps: [],
+  startStep: ''
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[status] || STATUS_STYLES.Draft}`}>
+    {status}
+  </span>
+);
+
+/**
+ * Turn the journey being edited into a request body, leaving out empty settings
+ * @param {Object} journey - Journey being edited
+ * @returns {Object} Request body
+ */
+const toRequest = (journey) => ({
+  ...journey,
+  entry: journey.entry.source === 'event'
+    ? { source: 'event', event: journey.entry.event, allowReentry: journey.entry.allowReentry }
+    : { source: 'segment', segmentId: journey.entry.segmentId || undefined },
+  startStep: journey.startStep || undefined
+});
+
+// ===== COMPONENT: JourneyListPage =====
+const JourneyListPage = () => {
+  const [journeys, setJourneys] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, totalResults: 0 });
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ status: '', search: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const navigate = useNavigate();
+
+  const fetchJourneys = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await journeyService.getAllJourneys(params);
+      setJourneys(response.data.journeys || []);
+      setPagination(response.pagination || { page, totalPages: 1, totalResults: 0 });
+    } catch (err) {
+      console.error('Error fetching journeys:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    fetchJourneys();
+  }, [fetchJourneys]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Journeys</h1>
+          <p className="text-gray-500 mt-1">
+            Move customers through a sequence of messages, waits and branches
+          </p>
+        </div>
+        <button
+          onClick={() => navigate('/journeys/create')}
+          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition flex items-center"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z" clipRule="evenodd" />
+          </svg>
+          Create Journey
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex gap-3 mb-4">
+          <input
+            type="text"
+            name="search"
+            value={filters.search}
+            onChange={handleFilterChange}
+            placeholder="Search journeys..."
+            className="flex-1 border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <select
+            name="status"
+            value={filters.status}
+            onChange={handleFilterChange}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          >
+            <option value="">All statuses</option>
+            {STATUSES.map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center p-12">
+            <LoadingSpinner />
+          </div>
+        ) : journeys.length === 0 ? (
+          <div className="text-center text-gray-500 py-12">
+            {filters.search || filters.status ? 'No journeys match these filters' : "You haven't created any journeys yet"}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Journey</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entry</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">In journey</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Completed</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {journeys.map((journey) => (
+                <tr
+                  key={journey._id}
+                  onClick={() => navigate(`/journeys/${journey._id}`)}
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-4 py-3 text-sm">
+                    <div className="text-gray-900 font-medium">{journey.name}</div>
+                    {journey.description && <div className="text-xs text-gray-500 truncate">{journey.description}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm"><StatusBadge status={journey.status} /></td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {journey.entry?.source === 'event'
+                      ? `On event ${journey.entry.event}`
+                      : `Segment ${journey.entry?.segmentId?.name || '(deleted)'}`}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right">{formatNumber(journey.stats?.active || 0)}</td>
+                  <td className="px-4 py-3 text-sm text-right">{formatNumber(journey.stats?.completed || 0)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{formatDate(journey.updatedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-6">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-500">Page {page} of {pagination.totalPages}</span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50 text-sm"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ===== COMPONENT: JourneyEnrollments =====
+const JourneyEnrollments = ({ journeyId, steps }) => {
+  const [enrollments, setEnrollments] = useState([]);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    const fetchEnrollments = async () => {
+      try {
+        const response = await journeyService.getJourneyEnrollments(journeyId, { limit: 10, ...(status ? { status } : {}) });
+        setEnrollments(response.data.enrollments || []);
+      } catch (err) {
+        console.error('Error fetching journey enrollments:', err);
+      }
+    };
+
+    fetchEnrollments();
+  }, [journeyId, status]);
+
+  const stepName = (key) => steps.find((step) => step.key === key)?.name || key;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Recent customers</h2>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        >
+          <option value="">All</option>
+          {Object.entries(ENROLLMENT_STATUSES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {enrollments.length === 0 ? (
+        <div className="text-center text-gray-500 py-6">No customers yet</div>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Step</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entered</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {enrollments.map((enrollment) => (
+              <tr key={enrollment._id}>
+                <td className="px-4 py-3 text-sm">
+                  <div className="text-gray-900">{enrollment.customerId?.name || 'Deleted customer'}</div>
+                  <div className="text-xs text-gray-500">{enrollment.customerId?.email}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-500">
+                  {ENROLLMENT_STATUSES[enrollment.status] || enrollment.status}
+                  {enrollment.exitReason && <div className="text-xs">{enrollment.exitReason}</div>}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-500">
+                  {stepName(enrollment.currentStep)}
+                  {enrollment.waitingForEvent && <div className="text-xs">Waiting for {enrollment.waitingForEvent}</div>}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-500">{formatDate(enrollment.enrolledAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// ===== COMPONENT: JourneyEditorPage =====
+const JourneyEditorPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [journey, setJourney] = useState(EMPTY_JOURNEY);
+  const [status, setStatus] = useState('Draft');
+  const [stats, setStats] = useState(null);
+  const [stepStats, setStepStats] = useState({});
+  const [segments, setSegments] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isDirty, setIsDirty] = useState(false);
+  const [isLoading, setIsLoading] = useState(Boolean(id));
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Entry and steps are fixed while the journey runs, and for good once it is archived
+  const isLocked = status === 'Active' || status === 'Archived';
+
+  const applyJourney = useCallback((data) => {
+    setJourney({
+      name: data.name || '',
+      description: data.description || '',
+      channel: data.channel || 'email',
+      entry: { ...EMPTY_JOURNEY.entry, ...data.entry },
+      steps: data.steps || [],
+      startStep: data.startStep || ''
+    });
+    setStatus(data.status);
+    setStats(data.stats);
+    setErrors({});
+    setIsDirty(false);
+  }, []);
+
+  useEffect(() => {
+    const fetchSegments = async () => {
+      try {
+        const response = await segmentService.getAllSegments();
+        setSegments(response.data?.segments || []);
+      } catch (err) {
+        console.error('Error fetching segments:', err);
+      }
+    };
+
+    fetchSegments();
+  }, []);
+
+  useEffect(() => {
+    if (!id) {
+      return;
+    }
+
+    const fetchJourney = async () => {
+      try {
+        setIsLoading(true);
+        const response = await journeyService.getJourneyById(id);
+        applyJourney(response.data.journey);
+        setStepStats(response.data.stepStats || {});
+      } catch (err) {
+        console.error('Error fetching journey:', err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchJourney();
+  }, [id, applyJourney]);
+
+  const change = (changes) => {
+    setJourney({ ...journey, ...changes });
+    setIsDirty(true);
+  };
+
+  const changeEntry = (changes) => change({ entry: { ...journey.entry, ...changes } });
+
+  const handleAddStep = (type) => {
+    const step = createStep(type, journey.steps);
+    change({ steps: [...journey.steps, step], startStep: journey.startStep || step.key });
+    setSelectedKey(step.key);
+  };
+
+  const handleStepChange = (updated) => {
+    change({ steps: journey.steps.map((step) => (step.key === updated.key ? updated : step)) });
+  };
+
+  const handleStepMove = (key, position) => {
+    change({ steps: journey.steps.map((step) => (step.key === key ? { ...step, position } : step)) });
+  };
+
+  const handleRemoveStep = (key) => {
+    change({
+      steps: removeStep(journey.steps, key),
+      startStep: journey.startStep === key ? '' : journey.startStep
+    });
+    setSelectedKey(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      // Only the name and description of a running journey can change
+      const request = isLocked ? { name: journey.name, description: journey.description } : toRequest(journey);
+
+      if (id) {
+        const response = await journeyService.updateJourney(id, request);
+        applyJourney(response.data.journey);
+        toast.success('Journey saved');
+      } else {
+        const response = await journeyService.createJourney(request);
+        toast.success('Journey created');
+        navigate(`/journeys/${response.data.journey._id}`, { replace: true });
+      }
+    } catch (err) {
+      console.error('Error saving journey:', err);
+      setErrors(err.response?.data?.errors || {});
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAction = async (action) => {
+    if (action === 'archive' && !window.confirm('Archive this journey? Every customer in it is taken out and it cannot be activated again.')) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await journeyService[`${action}Journey`](id);
+      applyJourney(response.data.journey);
+      toast.success(action === 'archive'
+        ? `Journey archived, ${formatNumber(response.data.exited)} customers taken out`
+        : `Journey ${action === 'activate' ? 'activated' : 'paused'}`);
+    } catch (err) {
+      console.error(`Error running ${action} on journey:`, err);
+      setErrors(err.response?.data?.errors || {});
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this journey?')) {
+      return;
+    }
+
+    try {
+      await journeyService.deleteJourney(id);
+      toast.success('Journey deleted');
+      navigate('/journeys');
+    } catch (err) {
+      console.error('Error deleting journey:', err);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex h-full items-center justify-center p-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const selectedIndex = journey.steps.findIndex((step) => step.key === selectedKey);
+  const selectedStep = journey.steps[selectedIndex];
+  const invalidKeys = journey.steps
+    .filter((step, index) => Object.keys(getStepErrors(errors, index)).length > 0)
+    .map((step) => step.key);
+  const segmentNames = Object.fromEntries(segments.map((segment) => [segment._id, segment.name]));
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <button onClick={() => navigate('/journeys')} className="text-sm text-blue-600 hover:text-blue-800 mb-2">
+            ← All journeys
+          </button>
+          <div className="flex items-center gap-3">
+            <h1 className="text-2xl font-bold text-gray-800">{id ? journey.name || 'Journey' : 'New journey'}</h1>
+            {id && <StatusBadge status={status} />}
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {status !== 'Archived' && (
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white text-sm rounded-lg transition"
+            >
+              {id ? 'Save' : 'Create draft'}
+            </button>
+          )}
+          {id && ['Draft', 'Paused'].includes(status) && (
+            <button
+              onClick={() => handleAction('activate')}
+              disabled={isSaving || isDirty}
+              title={isDirty ? 'Save your changes first' : undefined}
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-green-300 text-white text-sm rounded-lg transition"
+            >
+              {status === 'Paused' ? 'Resume' : 'Activate'}
+            </button>
+          )}
+          {id && status === 'Active' && (
+            <button
+              onClick={() => handleAction('pause')}
+              disabled={isSaving}
+              className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 disabled:bg-yellow-300 text-white text-sm rounded-lg transition"
+            >
+              Pause
+            </button>
+          )}
+          {id && status !== 'Archived' && status !== 'Draft' && (
+            <button
+              onClick={() => handleAction('archive')}
+              disabled={isSaving}
+              className="px-4 py-2 border border-red-300 text-red-700 hover:bg-red-50 text-sm rounded-lg transition"
+            >
+              Archive
+            </button>
+          )}
+          {id && status === 'Draft' && (
+            <button
+              onClick={handleDelete}
+              className="px-4 py-2 border border-red-300 text-red-700 hover:bg-red-50 text-sm rounded-lg transition"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[['Entered', stats.enrolled], ['In journey', stats.active], ['Completed', stats.completed], ['Exited', stats.exited]].map(([label, value]) => (
+            <div key={label} className="bg-white rounded-lg shadow p-4">
+              <div className="text-sm text-gray-500">{label}</div>
+              <div className="text-2xl font-semibold text-gray-900">{formatNumber(value || 0)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {status === 'Active' && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-lg p-3">
+          Pause the journey to change its entry or steps. Customers stay at their steps while it is paused.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white rounded-lg shadow p-6 space-y-3">
+          <h2 className="text-lg font-medium text-gray-900">Details</h2>
+          <input
+            type="text"
+            value={journey.name}
+            onChange={(e) => change({ name: e.target.value })}
+            placeholder="Journey name"
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+            disabled={status === 'Archived'}
+          />
+          <textarea
+            rows={2}
+            value={journey.description}
+            onChange={(e) => change({ description: e.target.value })}
+            placeholder="Description (optional)"
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+            disabled={status === 'Archived'}
+          />
+          <label className="block text-sm text-gray-700">
+            Default channel
+            <select
+              value={journey.channel}
+              onChange={(e) => change({ channel: e.target.value })}
+              className="mt-1 w-full border border-gray-300 rounded px-3 py-2 text-sm"
+              disabled={isLocked}
+            >
+              <option value="email">Email</option>
+              <option value="sms">SMS</option>
+              <option value="whatsapp">WhatsApp</option>
+              <option value="push">Push</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6 space-y-3 lg:col-span-2">
+          <h2 className="text-lg font-medium text-gray-900">Entry</h2>
+          <div className="flex gap-4 text-sm">
+            {[['segment', 'Customers who join a segment'], ['event', 'Customers who send an event']].map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={journey.entry.source === value}
+                  onChange={() => changeEntry({ source: value })}
+                  disabled={isLocked}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          {journey.entry.source === 'event' ? (
+            <>
+              <input
+                type="text"
+                value={journey.entry.event || ''}
+                onChange={(e) => changeEntry({ event: e.target.value })}
+                placeholder="signup"
+                className={`w-full border rounded px-3 py-2 text-sm ${errors['entry.event'] ? 'border-red-500' : 'border-gray-300'}`}
+                disabled={isLocked}
+              />
+              {errors['entry.event'] && <p className="text-xs text-red-600">{errors['entry.event']}</p>}
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={Boolean(journey.entry.allowReentry)}
+                  onChange={(e) => changeEntry({ allowReentry: e.target.checked })}
+                  disabled={isLocked}
+                />
+                Customers who left the journey enter it again when they send the event again
+              </label>
+            </>
+          ) : (
+            <>
+              <select
+                value={journey.entry.segmentId || ''}
+                onChange={(e) => changeEntry({ segmentId: e.target.value })}
+                className={`w-full border rounded px-3 py-2 text-sm ${errors['entry.segmentId'] ? 'border-red-500' : 'border-gray-300'}`}
+                disabled={isLocked}
+              >
+                <option value="">Pick a segment</option>
+                {segments.map((segment) => (
+                  <option key={segment._id} value={segment._id}>{segment.name}</option>
+                ))}
+              </select>
+              {errors['entry.segmentId'] && <p className="text-xs text-red-600">{errors['entry.segmentId']}</p>}
+              <p className="text-xs text-gray-500">Members enter once, as they come to match the segment.</p>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-lg font-medium text-gray-900 mr-2">Steps</h2>
+          {!isLocked && Object.entries(STEP_TYPES).map(([type, { label }]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => handleAddStep(type)}
+              className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 text-sm"
+            >
+              + {label}
+            </button>
+          ))}
+        </div>
+        {(errors.steps || errors.startStep) && (
+          <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg p-3">
+            {[errors.steps, errors.startStep].filter(Boolean).join('. ')}
+          </div>
+        )}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            {journey.steps.length === 0 ? (
+              <div className="bg-white rounded-lg shadow p-12 text-center text-gray-500">
+                Add the first step of the journey
+              </div>
+            ) : (
+              <JourneyCanvas
+                steps={journey.steps}
+                startStep={journey.startStep}
+                selectedKey={selectedKey}
+                onSelect={setSelectedKey}
+                onMove={handleStepMove}
+                stepStats={stepStats}
+                segmentNames={segmentNames}
+                invalidKeys={invalidKeys}
+                readOnly={isLocked}
+              />
+            )}
+          </div>
+          <div>
+            {selectedStep ? (
+              <JourneyStepPanel
+                step={selectedStep}
+                steps={journey.steps}
+                startStep={journey.startStep}
+                channel={journey.channel}
+                segments={segments}
+                errors={getStepErrors(errors, selectedIndex)}
+                readOnly={isLocked}
+                onChange={handleStepChange}
+                onRemove={() => handleRemoveStep(selectedStep.key)}
+                onMakeStart={() => change({ startStep: selectedStep.key })}
+              />
+            ) : (
+              <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">
+                Select a step to edit it. Drag steps to arrange them.
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {id && <JourneyEnrollments journeyId={id} steps={journey.steps} />}
+    </div>
+  );
+};
+
+// ===== MAIN COMPONENT: Journeys =====
+const Journeys = () => {
+  return (
+    <Routes>
+      <Route index element={<JourneyListPage />} />
+      <Route path="create" element={<JourneyEditorPage />} />
+      <Route path=":id" element={<JourneyEditorPage />} />
+    </Routes>
+  );
+};
+
+export default Journeys;
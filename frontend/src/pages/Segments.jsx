@@ -1,12 +1,15 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Routes, Route, useNavigate, useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { toast } from 'react-toastify';
 import Card from '../components/common/Card';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import SegmentBuilder from '../components/segments/SegmentBuilder';
+import CustomerExportModal from '../components/customers/CustomerExportModal';
 import { formatDate, formatNumber } from '../utils/formatters';
 import segmentService from '../services/segment.service';
-import { IoAddCircle, IoTrash } from 'react-icons/io5';
+import useSegmentFields from '../hooks/useSegmentFields';
+import { isRuleGroup, countConditions, describeConditionScope } from '../utils/segmentRules';
 
 // Animation variants
 const pageVariants = {
@@ -115,339 +118,6 @@ const useSegmentBuilder = () => {
   };
 };
 
-// ===== COMPONENT: SegmentBuilder =====
-const SegmentBuilder = ({ initialRules, onChange, disabled }) => {
-  // Initial rules if none provided
- 
-
-  // Initial rules if none provided
-const defaultRules = {
-    conditionType: 'AND',
-    conditions: [
-      { 
-        id: `rule_${Date.now()}`, 
-        field: '', // Start with empty field
-        operator: '',
-        value: '' 
-      }
-    ]
-  };
-  
-  // Only set initial rule with values if explicitly provided
-  const [rules, setRules] = useState(initialRules || defaultRules);
-
-  // Predefined field options for the rule builder
-  const fieldOptions = [
-    { label: 'Total Spend', value: 'totalSpend', type: 'number' },
-    { label: 'Order Count', value: 'orderCount', type: 'number' },
-    { label: 'Last Order Date', value: 'lastOrderDate', type: 'date' },
-    { label: 'Customer Name', value: 'name', type: 'text' },
-    { label: 'Email', value: 'email', type: 'text' },
-    { label: 'Location', value: 'location', type: 'text' },
-    { label: 'Active Status', value: 'isActive', type: 'boolean' },
-    { label: 'Customer ID', value: 'customerId', type: 'text' },
-  ];
-
-  // Define operator options based on field type
-  const getOperatorOptions = (fieldType) => {
-    switch (fieldType) {
-      case 'number':
-        return [
-          { label: 'Equals', value: 'equals' },
-          { label: 'Greater than', value: 'greaterThan' },
-          { label: 'Less than', value: 'lessThan' },
-          { label: 'Greater than or equal', value: 'greaterThanOrEqual' },
-          { label: 'Less than or equal', value: 'lessThanOrEqual' },
-        ];
-      case 'date':
-        return [
-          { label: 'Equals', value: 'equals' },
-          { label: 'Before', value: 'before' },
-          { label: 'After', value: 'after' },
-          { label: 'In the last', value: 'inLast' },
-          { label: 'Not in the last', value: 'notInLast' },
-        ];
-      case 'text':
-        return [
-          { label: 'Equals', value: 'equals' },
-          { label: 'Contains', value: 'contains' },
-          { label: 'Starts with', value: 'startsWith' },
-          { label: 'Ends with', value: 'endsWith' },
-          { label: 'Does not contain', value: 'notContains' },
-        ];
-      case 'boolean':
-        return [
-          { label: 'Is', value: 'equals' },
-          { label: 'Is not', value: 'notEquals' },
-        ];
-      default:
-        return [{ label: 'Equals', value: 'equals' }];
-    }
-  };
-
-  // Update parent component when rules change
-  useEffect(() => {
-    if (onChange && rules) {
-      onChange(rules);
-    }
-  }, [rules, onChange]);
-
-  // Toggle between AND/OR logic
-  const toggleConditionType = () => {
-    setRules({
-      ...rules,
-      conditionType: rules.conditionType === 'AND' ? 'OR' : 'AND',
-    });
-  };
-
-  // Add a new condition
-  const handleAddCondition = () => {
-    const newCondition = {
-      id: `rule_${Date.now()}`,
-      field: 'totalSpend',
-      operator: 'greaterThan',
-      value: ''
-    };
-    
-    setRules({
-      ...rules,
-      conditions: [...rules.conditions, newCondition]
-    });
-  };
-
-  // Update a condition at a specific index
-  const handleUpdateCondition = (updatedCondition, index) => {
-    const newConditions = [...rules.conditions];
-    newConditions[index] = updatedCondition;
-    
-    setRules({
-      ...rules,
-      conditions: newConditions
-    });
-  };
-
-  // Remove a condition at a specific index
-  const handleRemoveCondition = (index) => {
-    setRules({
-      ...rules,
-      conditions: rules.conditions.filter((_, i) => i !== index)
-    });
-  };
-
-  // Rule Builder sub-component
-  const RuleBuilder = React.memo(({ rule, index, onUpdate, onRemove }) => {
-    const valueChangeTimer = useRef(null);
-    const inputRef = useRef(null);
-  
-    // Get selected field details
-    const selectedField = fieldOptions.find(f => f.value === rule.field) || { type: 'text' };
-  
-    // Get operator options based on field type
-    const operatorOptions = getOperatorOptions(selectedField.type);
-  
-    // Handle field change
-    const handleFieldChange = (e) => {
-      const fieldValue = e.target.value;
-      const fieldType = fieldOptions.find(f => f.value === fieldValue)?.type || 'text';
-  
-      const defaultOperator = fieldValue
-        ? getOperatorOptions(fieldType)[0]?.value || 'equals'
-        : '';
-  
-      onUpdate({
-        ...rule,
-        field: fieldValue,
-        operator: defaultOperator,
-        value: ''
-      }, index);
-    };
-  
-    // Handle operator change
-    const handleOperatorChange = (e) => {
-      onUpdate({
-        ...rule,
-        operator: e.target.value
-      }, index);
-    };
-  
-    // Handle value change
-    const handleValueChange = (e) => {
-      const newValue = e.target.value;
-  
-      if (valueChangeTimer.current) {
-        clearTimeout(valueChangeTimer.current);
-      }
-  
-      onUpdate({
-        ...rule,
-        value: newValue,
-      }, index);
-  
-      valueChangeTimer.current = setTimeout(async () => {
-        try {
-          await segmentService.previewSegment({
-            ...rule,
-            value: newValue,
-          });
-        } catch (error) {
-          console.error('Error sending value to backend:', error);
-        }
-      }, 500);
-    };
-  
-    useEffect(() => {
-      if (inputRef.current && document.activeElement !== inputRef.current) {
-        inputRef.current.focus();
-      }
-    }, [rule.value]);
-  
-    return (
-      <motion.div
-        initial={{ opacity: 0, y: -10 }}
-        animate={{ opacity: 1, y: 0 }}
-        exit={{ opacity: 0, height: 0, marginBottom: 0 }}
-        transition={{ duration: 0.2 }}
-        className="flex items-center gap-2 mb-3"
-      >
-        <div className="flex-1 grid grid-cols-12 gap-2">
-          <div className="col-span-12 sm:col-span-4">
-            <select
-              value={rule.field || ''}
-              onChange={handleFieldChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
-              disabled={disabled}
-            >
-              <option value="">Select field</option>
-              {fieldOptions.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
-                </option>
-              ))}
-            </select>
-          </div>
-  
-          <div className="col-span-12 sm:col-span-3">
-            <select
-              value={rule.operator || ''}
-              onChange={handleOperatorChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
-              disabled={disabled || !rule.field}
-            >
-              <option value="">Select operator</option>
-              {operatorOptions.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
-                </option>
-              ))}
-            </select>
-          </div>
-  
-          <div className="col-span-12 sm:col-span-5">
-            <input
-              ref={inputRef}
-              type={selectedField.type === 'number' ? 'number' : 'text'}
-              value={rule.value || ''}
-              onChange={handleValueChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
-              placeholder="Enter value"
-              disabled={disabled}
-            />
-          </div>
-        </div>
-  
-        {!disabled && (
-          <button
-            type="button"
-            onClick={() => onRemove(index)}
-            className="p-1 text-red-500 hover:text-red-700 transition-colors"
-            title="Remove condition"
-          >
-            <IoTrash size={18} />
-          </button>
-        )}
-      </motion.div>
-    );
-  }, (prevProps, nextProps) => {
-    // Prevent re-render if props haven't changed
-    return (
-      prevProps.rule === nextProps.rule &&
-      prevProps.index === nextProps.index &&
-      prevProps.disabled === nextProps.disabled
-    );
-  });
-  
-
-  return (
-    <div className="bg-white rounded-lg border border-gray-200 p-4">
-      <div className="mb-4">
-        <h3 className="text-lg font-medium text-gray-800 mb-2">Audience Rules</h3>
-        <p className="text-sm text-gray-600">
-          Define your audience by creating rules to filter customers based on their attributes.
-        </p>
-      </div>
-
-      <div className="mb-4">
-        <button
-          type="button"
-          onClick={toggleConditionType}
-          className={`px-3 py-1 rounded-full text-xs font-medium transition ${
-            rules.conditionType === 'AND'
-              ? 'bg-indigo-100 text-indigo-800 hover:bg-indigo-200'
-              : 'bg-purple-100 text-purple-800 hover:bg-purple-200'
-          }`}
-          disabled={disabled}
-        >
-          Match {rules.conditionType === 'AND' ? 'ALL' : 'ANY'} Conditions
-        </button>
-        <span className="text-xs text-gray-500 ml-2">
-          {rules.conditionType === 'AND'
-            ? 'Customer must meet all conditions (AND logic)'
-            : 'Customer must meet at least one condition (OR logic)'}
-        </span>
-      </div>
-
-      <div>
-        {rules.conditions.map((condition, index) => (
-          <RuleBuilder
-            key={condition.id || index}
-            rule={condition}
-            index={index}
-            onUpdate={handleUpdateCondition}
-            onRemove={handleRemoveCondition}
-          />
-        ))}
-
-        {!disabled && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            transition={{ delay: 0.2 }}
-          >
-            <button
-              type="button"
-              onClick={handleAddCondition}
-              className="mt-2 flex items-center text-sm text-indigo-600 hover:text-indigo-800 transition-colors"
-            >
-              <IoAddCircle className="mr-1" size={18} />
-              <span>Add condition</span>
-            </button>
-          </motion.div>
-        )}
-      </div>
-
-      {rules.conditions.length > 0 && (
-        <div className="mt-4 p-3 bg-blue-50 rounded-lg text-sm">
-          <strong>Audience Definition:</strong>{' '}
-          <span className="text-gray-700">
-            Include customers who meet{' '}
-            {rules.conditionType === 'AND' ? 'all' : 'any'} of the above conditions.
-          </span>
-        </div>
-      )}
-    </div>
-  );
-};
-
 // ===== COMPONENT: SegmentListPage =====
 // ===== COMPONENT: SegmentListPage =====
 const SegmentListPage = () => {
@@ -638,7 +308,7 @@ const SegmentListPage = () => {
                   </div>
                   <div>
                     <p className="text-gray-500">Conditions</p>
-                    <p className="font-medium">{segment.rules?.conditions?.length || 0}</p>
+                    <p className="font-medium">{countConditions(segment.rules)}</p>
                   </div>
                 </div>
               </div>
@@ -817,7 +487,60 @@ const SegmentCreatePage = () => {
   );
 };
 
-// ===== COMPONENT: SegmentDetailsPage =====
+// Readable value for a condition in the rule summary
+const formatConditionValue = ({ operator, value }) => {
+  if (operator === 'inLast' || operator === 'notInLast') {
+    return `${value} days`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(String).join(' and ');
+  }
+  return value === undefined || value === null ? '' : String(value);
+};
+
+// ===== COMPONENT: RuleGroupSummary =====
+// Read-only view of a rule group; nested groups are rendered recursively
+const RuleGroupSummary = ({ group, fieldNames, operatorNames, periods }) => (
+  <>
+    {(group.conditions || []).map((condition, index) => (
+      <div key={condition.id || condition._id || index} className="mb-2 last:mb-0">
+        <div className="flex items-center">
+          {index > 0 && (
+            <div className="text-sm font-medium text-gray-500 mr-2">
+              {group.conditionType}
+            </div>
+          )}
+          {isRuleGroup(condition) ? (
+            <div className="flex-grow border-l-2 border-indigo-200 pl-3 py-1">
+              <RuleGroupSummary
+                group={condition}
+                fieldNames={fieldNames}
+                operatorNames={operatorNames}
+                periods={periods}
+              />
+            </div>
+          ) : (
+            <div className="bg-white px-3 py-2 border border-gray-200 rounded-lg text-sm flex-grow">
+              <span className="font-medium">{fieldNames[condition.field] || condition.field}</span>
+              {' '}
+              <span className="text-gray-600">{(operatorNames[condition.operator] || condition.operator).toLowerCase()}</span>
+              {' '}
+              <span className="font-medium">
+                {formatConditionValue(condition)}
+              </span>
+              {condition.scope && (
+                <span className="text-gray-600">
+                  {' '}{describeConditionScope(condition.scope, periods)}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    ))}
+  </>
+);
+
 // ===== COMPONENT: SegmentDetailsPage =====
 const SegmentDetailsPage = () => {
   const { id } = useParams();
@@ -825,7 +548,9 @@ const SegmentDetailsPage = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
   const navigate = useNavigate();
+  const { fieldNames, operatorNames, periods } = useSegmentFields();
 
   useEffect(() => {
     const fetchSegmentDetails = async () => {
@@ -956,32 +681,6 @@ const SegmentDetailsPage = () => {
   const rules = segment.rules || { conditionType: 'AND', conditions: [] };
   const conditions = rules.conditions || [];
 
-  // Field name mapping for readability
-  const fieldNames = {
-    totalSpend: 'Total Spend',
-    orderCount: 'Order Count',
-    lastOrderDate: 'Last Order Date',
-    name: 'Name',
-    email: 'Email',
-    location: 'Location',
-    isActive: 'Active Status'
-  };
-
-  // Operator name mapping for readability
-  const operatorNames = {
-    equals: 'equals',
-    notEquals: 'does not equal',
-    greaterThan: 'greater than',
-    lessThan: 'less than',
-    greaterThanOrEqual: 'greater than or equal to',
-    lessThanOrEqual: 'less than or equal to',
-    contains: 'contains',
-    startsWith: 'starts with',
-    endsWith: 'ends with',
-    inLast: 'in the last',
-    notInLast: 'not in the last'
-  };
-
   return (
     <motion.div
       variants={pageVariants}
@@ -1029,28 +728,12 @@ const SegmentDetailsPage = () => {
               </div>
               <div className="bg-gray-50 p-4 rounded-lg">
                 {conditions.length > 0 ? (
-                  conditions.map((condition, index) => (
-                    <div key={index} className="mb-2 last:mb-0">
-                      <div className="flex items-center">
-                        {index > 0 && (
-                          <div className="text-sm font-medium text-gray-500 mr-2">
-                            {rules.conditionType}
-                          </div>
-                        )}
-                        <div className="bg-white px-3 py-2 border border-gray-200 rounded-lg text-sm flex-grow">
-                          <span className="font-medium">{fieldNames[condition.field] || condition.field}</span>
-                          {' '}
-                          <span className="text-gray-600">{operatorNames[condition.operator] || condition.operator}</span>
-                          {' '}
-                          <span className="font-medium">
-                            {condition.operator === 'inLast' || condition.operator === 'notInLast'
-                              ? `${condition.value} days`
-                              : condition.value}
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                  ))
+                  <RuleGroupSummary
+                    group={rules}
+                    fieldNames={fieldNames}
+                    operatorNames={operatorNames}
+                    periods={periods}
+                  />
                 ) : (
                   <div className="text-center text-gray-500 py-2">
                     No conditions defined
@@ -1156,6 +839,16 @@ const SegmentDetailsPage = () => {
                 Edit Segment
               </button>
               
+              <button
+                onClick={() => setIsExportOpen(true)}
+                className="w-full py-2 px-4 bg-white hover:bg-gray-50 text-gray-700 rounded-lg border border-gray-300 flex items-center justify-center transition"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2 text-gray-500" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
+                </svg>
+                Export Customers
+              </button>
+              
               <button
                 onClick={handleDelete}
                 className="w-full py-2 px-4 bg-white hover:bg-red-50 text-red-600 rounded-lg border border-red-300 flex items-center justify-center transition"
@@ -1169,6 +862,12 @@ const SegmentDetailsPage = () => {
           </Card>
         </div>
       </div>
+
+      <CustomerExportModal
+        isOpen={isExportOpen}
+        onClose={() => setIsExportOpen(false)}
+        segment={segment}
+      />
     </motion.div>
   );
 };
@@ -1189,7 +888,8 @@ const SegmentEditPage = () => {
       try {
         setIsLoading(true);
         // Call the actual API to get the segment details
-        const data = await segmentService.getSegmentById(id);
+        const response = await segmentService.getSegmentById(id);
+        const data = response?.data?.segment || response;
         
         setSegment(data);
         setName(data.name);
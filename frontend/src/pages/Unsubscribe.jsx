@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import customerService from '@services/customer.service';
+
+// How each channel is named to the customer
+const CHANNEL_NAMES = {
+  email: 'emails',
+  sms: 'text messages',
+  whatsapp: 'WhatsApp messages',
+  push: 'push notifications',
+};
+
+// Customers reach this page from the unsubscribe link in a message, so it
+// asks them to confirm rather than unsubscribing as soon as it is opened
+const Unsubscribe = () => {
+  const { token } = useParams();
+  const [link, setLink] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchLink = async () => {
+      try {
+        const response = await customerService.getUnsubscribeLink(token);
+        setLink(response.data);
+      } catch (err) {
+        console.error('Error reading unsubscribe link:', err);
+        setError('This unsubscribe link is invalid or has expired.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchLink();
+  }, [token]);
+
+  const handleUnsubscribe = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await customerService.unsubscribe(token);
+      setLink(response.data);
+    } catch (err) {
+      console.error('Error unsubscribing:', err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const channelName = link ? CHANNEL_NAMES[link.channel] || 'messages' : 'messages';
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 px-4 pb-20">
+      <div className="max-w-md w-full bg-white rounded-lg shadow p-8 text-center">
+        {isLoading ? (
+          <div className="flex justify-center p-6">
+            <LoadingSpinner />
+          </div>
+        ) : error ? (
+          <>
+            <h1 className="text-2xl font-semibold text-gray-800 mb-4">Link not valid</h1>
+            <p className="text-gray-600">{error}</p>
+          </>
+        ) : link.subscription === 'unsubscribed' ? (
+          <>
+            <h1 className="text-2xl font-semibold text-gray-800 mb-4">You have been unsubscribed</h1>
+            <p className="text-gray-600">
+              {link.email} will no longer receive {channelName} from our campaigns.
+            </p>
+          </>
+        ) : (
+          <>
+            <h1 className="text-2xl font-semibold text-gray-800 mb-4">Unsubscribe</h1>
+            <p className="text-gray-600 mb-8">
+              Stop sending {channelName} from our campaigns to {link.email}?
+            </p>
+            <button
+              type="button"
+              onClick={handleUnsubscribe}
+              disabled={isSubmitting}
+              className="w-full py-2 px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded-lg transition"
+            >
+              {isSubmitting ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
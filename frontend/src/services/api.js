@@ -28,7 +28,8 @@ api.interceptors.request.use(
 // Response interceptor - handle common errors
 api.interceptors.response.use(
   (response) => {
-    return response.data;
+    // Requests made with rawResponse need the status and headers, e.g. file downloads
+    return response.config.rawResponse ? response : response.data;
   },
   (error) => {
     const message = 
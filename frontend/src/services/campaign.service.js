@@ -57,6 +57,27 @@ const campaignService = {
     return await api.get(`/campaigns/${id}/stats`);
   },
 
+  /**
+   * Get the runs of a recurring campaign, newest first
+   * @param {String} id Campaign ID
+   * @param {Number} page Page number
+   * @param {Number} limit Items per page
+   * @returns {Promise<Object>} Paginated runs, each a campaign of its own
+   */
+  async getCampaignRuns(id, page = 1, limit = 20) {
+    return await api.get(`/campaigns/${id}/runs`, { params: { page, limit } });
+  },
+
+  /**
+   * Get a campaign's incremental lift over its control group
+   * @param {String} id Campaign ID
+   * @param {Object} params Query parameters such as confidence
+   * @returns {Promise<Object>} Group totals and lift with confidence intervals
+   */
+  async getCampaignLift(id, params = {}) {
+    return await api.get(`/campaigns/${id}/lift`, { params });
+  },
+
   /**
    * Get campaign communication logs
    * @param {String} id Campaign ID
@@ -68,6 +89,55 @@ const campaignService = {
     return await api.get(`/campaigns/${id}/logs`, { params: { page, limit } });
   },
 
+  /**
+   * Get campaign deliveries that failed or exhausted their retries
+   * @param {String} id Campaign ID
+   * @param {String} status DEAD_LETTER, RETRYING or FAILED
+   * @param {Number} page Page number
+   * @param {Number} limit Items per page
+   * @returns {Promise<Object>} Failed logs and a count per error message
+   */
+  async getCampaignFailures(id, status = 'DEAD_LETTER', page = 1, limit = 20) {
+    return await api.get(`/campaigns/${id}/failures`, { params: { status, page, limit } });
+  },
+
+  /**
+   * Queue dead-lettered deliveries for another round of attempts
+   * @param {String} id Campaign ID
+   * @param {Array<String>} logIds Logs to replay, all dead-lettered logs if omitted
+   * @returns {Promise<Object>} Number of replayed deliveries
+   */
+  async replayCampaignFailures(id, logIds) {
+    return await api.post(`/campaigns/${id}/failures/replay`, logIds ? { logIds } : {});
+  },
+
+  /**
+   * Pause a sending campaign; messages already handed to a vendor still go out
+   * @param {String} id Campaign ID
+   * @returns {Promise<Object>} Paused campaign
+   */
+  async pauseCampaign(id) {
+    return await api.post(`/campaigns/${id}/pause`);
+  },
+
+  /**
+   * Resume a paused campaign
+   * @param {String} id Campaign ID
+   * @returns {Promise<Object>} Resumed campaign
+   */
+  async resumeCampaign(id) {
+    return await api.post(`/campaigns/${id}/resume`);
+  },
+
+  /**
+   * Cancel a campaign, skipping the messages it has not sent
+   * @param {String} id Campaign ID
+   * @returns {Promise<Object>} Cancelled campaign and the number of skipped messages
+   */
+  async cancelCampaign(id) {
+    return await api.post(`/campaigns/${id}/cancel`);
+  },
+
   /**
    * Generate AI message suggestions for campaign
    * @param {String} segmentId Segment ID
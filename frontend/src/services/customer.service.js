@@ -40,20 +40,6 @@ const customerService = {
     return await api.delete(`/customers/${id}`);
   },
 
-  async importCustomers(file) {
-    if (!file) return Promise.reject(new Error('File is required'));
-    
-    const formData = new FormData();
-    formData.append('file', file);
-    
-    // Since api.js interceptor returns response.data already
-    return await api.post('/customers/bulk', formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-    });
-  },
-
   async getCustomerOrders(id) {
     if (!id) return Promise.reject(new Error('Customer ID is required'));
     
@@ -61,6 +47,60 @@ const customerService = {
     // we need to access .orders directly on the response
     const response = await api.get(`/customers/${id}/orders`);
     return response.orders || [];
+  },
+
+  async getCustomerTimeline(id, params = {}) {
+    if (!id) return Promise.reject(new Error('Customer ID is required'));
+
+    // Newest first; params.category takes a comma-separated list of categories
+    return await api.get(`/customers/${id}/timeline`, { params });
+  },
+
+  async updateSubscription(id, channel, status) {
+    if (!id) return Promise.reject(new Error('Customer ID is required'));
+    if (!channel || !status) return Promise.reject(new Error('Channel and status are required'));
+
+    return await api.patch(`/customers/${id}/subscriptions`, { channel, status });
+  },
+
+  async getUnsubscribeLink(token) {
+    if (!token) return Promise.reject(new Error('Unsubscribe token is required'));
+
+    // Public; only looks the link up, so opening it never unsubscribes anyone
+    return await api.get(`/subscriptions/unsubscribe/${token}`);
+  },
+
+  async unsubscribe(token) {
+    if (!token) return Promise.reject(new Error('Unsubscribe token is required'));
+
+    return await api.post(`/subscriptions/unsubscribe/${token}`);
+  },
+
+  async getDuplicates(params = {}) {
+    // Open candidates, highest score first, unless params.status says otherwise
+    return await api.get('/customers/duplicates', { params });
+  },
+
+  async scanDuplicates() {
+    return await api.post('/customers/duplicates/scan');
+  },
+
+  async dismissDuplicate(candidateId) {
+    if (!candidateId) return Promise.reject(new Error('Candidate ID is required'));
+
+    return await api.post(`/customers/duplicates/${candidateId}/dismiss`);
+  },
+
+  async mergeCustomers(survivorId, customerIds) {
+    if (!survivorId) return Promise.reject(new Error('Customer ID is required'));
+    if (!customerIds || customerIds.length === 0) return Promise.reject(new Error('Customers to merge are required'));
+
+    // The survivor keeps its own values and takes the history of the merged customers
+    return await api.post(`/customers/${survivorId}/merge`, { customerIds });
+  },
+
+  async getMerges(params = {}) {
+    return await api.get('/customers/merges', { params });
   }
 };
 
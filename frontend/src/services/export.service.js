@@ -0,0 +1,63 @@
+import api from './api';
+
+const exportService = {
+  /**
+   * Get the columns that can be chosen for a customer export
+   * @returns {Promise<Object>} Columns, default columns, formats and the metadata prefix
+   */
+  async getExportColumns() {
+    return await api.get('/exports/columns');
+  },
+
+  /**
+   * Export customers matching the list filters
+   * Small exports respond 200 with the file; large ones respond 202 with a background export job
+   * @param {Object} params format, columns (comma separated), search and isActive
+   * @returns {Promise<Object>} Full response, with the file or export job as a Blob in data
+   */
+  async exportCustomers(params = {}) {
+    return await api.get('/customers/export', { params, responseType: 'blob', rawResponse: true });
+  },
+
+  /**
+   * Export the customers of a segment
+   * Small exports respond 200 with the file; large ones respond 202 with a background export job
+   * @param {String} segmentId Segment ID
+   * @param {Object} params format and columns (comma separated)
+   * @returns {Promise<Object>} Full response, with the file or export job as a Blob in data
+   */
+  async exportSegment(segmentId, params = {}) {
+    if (!segmentId) return Promise.reject(new Error('Segment ID is required'));
+
+    return await api.get(`/segments/${segmentId}/export`, { params, responseType: 'blob', rawResponse: true });
+  },
+
+  /**
+   * Get a background export's progress
+   * @param {String} id Export job ID
+   * @returns {Promise<Object>} Export job
+   */
+  async getExport(id) {
+    return await api.get(`/exports/${id}`);
+  },
+
+  /**
+   * Download the file of a completed background export
+   * @param {String} id Export job ID
+   * @returns {Promise<Object>} Full response, with the file as a Blob in data
+   */
+  async downloadExport(id) {
+    return await api.get(`/exports/${id}/download`, { responseType: 'blob', rawResponse: true });
+  },
+
+  /**
+   * Get recent background exports
+   * @param {Object} params Query parameters such as page and limit
+   * @returns {Promise<Object>} Paginated exports list
+   */
+  async getExports(params = {}) {
+    return await api.get('/exports', { params });
+  },
+};
+
+export default exportService;
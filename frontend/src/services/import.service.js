@@ -0,0 +1,59 @@
+import api from './api';
+
+const importService = {
+  /**
+   * Get the customer fields that file columns can be mapped to
+   * @returns {Promise<Object>} Fields and the metadata prefix
+   */
+  async getImportFields() {
+    return await api.get('/imports/fields');
+  },
+
+  /**
+   * Upload a CSV or JSON file of customers
+   * @param {File} file File to import
+   * @returns {Promise<Object>} Import job with the file's columns, sample rows and a suggested mapping
+   */
+  async uploadImportFile(file) {
+    if (!file) return Promise.reject(new Error('File is required'));
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return await api.post('/imports', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  /**
+   * Confirm the column mapping and start an import
+   * @param {String} id Import job ID
+   * @param {Array} mapping { column, field } entries
+   * @returns {Promise<Object>} Started import job
+   */
+  async startImport(id, mapping) {
+    return await api.post(`/imports/${id}/start`, { mapping });
+  },
+
+  /**
+   * Get an import's progress and row errors
+   * @param {String} id Import job ID
+   * @returns {Promise<Object>} Import job
+   */
+  async getImport(id) {
+    return await api.get(`/imports/${id}`);
+  },
+
+  /**
+   * Get recent imports
+   * @param {Object} params Query parameters such as page and limit
+   * @returns {Promise<Object>} Paginated imports list
+   */
+  async getImports(params = {}) {
+    return await api.get('/imports', { params });
+  },
+};
+
+export default importService;
@@ -0,0 +1,88 @@
+import api from './api';
+
+const journeyService = {
+  /**
+   * Get journeys, optionally filtered
+   * @param {Object} params Query parameters such as status, search, page and limit
+   * @returns {Promise<Object>} Paginated journeys list
+   */
+  async getAllJourneys(params = {}) {
+    return await api.get('/journeys', { params });
+  },
+
+  /**
+   * Get a journey with the number of customers at each step
+   * @param {String} id Journey ID
+   * @returns {Promise<Object>} Journey and step stats
+   */
+  async getJourneyById(id) {
+    return await api.get(`/journeys/${id}`);
+  },
+
+  /**
+   * Create a new journey as a draft
+   * @param {Object} journeyData Name, description, channel, entry, steps and startStep
+   * @returns {Promise<Object>} Created journey
+   */
+  async createJourney(journeyData) {
+    return await api.post('/journeys', journeyData);
+  },
+
+  /**
+   * Update a journey; entry and steps only change while it is a draft or paused
+   * @param {String} id Journey ID
+   * @param {Object} journeyData Updated journey data
+   * @returns {Promise<Object>} Updated journey
+   */
+  async updateJourney(id, journeyData) {
+    return await api.patch(`/journeys/${id}`, journeyData);
+  },
+
+  /**
+   * Delete a journey no customer has entered
+   * @param {String} id Journey ID
+   * @returns {Promise<Object>} Response
+   */
+  async deleteJourney(id) {
+    return await api.delete(`/journeys/${id}`);
+  },
+
+  /**
+   * Activate a journey, so customers enter it and move through it
+   * @param {String} id Journey ID
+   * @returns {Promise<Object>} Activated journey
+   */
+  async activateJourney(id) {
+    return await api.post(`/journeys/${id}/activate`);
+  },
+
+  /**
+   * Pause a journey; its customers stay at their steps
+   * @param {String} id Journey ID
+   * @returns {Promise<Object>} Paused journey
+   */
+  async pauseJourney(id) {
+    return await api.post(`/journeys/${id}/pause`);
+  },
+
+  /**
+   * Archive a journey, taking every customer out of it
+   * @param {String} id Journey ID
+   * @returns {Promise<Object>} Archived journey and the number of customers taken out
+   */
+  async archiveJourney(id) {
+    return await api.post(`/journeys/${id}/archive`);
+  },
+
+  /**
+   * Get the customers who entered a journey
+   * @param {String} id Journey ID
+   * @param {Object} params Query parameters such as status, step, page and limit
+   * @returns {Promise<Object>} Paginated enrollments
+   */
+  async getJourneyEnrollments(id, params = {}) {
+    return await api.get(`/journeys/${id}/enrollments`, { params });
+  }
+};
+
+export default journeyService;
@@ -1,4 +1,5 @@
 import api from './api';
+import { isRuleGroup, NO_VALUE_OPERATORS } from '../utils/segmentRules';
 
 const segmentService = {
   /**
@@ -9,6 +10,14 @@ const segmentService = {
     return await api.get('/segments');
   },
 
+  /**
+   * Get the customer fields and operators available to segment rules
+   * @returns {Promise<Object>} Field registry with fields and operators
+   */
+  async getSegmentFields() {
+    return await api.get('/segments/fields');
+  },
+
   /**
    * Get segment by ID
    * @param {String} id Segment ID
@@ -34,7 +43,7 @@ const segmentService = {
    * @returns {Promise<Object>} Updated segment
    */
   async updateSegment(id, segmentData) {
-    return await api.put(`/segments/${id}`, segmentData);
+    return await api.patch(`/segments/${id}`, segmentData);
   },
 
   /**
@@ -105,9 +114,15 @@ const segmentService = {
       return false;
     }
     
-    // Check each condition for completeness
+    // Check each condition for completeness, descending into nested groups
     for (const condition of rules.conditions) {
-      if (!condition.field || !condition.operator || condition.value === undefined || condition.value === '') {
+      if (isRuleGroup(condition)) {
+        if (!this.validateRules(condition)) {
+          return false;
+        }
+      } else if (!condition.field || !condition.operator) {
+        return false;
+      } else if (!NO_VALUE_OPERATORS.includes(condition.operator) && (condition.value === undefined || condition.value === '')) {
         return false;
       }
     }
@@ -0,0 +1,58 @@
+import api from './api';
+
+const suppressionService = {
+  /**
+   * Get the suppression list, newest first
+   * @param {Object} params Query parameters such as type, reason, search, page and limit
+   * @returns {Promise<Object>} Paginated suppression list
+   */
+  async getSuppressions(params = {}) {
+    return await api.get('/suppressions', { params });
+  },
+
+  /**
+   * Add an email address, phone number or domain to the suppression list
+   * @param {Object} suppression { type, value, reason, note }
+   * @returns {Promise<Object>} Created entry
+   */
+  async createSuppression(suppression) {
+    if (!suppression) return Promise.reject(new Error('Suppression is required'));
+
+    return await api.post('/suppressions', suppression);
+  },
+
+  /**
+   * Upload a CSV file of entries
+   * @param {File} file CSV file with a header row
+   * @param {Object} defaults { type, reason, note } for rows without them
+   * @returns {Promise<Object>} Report of the rows added, already listed and rejected
+   */
+  async uploadSuppressions(file, defaults = {}) {
+    if (!file) return Promise.reject(new Error('File is required'));
+
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(defaults)
+      .filter(([, value]) => value)
+      .forEach(([key, value]) => formData.append(key, value));
+
+    return await api.post('/suppressions/upload', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  /**
+   * Remove an entry from the suppression list
+   * @param {String} id Suppression ID
+   * @returns {Promise<Object>} Empty response
+   */
+  async deleteSuppression(id) {
+    if (!id) return Promise.reject(new Error('Suppression ID is required'));
+
+    return await api.delete(`/suppressions/${id}`);
+  },
+};
+
+export default suppressionService;
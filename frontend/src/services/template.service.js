@@ -0,0 +1,61 @@
+import api from './api';
+
+const templateService = {
+  /**
+   * Get templates, optionally filtered
+   * @param {Object} params Query parameters such as channel, tag, search, isActive, page and limit
+   * @returns {Promise<Object>} Paginated templates list
+   */
+  async getAllTemplates(params = {}) {
+    return await api.get('/templates', { params });
+  },
+
+  /**
+   * Get a template with all its versions
+   * @param {String} id Template ID
+   * @returns {Promise<Object>} Template data
+   */
+  async getTemplateById(id) {
+    return await api.get(`/templates/${id}`);
+  },
+
+  /**
+   * Get one version of a template
+   * @param {String} id Template ID
+   * @param {Number} version Version number
+   * @returns {Promise<Object>} Template version
+   */
+  async getTemplateVersion(id, version) {
+    return await api.get(`/templates/${id}/versions/${version}`);
+  },
+
+  /**
+   * Create a new template
+   * @param {Object} templateData Name, channel, tags, subject, htmlBody and textBody
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(templateData) {
+    return await api.post('/templates', templateData);
+  },
+
+  /**
+   * Update a template; content changes are saved as a new version
+   * @param {String} id Template ID
+   * @param {Object} templateData Updated template data
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(id, templateData) {
+    return await api.patch(`/templates/${id}`, templateData);
+  },
+
+  /**
+   * Delete a template
+   * @param {String} id Template ID
+   * @returns {Promise<Object>} Response
+   */
+  async deleteTemplate(id) {
+    return await api.delete(`/templates/${id}`);
+  }
+};
+
+export default templateService;
@@ -142,7 +142,7 @@ export const debounce = (func, wait = 300) => {
   
   /**
    * Download data as a file
-   * @param {Object|Array} data - Data to download
+   * @param {Object|Array|Blob} data - Data to download; a Blob is saved as it is
    * @param {string} filename - File name
    * @param {string} type - File type (json, csv)
    */
@@ -150,7 +150,10 @@ export const debounce = (func, wait = 300) => {
     let content;
     let mimeType;
     
-    if (type === 'json') {
+    if (data instanceof Blob) {
+      content = data;
+      mimeType = data.type;
+    } else if (type === 'json') {
       content = JSON.stringify(data, null, 2);
       mimeType = 'application/json';
     } else if (type === 'csv') {
@@ -208,4 +211,99 @@ export const debounce = (func, wait = 300) => {
       .join('')
       .toUpperCase()
       .substr(0, 2);
-  };
\ No newline at end of file
+  };
+  /**
+   * Get the browser's time zone
+   * @returns {string} IANA time zone, e.g. Asia/Kolkata
+   */
+  export const getBrowserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+  
+  /**
+   * List the time zones the browser knows
+   * @returns {string[]} IANA time zones
+   */
+  export const getTimezones = () => {
+    const timezones = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : [getBrowserTimezone()];
+    
+    return timezones.includes('UTC') ? timezones : ['UTC', ...timezones];
+  };
+  
+  /**
+   * Read a date and time without a zone, e.g. a datetime-local value, as a wall-clock time in a time zone
+   * @param {string} value - Date and time, e.g. 2024-05-01T09:00
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} Instant the wall-clock time occurs at
+   */
+  export const zonedTimeToDate = (value, timeZone) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    });
+    
+    // Offset of the time zone from UTC at an instant
+    const offsetAt = (time) => {
+      const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map((part) => [part.type, Number(part.value)]));
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(time / 60000) * 60000;
+    };
+    
+    const wall = new Date(`${value}Z`).getTime();
+    
+    // The offset at the result differs from the first guess across a daylight saving change
+    return new Date(wall - offsetAt(wall - offsetAt(wall)));
+  };
+  
+  /**
+   * Get the badge classes for a campaign status
+   * @param {string} status - Campaign status
+   * @returns {string} Tailwind classes
+   */
+  export const getCampaignStatusClass = (status) => {
+    switch (status) {
+      case 'Scheduled':
+        return 'bg-purple-100 text-purple-800';
+      case 'Sending':
+        return 'bg-blue-100 text-blue-800';
+      case 'Recurring':
+        return 'bg-teal-100 text-teal-800';
+      case 'Paused':
+        return 'bg-orange-100 text-orange-800';
+      case 'Completed':
+        return 'bg-green-100 text-green-800';
+      case 'Cancelled':
+        return 'bg-gray-100 text-gray-800';
+      case 'Failed':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-yellow-100 text-yellow-800';
+    }
+  };
+  
+  // Names of the days of the week, from Sunday as 0
+  export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  
+  /**
+   * Describe the schedule of a recurring campaign, e.g. "Every Monday at 09:00"
+   * @param {Object} recurrence - { frequency, time, daysOfWeek, dayOfMonth, cron }
+   * @returns {string} Description, empty for campaigns that do not repeat
+   */
+  export const describeRecurrence = (recurrence) => {
+    switch (recurrence?.frequency) {
+      case 'daily':
+        return `Every day at ${recurrence.time}`;
+      case 'weekly':
+        return `Every ${(recurrence.daysOfWeek || []).map((day) => WEEKDAY_NAMES[day]).join(', ')} at ${recurrence.time}`;
+      case 'monthly':
+        return `Day ${recurrence.dayOfMonth} of every month at ${recurrence.time}`;
+      case 'cron':
+        return `Cron schedule ${recurrence.cron}`;
+      default:
+        return '';
+    }
+  };
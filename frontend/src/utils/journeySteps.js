@@ -0,0 +1,115 @@
+/**
+ * Step types a journey can use, with their label and node colors in the editor
+ */
+export const STEP_TYPES = {
+  send: { label: 'Send message', color: 'border-blue-400 bg-blue-50' },
+  wait: { label: 'Wait', color: 'border-amber-400 bg-amber-50' },
+  wait_event: { label: 'Wait for event', color: 'border-purple-400 bg-purple-50' },
+  branch: { label: 'Branch', color: 'border-teal-400 bg-teal-50' },
+  exit: { label: 'Exit', color: 'border-gray-400 bg-gray-100' }
+};
+
+/**
+ * Size of a step node on the editor canvas, in pixels
+ */
+export const NODE_WIDTH = 200;
+export const NODE_HEIGHT = 72;
+
+/**
+ * Labels of the links leaving each step type; steps not listed only have next
+ */
+export const LINK_LABELS = {
+  branch: { next: 'Yes', otherwise: 'No' },
+  wait_event: { next: 'Event', otherwise: 'Timeout' }
+};
+
+const ENGAGEMENT_LABELS = {
+  delivered: 'was delivered',
+  clicked: 'was clicked',
+  replied: 'was replied to'
+};
+
+/**
+ * Create a step with a key no other step uses, placed below the lowest step
+ * @param {string} type - Step type
+ * @param {Array<Object>} steps - Steps of the journey
+ * @returns {Object} New step
+ */
+export const createStep = (type, steps) => {
+  let index = steps.length + 1;
+  while (steps.some((step) => step.key === `${type}_${index}`)) {
+    index += 1;
+  }
+
+  const lowest = steps.reduce((bottom, step) => Math.max(bottom, step.position?.y || 0), -NODE_HEIGHT);
+  const step = {
+    key: `${type}_${index}`,
+    type,
+    position: { x: 40, y: lowest + NODE_HEIGHT + 48 }
+  };
+
+  if (type === 'wait') {
+    Object.assign(step, { duration: 1, unit: 'days' });
+  } else if (type === 'branch') {
+    step.branchOn = 'engagement';
+    step.engagement = 'clicked';
+  }
+
+  return step;
+};
+
+/**
+ * Describe what a step does in a few words, for its node
+ * @param {Object} step - Journey step
+ * @param {Object} segmentNames - Segment names keyed by ID
+ * @returns {string} Description
+ */
+export const describeStep = (step, segmentNames = {}) => {
+  const duration = step.duration !== undefined && step.duration !== null && step.duration !== ''
+    ? `${step.duration} ${step.unit || 'hours'}`
+    : null;
+
+  switch (step.type) {
+    case 'send':
+      return step.subject || step.message || 'No message yet';
+    case 'wait':
+      return duration ? `for ${duration}` : 'No duration yet';
+    case 'wait_event':
+      return `${step.event || 'an event'}${duration ? `, up to ${duration}` : ''}`;
+    case 'branch':
+      if (step.branchOn === 'segment') {
+        return `In ${segmentNames[step.segmentId] || 'a segment'}?`;
+      }
+      return `Last message ${ENGAGEMENT_LABELS[step.engagement] || 'engaged with'}?`;
+    default:
+      return 'Leaves the journey';
+  }
+};
+
+/**
+ * Remove a step and the links to it
+ * @param {Array<Object>} steps - Steps of the journey
+ * @param {string} key - Key of the step to remove
+ * @returns {Array<Object>} Remaining steps
+ */
+export const removeStep = (steps, key) => steps
+  .filter((step) => step.key !== key)
+  .map((step) => ({
+    ...step,
+    next: step.next === key ? undefined : step.next,
+    otherwise: step.otherwise === key ? undefined : step.otherwise
+  }));
+
+/**
+ * Collect the validation errors of one step from the errors of a whole journey
+ * @param {Object} errors - Messages keyed by path, e.g. { 'steps.2.next': '...' }
+ * @param {number} index - Index of the step
+ * @returns {Object} Messages keyed by field
+ */
+export const getStepErrors = (errors, index) => Object.entries(errors || {}).reduce((stepErrors, [path, message]) => {
+  const prefix = `steps.${index}.`;
+  if (path.startsWith(prefix)) {
+    stepErrors[path.slice(prefix.length)] = message;
+  }
+  return stepErrors;
+}, {});
@@ -0,0 +1,103 @@
+/**
+ * Deepest nesting allowed below the root group (matches the backend limit)
+ */
+export const MAX_GROUP_DEPTH = 5;
+
+/**
+ * Operators that match on the field alone and take no value
+ */
+export const NO_VALUE_OPERATORS = ['isNull', 'isNotNull'];
+
+/**
+ * Check whether a rule node is a group of conditions
+ * @param {Object} node - Rule node
+ * @returns {boolean} Whether the node is a group
+ */
+export const isRuleGroup = (node) => Boolean(node) && Array.isArray(node.conditions);
+
+/**
+ * Create an empty condition
+ * @returns {Object} New condition
+ */
+export const createCondition = () => ({
+  id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  field: '',
+  operator: '',
+  value: ''
+});
+
+// Empty value of each scope key; the period defaults to all time
+const SCOPE_DEFAULTS = {
+  event: '',
+  product: '',
+  category: '',
+  period: 'allTime'
+};
+
+/**
+ * Create the scope of a computed field condition (order or event field)
+ * @param {Array<string>} keys - Scope keys the field takes, e.g. ['event', 'period']
+ * @param {Object} previous - Scope to carry values over from, if any
+ * @returns {Object} New scope
+ */
+export const createConditionScope = (keys = [], previous = {}) => keys.reduce((scope, key) => {
+  scope[key] = previous[key] ?? SCOPE_DEFAULTS[key];
+  if (key === 'period' && previous.period === 'lastDays') {
+    scope.days = previous.days;
+  }
+  return scope;
+}, {});
+
+/**
+ * Describe the scope of a computed field condition for display
+ * @param {Object} scope - Condition scope
+ * @param {Object} periods - Period labels keyed by name
+ * @returns {string} e.g. "of event page_view, in the last 30 days"
+ */
+export const describeConditionScope = (scope, periods = {}) => {
+  if (!scope) {
+    return '';
+  }
+
+  const parts = [];
+  if (scope.event) {
+    parts.push(`of event ${scope.event}`);
+  }
+  if (scope.product) {
+    parts.push(`for product ${scope.product}`);
+  }
+  if (scope.category) {
+    parts.push(`in category ${scope.category}`);
+  }
+  if (scope.period === 'lastDays') {
+    parts.push(`in the last ${scope.days} days`);
+  } else if (scope.period && scope.period !== 'allTime') {
+    parts.push((periods[scope.period] || scope.period).toLowerCase());
+  }
+
+  return parts.join(', ');
+};
+
+/**
+ * Create a group holding a single empty condition
+ * @param {string} conditionType - AND or OR
+ * @returns {Object} New group
+ */
+export const createRuleGroup = (conditionType = 'AND') => ({
+  id: `group_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  conditionType,
+  conditions: [createCondition()]
+});
+
+/**
+ * Count the leaf conditions in a rule tree
+ * @param {Object} node - Rule group or condition
+ * @returns {number} Number of conditions
+ */
+export const countConditions = (node) => {
+  if (!isRuleGroup(node)) {
+    return node ? 1 : 0;
+  }
+
+  return node.conditions.reduce((sum, child) => sum + countConditions(child), 0);
+};
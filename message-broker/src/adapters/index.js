@@ -0,0 +1,87 @@
+const config = require('../config');
+const sandboxAdapter = require('./sandboxAdapter');
+const smtpAdapter = require('./smtpAdapter');
+const webhookAdapter = require('./webhookAdapter');
+
+/**
+ * Channel adapter registry
+ *
+ * An adapter is an object with:
+ * - name: unique adapter name, referenced from config.channels.adapters
+ * - recipientFields: map of supported channel to the customer field that
+ *   holds the recipient for it (dot paths are allowed, e.g. metadata.pushToken)
+ * - send(message): message carries an idempotencyKey that is the same on every
+ *   attempt and should be passed to the vendor where it supports one, and the
+ *   customer's unsubscribeUrl for vendors that show their own unsubscribe option;
+ *   resolves to { success, error, vendorMessageId } and may set
+ *   rateLimited: true when the vendor rejected the message for exceeding its quota,
+ *   and retryable to classify a failure instead of matching on the error text
+ */
+
+// Channels a campaign can be sent on
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+
+const adapters = {};
+
+/**
+ * Register an adapter
+ * @param {Object} adapter - Adapter implementation
+ */
+const registerAdapter = (adapter) => {
+  adapters[adapter.name] = adapter;
+};
+
+/**
+ * Get an adapter by name
+ * @param {String} name - Adapter name
+ * @returns {Object|undefined} Adapter
+ */
+const getAdapter = (name) => adapters[name];
+
+/**
+ * Get the adapter configured for a channel
+ * @param {String} channel - Channel name
+ * @returns {Object} Adapter
+ * @throws {Error} If the channel or its adapter is not available
+ */
+const getAdapterForChannel = (channel) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unsupported channel: ${channel}`);
+  }
+  
+  const name = config.channels.adapters[channel];
+  const adapter = adapters[name];
+  
+  if (!adapter) {
+    throw new Error(`Unknown adapter '${name}' configured for channel ${channel}`);
+  }
+  
+  if (!adapter.recipientFields[channel]) {
+    throw new Error(`Adapter '${name}' does not support channel ${channel}`);
+  }
+  
+  return adapter;
+};
+
+/**
+ * Read the recipient for a channel from a customer
+ * @param {Object} adapter - Adapter
+ * @param {String} channel - Channel name
+ * @param {Object} customer - Customer document
+ * @returns {String|undefined} Recipient address, number or token
+ */
+const getRecipient = (adapter, channel, customer) => {
+  const path = adapter.recipientFields[channel];
+  
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), customer);
+};
+
+[sandboxAdapter, smtpAdapter, webhookAdapter].forEach(registerAdapter);
+
+module.exports = {
+  CHANNELS,
+  registerAdapter,
+  getAdapter,
+  getAdapterForChannel,
+  getRecipient,
+};
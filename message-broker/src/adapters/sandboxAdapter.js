@@ -0,0 +1,71 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Sandbox adapter
+ * Simulates delivery on every channel without contacting a real vendor,
+ * failing a configurable share of messages with a random vendor error
+ */
+
+/**
+ * Generate a random vendor message ID
+ * @returns {String} Random ID
+ */
+function generateVendorMessageId() {
+  return `msg_${Math.random().toString(36).substring(2, 15)}`;
+}
+
+/**
+ * Get a random error message
+ * @returns {String} Error message
+ */
+function getRandomError() {
+  const errors = [
+    'Invalid recipient address',
+    'Recipient mailbox full',
+    'Temporary service unavailability',
+    'Rate limit exceeded',
+    'Network connectivity issue',
+    'Invalid sender address',
+    'Message too large',
+    'Recipient opted out',
+  ];
+  
+  return errors[Math.floor(Math.random() * errors.length)];
+}
+
+module.exports = {
+  name: 'sandbox',
+  
+  // Customer field holding the recipient for each supported channel
+  recipientFields: {
+    email: 'email',
+    sms: 'phone',
+    whatsapp: 'phone',
+    push: 'metadata.pushToken',
+  },
+  
+  /**
+   * Simulate sending a message
+   * @param {Object} message - Message details
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send(message) {
+    const { messageId, channel, to } = message;
+    
+    logger.debug(`Sandbox sending ${channel} message ${messageId} to ${to}`);
+    
+    // Simulate network delay (50-200ms)
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 150 + 50));
+    
+    // Simulate success/failure based on configured success rate
+    const successRate = config.campaign.deliverySuccessRate || 0.9;
+    const isSuccess = Math.random() < successRate;
+    
+    return {
+      success: isSuccess,
+      error: isSuccess ? null : getRandomError(),
+      vendorMessageId: isSuccess ? generateVendorMessageId() : null,
+    };
+  },
+};
@@ -0,0 +1,92 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * SMTP adapter
+ * Sends email through any SMTP server, e.g. a local test server such as
+ * MailHog or smtp4dev listening on SMTP_HOST:SMTP_PORT. Email messages are
+ * rendered as HTML, so they are sent as an HTML part with a plain text
+ * alternative.
+ */
+
+// Entities produced by the template engine's HTML escaping
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Convert a rendered email message to plain text
+ * @param {String} html - Rendered message
+ * @returns {String} Plain text
+ */
+const toPlainText = (html) => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity]);
+
+let transporter = null;
+
+/**
+ * Get the shared SMTP transporter, creating it on first use
+ * @returns {Object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined,
+    });
+  }
+  
+  return transporter;
+};
+
+module.exports = {
+  name: 'smtp',
+  
+  // Customer field holding the recipient for each supported channel
+  recipientFields: {
+    email: 'email',
+  },
+  
+  /**
+   * Send a message as an email
+   * @param {Object} message - Message details
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send(message) {
+    const { messageId, idempotencyKey, to, message: content, subject, campaignName, unsubscribeUrl } = message;
+    
+    logger.debug(`SMTP sending message ${messageId} to ${to}`);
+    
+    const info = await getTransporter().sendMail({
+      from: config.smtp.from,
+      to,
+      subject: subject || campaignName || 'Message from Xeno CRM',
+      // Bodies from HTML templates are sent as they are; plain text keeps its line breaks
+      html: /<[a-z][\s\S]*>/i.test(content) ? content : content.replace(/\r?\n/g, '<br>\n'),
+      text: toPlainText(content),
+      // A stable Message-ID lets servers and clients that dedupe on it drop resends
+      messageId: `<${idempotencyKey || messageId}@${config.smtp.host}>`,
+      headers: { 'X-Message-Id': messageId },
+      // Lets mail clients show their own unsubscribe button
+      list: unsubscribeUrl ? { unsubscribe: unsubscribeUrl } : undefined,
+    });
+    
+    // Recipients the server refused are reported instead of throwing
+    if (info.rejected && info.rejected.length > 0) {
+      return {
+        success: false,
+        error: `Recipient rejected by SMTP server: ${info.rejected.join(', ')}`,
+        vendorMessageId: info.messageId || null,
+      };
+    }
+    
+    return {
+      success: true,
+      error: null,
+      vendorMessageId: info.messageId || null,
+    };
+  },
+};
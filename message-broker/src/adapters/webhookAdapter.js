@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * HTTP webhook adapter
+ * POSTs each message as JSON to WEBHOOK_ADAPTER_URL, so any vendor can be
+ * bridged with a small HTTP service. Email messages are HTML, other channels
+ * plain text. The body is signed with an HMAC-SHA256
+ * of WEBHOOK_ADAPTER_SECRET in the X-Signature header when a secret is set.
+ * The Idempotency-Key header is the same on every attempt of a message, so the
+ * receiving service can ignore resends of a message it has already accepted.
+ * A 2xx response counts as sent; `vendorMessageId` (or `id`) in the JSON
+ * response body is recorded against the log. A 429 response pauses the vendor
+ * and 5xx responses are retried.
+ */
+
+module.exports = {
+  name: 'webhook',
+  
+  // Customer field holding the recipient for each supported channel
+  recipientFields: {
+    email: 'email',
+    sms: 'phone',
+    whatsapp: 'phone',
+    push: 'metadata.pushToken',
+  },
+  
+  /**
+   * Send a message to the configured webhook
+   * @param {Object} message - Message details
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send(message) {
+    if (!config.webhook.url) {
+      throw new Error('WEBHOOK_ADAPTER_URL is not configured');
+    }
+    
+    const { messageId, idempotencyKey, channel, to, message: content, subject, customerName, campaignName, unsubscribeUrl } = message;
+    const body = JSON.stringify({
+      messageId,
+      idempotencyKey,
+      channel,
+      to,
+      message: content,
+      subject,
+      customerName,
+      campaignName,
+      unsubscribeUrl,
+    });
+    
+    const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey || messageId };
+    if (config.webhook.secret) {
+      headers['X-Signature'] = crypto.createHmac('sha256', config.webhook.secret).update(body).digest('hex');
+    }
+    
+    logger.debug(`Webhook sending ${channel} message ${messageId} to ${to}`);
+    
+    const response = await fetch(config.webhook.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(config.webhook.timeout),
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+      return {
+        success: false,
+        rateLimited: response.status === 429,
+        retryable: response.status >= 500,
+        error: data.error || `Webhook responded with ${response.status}`,
+        vendorMessageId: null,
+      };
+    }
+    
+    return {
+      success: true,
+      error: null,
+      vendorMessageId: data.vendorMessageId || data.id || null,
+    };
+  },
+};
@@ -1,8 +1,12 @@
 require('dotenv').config();
+const os = require('os');
 
 module.exports = {
   nodeEnv: process.env.NODE_ENV || 'development',
   
+  // Identifies this broker instance in stream consumer groups and delivery leases
+  instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+  
   // MongoDB configuration
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/xeno-crm',
@@ -31,16 +35,136 @@ module.exports = {
     }
   },
   
+  // Redis Streams consumer configuration
+  streams: {
+    // Must match REDIS_STREAM_PREFIX in the backend
+    prefix: process.env.REDIS_STREAM_PREFIX || 'stream:',
+    group: process.env.STREAM_GROUP || 'message-broker',
+    // Unique per broker instance so pending entries can be traced and reclaimed
+    consumer: process.env.STREAM_CONSUMER || process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    batchSize: parseInt(process.env.STREAM_BATCH_SIZE || '10', 10),
+    blockMs: parseInt(process.env.STREAM_BLOCK_MS || '5000', 10),
+    // Entries unacknowledged for minIdleMs are claimed by another consumer and retried; acknowledged ones are trimmed on the same interval
+    reclaimIntervalMs: parseInt(process.env.STREAM_RECLAIM_INTERVAL_MS || '30000', 10),
+    minIdleMs: parseInt(process.env.STREAM_MIN_IDLE_MS || '60000', 10),
+    // Entries delivered this many times without success are parked in the dead-letter stream
+    maxDeliveries: parseInt(process.env.STREAM_MAX_DELIVERIES || '5', 10)
+  },
+  
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     file: process.env.LOG_FILE || 'logs/message-broker.log'
   },
   
+  // Order ingestion configuration
+  orders: {
+    // Must match STORE_CURRENCY in the backend
+    currency: (process.env.STORE_CURRENCY || 'INR').toUpperCase()
+  },
+  
+  // Customer event ingestion configuration
+  events: {
+    // Must match EVENTS_RETENTION_DAYS in the backend
+    retentionDays: parseInt(process.env.EVENTS_RETENTION_DAYS || '0', 10)
+  },
+  
+  // Duplicate customer detection configuration
+  duplicates: {
+    // Pairs scoring at least this much (0 to 1) become duplicate candidates
+    minScore: parseFloat(process.env.DUPLICATE_MIN_SCORE || '0.7'),
+    // Phone numbers shared by more customers than this (e.g. a store's number) are skipped
+    maxGroupSize: parseInt(process.env.DUPLICATE_MAX_GROUP_SIZE || '25', 10),
+    // How often the scan runs on its own (0 disables it)
+    scanIntervalHours: parseFloat(process.env.DUPLICATE_SCAN_INTERVAL_HOURS || '24')
+  },
+  
+  // Channel subscription configuration
+  subscriptions: {
+    // Must match UNSUBSCRIBE_SECRET and UNSUBSCRIBE_URL in the backend
+    secret: process.env.UNSUBSCRIBE_SECRET || 'your-unsubscribe-secret-should-be-long-and-secure',
+    unsubscribeUrl: process.env.UNSUBSCRIBE_URL || 'http://localhost:3000/unsubscribe'
+  },
+  
   // Campaign delivery configuration
   campaign: {
     deliverySuccessRate: process.env.CAMPAIGN_DELIVERY_SUCCESS_RATE || 0.9, // 90% success rate
     maxBatchSize: process.env.CAMPAIGN_MAX_BATCH_SIZE || 100,
-    processingInterval: process.env.CAMPAIGN_PROCESSING_INTERVAL || 1000 // 1 second
+    processingInterval: process.env.CAMPAIGN_PROCESSING_INTERVAL || 1000, // 1 second
+    // Time zone of campaigns that don't name one, also used for customers without a known time zone
+    defaultTimezone: process.env.CAMPAIGN_DEFAULT_TIMEZONE || 'UTC'
+  },
+  
+  // Journey scheduler configuration
+  journeys: {
+    // How often segment journeys take in new members and due customers move on
+    processingInterval: parseInt(process.env.JOURNEY_PROCESSING_INTERVAL || '60000', 10),
+    // Customers moved on in each run; the rest wait for the next run
+    batchSize: parseInt(process.env.JOURNEY_BATCH_SIZE || '500', 10)
+  },
+  
+  // Retry policy for deliveries that fail with a retryable error
+  retry: {
+    maxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '5', 10),
+    // Delay before the first retry, doubled for every further attempt
+    baseDelayMs: parseInt(process.env.DELIVERY_RETRY_BASE_DELAY_MS || '30000', 10),
+    maxDelayMs: parseInt(process.env.DELIVERY_RETRY_MAX_DELAY_MS || '3600000', 10)
+  },
+  
+  // Logs are claimed for delivery under a lease; a lease that expires before the
+  // send is recorded (e.g. the instance crashed) lets another instance take the log
+  delivery: {
+    leaseMs: parseInt(process.env.DELIVERY_LEASE_MS || '300000', 10)
+  },
+  
+  // Channel delivery configuration
+  channels: {
+    default: process.env.DEFAULT_CHANNEL || 'email',
+    // Adapter used for each channel (sandbox, smtp or webhook)
+    adapters: {
+      email: process.env.EMAIL_ADAPTER || 'sandbox',
+      sms: process.env.SMS_ADAPTER || 'sandbox',
+      whatsapp: process.env.WHATSAPP_ADAPTER || 'sandbox',
+      push: process.env.PUSH_ADAPTER || 'sandbox'
+    }
+  },
+  
+  // Delivery rate limits in messages per second, shared by all broker instances (0 disables a limit)
+  rateLimits: {
+    channels: {
+      email: parseFloat(process.env.EMAIL_RATE_LIMIT || '0'),
+      sms: parseFloat(process.env.SMS_RATE_LIMIT || '0'),
+      whatsapp: parseFloat(process.env.WHATSAPP_RATE_LIMIT || '0'),
+      push: parseFloat(process.env.PUSH_RATE_LIMIT || '0')
+    },
+    vendors: {
+      sandbox: parseFloat(process.env.SANDBOX_RATE_LIMIT || '0'),
+      smtp: parseFloat(process.env.SMTP_RATE_LIMIT || '10'),
+      webhook: parseFloat(process.env.WEBHOOK_RATE_LIMIT || '20')
+    },
+    // Seconds of unused capacity a bucket may save up for bursts
+    burstSeconds: parseFloat(process.env.RATE_LIMIT_BURST_SECONDS || '1'),
+    // Pause applied when a vendor reports "Rate limit exceeded", doubled on repeated hits
+    backoff: {
+      initialMs: parseInt(process.env.RATE_LIMIT_BACKOFF_MS || '1000', 10),
+      maxMs: parseInt(process.env.RATE_LIMIT_BACKOFF_MAX_MS || '60000', 10)
+    }
+  },
+  
+  // SMTP adapter configuration
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'Xeno CRM <no-reply@xeno-crm.local>'
+  },
+  
+  // HTTP webhook adapter configuration
+  webhook: {
+    url: process.env.WEBHOOK_ADAPTER_URL,
+    secret: process.env.WEBHOOK_ADAPTER_SECRET,
+    timeout: parseInt(process.env.WEBHOOK_ADAPTER_TIMEOUT || '5000', 10)
   }
 };
\ No newline at end of file
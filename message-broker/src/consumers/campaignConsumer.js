@@ -1,24 +1,24 @@
 const Redis = require('ioredis');
 const mongoose = require('mongoose');
 const Campaign = mongoose.model('Campaign');
+const Journey = mongoose.model('Journey');
 const Segment = mongoose.model('Segment');
 const Customer = mongoose.model('Customer');
-
-// Define and register the CommunicationLog schema
-const communicationLogSchema = new mongoose.Schema({
-    // Define the schema fields here
-    message: String,
-    timestamp: Date,
-    status: String,
-    // Add other fields as necessary
-});
-
-mongoose.model('CommunicationLog', communicationLogSchema);
-
 const CommunicationLog = mongoose.model('CommunicationLog');
+const Suppression = mongoose.model('Suppression');
 const config = require('../config');
 const logger = require('../utils/logger');
 const vendorService = require('../services/vendorService');
+const rateLimiter = require('../services/rateLimiter');
+const { renderTemplate } = require('../utils/messageTemplate');
+const { getUnsubscribeUrl, addUnsubscribeLink } = require('../utils/unsubscribe');
+const { resolveTimezone, nextAllowedTime, getDeliveryTime } = require('../utils/timezone');
+const { isHeldOut, assignVariant, pickWinner } = require('../utils/abTest');
+const { nextOccurrence } = require('../utils/recurrence');
+const { CHANNELS } = require('../adapters');
+
+// Vendor errors saying the recipient opted out of the channel
+const OPT_OUT_ERROR = /opted out|unsubscribed/i;
 
 // Create Redis client for queue operations
 const redisClient = new Redis(config.redis.url, config.redis.options);
@@ -41,9 +41,9 @@ exports.processCampaignCreated = async (data) => {
       return;
     }
     
-    // If campaign is not active or already processed, skip
-    if (campaign.status !== 'Active') {
-      logger.info(`Campaign ${campaignId} is not active, skipping`);
+    // Paused campaigns still get their logs, to be sent when they resume
+    if (!['Sending', 'Paused'].includes(campaign.status)) {
+      logger.info(`Campaign ${campaignId} is ${campaign.status}, skipping`);
       return;
     }
     
@@ -55,13 +55,29 @@ exports.processCampaignCreated = async (data) => {
     
     logger.info(`Found ${customers.length} customers for campaign ${campaignId}`);
     
-    // Create communication logs
-    await createCommunicationLogs(campaign, customers);
+    // Create communication logs. Stream entries can be delivered more than once and an
+    // earlier attempt may have stopped part way, so only the missing logs are added
+    const { suppressed, heldOut } = await createCommunicationLogs(campaign, customers);
     
     // Update campaign with actual audience size
     campaign.audienceSize = customers.length;
+    campaign.stats.suppressed = suppressed;
+    campaign.stats.heldOut = heldOut;
     await campaign.save();
     
+    // The campaign may have been cancelled while its logs were created
+    const { status } = await Campaign.findById(campaign._id).select('status').lean();
+    if (status === 'Cancelled') {
+      const skipped = await CommunicationLog.skipRemaining(campaign._id, 'Campaign cancelled');
+      logger.info(`Campaign ${campaignId} was cancelled, skipped ${skipped} messages`);
+      return;
+    }
+    
+    // Nothing is left to send when every customer has unsubscribed, is suppressed or is held out
+    if (customers.length > 0 && suppressed + heldOut === customers.length) {
+      await Campaign.transition(campaign._id, 'Completed', { $set: { completedAt: new Date() } });
+    }
+    
     logger.info(`Campaign ${campaignId} processing completed`);
   } catch (err) {
     logger.error(`Error processing campaign created: ${err.message}`);
@@ -87,14 +103,14 @@ exports.processCampaignDelivery = async (data) => {
       return;
     }
     
-    // If campaign is not active, skip
-    if (campaign.status !== 'Active') {
-      logger.info(`Campaign ${campaignId} is not active, skipping`);
+    // Paused and cancelled campaigns send nothing
+    if (campaign.status !== 'Sending') {
+      logger.info(`Campaign ${campaignId} is ${campaign.status}, skipping`);
       return;
     }
     
-    // Start processing delivery
-    await processCampaignDelivery(campaign);
+    // Deliver its pending logs now rather than waiting for the next worker run
+    await exports.processPendingDeliveries();
     
     logger.info(`Campaign ${campaignId} delivery initiated`);
   } catch (err) {
@@ -108,31 +124,24 @@ exports.processCampaignDelivery = async (data) => {
  */
 exports.processPendingDeliveries = async () => {
   try {
-    // Find communication logs in PENDING status
-    const pendingLogs = await CommunicationLog.find({ status: 'PENDING' })
-      .limit(config.campaign.maxBatchSize)
-      .populate('customerId', 'name email')
-      .populate('campaignId', 'message');
-    
-    if (pendingLogs.length === 0) {
-      return;
-    }
-    
-    logger.info(`Processing ${pendingLogs.length} pending deliveries`);
-    
-    // Group logs by campaign for batch processing
-    const logsByCampaign = pendingLogs.reduce((acc, log) => {
-      const campaignId = log.campaignId._id.toString();
-      if (!acc[campaignId]) {
-        acc[campaignId] = [];
+    // Work through each channel separately so a throttled channel doesn't hold up the others
+    for (const channel of CHANNELS) {
+      let adapter;
+      try {
+        adapter = vendorService.getAdapterForChannel(channel);
+      } catch (err) {
+        logger.error(`Cannot deliver ${channel} messages: ${err.message}`);
+        continue;
       }
-      acc[campaignId].push(log);
-      return acc;
-    }, {});
-    
-    // Process each campaign batch
-    for (const [campaignId, logs] of Object.entries(logsByCampaign)) {
-      await processCampaignBatch(logs);
+      
+      // Leave the channel alone while its vendor is backing off
+      const backoffMs = await rateLimiter.getBackoff(adapter.name);
+      if (backoffMs > 0) {
+        logger.debug(`Skipping ${channel} deliveries, ${adapter.name} is backing off for ${backoffMs}ms`);
+        continue;
+      }
+      
+      await processCampaignBatch(channel, adapter);
     }
   } catch (err) {
     logger.error(`Error processing pending deliveries: ${err.message}`);
@@ -141,35 +150,175 @@ exports.processPendingDeliveries = async () => {
 };
 
 /**
- * Process scheduled campaigns
+ * Create the logs of a campaign that has just started sending, failing the campaign if they cannot be created.
+ * Nothing else would retry a started campaign, so it would otherwise stay sending with nothing to send.
+ * Logs created before the error are kept; delivering the campaign again adds the missing ones.
+ * @param {ObjectId} campaignId - Campaign moved to Sending
+ */
+const createLogsOrFail = async (campaignId) => {
+  try {
+    await exports.processCampaignCreated({ campaignId });
+  } catch (err) {
+    await Campaign.transition(campaignId, 'Failed', { $set: { failureReason: err.message } }, ['Sending']);
+    logger.error(`Campaign ${campaignId} failed to start: ${err.message}`);
+  }
+};
+
+/**
+ * Process scheduled campaigns, and start the runs of recurring campaigns that are due
  */
 exports.processScheduledCampaigns = async () => {
   try {
     // Find campaigns that are scheduled and due
     const dueCampaigns = await Campaign.findDueCampaigns();
     
-    if (dueCampaigns.length === 0) {
-      return;
+    if (dueCampaigns.length > 0) {
+      logger.info(`Processing ${dueCampaigns.length} scheduled campaigns`);
     }
     
-    logger.info(`Processing ${dueCampaigns.length} scheduled campaigns`);
+    // Process each due campaign; one that cannot start does not hold up the others
+    for (const campaign of dueCampaigns) {
+      try {
+        // Another broker instance may have started the campaign, or it was cancelled meanwhile
+        const started = await Campaign.transition(campaign._id, 'Sending', { $set: { sentAt: new Date() } });
+        if (!started) {
+          continue;
+        }
+        
+        // Process campaign delivery
+        await createLogsOrFail(campaign._id);
+      } catch (err) {
+        logger.error(`Error starting scheduled campaign ${campaign._id}: ${err.message}`);
+      }
+    }
+    
+    // Recurring campaigns start a run at each occurrence of their schedule
+    const dueRuns = await Campaign.findDueRuns();
+    
+    for (const campaign of dueRuns) {
+      try {
+        await startRun(campaign);
+      } catch (err) {
+        logger.error(`Error starting a run of recurring campaign ${campaign._id}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.error(`Error processing scheduled campaigns: ${err.message}`);
+    throw err;
+  }
+};
+
+/**
+ * Pick the winners of A/B tests that have sent their test messages and run their wait, and send the winning variant to the rest of the audience
+ */
+exports.processVariantTests = async () => {
+  try {
+    const dueCampaigns = await Campaign.findDueTests();
     
-    // Process each due campaign
     for (const campaign of dueCampaigns) {
-      // Update campaign status
-      campaign.status = 'Active';
-      campaign.sentAt = new Date();
-      await campaign.save();
+      // The campaign's logs may still be being created
+      if (!(await CommunicationLog.exists({ campaignId: campaign._id }))) {
+        continue;
+      }
+      
+      // The wait runs from when the last test message went out, as local time and quiet hours can hold test messages back
+      const { unsent, finishedAt } = await CommunicationLog.getTestProgress(campaign._id);
+      const waitMs = campaign.abTest.waitHours * 60 * 60 * 1000;
+      if (unsent > 0 || (finishedAt || campaign.sentAt).getTime() + waitMs > Date.now()) {
+        continue;
+      }
       
-      // Process campaign delivery
-      await processCampaignCreated({ campaignId: campaign._id });
+      const stats = await CommunicationLog.getVariantStats(campaign._id);
+      const winner = pickWinner(campaign.variants, stats, campaign.abTest.metric);
+      
+      // Another broker instance may have picked the winner meanwhile
+      const decided = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, 'abTest.winner': { $exists: false } },
+        { $set: { 'abTest.winner': winner, 'abTest.decidedAt': new Date() } },
+        { new: true }
+      );
+      if (!decided) {
+        continue;
+      }
+      
+      // The waiting logs keep any nextAttemptAt, so local time and quiet hours still apply
+      const result = await CommunicationLog.updateMany(
+        { campaignId: campaign._id, status: 'WAITING' },
+        { $set: { status: 'PENDING', variant: winner, variantPhase: 'winner' } }
+      );
+      
+      logger.info(`Variant ${winner} won the A/B test of campaign ${campaign._id} on ${campaign.abTest.metric} rate, sending it to ${result.modifiedCount} more customers`);
     }
   } catch (err) {
-    logger.error(`Error processing scheduled campaigns: ${err.message}`);
+    logger.error(`Error processing A/B tests: ${err.message}`);
     throw err;
   }
 };
 
+/**
+ * Start the due run of a recurring campaign and move its schedule on to the next occurrence.
+ * A run is a campaign of its own, copied from the recurring one, so it gets its own audience,
+ * logs and stats. The schedule moves on from now, so occurrences missed while the broker was
+ * down are run once rather than once each.
+ * @param {Object} campaign - Recurring campaign document
+ */
+const startRun = async (campaign) => {
+  const { recurrence, delivery, abTest } = campaign.toObject();
+  const occurrence = recurrence.nextRunAt;
+  const now = new Date();
+  const nextRunAt = nextOccurrence(recurrence, delivery.timezone, new Date(Math.max(occurrence, now)));
+  
+  // Another broker instance may have started the run, or the campaign was paused, cancelled or rescheduled meanwhile
+  const parent = await Campaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'Recurring', 'recurrence.nextRunAt': occurrence },
+    {
+      $set: { 'recurrence.nextRunAt': nextRunAt, 'recurrence.lastRunAt': now },
+      $inc: { 'recurrence.runCount': 1 },
+    },
+    { new: true }
+  );
+  if (!parent) {
+    return;
+  }
+  
+  const runNumber = parent.recurrence.runCount;
+  const run = await Campaign.create({
+    name: `${parent.name} #${runNumber}`,
+    description: parent.description,
+    message: parent.message,
+    subject: parent.subject,
+    templateId: parent.templateId,
+    templateVersion: parent.templateVersion,
+    channel: parent.channel,
+    segmentId: parent.segmentId,
+    customRules: parent.customRules,
+    audienceSize: parent.audienceSize,
+    createdBy: parent.createdBy,
+    // Local time runs send at the occurrence on each customer's clock
+    scheduledAt: occurrence,
+    delivery,
+    variants: parent.variants,
+    abTest: { testPercentage: abTest.testPercentage, metric: abTest.metric, waitHours: abTest.waitHours },
+    holdout: parent.holdout,
+    tags: parent.tags,
+    parentId: parent._id,
+    runNumber,
+    status: 'Sending',
+    sentAt: now,
+  });
+  
+  logger.info(`Started run ${runNumber} of recurring campaign ${parent._id}: ${run._id}`);
+  
+  // The campaign is done once its schedule has no more runs; the last run still sends
+  if (!nextRunAt) {
+    await Campaign.transition(parent._id, 'Completed', { $set: { completedAt: now } }, ['Recurring']);
+    logger.info(`Recurring campaign ${parent._id} completed its schedule`);
+  }
+  
+  // A run whose logs cannot be created is failed, so it shows in the runs rather than sending nothing
+  await createLogsOrFail(run._id);
+};
+
 /**
  * Get audience query for a campaign
  * @param {Object} campaign - Campaign document
@@ -186,7 +335,7 @@ const getAudienceQuery = async (campaign) => {
       throw new Error(`Segment not found: ${campaign.segmentId}`);
     }
     
-    query = segment.toMongoQuery();
+    query = await segment.toMongoQuery();
   }
   // Otherwise, use custom rules
   else if (campaign.customRules) {
@@ -196,7 +345,7 @@ const getAudienceQuery = async (campaign) => {
       rules: campaign.customRules,
     });
     
-    query = tempSegment.toMongoQuery();
+    query = await tempSegment.toMongoQuery();
   } else {
     throw new Error('Campaign has neither segmentId nor customRules');
   }
@@ -207,30 +356,162 @@ const getAudienceQuery = async (campaign) => {
   return query;
 };
 
+/**
+ * Find the variant a log is sent with
+ * @param {Object} campaign - Campaign document
+ * @param {String} key - Variant key from the log
+ * @returns {Object|undefined} Variant, or undefined for campaigns without variants
+ */
+const getVariant = (campaign, key) => (key && campaign.variants ? campaign.variants.find((variant) => variant.key === key) : undefined);
+
+/**
+ * Find the subject of a journey message
+ * @param {Object} journey - Journey document
+ * @param {String} key - Key of the send step, from the log
+ * @returns {String|undefined} Subject template, or undefined if the step has none or was removed
+ */
+const getStepSubject = (journey, key) => {
+  const step = journey.getStep(key);
+  return step ? step.subject : undefined;
+};
+
+/**
+ * Render a campaign's message for a customer, with the customer's unsubscribe link
+ * @param {Object} campaign - Campaign document
+ * @param {Object} customer - Customer document
+ * @param {String} channel - Channel the message is sent on
+ * @param {Object} variant - Variant the customer is sent, if the campaign has variants
+ * @returns {String} Rendered message
+ */
+const renderMessage = (campaign, customer, channel, variant) => {
+  const unsubscribeUrl = getUnsubscribeUrl({ customerId: customer._id, channel, campaignId: campaign._id });
+  const message = renderTemplate((variant || campaign).message, customer, { channel, variables: { unsubscribeUrl } });
+  
+  return addUnsubscribeLink(message, unsubscribeUrl, channel);
+};
+
+/**
+ * Read a customer's recipient on a channel
+ * @param {Object} customer - Customer document
+ * @param {String} channel - Channel
+ * @returns {String|undefined} Recipient, or undefined when no adapter delivers on the channel
+ */
+const getRecipient = (customer, channel) => {
+  try {
+    return vendorService.resolveRecipient(customer, channel).recipient;
+  } catch (err) {
+    // Sending reports the missing adapter; there is nothing to match against the suppression list
+    return undefined;
+  }
+};
+
+/**
+ * Get the time zone a customer's messages are timed in
+ * Customers without a time zone, set or derived from their location, use the campaign's.
+ * Journeys have no delivery settings, so their customers fall back to the default time zone.
+ * @param {Object} customer - Customer document
+ * @param {Object} campaign - Campaign or journey document
+ * @returns {String} Time zone
+ */
+const getTimezone = (customer, campaign) => resolveTimezone(
+  customer,
+  (campaign.delivery && campaign.delivery.timezone) || config.campaign.defaultTimezone
+);
+
 /**
  * Create communication logs for a campaign
+ * Customers who unsubscribed from the campaign's channel, or whose recipient
+ * is on the suppression list, get a SUPPRESSED log with the reason instead of
+ * a message, so the campaign's history shows who was skipped and why.
+ * PENDING logs that may not go out yet, because the campaign sends at each
+ * customer's local time or the customer is in quiet hours, are held until
+ * their nextAttemptAt. In campaigns with variants, customers in the test
+ * audience are sent their assigned variant and the rest get a WAITING log
+ * that is rendered once the winner is picked. Customers in the campaign's
+ * control group get a HELD_OUT log and are never sent anything; they are held
+ * out whether or not they could have been sent the message, so the control
+ * group is drawn from the same audience as everybody else.
  * @param {Object} campaign - Campaign document
  * @param {Array} customers - Customer documents
+ * @returns {Promise<Object>} Numbers of suppressed and held out customers
  */
 const createCommunicationLogs = async (campaign, customers) => {
   try {
-    // Create array of log entries
-    const logs = customers.map(customer => ({
-      campaignId: campaign._id,
-      customerId: customer._id,
-      status: 'PENDING',
-      message: campaign.message.replace(/{{name}}/g, customer.name || 'Customer'),
-    }));
+    const channel = campaign.channel || config.channels.default;
+    const recipients = customers.map((customer) => getRecipient(customer, channel));
+    const suppressions = await Suppression.findMatches(recipients);
+    const isTest = campaign.variants && campaign.variants.length > 1;
+    const now = new Date();
+    
+    // Create array of log entries, rendering the message for each customer
+    const logs = customers.map((customer, index) => {
+      const log = { campaignId: campaign._id, customerId: customer._id, channel };
+      const suppression = suppressions.get(recipients[index]);
+      
+      if (isHeldOut(campaign, customer._id)) {
+        return { ...log, status: 'HELD_OUT' };
+      }
+      
+      if (isTest) {
+        const key = assignVariant(campaign, customer._id);
+        if (key) {
+          Object.assign(log, { variant: key, variantPhase: 'test' });
+        } else if (campaign.abTest.winner) {
+          Object.assign(log, { variant: campaign.abTest.winner, variantPhase: 'winner' });
+        }
+      }
+      
+      if (customer.isUnsubscribed(channel)) {
+        return { ...log, status: 'SUPPRESSED', errorMessage: `Customer unsubscribed from ${channel}` };
+      }
+      
+      if (suppression) {
+        return {
+          ...log,
+          status: 'SUPPRESSED',
+          recipient: recipients[index],
+          errorMessage: Suppression.describe(suppression),
+          metadata: { suppression: suppression._id },
+        };
+      }
+      
+      const sendAt = getDeliveryTime(campaign.delivery, campaign.scheduledAt, getTimezone(customer, campaign), now);
+      const nextAttemptAt = sendAt > now ? sendAt : undefined;
+      
+      if (isTest && !log.variant) {
+        return { ...log, status: 'WAITING', nextAttemptAt };
+      }
+      
+      return {
+        ...log,
+        status: 'PENDING',
+        message: renderMessage(campaign, customer, channel, getVariant(campaign, log.variant)),
+        nextAttemptAt,
+      };
+    });
+    const suppressed = logs.filter((log) => log.status === 'SUPPRESSED').length;
+    const held = logs.filter((log) => log.nextAttemptAt).length;
+    const waiting = logs.filter((log) => log.status === 'WAITING').length;
+    const heldOut = logs.filter((log) => log.status === 'HELD_OUT').length;
     
     // Insert logs in batches to avoid memory issues
     const batchSize = 100;
     for (let i = 0; i < logs.length; i += batchSize) {
       const batch = logs.slice(i, i + batchSize);
-      await CommunicationLog.insertMany(batch);
+      try {
+        await CommunicationLog.insertMany(batch, { ordered: false });
+      } catch (err) {
+        // Customers who have a log from an earlier attempt are left out by the unique index
+        if (err.code !== 11000) {
+          throw err;
+        }
+      }
       logger.debug(`Inserted batch of ${batch.length} communication logs`);
     }
     
-    logger.info(`Created ${logs.length} communication logs for campaign ${campaign._id}`);
+    logger.info(`Created ${logs.length} communication logs for campaign ${campaign._id}, ${suppressed} suppressed, ${held} held for the customer's local time, ${waiting} waiting for the A/B test winner, ${heldOut} held out in the control group`);
+    
+    return { suppressed, heldOut };
   } catch (err) {
     logger.error(`Error creating communication logs: ${err.message}`);
     throw err;
@@ -238,65 +519,283 @@ const createCommunicationLogs = async (campaign, customers) => {
 };
 
 /**
- * Process a batch of campaign logs
- * @param {Array} logs - Communication log documents
+ * Atomically claim the next deliverable log on a channel for this instance
+ * Takes PENDING and RETRYING logs that are due and PROCESSING logs whose
+ * lease has expired, so a log is only ever held by one broker instance.
+ * PENDING logs without a nextAttemptAt are due at once
+ * @param {String} channel - Channel to claim a log for
+ * @param {Array} campaignIds - Campaigns that are sending
+ * @param {Array} journeyIds - Journeys that are active
+ * @returns {Promise<Object|null>} Claimed log, or null when there is nothing to send
+ */
+const claimNextLog = (channel, campaignIds, journeyIds) => {
+  const now = new Date();
+  
+  return CommunicationLog.findOneAndUpdate(
+    {
+      // Logs created before channels existed are email
+      channel: channel === 'email' ? { $in: ['email', null] } : channel,
+      $and: [
+        { $or: [{ campaignId: { $in: campaignIds } }, { journeyId: { $in: journeyIds } }] },
+        {
+          $or: [
+            { status: 'PENDING', nextAttemptAt: { $not: { $gt: now } } },
+            { status: 'RETRYING', nextAttemptAt: { $lte: now } },
+            { status: 'PROCESSING', leaseExpiresAt: { $lte: now } },
+          ],
+        },
+      ],
+    },
+    {
+      $set: {
+        status: 'PROCESSING',
+        leaseOwner: config.instanceId,
+        leaseExpiresAt: new Date(now.getTime() + config.delivery.leaseMs),
+      },
+    },
+    { new: true, sort: { createdAt: 1 } }
+  )
+    // The whole customer, as the message template may use any field
+    .populate('customerId')
+    .populate('campaignId', 'name message subject channel delivery status variants')
+    .populate('journeyId', 'name status steps');
+};
+
+/**
+ * Hand a claimed log back unsent, e.g. when the vendor is over its quota
+ * @param {Object} log - Claimed communication log
+ * @param {Date} until - When the log is due again; immediately if not given
+ */
+const releaseLog = async (log, until) => {
+  // Logs that were attempted before go back to RETRYING so they stay due immediately
+  log.status = log.attempts > 0 ? 'RETRYING' : 'PENDING';
+  log.nextAttemptAt = until || (log.attempts > 0 ? new Date() : undefined);
+  log.leaseOwner = undefined;
+  log.leaseExpiresAt = undefined;
+  await log.save();
+};
+
+/**
+ * Mark a claimed log as not sent because the customer unsubscribed or is suppressed, releasing its lease
+ * @param {Object} log - Claimed communication log
+ * @param {String} reason - Why the message was suppressed
+ * @param {Object} suppression - Suppression list entry that matched, if any
+ */
+const suppressLog = async (log, reason, suppression) => {
+  log.status = 'SUPPRESSED';
+  log.errorMessage = reason;
+  if (suppression) {
+    log.metadata = { ...log.metadata, suppression: suppression._id };
+  }
+  log.nextAttemptAt = undefined;
+  log.leaseOwner = undefined;
+  log.leaseExpiresAt = undefined;
+  await log.save();
+};
+
+/**
+ * Mark a claimed log as not sent because its campaign was cancelled or its journey archived, releasing its lease
+ * @param {Object} log - Claimed communication log
+ * @param {String} reason - Why the message was skipped
+ */
+const skipLog = async (log, reason) => {
+  log.status = 'SKIPPED';
+  log.errorMessage = reason;
+  log.nextAttemptAt = undefined;
+  log.leaseOwner = undefined;
+  log.leaseExpiresAt = undefined;
+  await log.save();
+};
+
+/**
+ * Claim and send a batch of logs for one channel, within the channel and vendor rate limits
+ * @param {String} channel - Channel the logs are delivered on
+ * @param {Object} adapter - Adapter configured for the channel
  */
-const processCampaignBatch = async (logs) => {
+const processCampaignBatch = async (channel, adapter) => {
   const deliveryResults = [];
   
-  for (const log of logs) {
+  // Only sending campaigns and active journeys are claimed from; those paused, cancelled or archived mid-batch are dropped as they are seen
+  let campaignIds = await Campaign.find({ status: 'Sending' }).distinct('_id');
+  let journeyIds = await Journey.find({ status: 'Active' }).distinct('_id');
+  
+  for (let processed = 0; processed < config.campaign.maxBatchSize && campaignIds.length + journeyIds.length > 0; processed++) {
+    const log = await claimNextLog(channel, campaignIds, journeyIds);
+    if (!log) {
+      break;
+    }
+    
+    // Stop once the channel or vendor budget is spent, handing the log back for the next run.
+    // The log is claimed first so no send is taken from the budget when there is nothing to send
+    const { allowed, waitMs } = await rateLimiter.acquire(channel, adapter.name);
+    if (!allowed) {
+      await releaseLog(log);
+      logger.debug(`Rate limit reached for ${channel} via ${adapter.name}, next send in ${waitMs}ms`);
+      break;
+    }
+    
     try {
       const customer = log.customerId;
       const campaign = log.campaignId;
+      const journey = log.journeyId;
+      const campaignId = campaign ? campaign._id : undefined;
       
-      if (!customer || !campaign) {
-        logger.error(`Invalid log - missing customer or campaign: ${log._id}`);
+      if (!customer || !(campaign || journey)) {
+        throw new Error('Missing customer or campaign');
+      }
+      
+      // The journey was paused or archived after the batch started
+      if (journey && journey.status !== 'Active') {
+        if (journey.status === 'Archived') {
+          await skipLog(log, 'Journey archived');
+        } else {
+          await releaseLog(log);
+        }
+        journeyIds = journeyIds.filter((id) => !id.equals(journey._id));
+        logger.debug(`Journey ${journey._id} is ${journey.status}, no longer sending its ${channel} messages`);
         continue;
       }
       
-      // Personalize message
-      const message = log.message || campaign.message.replace(/{{name}}/g, customer.name || 'Customer');
+      // The campaign was paused or cancelled after the batch started
+      if (campaign && campaign.status !== 'Sending') {
+        if (campaign.status === 'Cancelled') {
+          await skipLog(log, 'Campaign cancelled');
+          deliveryResults.push({ campaignId, status: 'SKIPPED' });
+        } else {
+          await releaseLog(log);
+        }
+        campaignIds = campaignIds.filter((id) => !id.equals(campaign._id));
+        logger.debug(`Campaign ${campaign._id} is ${campaign.status}, no longer sending its ${channel} messages`);
+        continue;
+      }
+      
+      // The customer may have unsubscribed since the log was created
+      if (customer.isUnsubscribed(channel)) {
+        await suppressLog(log, `Customer unsubscribed from ${channel}`);
+        deliveryResults.push({ campaignId, status: 'SUPPRESSED' });
+        continue;
+      }
+      
+      // Retries and replayed logs can come due in quiet hours; hold them until the quiet hours end
+      const sender = campaign || journey;
+      const timezone = getTimezone(customer, sender);
+      const quietHours = sender.delivery && sender.delivery.quietHours;
+      const now = new Date();
+      const sendAt = nextAllowedTime(now, timezone, quietHours);
+      if (sendAt > now) {
+        await releaseLog(log, sendAt);
+        logger.debug(`Holding ${channel} message ${log._id} until quiet hours end at ${sendAt.toISOString()} (${timezone})`);
+        continue;
+      }
+      
+      // Personalize message; logs sent the winner of an A/B test are rendered now, journey messages when they were queued
+      const variant = getVariant(campaign, log.variant);
+      const message = log.message || renderMessage(campaign, customer, channel, variant);
+      const subject = journey ? getStepSubject(journey, log.journeyStep) : (variant && variant.subject) || campaign.subject;
+      
+      // Each adapter declares which customer field holds the recipient for the channel
+      const { recipientField, recipient } = vendorService.resolveRecipient(customer, channel);
+      
+      log.channel = channel;
+      log.vendor = adapter.name;
+      
+      if (!recipient) {
+        throw new Error(`Customer has no ${recipientField} for ${channel} delivery`);
+      }
+      
+      log.recipient = recipient;
       
-      // Send message via vendor service
+      // The recipient may have been suppressed since the log was created, e.g. after a hard bounce
+      const suppression = (await Suppression.findMatches([recipient])).get(recipient);
+      if (suppression) {
+        await suppressLog(log, Suppression.describe(suppression), suppression);
+        deliveryResults.push({ campaignId, status: 'SUPPRESSED' });
+        continue;
+      }
+      
+      // Send message via the channel adapter. The idempotency key stays the same across
+      // attempts so a vendor can drop a resend of a message it already accepted; a journey
+      // can send a customer the same step more than once, so its messages are keyed by log
       const result = await vendorService.sendMessage({
         messageId: log._id.toString(),
-        to: customer.email,
+        idempotencyKey: campaign ? `${campaign._id}:${customer._id}` : log._id.toString(),
+        channel,
+        to: recipient,
         message,
+        // Subjects are headers rather than HTML, so they get plain text escaping
+        subject: subject ? renderTemplate(subject, customer) : undefined,
         customerName: customer.name,
-        campaignName: campaign.name,
+        campaignName: sender.name,
+        unsubscribeUrl: getUnsubscribeUrl({ customerId: customer._id, channel, campaignId }),
       });
       
-      // Update log with result
-      log.status = result.success ? 'SENT' : 'FAILED';
+      // The vendor is over its quota: hand the message back and pause the vendor
+      if (result.rateLimited) {
+        await releaseLog(log);
+        await rateLimiter.backoff(adapter.name);
+        break;
+      }
+      
+      // Update log with result, releasing the lease
+      log.attempts = (log.attempts || 0) + 1;
+      log.leaseOwner = undefined;
+      log.leaseExpiresAt = undefined;
       log.sentAt = new Date();
+      log.vendorMessageId = result.vendorMessageId || undefined;
+      log.nextAttemptAt = undefined;
       
-      if (!result.success && result.error) {
+      if (result.success) {
+        log.status = 'SENT';
+        log.errorMessage = undefined;
+      } else if (OPT_OUT_ERROR.test(result.error || '')) {
+        // The vendor knows of an opt-out the CRM did not; record it so later campaigns skip the customer
+        log.status = 'SUPPRESSED';
+        log.errorMessage = result.error;
+        await Customer.setSubscription(customer._id, channel, 'unsubscribed', { source: 'vendor', campaign: campaignId });
+      } else {
         log.errorMessage = result.error;
+        
+        if (!result.retryable) {
+          log.status = 'FAILED';
+        } else if (log.attempts < config.retry.maxAttempts) {
+          log.status = 'RETRYING';
+          log.nextAttemptAt = nextAllowedTime(new Date(Date.now() + getRetryDelay(log.attempts)), timezone, quietHours);
+        } else {
+          log.status = 'DEAD_LETTER';
+        }
       }
       
       await log.save();
       
-      // Add to results for batch update of campaign stats
-      deliveryResults.push({
-        campaignId: campaign._id,
-        status: log.status,
-      });
+      // Only final outcomes count towards campaign stats
+      if (log.status !== 'RETRYING') {
+        deliveryResults.push({
+          campaignId,
+          status: ['SENT', 'SUPPRESSED'].includes(log.status) ? log.status : 'FAILED',
+        });
+      }
       
-      logger.debug(`Processed message to ${customer.email}: ${log.status}`);
+      logger.debug(`Processed ${channel} message to ${recipient}: ${log.status}`);
     } catch (err) {
       logger.error(`Error processing log ${log._id}: ${err.message}`);
       
       // Update log with error
       log.status = 'FAILED';
+      log.attempts = (log.attempts || 0) + 1;
+      log.nextAttemptAt = undefined;
+      log.leaseOwner = undefined;
+      log.leaseExpiresAt = undefined;
       log.errorMessage = err.message;
       log.sentAt = new Date();
       await log.save();
       
       // Add failed result
-      deliveryResults.push({
-        campaignId: log.campaignId._id,
-        status: 'FAILED',
-      });
+      if (log.campaignId) {
+        deliveryResults.push({
+          campaignId: log.campaignId._id,
+          status: 'FAILED',
+        });
+      }
     }
   }
   
@@ -304,35 +803,52 @@ const processCampaignBatch = async (logs) => {
   await updateCampaignStats(deliveryResults);
 };
 
+/**
+ * Get the delay before retrying a failed delivery
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const { baseDelayMs, maxDelayMs } = config.retry;
+  return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+};
+
 /**
  * Update campaign stats based on delivery results
  * @param {Array} results - Delivery results
  */
 const updateCampaignStats = async (results) => {
   try {
-    // Group results by campaign and status
-    const statsByCampaign = results.reduce((acc, result) => {
+    // Group results by campaign and status; journey messages have no campaign
+    const statsByCampaign = results.filter((result) => result.campaignId).reduce((acc, result) => {
       const campaignId = result.campaignId.toString();
       if (!acc[campaignId]) {
-        acc[campaignId] = { SENT: 0, FAILED: 0 };
+        acc[campaignId] = { SENT: 0, FAILED: 0, SUPPRESSED: 0, SKIPPED: 0 };
       }
       acc[campaignId][result.status]++;
       return acc;
     }, {});
     
-    // Update each campaign's stats
+    // Update each campaign's stats; $inc keeps concurrent broker instances from overwriting each other
     for (const [campaignId, stats] of Object.entries(statsByCampaign)) {
-      const campaign = await Campaign.findById(campaignId);
+      const campaign = await Campaign.findByIdAndUpdate(
+        campaignId,
+        {
+          $inc: {
+            'stats.delivered': stats.SENT || 0,
+            'stats.failed': stats.FAILED || 0,
+            'stats.suppressed': stats.SUPPRESSED || 0,
+            'stats.skipped': stats.SKIPPED || 0,
+          },
+        },
+        { new: true }
+      );
       
       if (!campaign) {
         logger.error(`Campaign not found for stats update: ${campaignId}`);
         continue;
       }
       
-      // Update stats
-      campaign.stats.delivered += stats.SENT || 0;
-      campaign.stats.failed += stats.FAILED || 0;
-      
       // Recalculate percentages
       if (campaign.audienceSize > 0) {
         campaign.stats.deliveredPercentage = parseFloat(
@@ -343,17 +859,17 @@ const updateCampaignStats = async (results) => {
         );
       }
       
-      // Check if campaign is complete
-      if (campaign.stats.delivered + campaign.stats.failed >= campaign.audienceSize) {
-        campaign.status = 'Completed';
-        campaign.completedAt = new Date();
-        
-        logger.info(`Campaign completed: ${campaign.name} (${campaign._id})`);
-      }
-      
       await campaign.save();
       
-      logger.debug(`Updated stats for campaign ${campaignId}: ${stats.SENT} sent, ${stats.FAILED} failed`);
+      // Check if campaign is complete; the transition leaves cancelled campaigns alone
+      if (campaign.stats.delivered + campaign.stats.failed + campaign.stats.suppressed + campaign.stats.skipped + campaign.stats.heldOut >= campaign.audienceSize) {
+        const completed = await Campaign.transition(campaign._id, 'Completed', { $set: { completedAt: new Date() } });
+        if (completed) {
+          logger.info(`Campaign completed: ${campaign.name} (${campaign._id})`);
+        }
+      }
+      
+      logger.debug(`Updated stats for campaign ${campaignId}: ${stats.SENT} sent, ${stats.FAILED} failed, ${stats.SUPPRESSED} suppressed`);
     }
   } catch (err) {
     logger.error(`Error updating campaign stats: ${err.message}`);
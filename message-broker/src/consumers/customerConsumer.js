@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const Segment = mongoose.model('Segment');
 const Customer = mongoose.model('Customer');
 const logger = require('../utils/logger');
+const { importCustomerRows } = require('../services/customerImporter');
 
 /**
  * Process customer creation
@@ -82,13 +83,13 @@ exports.processCustomerDeleted = async (data) => {
 
 /**
  * Process bulk customer creation
+ * Bulk creation is now published as a customer import job; this handles
+ * messages queued before that change.
  * @param {Object} data - Bulk data
  */
 exports.processCustomerBulkCreate = async (data) => {
   try {
-    const { customers, userId } = data;
-    
-    logger.info(`Processing bulk customer import: ${customers.length} customers`);
+    const { customers } = data;
     
     // Check if this is a valid import
     if (!Array.isArray(customers) || customers.length === 0) {
@@ -96,83 +97,25 @@ exports.processCustomerBulkCreate = async (data) => {
       return;
     }
     
-    // Process customers in batches
-    const batchSize = 100;
-    const results = {
-      success: 0,
-      failed: 0,
-      errors: [],
-    };
+    logger.info(`Processing bulk customer import: ${customers.length} customers`);
     
-    for (let i = 0; i < customers.length; i += batchSize) {
-      const batch = customers.slice(i, i + batchSize);
-      
-      try {
-        // Process batch
-        const createdCustomers = await processBatch(batch);
-        results.success += createdCustomers.length;
-        
-        // Track any failures in the batch
-        results.failed += batch.length - createdCustomers.length;
-        
-        logger.debug(`Processed batch of ${batch.length} customers, created ${createdCustomers.length}`);
-      } catch (err) {
-        logger.error(`Error processing batch: ${err.message}`);
-        results.failed += batch.length;
-        results.errors.push(err.message);
-      }
-    }
+    const rows = customers.map((customer, index) => (
+      customer && customer.email && customer.name
+        ? { row: index + 1, customer }
+        : { row: index + 1, error: 'Name and email are required', email: customer && customer.email }
+    ));
+    const results = await importCustomerRows(rows);
     
     // Refresh all segments
     await refreshAllSegments();
     
-    logger.info(`Bulk import completed: ${results.success} created, ${results.failed} failed`);
+    logger.info(`Bulk import completed: ${results.created} created, ${results.updated} updated, ${results.failed} failed`);
   } catch (err) {
     logger.error(`Error processing bulk customer import: ${err.message}`);
     throw err;
   }
 };
 
-/**
- * Process a batch of customers for bulk import
- * @param {Array} customers - Customer data
- * @returns {Array} Created customers
- */
-const processBatch = async (customers) => {
-  const validCustomers = [];
-  
-  // Validate and prepare customers
-  for (const customerData of customers) {
-    // Ensure required fields
-    if (!customerData.email || !customerData.name) {
-      continue;
-    }
-    
-    // Check for duplicate email
-    const existingCustomer = await Customer.findOne({ email: customerData.email });
-    if (existingCustomer) {
-      // Update existing customer
-      Object.assign(existingCustomer, customerData);
-      await existingCustomer.save();
-      validCustomers.push(existingCustomer);
-    } else {
-      // Add new customer
-      validCustomers.push(customerData);
-    }
-  }
-  
-  // Insert valid customers that aren't updates
-  const newCustomers = validCustomers.filter(c => !c._id);
-  let createdCustomers = [];
-  
-  if (newCustomers.length > 0) {
-    createdCustomers = await Customer.insertMany(newCustomers, { ordered: false });
-  }
-  
-  // Return all processed customers (new and updated)
-  return validCustomers;
-};
-
 /**
  * Refresh segments that may be affected by a customer
  * @param {Object} customer - Customer document
@@ -186,7 +129,7 @@ const refreshAffectedSegments = async (customer) => {
     
     for (const segment of segments) {
       // Convert segment rules to query
-      const query = segment.toMongoQuery();
+      const query = await segment.toMongoQuery();
       
       // Check if customer matches query
       const isMatch = await Customer.exists({ ...query, _id: customer._id });
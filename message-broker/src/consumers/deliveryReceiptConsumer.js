@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const CommunicationLog = mongoose.model('CommunicationLog');
 const Campaign = mongoose.model('Campaign');
+const Suppression = mongoose.model('Suppression');
 const logger = require('../utils/logger');
 
 /**
@@ -9,7 +10,7 @@ const logger = require('../utils/logger');
  */
 exports.processDeliveryReceipt = async (data) => {
   try {
-    const { messageId, status, errorMessage, metadata, timestamp } = data;
+    const { messageId, status, errorMessage, bounceType, metadata, timestamp } = data;
     
     logger.info(`Processing delivery receipt for message ${messageId}: ${status}`);
     
@@ -37,8 +38,18 @@ exports.processDeliveryReceipt = async (data) => {
     
     await log.save();
     
-    // Update campaign stats
-    await updateCampaignStats(log.campaignId, status);
+    // Addresses that bounced permanently are not sent to again
+    if (status === 'FAILED' && bounceType === 'hard' && log.recipient) {
+      const suppression = await Suppression.addBounce(log);
+      if (suppression) {
+        logger.info(`Hard bounce for message ${messageId}: ${suppression.type} ${suppression.value} is suppressed`);
+      }
+    }
+    
+    // Update campaign stats; journey messages have no campaign
+    if (log.campaignId) {
+      await updateCampaignStats(log.campaignId, status);
+    }
     
     logger.info(`Delivery status updated for message ${messageId}: ${status}`);
   } catch (err) {
@@ -77,11 +88,13 @@ exports.processEventCallback = async (data) => {
     // Add event to events array
     log.metadata.events.push({
       type: eventType,
-      timestamp: new Date(timestamp) || new Date(),
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
       url: url,
       replyText: replyText,
     });
     
+    // Metadata is a mixed type, so Mongoose does not see the push on its own
+    log.markModified('metadata');
     await log.save();
     
     logger.info(`Event ${eventType} recorded for message ${messageId}`);
@@ -123,15 +136,15 @@ const updateCampaignStats = async (campaignId, status) => {
       );
     }
     
-    // Check if campaign is complete
-    if (campaign.stats.delivered + campaign.stats.failed >= campaign.audienceSize) {
-      campaign.status = 'Completed';
-      campaign.completedAt = new Date();
-      
-      logger.info(`Campaign completed: ${campaign.name} (${campaign._id})`);
-    }
-    
     await campaign.save();
+    
+    // Check if campaign is complete; the transition leaves cancelled campaigns alone
+    if (campaign.stats.delivered + campaign.stats.failed + campaign.stats.suppressed + campaign.stats.skipped + campaign.stats.heldOut >= campaign.audienceSize) {
+      const completed = await Campaign.transition(campaign._id, 'Completed', { $set: { completedAt: new Date() } });
+      if (completed) {
+        logger.info(`Campaign completed: ${campaign.name} (${campaign._id})`);
+      }
+    }
   } catch (err) {
     logger.error(`Error updating campaign stats: ${err.message}`);
     throw err;
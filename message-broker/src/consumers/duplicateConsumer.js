@@ -0,0 +1,19 @@
+const logger = require('../utils/logger');
+const { scanForDuplicates } = require('../services/duplicateDetector');
+
+/**
+ * Process a request to scan for duplicate customers
+ * @param {Object} data - Scan request ({ requestedBy })
+ */
+exports.processDuplicateScan = async (data) => {
+  try {
+    logger.info(`Processing duplicate scan${data && data.requestedBy ? ` requested by ${data.requestedBy}` : ''}`);
+
+    await scanForDuplicates();
+  } catch (err) {
+    logger.error(`Error processing duplicate scan: ${err.message}`);
+    throw err;
+  }
+};
+
+module.exports = exports;
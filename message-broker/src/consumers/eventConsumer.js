@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Event = mongoose.model('Event');
+const EventBatch = mongoose.model('EventBatch');
+const Customer = mongoose.model('Customer');
+const logger = require('../utils/logger');
+const journeyScheduler = require('../services/journeyScheduler');
+
+/**
+ * Process tracked customer events
+ * Events are linked to customers by email or external ID, looked up once per
+ * batch. Events that match no customer are stored unlinked. Each batch is
+ * stored once: batches already recorded as stored are skipped when their
+ * stream entry is delivered again.
+ * @param {Object} data - Event batch
+ */
+exports.processCustomerEvents = async (data) => {
+  try {
+    const { batchId, sourceId, events } = data;
+
+    // Check if this is a valid batch
+    if (!Array.isArray(events) || events.length === 0) {
+      logger.error('Invalid event batch: No events provided');
+      return;
+    }
+
+    // Batches published before batch IDs were assigned cannot be told apart and are always stored
+    if (batchId && await EventBatch.exists({ _id: batchId })) {
+      logger.info(`Event batch ${batchId} is already stored, skipping`);
+      return;
+    }
+
+    logger.info(`Processing event batch: ${events.length} events`);
+
+    const customers = await findCustomers(events);
+
+    const documents = events.map((event) => {
+      const email = event.email ? String(event.email).toLowerCase().trim() : undefined;
+      const customerId = (event.externalId && customers.byExternalId.get(String(event.externalId)))
+        || (email && customers.byEmail.get(email))
+        || null;
+
+      return {
+        timestamp: event.timestamp,
+        meta: {
+          event: event.event,
+          customerId,
+          sourceId,
+        },
+        email,
+        externalId: event.externalId,
+        properties: event.properties || {},
+        receivedAt: event.receivedAt,
+      };
+    });
+
+    await Event.insertMany(documents);
+    if (batchId) {
+      await EventBatch.record(batchId, sourceId, documents.length);
+    }
+
+    const linked = documents.filter((document) => document.meta.customerId).length;
+    logger.info(`Event batch stored: ${linked} linked, ${documents.length - linked} without a matching customer`);
+
+    // The batch is stored, so a journey error must not have it redelivered and stored twice
+    try {
+      await journeyScheduler.handleEvents(documents);
+    } catch (err) {
+      logger.error(`Error moving journeys on for event batch: ${err.message}`);
+    }
+  } catch (err) {
+    logger.error(`Error processing event batch: ${err.message}`);
+    throw err;
+  }
+};
+
+/**
+ * Look up the customers a batch of events refers to
+ * @param {Array<Object>} events - Events with email or externalId
+ * @returns {Promise<Object>} Customer IDs keyed by email and by external ID
+ */
+const findCustomers = async (events) => {
+  const emails = [...new Set(events.filter((event) => event.email).map((event) => String(event.email).toLowerCase().trim()))];
+  const externalIds = [...new Set(events.filter((event) => event.externalId).map((event) => String(event.externalId)))];
+
+  const customers = await Customer.find({
+    $or: [
+      { email: { $in: emails } },
+      { externalId: { $in: externalIds } },
+    ],
+  }).select('_id email externalId');
+
+  return {
+    byEmail: new Map(customers.map((customer) => [customer.email, customer._id])),
+    byExternalId: new Map(customers.filter((customer) => customer.externalId).map((customer) => [customer.externalId, customer._id])),
+  };
+};
+
+module.exports = exports;
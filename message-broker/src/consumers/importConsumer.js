@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const ImportJob = mongoose.model('ImportJob');
+const Segment = mongoose.model('Segment');
+const logger = require('../utils/logger');
+const { importCustomerRows } = require('../services/customerImporter');
+
+/**
+ * Process customer import messages
+ * Imports arrive as chunks of rows ({ importJobId, chunk, rows }) followed,
+ * for file imports, by a message saying every row is queued
+ * ({ importJobId, totalRows }). Results are counted into the import job,
+ * which is completed once all of its rows are processed.
+ * @param {Object} data - Import message
+ */
+exports.processCustomerImport = async (data) => {
+  try {
+    const { importJobId, chunk, rows } = data;
+
+    if (!importJobId) {
+      logger.error('Invalid customer import message: No import job ID');
+      return;
+    }
+
+    if (Array.isArray(rows)) {
+      logger.info(`Processing import ${importJobId} chunk ${chunk}: ${rows.length} rows`);
+
+      const results = await importCustomerRows(rows, { importJobId });
+      const counted = await ImportJob.recordChunk(importJobId, chunk, results);
+
+      logger.info(`Import ${importJobId} chunk ${chunk}: ${results.created} created, ${results.updated} updated, ${results.failed} failed${counted ? '' : ' (already counted)'}`);
+    }
+
+    // Rows may be processed before or after the message saying all rows are queued
+    if (await ImportJob.completeIfDone(importJobId)) {
+      const importJob = await ImportJob.findById(importJobId);
+      logger.info(`Import ${importJobId} completed: ${importJob.createdCount} created, ${importJob.updatedCount} updated, ${importJob.failedCount} failed`);
+
+      await refreshAllSegments();
+    }
+  } catch (err) {
+    logger.error(`Error processing customer import: ${err.message}`);
+    throw err;
+  }
+};
+
+/**
+ * Refresh all segments
+ */
+const refreshAllSegments = async () => {
+  const segments = await Segment.find();
+
+  logger.info(`Refreshing ${segments.length} segments`);
+
+  for (const segment of segments) {
+    await segment.refreshAudienceSize();
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Order = mongoose.model('Order');
+const Customer = mongoose.model('Customer');
+const Segment = mongoose.model('Segment');
+const logger = require('../utils/logger');
+
+/**
+ * Process bulk order ingestion
+ * Orders are matched to customers by customerId or customerEmail and upserted by
+ * orderNumber, so resending a store export updates orders instead of duplicating them.
+ * @param {Object} data - Bulk data
+ */
+exports.processOrderBulkCreate = async (data) => {
+  try {
+    const { orders } = data;
+
+    // Check if this is a valid ingestion
+    if (!Array.isArray(orders) || orders.length === 0) {
+      logger.error('Invalid bulk order ingestion: No orders provided');
+      return;
+    }
+
+    logger.info(`Processing bulk order ingestion: ${orders.length} orders`);
+
+    const results = {
+      created: 0,
+      updated: 0,
+      failed: 0,
+    };
+    const customerIds = new Set();
+
+    for (const orderData of orders) {
+      try {
+        const outcome = await upsertOrder(orderData);
+        results[outcome.created ? 'created' : 'updated'] += 1;
+        customerIds.add(String(outcome.order.customerId));
+      } catch (err) {
+        results.failed += 1;
+        logger.warn(`Skipping order ${orderData && orderData.orderNumber}: ${err.message}`);
+      }
+    }
+
+    // Recompute aggregates of every customer whose orders changed
+    if (customerIds.size > 0) {
+      await Order.refreshCustomerStats([...customerIds]);
+      await refreshAllSegments();
+    }
+
+    logger.info(`Bulk order ingestion completed: ${results.created} created, ${results.updated} updated, ${results.failed} failed`);
+  } catch (err) {
+    logger.error(`Error processing bulk order ingestion: ${err.message}`);
+    throw err;
+  }
+};
+
+/**
+ * Create an order, or update the existing order with the same order number
+ * @param {Object} orderData - Order data with customerId or customerEmail
+ * @returns {Promise<Object>} Saved order and whether it was created
+ */
+const upsertOrder = async (orderData) => {
+  const { customerEmail, ...fields } = orderData || {};
+
+  if (!fields.orderNumber) {
+    throw new Error('orderNumber is required');
+  }
+
+  const customer = fields.customerId
+    ? await Customer.findById(fields.customerId).select('_id')
+    : customerEmail
+      ? await Customer.findOne({ email: String(customerEmail).toLowerCase().trim() }).select('_id')
+      : null;
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const existingOrder = await Order.findOne({ orderNumber: fields.orderNumber });
+
+  // An order cannot move to another customer
+  if (existingOrder && String(existingOrder.customerId) !== String(customer._id)) {
+    throw new Error('Order number belongs to another customer');
+  }
+
+  // The amount is derived from the line items again unless the store sends it
+  const order = existingOrder || new Order();
+  Object.assign(order, { amount: undefined }, fields, { customerId: customer._id });
+  await order.save();
+
+  return { order, created: !existingOrder };
+};
+
+/**
+ * Refresh all segments
+ */
+const refreshAllSegments = async () => {
+  const segments = await Segment.find();
+
+  logger.info(`Refreshing ${segments.length} segments`);
+
+  for (const segment of segments) {
+    await segment.refreshAudienceSize();
+  }
+};
+
+module.exports = exports;
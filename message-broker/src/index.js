@@ -1,14 +1,29 @@
-const Redis = require('ioredis');
 const mongoose = require('mongoose');
 require('./models/customer.model'); // Register Customer model (local)
 require('./models/segment.model'); // Register Segment model (local)
 require('./models/campaign.model'); // Register Campaign model (local)
 require('./models/communicationLog.model'); // Register CommunicationLog model (local)
+require('./models/order.model'); // Register Order model (local)
+require('./models/event.model'); // Register Event model (local)
+require('./models/eventBatch.model'); // Register EventBatch model (local)
+require('./models/importJob.model'); // Register ImportJob model (local)
+require('./models/duplicateCandidate.model'); // Register DuplicateCandidate model (local)
+require('./models/profileChange.model'); // Register ProfileChange model (local)
+require('./models/suppression.model'); // Register Suppression model (local)
+require('./models/journey.model'); // Register Journey model (local)
+require('./models/journeyEnrollment.model'); // Register JourneyEnrollment model (local)
 const config = require('./config');
 const logger = require('./utils/logger');
 const customerConsumer = require('./consumers/customerConsumer');
 const campaignConsumer = require('./consumers/campaignConsumer');
 const deliveryReceiptConsumer = require('./consumers/deliveryReceiptConsumer');
+const orderConsumer = require('./consumers/orderConsumer');
+const eventConsumer = require('./consumers/eventConsumer');
+const importConsumer = require('./consumers/importConsumer');
+const duplicateConsumer = require('./consumers/duplicateConsumer');
+const { scanForDuplicates } = require('./services/duplicateDetector');
+const journeyScheduler = require('./services/journeyScheduler');
+const streamConsumer = require('./services/streamConsumer');
 
 // Set strictQuery to true to suppress deprecation warning
 mongoose.set('strictQuery', true);
@@ -26,90 +41,29 @@ mongoose
     process.exit(1);
   });
 
-// Create Redis subscriber client
-const subscriber = new Redis(config.redis.url, config.redis.options);
+// Handlers for each stream the broker consumes
+const handlers = {
+  // Customer channels
+  'customer.created': customerConsumer.processCustomerCreated,
+  'customer.updated': customerConsumer.processCustomerUpdated,
+  'customer.deleted': customerConsumer.processCustomerDeleted,
+  'customer.bulk.create': customerConsumer.processCustomerBulkCreate,
+  'customer.event': eventConsumer.processCustomerEvents,
+  'customer.import': importConsumer.processCustomerImport,
+  'customer.duplicates.scan': duplicateConsumer.processDuplicateScan,
 
-// Handle Redis connection events
-subscriber.on('connect', () => {
-  logger.info('Redis subscriber connected');
-});
+  // Order channels
+  'order.bulk.create': orderConsumer.processOrderBulkCreate,
 
-subscriber.on('error', (err) => {
-  logger.error('Redis subscriber error:', err);
-});
+  // Campaign channels
+  'campaign.created': campaignConsumer.processCampaignCreated,
+  'campaign.deliver': campaignConsumer.processCampaignDelivery,
 
-// Subscribe to channels
-const subscribeToChannels = async () => {
-  try {
-    // Customer channels
-    await subscriber.subscribe('customer.created');
-    await subscriber.subscribe('customer.updated');
-    await subscriber.subscribe('customer.deleted');
-    await subscriber.subscribe('customer.bulk.create');
-    
-    // Campaign channels
-    await subscriber.subscribe('campaign.created');
-    await subscriber.subscribe('campaign.deliver');
-    
-    // Delivery receipt channel
-    await subscriber.subscribe('delivery.receipt');
-    await subscriber.subscribe('event.callback');
-    
-    logger.info('Subscribed to all channels');
-  } catch (err) {
-    logger.error('Error subscribing to channels:', err);
-    process.exit(1);
-  }
+  // Delivery receipt channels
+  'delivery.receipt': deliveryReceiptConsumer.processDeliveryReceipt,
+  'event.callback': deliveryReceiptConsumer.processEventCallback
 };
 
-// Process messages based on channel
-subscriber.on('message', async (channel, message) => {
-  try {
-    logger.debug(`Received message on ${channel}`);
-    
-    // Parse message
-    const data = JSON.parse(message);
-    
-    // Process message based on channel
-    switch (channel) {
-      // Customer channels
-      case 'customer.created':
-        await customerConsumer.processCustomerCreated(data);
-        break;
-      case 'customer.updated':
-        await customerConsumer.processCustomerUpdated(data);
-        break;
-      case 'customer.deleted':
-        await customerConsumer.processCustomerDeleted(data);
-        break;
-      case 'customer.bulk.create':
-        await customerConsumer.processCustomerBulkCreate(data);
-        break;
-      
-      // Campaign channels
-      case 'campaign.created':
-        await campaignConsumer.processCampaignCreated(data);
-        break;
-      case 'campaign.deliver':
-        await campaignConsumer.processCampaignDelivery(data);
-        break;
-      
-      // Delivery receipt channel
-      case 'delivery.receipt':
-        await deliveryReceiptConsumer.processDeliveryReceipt(data);
-        break;
-      case 'event.callback':
-        await deliveryReceiptConsumer.processEventCallback(data);
-        break;
-      
-      default:
-        logger.warn(`Unknown channel: ${channel}`);
-    }
-  } catch (err) {
-    logger.error(`Error processing message on ${channel}:`, err);
-  }
-});
-
 // Start campaign delivery worker
 const startCampaignDeliveryWorker = () => {
   const interval = setInterval(async () => {
@@ -136,15 +90,62 @@ const startScheduledCampaignWorker = () => {
   return interval;
 };
 
+// Start A/B test winner worker
+const startVariantTestWorker = () => {
+  const interval = setInterval(async () => {
+    try {
+      await campaignConsumer.processVariantTests();
+    } catch (err) {
+      logger.error('Error in A/B test worker:', err);
+    }
+  }, 60000); // Check every minute
+  
+  return interval;
+};
+
+// Start journey worker
+const startJourneyWorker = () => {
+  const interval = setInterval(async () => {
+    try {
+      await journeyScheduler.enrollSegmentMembers();
+      await journeyScheduler.processDueEnrollments();
+    } catch (err) {
+      logger.error('Error in journey worker:', err);
+    }
+  }, config.journeys.processingInterval);
+  
+  return interval;
+};
+
+// Start duplicate customer scan worker
+const startDuplicateScanWorker = () => {
+  if (!config.duplicates.scanIntervalHours) {
+    return null;
+  }
+  
+  const interval = setInterval(async () => {
+    try {
+      await scanForDuplicates();
+    } catch (err) {
+      logger.error('Error in duplicate scan worker:', err);
+    }
+  }, config.duplicates.scanIntervalHours * 60 * 60 * 1000);
+  
+  return interval;
+};
+
 // Main function
 const start = async () => {
   try {
-    // Subscribe to channels
-    await subscribeToChannels();
+    // Join the consumer group on every stream
+    await streamConsumer.start(handlers);
     
     // Start workers
     const campaignDeliveryWorker = startCampaignDeliveryWorker();
     const scheduledCampaignWorker = startScheduledCampaignWorker();
+    const variantTestWorker = startVariantTestWorker();
+    const journeyWorker = startJourneyWorker();
+    const duplicateScanWorker = startDuplicateScanWorker();
     
     logger.info('All workers started');
     
@@ -155,9 +156,12 @@ const start = async () => {
       // Clear intervals
       clearInterval(campaignDeliveryWorker);
       clearInterval(scheduledCampaignWorker);
+      clearInterval(variantTestWorker);
+      clearInterval(journeyWorker);
+      clearInterval(duplicateScanWorker);
       
       // Close connections
-      subscriber.quit();
+      streamConsumer.stop();
       mongoose.connection.close();
       
       logger.info('Shutdown complete');
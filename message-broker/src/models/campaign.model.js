@@ -1,13 +1,26 @@
 const mongoose = require('mongoose');
+const config = require('../config');
+
+// Time zones are at most 26 hours apart (UTC-12 to UTC+14), so local time campaigns
+// start this long before scheduledAt to reach customers whose clocks are furthest ahead
+const LOCAL_TIME_LEAD_MS = 26 * 60 * 60 * 1000;
 
 const campaignSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     description: { type: String, trim: true },
     message: { type: String, required: true },
+    subject: { type: String },
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Template' },
+    templateVersion: { type: Number },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+      default: 'email',
+    },
     status: {
       type: String,
-      enum: ['Draft', 'Active', 'Completed', 'Failed'],
+      enum: ['Draft', 'Scheduled', 'Sending', 'Recurring', 'Paused', 'Cancelled', 'Completed', 'Failed'],
       default: 'Draft',
     },
     segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
@@ -15,13 +28,60 @@ const campaignSchema = new mongoose.Schema(
     audienceSize: { type: Number, default: 0 },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     scheduledAt: { type: Date },
+    delivery: {
+      mode: { type: String, enum: ['immediate', 'local_time'], default: 'immediate' },
+      timezone: { type: String, default: config.campaign.defaultTimezone },
+      quietHours: {
+        start: { type: String },
+        end: { type: String },
+      },
+    },
+    variants: [
+      {
+        _id: false,
+        key: { type: String, enum: ['A', 'B', 'C', 'D', 'E'], required: true },
+        name: { type: String },
+        message: { type: String, required: true },
+        subject: { type: String },
+      },
+    ],
+    abTest: {
+      testPercentage: { type: Number, default: 20 },
+      metric: { type: String, enum: ['delivery', 'click', 'reply'], default: 'click' },
+      waitHours: { type: Number, default: 4 },
+      winner: { type: String, enum: ['A', 'B', 'C', 'D', 'E'] },
+      decidedAt: { type: Date },
+    },
+    holdout: {
+      percentage: { type: Number, default: 0 },
+      conversionWindowDays: { type: Number, default: 7 },
+    },
+    recurrence: {
+      frequency: { type: String, enum: ['daily', 'weekly', 'monthly', 'cron'] },
+      time: { type: String },
+      daysOfWeek: { type: [Number], default: undefined },
+      dayOfMonth: { type: Number },
+      cron: { type: String },
+      endAt: { type: Date },
+      nextRunAt: { type: Date },
+      lastRunAt: { type: Date },
+      runCount: { type: Number },
+    },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    runNumber: { type: Number },
     sentAt: { type: Date },
     completedAt: { type: Date },
+    failureReason: { type: String },
+    pausedAt: { type: Date },
+    cancelledAt: { type: Date },
     tags: [String],
     stats: {
       delivered: { type: Number, default: 0 },
       failed: { type: Number, default: 0 },
       pending: { type: Number, default: 0 },
+      suppressed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      heldOut: { type: Number, default: 0 },
       deliveredPercentage: { type: Number, default: 0 },
       failedPercentage: { type: Number, default: 0 },
     },
@@ -34,15 +94,81 @@ const campaignSchema = new mongoose.Schema(
   }
 );
 
+// Statuses a campaign can move to from each status (kept in sync with backend/src/models/campaign.model.js)
+const STATUS_TRANSITIONS = {
+  Draft: ['Scheduled', 'Sending', 'Recurring', 'Cancelled'],
+  Scheduled: ['Sending', 'Cancelled'],
+  Sending: ['Paused', 'Cancelled', 'Completed', 'Failed'],
+  Recurring: ['Paused', 'Cancelled', 'Completed'],
+  Paused: ['Sending', 'Recurring', 'Cancelled', 'Completed'],
+  Completed: ['Sending'],
+  Failed: ['Sending'],
+  Cancelled: [],
+};
+
+/**
+ * Static method to move a campaign to a status, if its current status allows it.
+ * The check and the change are one update, so the broker cannot undo a pause or cancellation made meanwhile.
+ * @param {ObjectId} id - Campaign ID
+ * @param {String} status - Status to move to
+ * @param {Object} update - Other changes to make, as update operators
+ * @param {Array} from - Statuses to move from, if narrower than the transitions allow
+ * @returns {Promise<Object|null>} Updated campaign, or null if the campaign cannot move to the status
+ */
+campaignSchema.statics.transition = async function (id, status, update = {}, from) {
+  const allowed = Object.keys(STATUS_TRANSITIONS)
+    .filter((current) => STATUS_TRANSITIONS[current].includes(status) && (!from || from.includes(current)));
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: allowed } },
+    { ...update, $set: { ...update.$set, status } },
+    { new: true }
+  );
+};
+
 /**
  * Static method to find campaigns that are scheduled and due for processing.
+ * Local time campaigns are due a day ahead; their messages are held until each customer's local time.
  * @returns {Promise<Array>} List of due campaigns
  */
 campaignSchema.statics.findDueCampaigns = async function () {
   const now = new Date();
   return this.find({
     status: 'Scheduled',
-    scheduledAt: { $lte: now },
+    $or: [
+      { scheduledAt: { $lte: now } },
+      { 'delivery.mode': 'local_time', scheduledAt: { $lte: new Date(now.getTime() + LOCAL_TIME_LEAD_MS) } },
+    ],
+  });
+};
+
+/**
+ * Static method to find recurring campaigns whose next run is due.
+ * Runs of local time campaigns are due a day ahead, like scheduled campaigns.
+ * @returns {Promise<Array>} List of recurring campaigns to start a run of
+ */
+campaignSchema.statics.findDueRuns = async function () {
+  const now = new Date();
+  return this.find({
+    status: 'Recurring',
+    $or: [
+      { 'recurrence.nextRunAt': { $lte: now } },
+      { 'delivery.mode': 'local_time', 'recurrence.nextRunAt': { $lte: new Date(now.getTime() + LOCAL_TIME_LEAD_MS) } },
+    ],
+  });
+};
+
+/**
+ * Static method to find sending campaigns with an A/B test that has no winner yet and started sending at least its wait ago.
+ * The wait runs from when the last test message went out, so it is checked again against the campaign's logs
+ * @returns {Promise<Array>} List of campaigns that may be due a winner
+ */
+campaignSchema.statics.findDueTests = async function () {
+  const now = new Date();
+  return this.find({
+    status: 'Sending',
+    'variants.1': { $exists: true },
+    'abTest.winner': { $exists: false },
+    $expr: { $lte: [{ $add: ['$sentAt', { $multiply: ['$abTest.waitHours', 60 * 60 * 1000] }] }, now] },
   });
 };
 
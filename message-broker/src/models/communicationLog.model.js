@@ -1 +1,162 @@
- 
\ No newline at end of file
+const mongoose = require('mongoose');
+
+const communicationLogSchema = new mongoose.Schema(
+  {
+    // Journey messages have no campaign
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: function () { return !this.journeyId; } },
+    journeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Journey' },
+    journeyStep: { type: String },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+    status: {
+      type: String,
+      enum: ['PENDING', 'PROCESSING', 'SENT', 'FAILED', 'RETRYING', 'DEAD_LETTER', 'SUPPRESSED', 'SKIPPED', 'WAITING', 'HELD_OUT'],
+      default: 'PENDING',
+    },
+    variant: { type: String, enum: ['A', 'B', 'C', 'D', 'E'] },
+    variantPhase: { type: String, enum: ['test', 'winner'] },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date },
+    leaseOwner: { type: String },
+    leaseExpiresAt: { type: Date },
+    message: { type: String },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+      default: 'email',
+    },
+    recipient: { type: String },
+    vendor: { type: String },
+    vendorMessageId: { type: String },
+    sentAt: { type: Date },
+    deliveredAt: { type: Date },
+    errorMessage: { type: String },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One log per customer in a campaign, so creating a campaign's logs can be retried
+communicationLogSchema.index(
+  { campaignId: 1, customerId: 1 },
+  { unique: true, partialFilterExpression: { campaignId: { $exists: true } } }
+);
+
+// Messages of a campaign not yet delivered, failed, suppressed, skipped or held out, for use in an update pipeline
+const remainingPending = {
+  $max: [
+    0,
+    {
+      $subtract: [
+        '$audienceSize',
+        { $add: ['$stats.delivered', '$stats.failed', '$stats.suppressed', '$stats.skipped', '$stats.heldOut'] },
+      ],
+    },
+  ],
+};
+
+/**
+ * Static method to skip a campaign's messages that have not been sent, when the campaign is cancelled.
+ * PROCESSING logs are left to the broker instance sending them unless their lease has expired.
+ * Only logs that were actually skipped are counted in the campaign's stats, and pending is derived
+ * from the counts. Kept in sync with backend/src/models/communicationLog.model.js
+ * @param {ObjectId} campaignId - Campaign ID
+ * @param {String} reason - Why the messages were skipped
+ * @returns {Promise<Number>} Number of skipped logs
+ */
+communicationLogSchema.statics.skipRemaining = async function (campaignId, reason) {
+  const result = await this.updateMany(
+    {
+      campaignId,
+      $or: [
+        { status: { $in: ['PENDING', 'RETRYING', 'WAITING'] } },
+        { status: 'PROCESSING', leaseExpiresAt: { $lte: new Date() } },
+      ],
+    },
+    {
+      $set: { status: 'SKIPPED', errorMessage: reason },
+      $unset: { nextAttemptAt: '', leaseOwner: '', leaseExpiresAt: '' },
+    }
+  );
+  const skipped = result.modifiedCount;
+
+  if (skipped > 0) {
+    await mongoose.model('Campaign').updateOne({ _id: campaignId }, [
+      { $set: { 'stats.skipped': { $add: ['$stats.skipped', skipped] } } },
+      { $set: { 'stats.pending': remainingPending } },
+    ]);
+  }
+  return skipped;
+};
+
+/**
+ * Static method to break a campaign's messages down by variant and by test or winner phase.
+ * Delivery rates are over the messages attempted, leaving out suppressed and skipped ones;
+ * click and reply rates are over the messages sent. Kept in sync with backend/src/models/communicationLog.model.js
+ * @param {ObjectId} campaignId - Campaign ID
+ * @returns {Promise<Array>} Counts and rates for each variant and phase
+ */
+communicationLogSchema.statics.getVariantStats = async function (campaignId) {
+  const countStatus = (statuses) => ({ $sum: { $cond: [{ $in: ['$status', statuses] }, 1, 0] } });
+  const countEvent = (type) => ({ $sum: { $cond: [{ $in: [type, { $ifNull: ['$metadata.events.type', []] }] }, 1, 0] } });
+  
+  const groups = await this.aggregate([
+    { $match: { campaignId, variant: { $exists: true } } },
+    {
+      $group: {
+        _id: { variant: '$variant', phase: '$variantPhase' },
+        total: { $sum: 1 },
+        sent: countStatus(['SENT']),
+        failed: countStatus(['FAILED', 'DEAD_LETTER']),
+        suppressed: countStatus(['SUPPRESSED']),
+        skipped: countStatus(['SKIPPED']),
+        clicked: countEvent('CLICK'),
+        replied: countEvent('REPLY'),
+      },
+    },
+    { $sort: { '_id.variant': 1, '_id.phase': 1 } },
+  ]);
+  
+  return groups.map(({ _id, ...counts }) => {
+    const attempted = counts.total - counts.suppressed - counts.skipped;
+    
+    return {
+      variant: _id.variant,
+      phase: _id.phase,
+      ...counts,
+      pending: attempted - counts.sent - counts.failed,
+      deliveryRate: attempted > 0 ? counts.sent / attempted : 0,
+      clickRate: counts.sent > 0 ? counts.clicked / counts.sent : 0,
+      replyRate: counts.sent > 0 ? counts.replied / counts.sent : 0,
+    };
+  });
+};
+
+/**
+ * Static method to find how far the test phase of a campaign's A/B test has got.
+ * Test messages held for the customer's local time or quiet hours count as unsent.
+ * @param {ObjectId} campaignId - Campaign ID
+ * @returns {Promise<Object>} { unsent, finishedAt }: test messages still to be sent, and when the last one was sent or failed
+ */
+communicationLogSchema.statics.getTestProgress = async function (campaignId) {
+  const [progress] = await this.aggregate([
+    { $match: { campaignId, variantPhase: 'test' } },
+    {
+      $group: {
+        _id: null,
+        unsent: { $sum: { $cond: [{ $in: ['$status', ['PENDING', 'PROCESSING', 'RETRYING']] }, 1, 0] } },
+        lastSentAt: { $max: '$sentAt' },
+        lastUpdatedAt: { $max: '$updatedAt' },
+      },
+    },
+  ]);
+
+  if (!progress) {
+    return { unsent: 0, finishedAt: null };
+  }
+
+  return { unsent: progress.unsent, finishedAt: progress.lastSentAt || progress.lastUpdatedAt };
+};
+
+module.exports = mongoose.model('CommunicationLog', communicationLogSchema);
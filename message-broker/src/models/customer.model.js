@@ -1,11 +1,25 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Consent to messages on one channel (kept in sync with backend/src/models/customer.model.js)
+const subscriptionSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ['subscribed', 'unsubscribed'], required: true },
+    source: { type: String, enum: ['api', 'link', 'vendor'], default: 'api' },
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const customerSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    externalId: { type: String, trim: true, unique: true, sparse: true },
     phone: { type: String, trim: true },
     location: { type: String, trim: true },
+    timezone: { type: String, trim: true, validate: [(value) => !value || isValidTimezone(value), 'Please provide a valid IANA time zone, e.g. Asia/Kolkata'] },
     tags: [String],
     totalSpend: { type: Number, default: 0 },
     orderCount: { type: Number, default: 0 },
@@ -13,6 +27,12 @@ const customerSchema = new mongoose.Schema(
     avatar: { type: String },
     isActive: { type: Boolean, default: true },
     metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    subscriptions: {
+      email: subscriptionSchema,
+      sms: subscriptionSchema,
+      whatsapp: subscriptionSchema,
+      push: subscriptionSchema,
+    },
   },
   {
     timestamps: true,
@@ -21,4 +41,36 @@ const customerSchema = new mongoose.Schema(
   }
 );
 
+// Method to check whether the customer has unsubscribed from a channel
+customerSchema.methods.isUnsubscribed = function (channel) {
+  const subscription = this.subscriptions && this.subscriptions[channel];
+  
+  return Boolean(subscription && subscription.status === 'unsubscribed');
+};
+
+// Static method to change a customer's subscription to a channel, recording the change for the timeline
+customerSchema.statics.setSubscription = async function (customerId, channel, status, { source = 'api', campaign } = {}) {
+  const before = await this.findByIdAndUpdate(
+    customerId,
+    { $set: { [`subscriptions.${channel}`]: { status, source, campaign, updatedAt: new Date() } } },
+    { runValidators: true }
+  );
+  
+  if (!before) {
+    return null;
+  }
+  
+  const previous = before.isUnsubscribed(channel) ? 'unsubscribed' : 'subscribed';
+  if (previous !== status) {
+    await mongoose.model('ProfileChange').record(
+      customerId,
+      'updated',
+      [{ field: `subscriptions.${channel}`, from: previous, to: status }],
+      { source }
+    );
+  }
+  
+  return this.findById(customerId);
+};
+
 module.exports = mongoose.model('Customer', customerSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Compact copy of backend/src/models/duplicateCandidate.model.js with the fields the broker updates
+const duplicateCandidateSchema = new mongoose.Schema(
+  {
+    customers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }],
+    pairKey: { type: String, required: true, unique: true },
+    score: { type: Number, min: 0, max: 1, required: true },
+    reasons: {
+      phone: Boolean,
+      nameSimilarity: Number,
+      location: Boolean,
+    },
+    status: { type: String, enum: ['open', 'dismissed', 'merged'], default: 'open' },
+    detectedAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+duplicateCandidateSchema.index({ customers: 1 });
+
+// Static method to build the key of a pair of customers
+duplicateCandidateSchema.statics.pairKey = function (customerIds) {
+  return customerIds.map(String).sort().join(':');
+};
+
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
+
+module.exports = DuplicateCandidate;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Time-series collection of tracked customer events (kept in sync with backend/src/models/event.model.js)
+const eventSchema = new mongoose.Schema(
+  {
+    timestamp: { type: Date, required: true },
+    meta: {
+      event: { type: String, required: true },
+      customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+      sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'EventSource' },
+    },
+    email: { type: String, lowercase: true, trim: true },
+    externalId: { type: String, trim: true },
+    properties: { type: mongoose.Schema.Types.Mixed, default: {} },
+    receivedAt: { type: Date },
+  },
+  {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'meta',
+      granularity: 'seconds',
+    },
+    ...(config.events.retentionDays > 0
+      ? { expireAfterSeconds: config.events.retentionDays * 24 * 60 * 60 }
+      : {}),
+    versionKey: false,
+  }
+);
+
+eventSchema.index({ 'meta.customerId': 1, 'meta.event': 1, timestamp: -1 });
+eventSchema.index({ 'meta.event': 1, timestamp: -1 });
+
+module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Batches are remembered this long; redelivered and replayed stream entries arrive well within it
+const KEEP_DAYS = 7;
+
+// Event batches already stored, so a stream entry delivered more than once is not stored twice.
+// Events live in a time-series collection, which cannot have unique indexes, so batches are tracked here
+const eventBatchSchema = new mongoose.Schema(
+  {
+    // Assigned by the backend when the batch is accepted
+    _id: { type: mongoose.Schema.Types.ObjectId },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'EventSource' },
+    count: { type: Number, required: true },
+    storedAt: { type: Date, default: Date.now },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+eventBatchSchema.index({ storedAt: 1 }, { expireAfterSeconds: KEEP_DAYS * 24 * 60 * 60 });
+
+/**
+ * Record that a batch's events are stored
+ * @param {ObjectId} batchId - Batch ID
+ * @param {ObjectId} sourceId - Event source the batch came from
+ * @param {Number} count - Number of events stored
+ * @returns {Promise<void>}
+ */
+eventBatchSchema.statics.record = async function (batchId, sourceId, count) {
+  try {
+    await this.create({ _id: batchId, sourceId, count });
+  } catch (err) {
+    // Another broker instance stored the same batch at the same time
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+module.exports = mongoose.model('EventBatch', eventBatchSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Row errors kept per import; later errors are still counted in failedCount
+const MAX_ROW_ERRORS = 1000;
+
+// Compact copy of backend/src/models/importJob.model.js with the fields the broker updates
+const importJobSchema = new mongoose.Schema(
+  {
+    source: { type: String, enum: ['file', 'api'], default: 'file' },
+    fileName: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['awaiting_mapping', 'queued', 'processing', 'completed', 'failed'],
+      default: 'awaiting_mapping',
+    },
+    totalRows: { type: Number, default: null },
+    processedRows: { type: Number, default: 0 },
+    createdCount: { type: Number, default: 0 },
+    updatedCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    rowErrors: [{ _id: false, row: Number, email: String, message: String }],
+    processedChunks: [Number],
+    rowsQueuedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Count the results of one chunk of rows into an import
+ * A chunk that was already counted, e.g. because its message was redelivered, is ignored.
+ * @param {string} id - Import job ID
+ * @param {number} chunk - Position of the chunk in the import
+ * @param {Object} results - { created, updated, failed, errors }
+ * @returns {Promise<boolean>} Whether the results were counted
+ */
+importJobSchema.statics.recordChunk = async function (id, chunk, results) {
+  const result = await this.updateOne(
+    { _id: id, processedChunks: { $ne: chunk } },
+    {
+      $inc: {
+        processedRows: results.created + results.updated + results.failed,
+        createdCount: results.created,
+        updatedCount: results.updated,
+        failedCount: results.failed,
+      },
+      $push: { rowErrors: { $each: results.errors, $slice: MAX_ROW_ERRORS } },
+      $addToSet: { processedChunks: chunk },
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Complete an import once all of its rows are queued and processed
+ * @param {string} id - Import job ID
+ * @returns {Promise<boolean>} Whether the import was completed by this call
+ */
+importJobSchema.statics.completeIfDone = async function (id) {
+  const result = await this.updateOne(
+    {
+      _id: id,
+      status: 'processing',
+      rowsQueuedAt: { $ne: null },
+      $expr: { $gte: ['$processedRows', '$totalRows'] },
+    },
+    { $set: { status: 'completed', completedAt: new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
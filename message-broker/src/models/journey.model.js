@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Multi-step journey (kept in sync with backend/src/models/journey.model.js)
+const stepSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: ['send', 'wait', 'wait_event', 'branch', 'exit'],
+      required: true,
+    },
+    name: { type: String, trim: true },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+    },
+    message: { type: String },
+    subject: { type: String, trim: true },
+    duration: { type: Number, min: 0 },
+    unit: {
+      type: String,
+      enum: ['minutes', 'hours', 'days'],
+      default: 'hours',
+    },
+    event: { type: String, trim: true },
+    branchOn: { type: String, enum: ['segment', 'engagement'] },
+    segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
+    engagement: { type: String, enum: ['delivered', 'clicked', 'replied'] },
+    next: { type: String },
+    otherwise: { type: String },
+    position: {
+      x: { type: Number, default: 0 },
+      y: { type: Number, default: 0 },
+    },
+  },
+  { _id: false }
+);
+
+const journeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['Draft', 'Active', 'Paused', 'Archived'],
+      default: 'Draft',
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp', 'push'],
+      default: 'email',
+    },
+    entry: {
+      source: { type: String, enum: ['segment', 'event'], default: 'segment' },
+      segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
+      event: { type: String, trim: true },
+      allowReentry: { type: Boolean, default: false },
+    },
+    steps: [stepSchema],
+    startStep: { type: String },
+    stats: {
+      enrolled: { type: Number, default: 0 },
+      active: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      exited: { type: Number, default: 0 },
+    },
+    activatedAt: { type: Date },
+    archivedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+journeySchema.index({ status: 1 });
+journeySchema.index({ 'entry.source': 1, 'entry.event': 1, status: 1 });
+
+/**
+ * Method to find a step by key
+ * @param {String} key - Step key
+ * @returns {Object|undefined} Step, or undefined if the journey has no such step
+ */
+journeySchema.methods.getStep = function (key) {
+  return this.steps.find((step) => step.key === key);
+};
+
+module.exports = mongoose.model('Journey', journeySchema);
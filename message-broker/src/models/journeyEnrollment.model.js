@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A customer's way through a journey (kept in sync with backend/src/models/journeyEnrollment.model.js)
+const journeyEnrollmentSchema = new mongoose.Schema(
+  {
+    journeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Journey', required: true },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'exited'],
+      default: 'active',
+    },
+    currentStep: { type: String },
+    stepEnteredAt: { type: Date },
+    nextRunAt: { type: Date },
+    waitingForEvent: { type: String },
+    lastLogId: { type: mongoose.Schema.Types.ObjectId, ref: 'CommunicationLog' },
+    source: { type: String, enum: ['segment', 'event'] },
+    history: [
+      {
+        _id: false,
+        step: { type: String },
+        at: { type: Date },
+        outcome: { type: String },
+      },
+    ],
+    exitReason: { type: String },
+    leaseOwner: { type: String },
+    leaseExpiresAt: { type: Date },
+    enrolledAt: { type: Date, default: Date.now },
+    completedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A customer is only in a journey once at a time
+journeyEnrollmentSchema.index(
+  { journeyId: 1, customerId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+journeyEnrollmentSchema.index({ status: 1, nextRunAt: 1 });
+journeyEnrollmentSchema.index({ customerId: 1, status: 1, waitingForEvent: 1 });
+journeyEnrollmentSchema.index({ journeyId: 1, status: 1, enrolledAt: -1 });
+
+module.exports = mongoose.model('JourneyEnrollment', journeyEnrollmentSchema);
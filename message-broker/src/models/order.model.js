@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Orders that count towards a customer's aggregates (kept in sync with backend/src/models/order.model.js)
+const COUNTED_STATUSES = ['paid', 'fulfilled', 'partially_refunded'];
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    sku: { type: String, trim: true },
+    name: { type: String, required: true, trim: true },
+    category: { type: String, trim: true },
+    quantity: { type: Number, default: 1, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+    orderNumber: { type: String, required: true, unique: true, trim: true },
+    items: [orderItemSchema],
+    amount: { type: Number, min: 0 },
+    currency: { type: String, uppercase: true, trim: true, default: config.orders.currency },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'fulfilled', 'partially_refunded', 'refunded', 'cancelled'],
+      default: 'paid',
+    },
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    placedAt: { type: Date, default: Date.now },
+    cancelledAt: { type: Date },
+    refundedAt: { type: Date },
+    source: { type: String, trim: true },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Derive the amount from line items and keep refunds consistent with the status
+orderSchema.pre('validate', function (next) {
+  if (this.amount === undefined || this.amount === null) {
+    this.amount = this.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+  }
+
+  if (this.status === 'refunded') {
+    this.refundedAmount = this.amount;
+  }
+
+  if (this.refundedAmount > this.amount) {
+    this.invalidate('refundedAmount', 'Refunded amount cannot exceed the order amount');
+  }
+
+  if (this.isModified('status')) {
+    if (this.status === 'cancelled' && !this.cancelledAt) {
+      this.cancelledAt = new Date();
+    }
+    if (['refunded', 'partially_refunded'].includes(this.status) && !this.refundedAt) {
+      this.refundedAt = new Date();
+    }
+  }
+
+  next();
+});
+
+/**
+ * Filter selecting the orders that count towards customer aggregates and order segment conditions
+ * @returns {Object} MongoDB query
+ */
+orderSchema.statics.countedOrderMatch = function () {
+  return {
+    status: { $in: COUNTED_STATUSES },
+    currency: config.orders.currency,
+  };
+};
+
+/**
+ * Recompute totalSpend, orderCount and lastOrderDate of customers from their orders.
+ * @param {Array<string>|string} customerIds - Customers to update
+ * @returns {Promise<number>} Number of customers updated
+ */
+orderSchema.statics.refreshCustomerStats = async function (customerIds) {
+  const Customer = mongoose.model('Customer');
+  const ids = [].concat(customerIds).map((id) => new mongoose.Types.ObjectId(String(id)));
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const stats = await this.aggregate([
+    { $match: { ...this.countedOrderMatch(), customerId: { $in: ids } } },
+    {
+      $group: {
+        _id: '$customerId',
+        totalSpend: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+        orderCount: { $sum: 1 },
+        lastOrderDate: { $max: '$placedAt' },
+      },
+    },
+  ]);
+
+  const statsById = new Map(stats.map((entry) => [String(entry._id), entry]));
+
+  // Customers without counted orders are reset
+  const operations = ids.map((id) => {
+    const entry = statsById.get(String(id));
+
+    return {
+      updateOne: {
+        filter: { _id: id },
+        update: entry
+          ? { $set: { totalSpend: entry.totalSpend, orderCount: entry.orderCount, lastOrderDate: entry.lastOrderDate } }
+          : { $set: { totalSpend: 0, orderCount: 0 }, $unset: { lastOrderDate: '' } },
+      },
+    };
+  });
+
+  const result = await Customer.bulkWrite(operations, { ordered: false });
+
+  return result.matchedCount;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
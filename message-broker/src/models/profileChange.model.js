@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Customer fields whose changes are recorded
+const TRACKED_FIELDS = ['name', 'email', 'externalId', 'phone', 'location', 'timezone', 'tags', 'isActive', 'avatar', 'metadata', 'subscriptions'];
+
+// Compact copy of backend/src/models/profileChange.model.js with the fields the broker updates
+const profileChangeSchema = new mongoose.Schema(
+  {
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+    action: { type: String, enum: ['created', 'updated', 'merged'], required: true },
+    source: { type: String, enum: ['api', 'import', 'merge', 'link', 'vendor'], default: 'api' },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    importJob: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportJob' },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+profileChangeSchema.index({ customerId: 1, createdAt: -1 });
+
+// Static method to list the tracked fields that differ between two versions of a customer
+profileChangeSchema.statics.diff = function (before, after) {
+  return TRACKED_FIELDS
+    .filter((field) => JSON.stringify((before || {})[field] ?? null) !== JSON.stringify((after || {})[field] ?? null))
+    .map((field) => ({ field, from: (before || {})[field] ?? null, to: (after || {})[field] ?? null }));
+};
+
+// Static method to record a change; updates that changed nothing are skipped
+profileChangeSchema.statics.record = async function (customerId, action, changes, details = {}) {
+  if (action === 'updated' && changes.length === 0) {
+    return null;
+  }
+
+  return this.create({ customerId, action, changes, ...details });
+};
+
+const ProfileChange = mongoose.model('ProfileChange', profileChangeSchema);
+
+module.exports = ProfileChange;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { compileRules } = require('../utils/segmentRules');
 
 const segmentSchema = new mongoose.Schema(
   {
@@ -10,13 +11,8 @@ const segmentSchema = new mongoose.Schema(
         enum: ['AND', 'OR'],
         default: 'AND',
       },
-      conditions: [
-        {
-          field: { type: String, required: true },
-          operator: { type: String, required: true },
-          value: { type: mongoose.Schema.Types.Mixed, required: true },
-        },
-      ],
+      // Conditions or nested groups (see utils/segmentRules)
+      conditions: [mongoose.Schema.Types.Mixed],
     },
     audienceSize: { type: Number, default: 0 },
     lastRefreshed: { type: Date },
@@ -32,4 +28,30 @@ const segmentSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Convert the segment's rule tree to a MongoDB query.
+ * Order conditions are resolved against the orders collection.
+ * @returns {Promise<Object>} MongoDB query
+ */
+segmentSchema.methods.toMongoQuery = function () {
+  return compileRules(this.rules, {
+    Order: mongoose.model('Order'),
+    Event: mongoose.model('Event'),
+  });
+};
+
+/**
+ * Recount the customers matching the segment and save the result.
+ * @returns {Promise<number>} Audience size
+ */
+segmentSchema.methods.refreshAudienceSize = async function () {
+  const count = await mongoose.model('Customer').countDocuments(await this.toMongoQuery());
+
+  this.audienceSize = count;
+  this.lastRefreshed = new Date();
+  await this.save();
+
+  return count;
+};
+
 module.exports = mongoose.model('Segment', segmentSchema); 
\ No newline at end of file
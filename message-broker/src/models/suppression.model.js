@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Compact copy of backend/src/models/suppression.model.js with the fields the broker reads and writes
+const suppressionSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['email', 'phone', 'domain'], required: true },
+    value: { type: String, required: true },
+    reason: {
+      type: String,
+      enum: ['hard_bounce', 'complaint', 'competitor', 'legal_hold', 'other'],
+      default: 'other',
+    },
+    note: { type: String },
+    source: { type: String, enum: ['api', 'upload', 'bounce'], default: 'api' },
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    communicationLog: { type: mongoose.Schema.Types.ObjectId, ref: 'CommunicationLog' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+suppressionSchema.index({ type: 1, value: 1 }, { unique: true });
+
+// Recipients looked up per query when matching an audience
+const MATCH_BATCH_SIZE = 1000;
+
+// Static method to normalise a value for its type; gives null when the value is not valid for it
+suppressionSchema.statics.normalize = function (type, value) {
+  const text = String(value ?? '').trim().toLowerCase();
+
+  switch (type) {
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? text : null;
+    case 'domain': {
+      const domain = text.replace(/^@/, '');
+      return /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain) ? domain : null;
+    }
+    case 'phone': {
+      const digits = text.replace(/\D/g, '');
+      return digits.length >= 7 ? digits.slice(-10) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Static method to tell the type of a value
+suppressionSchema.statics.detectType = function (value) {
+  const text = String(value ?? '').trim();
+
+  if (text.includes('@') && !text.startsWith('@')) return 'email';
+  if (/^\+?[\d\s().-]+$/.test(text)) return 'phone';
+  return 'domain';
+};
+
+// Static method to list the entries that would suppress a recipient: its address and every
+// domain it belongs to, or its phone number. Other recipients, e.g. push tokens, match nothing
+suppressionSchema.statics.keysFor = function (recipient) {
+  const type = this.detectType(recipient);
+  const value = type === 'domain' ? null : this.normalize(type, recipient);
+
+  if (!value) {
+    return [];
+  }
+
+  if (type === 'phone') {
+    return [{ type, value }];
+  }
+
+  const labels = value.split('@').pop().split('.');
+  const domains = labels.slice(0, -1).map((label, index) => labels.slice(index).join('.'));
+
+  return [{ type, value }, ...domains.map((domain) => ({ type: 'domain', value: domain }))];
+};
+
+// Static method to find the entry suppressing each recipient
+// Resolves to a Map of recipient to suppression, holding only suppressed recipients
+suppressionSchema.statics.findMatches = async function (recipients) {
+  const matches = new Map();
+  const unique = [...new Set(recipients.filter(Boolean))];
+
+  for (let i = 0; i < unique.length; i += MATCH_BATCH_SIZE) {
+    const keysByRecipient = unique.slice(i, i + MATCH_BATCH_SIZE).map((recipient) => [recipient, this.keysFor(recipient)]);
+    const valuesByType = {};
+    keysByRecipient.forEach(([, keys]) => keys.forEach(({ type, value }) => {
+      valuesByType[type] = valuesByType[type] || new Set();
+      valuesByType[type].add(value);
+    }));
+
+    if (Object.keys(valuesByType).length === 0) {
+      continue;
+    }
+
+    const suppressions = await this.find({
+      $or: Object.entries(valuesByType).map(([type, values]) => ({ type, value: { $in: [...values] } })),
+    }).lean();
+    const byKey = new Map(suppressions.map((suppression) => [`${suppression.type}:${suppression.value}`, suppression]));
+
+    keysByRecipient.forEach(([recipient, keys]) => {
+      const key = keys.find(({ type, value }) => byKey.has(`${type}:${value}`));
+      if (key) {
+        matches.set(recipient, byKey.get(`${key.type}:${key.value}`));
+      }
+    });
+  }
+
+  return matches;
+};
+
+// Static method to describe why a recipient is suppressed, for the communication log
+suppressionSchema.statics.describe = function (suppression) {
+  return `Recipient is on the suppression list (${suppression.type} ${suppression.value}, ${suppression.reason.replace('_', ' ')})`;
+};
+
+// Static method to suppress the recipient of a message that hard bounced; existing entries are kept
+suppressionSchema.statics.addBounce = async function (log) {
+  const type = this.detectType(log.recipient);
+  const value = type === 'domain' ? null : this.normalize(type, log.recipient);
+
+  if (!value) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { type, value },
+    {
+      $setOnInsert: {
+        reason: 'hard_bounce',
+        source: 'bounce',
+        note: log.errorMessage,
+        campaign: log.campaignId,
+        communicationLog: log._id,
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
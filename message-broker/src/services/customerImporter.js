@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Customer = mongoose.model('Customer');
+const ProfileChange = mongoose.model('ProfileChange');
+
+// Fields an import cannot set; order aggregates are recomputed from orders, and
+// subscriptions only change through the customer's subscriptions endpoint, so an
+// import cannot subscribe customers who unsubscribed
+const PROTECTED_FIELDS = ['_id', 'totalSpend', 'orderCount', 'lastOrderDate', 'subscriptions', 'createdAt', 'updatedAt'];
+
+/**
+ * Describe why a customer could not be saved
+ * @param {Error} err - Save error
+ * @returns {string} Error message
+ */
+const describeError = (err) => {
+  if (err.code === 11000) {
+    return `Another customer already has this ${Object.keys(err.keyValue || {}).join(', ') || 'value'}`;
+  }
+
+  return err.message;
+};
+
+/**
+ * Create or update customers from import rows, matching existing customers by email
+ * Rows are processed in order, so a file that lists the same email twice
+ * creates the customer once and then updates it.
+ * Every created or changed customer gets a profile change for its timeline.
+ * @param {Array<Object>} rows - { row, customer } or { row, error, email } for rows that failed mapping
+ * @param {Object} options - { importJobId } import the rows belong to, if any
+ * @returns {Promise<Object>} { created, updated, failed, errors } with errors as { row, email, message }
+ */
+exports.importCustomerRows = async (rows, { importJobId } = {}) => {
+  const results = {
+    created: 0,
+    updated: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  for (const { row, customer: data, error, email } of rows) {
+    if (error) {
+      results.failed += 1;
+      results.errors.push({ row, email, message: error });
+      continue;
+    }
+
+    const fields = { ...data };
+    PROTECTED_FIELDS.forEach((field) => delete fields[field]);
+    const customerEmail = String(fields.email).toLowerCase().trim();
+
+    try {
+      const existingCustomer = await Customer.findOne({ email: customerEmail });
+      const customer = existingCustomer || new Customer();
+      const before = existingCustomer ? existingCustomer.toObject() : {};
+
+      // Imported metadata is merged into what the customer already has
+      const metadata = { ...(existingCustomer && existingCustomer.metadata), ...fields.metadata };
+      Object.assign(customer, fields, { email: customerEmail, metadata });
+      await customer.save();
+
+      await ProfileChange.record(
+        customer._id,
+        existingCustomer ? 'updated' : 'created',
+        ProfileChange.diff(before, customer.toObject()),
+        { source: 'import', importJob: importJobId }
+      );
+
+      results[existingCustomer ? 'updated' : 'created'] += 1;
+    } catch (err) {
+      results.failed += 1;
+      results.errors.push({ row, email: customerEmail, message: describeError(err) });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const Customer = mongoose.model('Customer');
+const DuplicateCandidate = mongoose.model('DuplicateCandidate');
+
+// Weight of each signal in a candidate's score; they add up to 1
+const WEIGHTS = {
+  phone: 0.5,
+  name: 0.35,
+  location: 0.15,
+};
+
+// Candidate upserts sent to MongoDB per bulk write
+const WRITE_BATCH_SIZE = 500;
+
+/**
+ * Normalise a phone number to its last 10 digits, dropping formatting and country codes
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Normalised number, or null if it is too short to compare
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+/**
+ * Normalise free text for comparison: lower case, no accents or punctuation
+ * @param {string} value - Text
+ * @returns {Array<string>} Words
+ */
+const normalizeWords = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean);
+
+/**
+ * Get the letter pairs within each word
+ * @param {Array<string>} words - Words
+ * @returns {Array<string>} Bigrams
+ */
+const bigrams = (words) => words.flatMap((word) => {
+  const pairs = [];
+  for (let i = 0; i < word.length - 1; i += 1) {
+    pairs.push(word.slice(i, i + 2));
+  }
+  return pairs;
+});
+
+/**
+ * Score how similar two names are with the Dice coefficient of their letter pairs
+ * Word order is ignored, so "Kumar Amit" matches "Amit Kumar".
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Similarity from 0 to 1
+ */
+const nameSimilarity = (a, b) => {
+  const left = normalizeWords(a).sort();
+  const right = normalizeWords(b).sort();
+
+  if (left.length === 0 || right.length === 0) return 0;
+  if (left.join(' ') === right.join(' ')) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+
+  const remaining = [...rightPairs];
+  let shared = 0;
+  leftPairs.forEach((pair) => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared += 1;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+};
+
+/**
+ * Score a pair of customers on phone, name similarity and location
+ * @param {Object} a - First customer
+ * @param {Object} b - Second customer
+ * @returns {Object} { score, reasons }
+ */
+const scorePair = (a, b) => {
+  const phoneA = normalizePhone(a.phone);
+  const locationA = normalizeWords(a.location).join(' ');
+  const reasons = {
+    phone: Boolean(phoneA) && phoneA === normalizePhone(b.phone),
+    nameSimilarity: Math.round(nameSimilarity(a.name, b.name) * 100) / 100,
+    location: Boolean(locationA) && locationA === normalizeWords(b.location).join(' '),
+  };
+  const score = (reasons.phone ? WEIGHTS.phone : 0)
+    + reasons.nameSimilarity * WEIGHTS.name
+    + (reasons.location ? WEIGHTS.location : 0);
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Scan all customers for likely duplicates
+ * Customers are grouped by normalised phone number and every pair in a group
+ * is scored. Pairs scoring at least the minimum become open candidates, or
+ * have their score refreshed; dismissed and merged candidates keep their
+ * status. Open candidates the scan no longer finds are removed.
+ * @returns {Promise<Object>} { customers, candidates, skippedGroups }
+ */
+exports.scanForDuplicates = async () => {
+  const startedAt = new Date();
+  const groups = new Map();
+  let customers = 0;
+
+  const cursor = Customer.find({ phone: { $nin: [null, ''] } })
+    .select('name phone location')
+    .lean()
+    .cursor({ batchSize: 1000 });
+
+  for await (const customer of cursor) {
+    const phone = normalizePhone(customer.phone);
+    if (phone) {
+      customers += 1;
+      if (!groups.has(phone)) {
+        groups.set(phone, []);
+      }
+      groups.get(phone).push(customer);
+    }
+  }
+
+  let operations = [];
+  let candidates = 0;
+  let skippedGroups = 0;
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      await DuplicateCandidate.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  };
+
+  for (const group of groups.values()) {
+    if (group.length > config.duplicates.maxGroupSize) {
+      skippedGroups += 1;
+    } else {
+      for (let i = 0; i < group.length; i += 1) {
+        for (let j = i + 1; j < group.length; j += 1) {
+          const { score, reasons } = scorePair(group[i], group[j]);
+
+          if (score >= config.duplicates.minScore) {
+            candidates += 1;
+            operations.push({
+              updateOne: {
+                filter: { pairKey: DuplicateCandidate.pairKey([group[i]._id, group[j]._id]) },
+                update: {
+                  $set: { score, reasons, detectedAt: startedAt },
+                  $setOnInsert: { customers: [group[i]._id, group[j]._id], status: 'open' },
+                },
+                upsert: true,
+              },
+            });
+
+            if (operations.length >= WRITE_BATCH_SIZE) {
+              await flush();
+            }
+          }
+        }
+      }
+    }
+  }
+
+  await flush();
+
+  // Open candidates not found again no longer qualify, e.g. a phone number was corrected
+  const { deletedCount } = await DuplicateCandidate.deleteMany({ status: 'open', detectedAt: { $lt: startedAt } });
+
+  if (skippedGroups > 0) {
+    logger.warn(`Duplicate scan skipped ${skippedGroups} phone numbers shared by more than ${config.duplicates.maxGroupSize} customers`);
+  }
+  logger.info(`Duplicate scan completed: ${candidates} candidates among ${customers} customers with a phone number, ${deletedCount} stale candidates removed`);
+
+  return { customers, candidates, skippedGroups };
+};
@@ -0,0 +1,430 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { renderTemplate } = require('../utils/messageTemplate');
+const { getUnsubscribeUrl, addUnsubscribeLink } = require('../utils/unsubscribe');
+
+const Journey = mongoose.model('Journey');
+const JourneyEnrollment = mongoose.model('JourneyEnrollment');
+const Segment = mongoose.model('Segment');
+const Customer = mongoose.model('Customer');
+const CommunicationLog = mongoose.model('CommunicationLog');
+const Event = mongoose.model('Event');
+
+// Length of each duration unit in milliseconds
+const UNIT_MS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+};
+
+// Message events that count as each kind of engagement
+const ENGAGEMENT_EVENTS = {
+  clicked: 'CLICK',
+  replied: 'REPLY',
+};
+
+// Steps a customer moves through in one run at most. Journeys cannot loop
+// without a wait, so this only guards against steps edited into a loop
+const MAX_STEPS_PER_RUN = 50;
+
+// Entries kept in an enrollment's history
+const HISTORY_LIMIT = 50;
+
+/**
+ * Get how long a wait or wait_event step waits
+ * @param {Object} step - Journey step
+ * @returns {number|null} Duration in milliseconds, or null for a wait_event step without a timeout
+ */
+const getDuration = (step) => (typeof step.duration === 'number' ? step.duration * UNIT_MS[step.unit || 'hours'] : null);
+
+/**
+ * Enroll customers in a journey at its start step
+ * Customers who are in the journey already are left out by the unique index
+ * on active enrollments, so overlapping runs and broker instances can enroll
+ * the same customers without harm.
+ * @param {Object} journey - Journey document
+ * @param {Array<ObjectId>} customerIds - Customers to enroll
+ * @param {string} source - How the customers enter, segment or event
+ * @returns {Promise<number>} Number of customers enrolled
+ */
+const enroll = async (journey, customerIds, source) => {
+  if (customerIds.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const documents = customerIds.map((customerId) => ({
+    journeyId: journey._id,
+    customerId,
+    source,
+    currentStep: journey.startStep,
+    stepEnteredAt: now,
+    nextRunAt: now,
+    enrolledAt: now,
+  }));
+
+  let enrolled;
+  try {
+    enrolled = (await JourneyEnrollment.insertMany(documents, { ordered: false })).length;
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+    enrolled = err.insertedDocs.length;
+  }
+
+  if (enrolled > 0) {
+    await Journey.updateOne({ _id: journey._id }, { $inc: { 'stats.enrolled': enrolled, 'stats.active': enrolled } });
+  }
+
+  return enrolled;
+};
+
+/**
+ * Queue a send step's message to a customer
+ * The message is rendered now and delivered by the campaign delivery worker,
+ * which checks unsubscribes, suppressions and rate limits as for campaigns.
+ * @param {Object} journey - Journey document
+ * @param {Object} step - Send step
+ * @param {Object} customer - Customer document
+ * @returns {Promise<Object>} Communication log of the message
+ */
+const queueMessage = (journey, step, customer) => {
+  const channel = step.channel || journey.channel || config.channels.default;
+  const unsubscribeUrl = getUnsubscribeUrl({ customerId: customer._id, channel });
+  const message = renderTemplate(step.message, customer, { channel, variables: { unsubscribeUrl } });
+
+  return CommunicationLog.create({
+    journeyId: journey._id,
+    journeyStep: step.key,
+    customerId: customer._id,
+    channel,
+    status: 'PENDING',
+    message: addUnsubscribeLink(message, unsubscribeUrl, channel),
+  });
+};
+
+/**
+ * Check a branch step's condition for a customer
+ * A deleted segment, or no message sent by the journey yet, counts as the condition not holding.
+ * @param {Object} step - Branch step
+ * @param {Object} customer - Customer document
+ * @param {ObjectId} lastLogId - Communication log of the last message the journey sent the customer
+ * @returns {Promise<boolean>} Whether the condition holds
+ */
+const checkBranch = async (step, customer, lastLogId) => {
+  if (step.branchOn === 'segment') {
+    const segment = await Segment.findById(step.segmentId);
+    if (!segment) {
+      return false;
+    }
+
+    return Boolean(await Customer.exists({ $and: [{ _id: customer._id }, await segment.toMongoQuery()] }));
+  }
+
+  const log = lastLogId ? await CommunicationLog.findById(lastLogId).select('status metadata') : null;
+  if (!log) {
+    return false;
+  }
+
+  if (step.engagement === 'delivered') {
+    return log.status === 'SENT';
+  }
+
+  const events = (log.metadata && log.metadata.events) || [];
+  return events.some((event) => event.type === ENGAGEMENT_EVENTS[step.engagement]);
+};
+
+/**
+ * Run the step a customer is at
+ * Wait steps are timed from when the customer reached them, so customers
+ * whose wait ran out while the journey was paused move on at once.
+ * @param {Object} journey - Journey document
+ * @param {Object} step - Step the customer is at
+ * @param {Object} customer - Customer document
+ * @param {Object} state - Where the customer is: { currentStep, stepEnteredAt, lastLogId }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { next, outcome } to move on, { wait } to stay at the step, or { end } to leave the journey
+ */
+const runStep = async (journey, step, customer, state, now) => {
+  switch (step.type) {
+    case 'send': {
+      const log = await queueMessage(journey, step, customer);
+      state.lastLogId = log._id;
+      return { next: step.next, outcome: 'sent' };
+    }
+    case 'branch': {
+      const holds = await checkBranch(step, customer, state.lastLogId);
+      return holds ? { next: step.next, outcome: 'yes' } : { next: step.otherwise, outcome: 'no' };
+    }
+    case 'wait': {
+      const due = new Date(state.stepEnteredAt.getTime() + getDuration(step));
+      return due <= now ? { next: step.next, outcome: 'waited' } : { wait: { nextRunAt: due } };
+    }
+    case 'wait_event': {
+      const occurred = await Event.exists({
+        'meta.customerId': customer._id,
+        'meta.event': step.event,
+        timestamp: { $gte: state.stepEnteredAt },
+      });
+      if (occurred) {
+        return { next: step.next, outcome: 'event' };
+      }
+
+      const duration = getDuration(step);
+      const timeout = duration === null ? undefined : new Date(state.stepEnteredAt.getTime() + duration);
+      if (timeout && timeout <= now) {
+        return { next: step.otherwise, outcome: 'timeout' };
+      }
+
+      // Without a timeout the customer waits until the event comes in
+      return { wait: { nextRunAt: timeout, waitingForEvent: step.event } };
+    }
+    default:
+      return { end: { status: 'completed' } };
+  }
+};
+
+/**
+ * Save how far a customer has moved through their journey, while this instance holds the enrollment's lease
+ * @param {Object} enrollment - Claimed enrollment
+ * @param {Object} state - Where the customer is: { currentStep, stepEnteredAt, lastLogId }
+ * @param {Array<Object>} history - History entries to add
+ * @returns {Promise<boolean>} Whether it was saved; false if the enrollment was ended or claimed by another instance meanwhile
+ */
+const saveProgress = async (enrollment, state, history) => {
+  const saved = await JourneyEnrollment.updateOne(
+    { _id: enrollment._id, status: 'active', leaseOwner: config.instanceId },
+    {
+      $set: { currentStep: state.currentStep, stepEnteredAt: state.stepEnteredAt, lastLogId: state.lastLogId },
+      $push: { history: { $each: history, $slice: -HISTORY_LIMIT } },
+    }
+  );
+
+  return saved.modifiedCount > 0;
+};
+
+/**
+ * Move a customer on through their journey until they reach a wait or leave it
+ * The move past each send step is saved as soon as its message is queued, so
+ * a later step failing or the lease running out does not send it twice. The
+ * rest is saved at the end, and only while this instance holds the lease, so
+ * a journey archived meanwhile keeps its customers out.
+ * @param {Object} enrollment - Claimed enrollment
+ * @param {Object} journey - Journey document
+ */
+const advanceEnrollment = async (enrollment, journey) => {
+  const now = new Date();
+  const state = {
+    currentStep: enrollment.currentStep,
+    stepEnteredAt: enrollment.stepEnteredAt || now,
+    lastLogId: enrollment.lastLogId,
+  };
+  const history = [];
+  let result = { wait: { nextRunAt: now } };
+
+  const customer = await Customer.findById(enrollment.customerId);
+  if (!customer || !customer.isActive) {
+    result = { end: { status: 'exited', reason: 'Customer was deleted or deactivated' } };
+  } else {
+    for (let steps = 0; steps < MAX_STEPS_PER_RUN; steps++) {
+      const step = journey.getStep(state.currentStep);
+      result = step
+        ? await runStep(journey, step, customer, state, now)
+        : { end: { status: 'exited', reason: `Step ${state.currentStep} was removed from the journey` } };
+
+      if (!result.outcome) {
+        break;
+      }
+
+      history.push({ step: state.currentStep, at: now, outcome: result.outcome });
+      if (!result.next) {
+        result = { end: { status: 'exited', reason: `Step ${state.currentStep} has no step to go to` } };
+        break;
+      }
+      state.currentStep = result.next;
+      state.stepEnteredAt = now;
+
+      if (result.outcome === 'sent' && !(await saveProgress(enrollment, state, history.splice(0)))) {
+        return;
+      }
+      // Carry on at the next run if the step limit is reached
+      result = { wait: { nextRunAt: now } };
+    }
+  }
+
+  const update = {
+    $set: { currentStep: state.currentStep, stepEnteredAt: state.stepEnteredAt },
+    $unset: { leaseOwner: '', leaseExpiresAt: '' },
+  };
+
+  if (state.lastLogId) {
+    update.$set.lastLogId = state.lastLogId;
+  }
+
+  if (result.end) {
+    history.push({ step: state.currentStep, at: now, outcome: result.end.status });
+    Object.assign(update.$set, { status: result.end.status, completedAt: now });
+    Object.assign(update.$unset, { nextRunAt: '', waitingForEvent: '' });
+    if (result.end.reason) {
+      update.$set.exitReason = result.end.reason;
+    }
+  } else {
+    ['nextRunAt', 'waitingForEvent'].forEach((field) => {
+      if (result.wait[field]) {
+        update.$set[field] = result.wait[field];
+      } else {
+        update.$unset[field] = '';
+      }
+    });
+  }
+
+  update.$push = { history: { $each: history, $slice: -HISTORY_LIMIT } };
+
+  const saved = await JourneyEnrollment.updateOne(
+    { _id: enrollment._id, status: 'active', leaseOwner: config.instanceId },
+    update
+  );
+
+  if (result.end && saved.modifiedCount > 0) {
+    await Journey.updateOne(
+      { _id: journey._id },
+      { $inc: { [`stats.${result.end.status}`]: 1, 'stats.active': -1 } }
+    );
+  }
+};
+
+/**
+ * Atomically claim the next enrollment that is due to move on, for this instance
+ * Enrollments whose lease has expired, e.g. because an instance crashed, are claimed again.
+ * @param {Array<ObjectId>} journeyIds - Active journeys
+ * @returns {Promise<Object|null>} Claimed enrollment, or null when none is due
+ */
+const claimNextEnrollment = (journeyIds) => {
+  const now = new Date();
+
+  return JourneyEnrollment.findOneAndUpdate(
+    {
+      journeyId: { $in: journeyIds },
+      status: 'active',
+      nextRunAt: { $lte: now },
+      leaseExpiresAt: { $not: { $gt: now } },
+    },
+    {
+      $set: {
+        leaseOwner: config.instanceId,
+        leaseExpiresAt: new Date(now.getTime() + config.delivery.leaseMs),
+      },
+    },
+    { new: true, sort: { nextRunAt: 1 } }
+  );
+};
+
+/**
+ * Enroll the members of active segment journeys' segments who have not entered them yet
+ * Segment members enter a journey once; only event journeys can be entered again.
+ */
+exports.enrollSegmentMembers = async () => {
+  const journeys = await Journey.find({ status: 'Active', 'entry.source': 'segment' });
+
+  for (const journey of journeys) {
+    const segment = await Segment.findById(journey.entry.segmentId);
+    if (!segment) {
+      logger.error(`Segment not found for journey ${journey._id}: ${journey.entry.segmentId}`);
+      continue;
+    }
+
+    const entered = await JourneyEnrollment.find({ journeyId: journey._id }).distinct('customerId');
+    const customerIds = await Customer.find({
+      $and: [await segment.toMongoQuery(), { isActive: true, _id: { $nin: entered } }],
+    }).distinct('_id');
+
+    const enrolled = await enroll(journey, customerIds, 'segment');
+    if (enrolled > 0) {
+      logger.info(`Enrolled ${enrolled} members of segment ${segment.name} in journey ${journey.name} (${journey._id})`);
+    }
+  }
+};
+
+/**
+ * Enroll the customers who sent events in the journeys those events start, and
+ * wake the customers who were waiting for them
+ * Woken customers are due at once; the scheduler finds the event when it moves them on.
+ * @param {Array<Object>} events - Stored event documents; those without a customer are ignored
+ */
+exports.handleEvents = async (events) => {
+  const linked = events.filter((event) => event.meta.customerId);
+  if (linked.length === 0) {
+    return;
+  }
+
+  const names = [...new Set(linked.map((event) => event.meta.event))];
+  const journeys = await Journey.find({ status: 'Active', 'entry.source': 'event', 'entry.event': { $in: names } });
+
+  for (const journey of journeys) {
+    const senders = [...new Set(
+      linked
+        .filter((event) => event.meta.event === journey.entry.event)
+        .map((event) => String(event.meta.customerId))
+    )];
+
+    // Customers in the journey now never enter it twice; others only if it allows re-entry
+    const excluded = new Set((await JourneyEnrollment.find({
+      journeyId: journey._id,
+      customerId: { $in: senders },
+      ...(journey.entry.allowReentry ? { status: 'active' } : {}),
+    }).distinct('customerId')).map(String));
+
+    const enrolled = await enroll(journey, senders.filter((customerId) => !excluded.has(customerId)), 'event');
+    if (enrolled > 0) {
+      logger.info(`Enrolled ${enrolled} customers in journey ${journey.name} (${journey._id}) on ${journey.entry.event}`);
+    }
+  }
+
+  const waiting = [...new Map(linked.map((event) => [
+    `${event.meta.customerId}:${event.meta.event}`,
+    { customerId: event.meta.customerId, waitingForEvent: event.meta.event },
+  ])).values()];
+
+  await JourneyEnrollment.updateMany(
+    { status: 'active', $or: waiting },
+    { $set: { nextRunAt: new Date() } }
+  );
+};
+
+/**
+ * Move on the customers in active journeys who are due, up to the batch size
+ * Customers move through send and branch steps until they reach a wait or
+ * an exit. Each is claimed under a lease first, so several broker instances
+ * can share the work and customers an instance was moving on when it stopped
+ * are picked up again once the lease expires.
+ */
+exports.processDueEnrollments = async () => {
+  const journeys = await Journey.find({ status: 'Active' });
+  if (journeys.length === 0) {
+    return;
+  }
+
+  const journeysById = new Map(journeys.map((journey) => [String(journey._id), journey]));
+  const journeyIds = journeys.map((journey) => journey._id);
+  let processed = 0;
+
+  for (; processed < config.journeys.batchSize; processed++) {
+    const enrollment = await claimNextEnrollment(journeyIds);
+    if (!enrollment) {
+      break;
+    }
+
+    try {
+      await advanceEnrollment(enrollment, journeysById.get(String(enrollment.journeyId)));
+    } catch (err) {
+      // The enrollment keeps its lease, so it is tried again once the lease expires
+      logger.error(`Error moving on journey enrollment ${enrollment._id}: ${err.message}`);
+    }
+  }
+
+  if (processed > 0) {
+    logger.info(`Moved on ${processed} customers in journeys`);
+  }
+};
@@ -0,0 +1,127 @@
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Redis client shared by every limiter check, so all broker instances see the same buckets
+const redisClient = new Redis(config.redis.url, config.redis.options);
+
+/**
+ * Take one token from each bucket, or none if any bucket is empty.
+ * Buckets refill continuously at `rate` tokens per second up to `burst`.
+ * Uses Redis server time so instances with skewed clocks agree.
+ * KEYS: bucket keys
+ * ARGV: rate and burst for each key, in pairs
+ * Returns 0 when tokens were taken, otherwise the milliseconds until they would be
+ */
+redisClient.defineCommand('takeTokens', {
+  lua: `
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local levels = {}
+    local wait = 0
+
+    for i, key in ipairs(KEYS) do
+      local rate = tonumber(ARGV[i * 2 - 1])
+      local burst = tonumber(ARGV[i * 2])
+      local state = redis.call('HMGET', key, 'tokens', 'ts')
+      local tokens = tonumber(state[1]) or burst
+      local ts = tonumber(state[2]) or now
+
+      tokens = math.min(burst, tokens + math.max(0, now - ts) * rate / 1000)
+      levels[i] = tokens
+
+      if tokens < 1 then
+        wait = math.max(wait, math.ceil((1 - tokens) * 1000 / rate))
+      end
+    end
+
+    if wait > 0 then
+      return wait
+    end
+
+    for i, key in ipairs(KEYS) do
+      local rate = tonumber(ARGV[i * 2 - 1])
+      local burst = tonumber(ARGV[i * 2])
+      redis.call('HSET', key, 'tokens', tostring(levels[i] - 1), 'ts', tostring(now))
+      redis.call('PEXPIRE', key, math.ceil(burst * 1000 / rate) + 1000)
+    end
+
+    return 0
+  `,
+});
+
+/**
+ * Get the buckets that apply to a send
+ * @param {String} channel - Channel name
+ * @param {String} vendor - Adapter name
+ * @returns {Array<Object>} Buckets with key, rate and burst; unlimited ones are omitted
+ */
+const getBuckets = (channel, vendor) => {
+  const { rateLimits } = config;
+  
+  return [
+    { key: `ratelimit:channel:${channel}`, rate: rateLimits.channels[channel] },
+    { key: `ratelimit:vendor:${vendor}`, rate: rateLimits.vendors[vendor] },
+  ]
+    .filter((bucket) => bucket.rate > 0)
+    .map((bucket) => ({ ...bucket, burst: Math.max(1, bucket.rate * rateLimits.burstSeconds) }));
+};
+
+/**
+ * Try to acquire permission to send one message
+ * @param {String} channel - Channel name
+ * @param {String} vendor - Adapter name
+ * @returns {Promise<Object>} { allowed, waitMs }
+ */
+exports.acquire = async (channel, vendor) => {
+  const buckets = getBuckets(channel, vendor);
+  
+  if (buckets.length === 0) {
+    return { allowed: true, waitMs: 0 };
+  }
+  
+  const waitMs = await redisClient.takeTokens(
+    buckets.length,
+    ...buckets.map((bucket) => bucket.key),
+    ...buckets.flatMap((bucket) => [bucket.rate, bucket.burst])
+  );
+  
+  return { allowed: waitMs === 0, waitMs };
+};
+
+/**
+ * Get the remaining backoff for a vendor
+ * @param {String} vendor - Adapter name
+ * @returns {Promise<Number>} Milliseconds until the vendor may be used again, 0 if not backing off
+ */
+exports.getBackoff = async (vendor) => {
+  const ttl = await redisClient.pttl(`ratelimit:backoff:${vendor}`);
+  return ttl > 0 ? ttl : 0;
+};
+
+/**
+ * Pause a vendor after it reported a rate limit. Repeated hits double the
+ * pause up to the configured maximum; the streak resets once the vendor
+ * has gone a full maximum backoff period without a hit.
+ * @param {String} vendor - Adapter name
+ * @returns {Promise<Number>} Backoff applied in milliseconds
+ */
+exports.backoff = async (vendor) => {
+  const { initialMs, maxMs } = config.rateLimits.backoff;
+  const streakKey = `ratelimit:backoff-streak:${vendor}`;
+  
+  const [[, streak]] = await redisClient
+    .multi()
+    .incr(streakKey)
+    .pexpire(streakKey, maxMs * 2)
+    .exec();
+  
+  const delay = Math.min(initialMs * 2 ** (streak - 1), maxMs);
+  await redisClient.set(`ratelimit:backoff:${vendor}`, streak, 'PX', delay);
+  
+  logger.warn(`Vendor ${vendor} reported a rate limit, backing off for ${delay}ms`);
+  
+  return delay;
+};
+
+module.exports = exports;
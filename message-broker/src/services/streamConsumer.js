@@ -0,0 +1,303 @@
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Redis Streams consumer
+ *
+ * The backend appends every event to a stream per channel (see
+ * messagePublisher in the backend). All broker instances read them through
+ * one consumer group, so each entry is handled by a single instance and kept
+ * until it is acknowledged:
+ * - entries are acknowledged only after their handler succeeds
+ * - entries left unacknowledged (handler error or crashed instance) are
+ *   claimed and retried once idle for minIdleMs
+ * - entries that fail maxDeliveries times, or are not valid JSON, are parked
+ *   in the dead-letter stream and acknowledged
+ * - streams are trimmed up to the oldest entry some group has not yet
+ *   acknowledged, so entries are never dropped before they are handled
+ */
+
+const { prefix, group, consumer, batchSize, blockMs, reclaimIntervalMs, minIdleMs, maxDeliveries } = config.streams;
+
+// Stream holding parked entries along with where they came from and why
+const DEAD_LETTER_STREAM = `${prefix}dead-letter`;
+
+// XREADGROUP blocks its connection, so reads get a client of their own
+const readClient = new Redis(config.redis.url, config.redis.options);
+const redisClient = new Redis(config.redis.url, config.redis.options);
+
+readClient.on('error', (err) => {
+  logger.error('Redis stream reader error:', err);
+});
+
+redisClient.on('error', (err) => {
+  logger.error('Redis stream client error:', err);
+});
+
+let running = false;
+let reclaimTimer = null;
+let handlers = {};
+
+/**
+ * Get the stream key for a channel
+ * @param {String} channel - Channel name
+ * @returns {String} Stream key
+ */
+const streamKey = (channel) => `${prefix}${channel}`;
+
+/**
+ * Convert a flat [field, value, ...] list to an object
+ * @param {Array<String>} fields - Stream entry fields
+ * @returns {Object} Field map
+ */
+const toObject = (fields) => {
+  const entry = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    entry[fields[i]] = fields[i + 1];
+  }
+  return entry;
+};
+
+/**
+ * Create the consumer group for every stream, starting from the beginning so
+ * entries published before the broker first started are not skipped
+ * @param {Array<String>} keys - Stream keys
+ */
+const ensureGroups = async (keys) => {
+  for (const key of keys) {
+    try {
+      await redisClient.xgroup('CREATE', key, group, '0', 'MKSTREAM');
+      logger.info(`Created consumer group ${group} on ${key}`);
+    } catch (err) {
+      // The group already exists
+      if (!err.message.includes('BUSYGROUP')) {
+        throw err;
+      }
+    }
+  }
+};
+
+/**
+ * Move an entry to the dead-letter stream and acknowledge it
+ * @param {String} key - Stream key
+ * @param {String} id - Entry ID
+ * @param {Object} entry - Entry fields
+ * @param {String} reason - Why the entry was parked
+ */
+const park = async (key, id, entry, reason) => {
+  await redisClient.xadd(
+    DEAD_LETTER_STREAM,
+    '*',
+    'stream', key,
+    'id', id,
+    'data', entry.data || '',
+    'reason', reason,
+    'parkedAt', new Date().toISOString()
+  );
+  await redisClient.xack(key, group, id);
+
+  logger.error(`Parked entry ${id} from ${key}: ${reason}`);
+};
+
+/**
+ * Handle a single stream entry
+ * @param {String} key - Stream key
+ * @param {String} id - Entry ID
+ * @param {Array<String>} fields - Entry fields
+ */
+const handleEntry = async (key, id, fields) => {
+  const channel = key.slice(prefix.length);
+  const entry = toObject(fields);
+
+  let data;
+  try {
+    data = JSON.parse(entry.data);
+  } catch (err) {
+    await park(key, id, entry, `Invalid JSON: ${err.message}`);
+    return;
+  }
+
+  try {
+    logger.debug(`Received message on ${channel}`);
+
+    await handlers[channel](data);
+    await redisClient.xack(key, group, id);
+  } catch (err) {
+    // Left pending, so the reclaimer retries it once it has been idle long enough
+    logger.error(`Error processing message ${id} on ${channel}: ${err.message}`);
+  }
+};
+
+/**
+ * Read new entries until stopped
+ */
+const readLoop = async () => {
+  const keys = Object.keys(handlers).map(streamKey);
+
+  while (running) {
+    try {
+      const response = await readClient.xreadgroup(
+        'GROUP', group, consumer,
+        'COUNT', batchSize,
+        'BLOCK', blockMs,
+        'STREAMS', ...keys, ...keys.map(() => '>')
+      );
+
+      if (!response) {
+        continue;
+      }
+
+      for (const [key, entries] of response) {
+        for (const [id, fields] of entries) {
+          await handleEntry(key, id, fields);
+        }
+      }
+    } catch (err) {
+      if (!running) {
+        break;
+      }
+
+      logger.error(`Error reading streams: ${err.message}`);
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+};
+
+/**
+ * Retry or park entries that have been pending for too long on any consumer
+ */
+const reclaimPending = async () => {
+  for (const key of Object.keys(handlers).map(streamKey)) {
+    try {
+      const pending = await redisClient.xpending(key, group, 'IDLE', minIdleMs, '-', '+', batchSize);
+
+      for (const [id, owner, , deliveries] of pending) {
+        if (deliveries >= maxDeliveries) {
+          const [found] = await redisClient.xrange(key, id, id);
+
+          // The entry may have been trimmed from the stream already
+          if (found) {
+            await park(key, id, toObject(found[1]), `Failed after ${deliveries} deliveries`);
+          } else {
+            await redisClient.xack(key, group, id);
+          }
+          continue;
+        }
+
+        // Claiming bumps the delivery count and makes this consumer the owner
+        const claimed = await redisClient.xclaim(key, group, consumer, minIdleMs, id);
+
+        for (const [claimedId, fields] of claimed) {
+          if (!fields) {
+            await redisClient.xack(key, group, claimedId);
+            continue;
+          }
+
+          logger.warn(`Retrying entry ${claimedId} on ${key} claimed from ${owner}`);
+          await handleEntry(key, claimedId, fields);
+        }
+      }
+    } catch (err) {
+      logger.error(`Error reclaiming pending entries on ${key}: ${err.message}`);
+    }
+  }
+};
+
+/**
+ * Compare two stream entry IDs
+ * @param {String} a - Entry ID
+ * @param {String} b - Entry ID
+ * @returns {Number} Negative, zero or positive as a is before, equal to or after b
+ */
+const compareIds = (a, b) => {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+};
+
+/**
+ * Find the oldest entry of a stream that some consumer group still needs:
+ * its oldest pending entry, or else the last one delivered to it
+ * @param {String} key - Stream key
+ * @returns {Promise<String|null>} Entry ID, or null if the stream has no groups
+ */
+const oldestNeededId = async (key) => {
+  const groups = await redisClient.xinfo('GROUPS', key);
+  let oldest = null;
+
+  for (const fields of groups) {
+    const info = toObject(fields);
+    let needed = info['last-delivered-id'];
+
+    if (info.pending > 0) {
+      const [, smallestPendingId] = await redisClient.xpending(key, info.name);
+      needed = smallestPendingId;
+    }
+
+    if (!oldest || compareIds(needed, oldest) < 0) {
+      oldest = needed;
+    }
+  }
+
+  return oldest;
+};
+
+/**
+ * Drop entries every consumer group has acknowledged
+ */
+const trimAcknowledged = async () => {
+  for (const key of Object.keys(handlers).map(streamKey)) {
+    try {
+      const minId = await oldestNeededId(key);
+
+      // Without a group nothing is known to be handled, so the stream is left alone
+      if (!minId) {
+        continue;
+      }
+
+      const trimmed = await redisClient.xtrim(key, 'MINID', '~', minId);
+      if (trimmed > 0) {
+        logger.debug(`Trimmed ${trimmed} acknowledged entries from ${key}`);
+      }
+    } catch (err) {
+      logger.error(`Error trimming ${key}: ${err.message}`);
+    }
+  }
+};
+
+/**
+ * Start consuming the streams for the given channels
+ * @param {Object} channelHandlers - Map of channel name to async handler
+ */
+exports.start = async (channelHandlers) => {
+  handlers = channelHandlers;
+
+  await ensureGroups(Object.keys(handlers).map(streamKey));
+
+  running = true;
+  readLoop();
+
+  reclaimTimer = setInterval(() => {
+    reclaimPending()
+      .then(trimAcknowledged)
+      .catch((err) => {
+        logger.error('Error in stream reclaimer:', err);
+      });
+  }, reclaimIntervalMs);
+
+  logger.info(`Consuming ${Object.keys(handlers).length} streams as ${consumer} in group ${group}`);
+};
+
+/**
+ * Stop consuming and close the stream connections
+ */
+exports.stop = () => {
+  running = false;
+  clearInterval(reclaimTimer);
+
+  readClient.disconnect();
+  redisClient.quit();
+};
+
+module.exports = exports;
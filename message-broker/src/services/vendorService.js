@@ -1,40 +1,67 @@
 const logger = require('../utils/logger');
 const config = require('../config');
+const adapters = require('../adapters');
+
+// Vendors report quota errors as text, e.g. "Rate limit exceeded"
+const RATE_LIMIT_ERROR = /rate limit exceeded/i;
+
+// Errors the vendor or network may recover from on their own; anything else is permanent
+const RETRYABLE_ERROR = /temporary|unavailab|network|timed? ?out|rate limit exceeded|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN/i;
 
 /**
- * Simulate message delivery through a vendor service
- * In a real implementation, this would call an actual messaging vendor API
- * @param {Object} message - Message details
+ * Classify an error thrown while sending
+ * @param {Error} err - Error thrown by the adapter
+ * @returns {Boolean} Whether the send is worth retrying
+ */
+const isRetryableException = (err) => {
+  // SMTP replies with 4xx for transient and 5xx for permanent failures
+  if (err.responseCode) {
+    return err.responseCode >= 400 && err.responseCode < 500;
+  }
+  
+  if (err.name === 'TimeoutError') {
+    return true;
+  }
+  
+  const cause = err.cause && err.cause.code ? err.cause.code : '';
+  return RETRYABLE_ERROR.test(`${err.code || ''} ${cause} ${err.message}`);
+};
+
+/**
+ * Send a message through the adapter configured for its channel
+ * @param {Object} message - Message details, including channel and recipient
  * @returns {Promise<Object>} Delivery result
  */
 exports.sendMessage = async (message) => {
+  const channel = message.channel || config.channels.default;
+  
   try {
-    const { messageId, to, message: content, customerName, campaignName } = message;
-    
-    logger.debug(`Sending message ${messageId} to ${to}`);
+    const { messageId, to } = message;
+    const adapter = adapters.getAdapterForChannel(channel);
     
-    // Simulate network delay (50-200ms)
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 150 + 50));
+    logger.debug(`Sending ${channel} message ${messageId} to ${to} via ${adapter.name}`);
     
-    // Simulate success/failure based on configured success rate
-    const successRate = config.campaign.deliverySuccessRate || 0.9;
-    const isSuccess = Math.random() < successRate;
+    const result = await adapter.send({ ...message, channel });
     
     // Log result
-    if (isSuccess) {
+    if (result.success) {
       logger.debug(`Message ${messageId} delivered successfully to ${to}`);
     } else {
-      logger.debug(`Message ${messageId} delivery failed to ${to}`);
+      logger.debug(`Message ${messageId} delivery failed to ${to}: ${result.error}`);
     }
     
-    // Return simulated result
     return {
-      success: isSuccess,
+      success: result.success,
+      rateLimited: Boolean(result.rateLimited) || RATE_LIMIT_ERROR.test(result.error || ''),
+      // Adapters may classify their own failures, otherwise fall back to the error text
+      retryable: !result.success && (result.retryable ?? RETRYABLE_ERROR.test(result.error || '')),
       messageId,
       recipient: to,
+      channel,
+      vendor: adapter.name,
       timestamp: new Date().toISOString(),
-      error: isSuccess ? null : getRandomError(),
-      vendorMessageId: isSuccess ? generateVendorMessageId() : null,
+      error: result.success ? null : result.error,
+      vendorMessageId: result.vendorMessageId || null,
     };
   } catch (err) {
     logger.error(`Error in vendor service: ${err.message}`);
@@ -42,8 +69,10 @@ exports.sendMessage = async (message) => {
     // Return failure
     return {
       success: false,
+      retryable: isRetryableException(err),
       messageId: message.messageId,
       recipient: message.to,
+      channel,
       timestamp: new Date().toISOString(),
       error: err.message,
     };
@@ -51,31 +80,27 @@ exports.sendMessage = async (message) => {
 };
 
 /**
- * Generate a random vendor message ID
- * @returns {String} Random ID
+ * Get the adapter configured for a channel
+ * @param {String} channel - Channel name
+ * @returns {Object} Adapter
  */
-function generateVendorMessageId() {
-  return `msg_${Math.random().toString(36).substring(2, 15)}`;
-}
+exports.getAdapterForChannel = (channel) => adapters.getAdapterForChannel(channel);
 
 /**
- * Get a random error message
- * @returns {String} Error message
+ * Resolve the adapter and recipient for a customer on a channel
+ * @param {Object} customer - Customer document
+ * @param {String} channel - Channel name
+ * @returns {Object} { adapter, recipientField, recipient }
  */
-function getRandomError() {
-  const errors = [
-    'Invalid recipient address',
-    'Recipient mailbox full',
-    'Temporary service unavailability',
-    'Rate limit exceeded',
-    'Network connectivity issue',
-    'Invalid sender address',
-    'Message too large',
-    'Recipient opted out',
-  ];
+exports.resolveRecipient = (customer, channel) => {
+  const adapter = adapters.getAdapterForChannel(channel);
   
-  return errors[Math.floor(Math.random() * errors.length)];
-}
+  return {
+    adapter,
+    recipientField: adapter.recipientFields[channel],
+    recipient: adapters.getRecipient(adapter, channel, customer),
+  };
+};
 
 /**
  * Simulate a delivery webhook
@@ -0,0 +1,87 @@
+/**
+ * A/B tests and control groups
+ *
+ * A campaign with variants is first sent to a test audience, a percentage of
+ * its audience split between the variants. Customers are assigned by hashing
+ * the campaign and customer IDs, so the same customer always lands in the same
+ * group, however often the logs are created. The rest of the audience waits
+ * until the campaign's wait is over and is then sent the variant that did best
+ * on the campaign's metric.
+ *
+ * A campaign's control group is held out the same way, before the test split,
+ * so held out customers are never part of a test.
+ */
+
+const crypto = require('crypto');
+
+// Variant stats field each metric is compared on
+const METRIC_RATES = {
+  delivery: 'deliveryRate',
+  click: 'clickRate',
+  reply: 'replyRate',
+};
+
+/**
+ * Hash a value to a number between 0 and 1
+ * @param {string} value - Value to hash
+ * @returns {number} Number in [0, 1)
+ */
+const bucket = (value) => crypto
+  .createHash('sha256')
+  .update(value)
+  .digest()
+  .readUInt32BE(0) / 0x100000000;
+
+/**
+ * Whether a customer is in a campaign's control group
+ * @param {Object} campaign - Campaign with holdout
+ * @param {ObjectId|string} customerId - Customer ID
+ * @returns {boolean} True when the customer is held out and never sent the message
+ */
+const isHeldOut = (campaign, customerId) => {
+  const percentage = campaign.holdout ? campaign.holdout.percentage : 0;
+  return percentage > 0 && bucket(`${campaign._id}:${customerId}:holdout`) * 100 < percentage;
+};
+
+/**
+ * Assign a customer to one of a campaign's variants, or to the rest of the audience
+ * @param {Object} campaign - Campaign with variants and abTest
+ * @param {ObjectId|string} customerId - Customer ID
+ * @returns {string|null} Key of the variant the customer is tested with, or null when the customer waits for the winner
+ */
+const assignVariant = (campaign, customerId) => {
+  const seed = `${campaign._id}:${customerId}`;
+  const testPercentage = campaign.abTest && campaign.abTest.testPercentage !== undefined ? campaign.abTest.testPercentage : 100;
+
+  if (bucket(`${seed}:test`) * 100 >= testPercentage) {
+    return null;
+  }
+
+  // A separate hash, so the split between variants does not depend on the test percentage
+  const index = Math.floor(bucket(`${seed}:variant`) * campaign.variants.length);
+  return campaign.variants[index].key;
+};
+
+/**
+ * Pick the winning variant from the test phase's stats
+ * Ties go to the variant sent to more customers, then to the one listed first.
+ * @param {Array} variants - Campaign variants
+ * @param {Array} stats - Variant stats, as from CommunicationLog.getVariantStats
+ * @param {string} metric - delivery, click or reply
+ * @returns {string} Key of the winning variant
+ */
+const pickWinner = (variants, stats, metric) => {
+  const rate = METRIC_RATES[metric] || METRIC_RATES.click;
+  const results = variants.map((variant) => stats.find((entry) => entry.variant === variant.key && entry.phase === 'test')
+    || { variant: variant.key, sent: 0, [rate]: 0 });
+
+  return results.reduce((best, result) => (
+    result[rate] > best[rate] || (result[rate] === best[rate] && result.sent > best.sent) ? result : best
+  )).variant;
+};
+
+module.exports = {
+  isHeldOut,
+  assignVariant,
+  pickWinner,
+};
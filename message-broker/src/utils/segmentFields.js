@@ -0,0 +1,143 @@
+/**
+ * Segment field registry
+ *
+ * Single catalogue of the customer fields that segment rules may filter on.
+ * The rule compiler, the rule builder (via GET /api/segments/fields) and the
+ * natural-language-to-rules prompt are all driven from this file, so adding
+ * a field here is the only change needed to make it segmentable.
+ *
+ * Fields with a `source` are not stored on the customer. They are computed
+ * per customer from their orders ('orders') or tracked events ('events'),
+ * optionally narrowed by a scope whose keys the field lists, e.g. "spent
+ * more than 500 on category Shoes this quarter" or "viewed a page at least
+ * 3 times in the last 7 days".
+ *
+ * Kept in sync with backend/src/config/segmentFields.js
+ */
+
+// Operators, with the label shown in the rule builder and the value they expect
+const OPERATORS = {
+  equals: { label: 'Equals', value: 'single' },
+  notEquals: { label: 'Does not equal', value: 'single' },
+  contains: { label: 'Contains', value: 'single' },
+  notContains: { label: 'Does not contain', value: 'single' },
+  startsWith: { label: 'Starts with', value: 'single' },
+  endsWith: { label: 'Ends with', value: 'single' },
+  greaterThan: { label: 'Greater than', value: 'single' },
+  lessThan: { label: 'Less than', value: 'single' },
+  greaterThanOrEqual: { label: 'Greater than or equal', value: 'single' },
+  lessThanOrEqual: { label: 'Less than or equal', value: 'single' },
+  between: { label: 'Between', value: 'range' },
+  before: { label: 'Before', value: 'single' },
+  after: { label: 'After', value: 'single' },
+  on: { label: 'On', value: 'single' },
+  inLast: { label: 'In the last', value: 'days' },
+  notInLast: { label: 'Not in the last', value: 'days' },
+  isNull: { label: 'Is empty', value: 'none' },
+  isNotNull: { label: 'Is not empty', value: 'none' },
+};
+
+// Operators allowed for each field type
+const TYPE_OPERATORS = {
+  text: ['equals', 'notEquals', 'contains', 'notContains', 'startsWith', 'endsWith', 'isNull', 'isNotNull'],
+  number: ['equals', 'notEquals', 'greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual', 'between'],
+  date: ['inLast', 'notInLast', 'before', 'after', 'on', 'between', 'isNull', 'isNotNull'],
+  boolean: ['equals', 'notEquals'],
+  enum: ['equals', 'notEquals'],
+  array: ['contains', 'notContains', 'isNull', 'isNotNull'],
+};
+
+// Scope keys of order fields
+const ORDER_SCOPE = ['product', 'category', 'period'];
+
+// Customer fields available to segment rules
+const FIELDS = [
+  { name: 'name', label: 'Customer Name', type: 'text', description: 'Customer full name' },
+  { name: 'email', label: 'Email', type: 'text', description: 'Customer email address' },
+  { name: 'phone', label: 'Phone Number', type: 'text', description: 'Customer phone number' },
+  { name: 'location', label: 'Location', type: 'text', description: 'Customer city or address' },
+  { name: 'timezone', label: 'Time Zone', type: 'text', description: 'Time zone set on the customer, e.g. Asia/Kolkata' },
+  { name: 'tags', label: 'Tags', type: 'array', description: 'Labels attached to the customer' },
+  { name: 'totalSpend', label: 'Total Spend', type: 'number', description: 'Total amount spent' },
+  { name: 'orderCount', label: 'Order Count', type: 'number', description: 'Number of orders placed' },
+  { name: 'lastOrderDate', label: 'Last Order Date', type: 'date', description: 'Date of the most recent order' },
+  { name: 'createdAt', label: 'Joined Date', type: 'date', description: 'Date the customer was added' },
+  { name: 'isActive', label: 'Active Status', type: 'boolean', description: 'Whether the customer is active' },
+  { name: 'orders.count', label: 'Orders Placed', type: 'number', source: 'orders', scope: ORDER_SCOPE, description: 'Number of orders in the scope, e.g. orders containing a product' },
+  { name: 'orders.spend', label: 'Amount Spent', type: 'number', source: 'orders', scope: ORDER_SCOPE, description: 'Amount spent in the scope, counting only matching items when a product or category is set' },
+  { name: 'orders.averageValue', label: 'Average Order Value', type: 'number', source: 'orders', scope: ORDER_SCOPE, description: 'Amount spent divided by orders placed in the scope' },
+  { name: 'events.count', label: 'Event Count', type: 'number', source: 'events', scope: ['event', 'period'], description: 'Number of tracked events in the scope, e.g. add_to_cart events this month' },
+  { name: 'events.lastOccurred', label: 'Last Event Date', type: 'date', source: 'events', scope: ['event'], description: 'Date of the most recent tracked event, optionally of one event name' },
+];
+
+// Time windows a computed field can be scoped to; lastDays also needs a number of days
+const PERIODS = {
+  allTime: 'All time',
+  lastDays: 'In the last N days',
+  thisMonth: 'This month',
+  lastMonth: 'Last month',
+  thisQuarter: 'This quarter',
+  lastQuarter: 'Last quarter',
+  thisYear: 'This year',
+  lastYear: 'Last year',
+};
+
+/**
+ * Get a field definition by name
+ * @param {string} name - Field name
+ * @returns {Object|undefined} Field definition
+ */
+const getField = (name) => FIELDS.find((field) => field.name === name);
+
+/**
+ * Get the operators allowed for a field
+ * @param {Object} field - Field definition
+ * @returns {Array<string>} Operator names
+ */
+const getFieldOperators = (field) => field.operators || TYPE_OPERATORS[field.type] || [];
+
+/**
+ * Describe the registry for API consumers
+ * @returns {Object} Fields with their operators, plus operator metadata
+ */
+const describeFields = () => ({
+  fields: FIELDS.map((field) => ({
+    name: field.name,
+    label: field.label,
+    type: field.type,
+    description: field.description,
+    ...(field.values ? { values: field.values } : {}),
+    ...(field.source ? { source: field.source } : {}),
+    ...(field.scope ? { scope: field.scope } : {}),
+    operators: getFieldOperators(field).map((operator) => ({
+      value: operator,
+      label: OPERATORS[operator].label,
+    })),
+  })),
+  operators: OPERATORS,
+  periods: PERIODS,
+});
+
+/**
+ * Describe the registry as plain text for LLM prompts
+ * @returns {string} One line per field, listing its type and operators
+ */
+const describeFieldsForPrompt = () => [
+  ...FIELDS.map((field) => {
+    const values = field.values ? ` (one of: ${field.values.join(', ')})` : '';
+    return `- ${field.name}: ${field.type} field for ${field.description.toLowerCase()}${values}. Operators: ${getFieldOperators(field).join(', ')}`;
+  }),
+  `Conditions on orders.* fields may add "scope": { "product": name or SKU, "category": category name, "period": one of ${Object.keys(PERIODS).join(', ')}, "days": number of days for lastDays }.`,
+  'Conditions on events.count may add "scope": { "event": event name such as page_view or add_to_cart, "period", "days" } and on events.lastOccurred "scope": { "event" }.',
+].join('\n');
+
+module.exports = {
+  OPERATORS,
+  TYPE_OPERATORS,
+  FIELDS,
+  PERIODS,
+  getField,
+  getFieldOperators,
+  describeFields,
+  describeFieldsForPrompt,
+};